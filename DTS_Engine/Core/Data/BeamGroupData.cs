@@ -500,6 +500,23 @@ namespace DTS_Engine.Core.Data
         [JsonIgnore]
         public bool IsDesignLocked => SelectedDesign != null;
 
+        // ===== BAR MARKS (Bảng thống kê cốt thép) =====
+        /// <summary>
+        /// Số hiệu thanh đã cấp cho group (Beam.Schedule)
+        /// Key: chữ ký thanh "Hình dạng|D|Chiều dài cắt|Kích thước", Value: số thứ tự.
+        /// Giữ số hiệu ổn định giữa các lần tạo bảng thống kê.
+        /// </summary>
+        [JsonProperty(ObjectCreationHandling = ObjectCreationHandling.Replace)]
+        public Dictionary<string, int> BarMarks { get; set; } = new Dictionary<string, int>();
+
+        // ===== AUDIT LOG (Nhật ký chốt / sửa tay) =====
+        /// <summary>
+        /// Nhật ký chốt, mở chốt, sửa tay và tự chốt khi sửa của group (Beam.Audit).
+        /// Lưu cùng gói dữ liệu qua SAVE để người kiểm tra biết vì sao thiết kế khác kết quả tính.
+        /// </summary>
+        [JsonProperty(ObjectCreationHandling = ObjectCreationHandling.Replace)]
+        public List<DesignAuditEntry> AuditLog { get; set; } = new List<DesignAuditEntry>();
+
         // ===== METADATA =====
         /// <summary>
         /// Nguồn gốc: "Auto" (tự detect) hoặc "Manual" (user tạo)
@@ -611,6 +628,41 @@ namespace DTS_Engine.Core.Data
         public bool IsManuallyEdited { get; set; } = false;
     }
 
+    // ===== NHẬT KÝ CHỐT PHƯƠNG ÁN =====
+    /// <summary>
+    /// Một dòng nhật ký chốt/sửa của group (Beam.Audit).
+    /// Option key: "0", "1"... (BackboneOptions), "locked" hoặc "manual".
+    /// </summary>
+    public class DesignAuditEntry
+    {
+        public string User { get; set; }
+
+        /// <summary>
+        /// Thời điểm (ISO 8601, UTC)
+        /// </summary>
+        public DateTime Timestamp { get; set; }
+
+        /// <summary>
+        /// "lock" | "unlock" | "edit" | "autolock"
+        /// </summary>
+        public string Action { get; set; }
+
+        public string OptionBefore { get; set; }
+        public string OptionAfter { get; set; }
+
+        /// <summary>
+        /// Nhịp được sửa (null với chốt/mở chốt)
+        /// </summary>
+        public string SpanId { get; set; }
+
+        public string Field { get; set; }
+
+        /// <summary>
+        /// Lý do (không bắt buộc)
+        /// </summary>
+        public string Reason { get; set; }
+    }
+
     // ===== PHƯƠNG ÁN BỐ THÉP =====
     /// <summary>
     /// Kết quả bố thép cho 1 dải dầm liên tục (1 phương án backbone)
@@ -0,0 +1,59 @@
+﻿using System.IO;
+using System.Reflection;
+using System.Text.RegularExpressions;
+
+namespace DTS_Engine.Core.Utils
+{
+    /// <summary>
+    /// Nhúng các module JS (core/, beam/) vào HTML của WebView2.
+    /// HTML được nạp bằng NavigateToString (không có base URL) nên &lt;script src="core/X.js"&gt;
+    /// không tải được; thay mỗi thẻ bằng nội dung EmbeddedResource tương ứng.
+    /// </summary>
+    public static class WebResourceInliner
+    {
+        private const string ResourcePrefix = "DTS_Engine.UI.Resources.";
+
+        private static readonly Regex LocalScriptRegex = new Regex(
+            @"<script\s+src=""((?:core|beam)/[\w.]+\.js)""\s*>\s*</script>",
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        /// <summary>
+        /// Thay các thẻ script cục bộ bằng script inline từ tài nguyên nhúng.
+        /// Thẻ không tìm thấy tài nguyên được giữ nguyên.
+        /// </summary>
+        /// <param name="html">HTML gốc</param>
+        /// <param name="assembly">Assembly chứa tài nguyên (mặc định: DTS_Engine)</param>
+        /// <returns>HTML đã nhúng script</returns>
+        public static string InlineScripts(string html, Assembly assembly = null)
+        {
+            if (string.IsNullOrEmpty(html)) return html;
+            assembly = assembly ?? typeof(WebResourceInliner).Assembly;
+
+            return LocalScriptRegex.Replace(html, match =>
+            {
+                string source = LoadResource(assembly, ResourcePrefix + match.Groups[1].Value.Replace('/', '.'));
+                if (source == null)
+                {
+                    System.Diagnostics.Debug.WriteLine($"[WebResourceInliner] Missing resource: {match.Groups[1].Value}");
+                    return match.Value;
+                }
+
+                // "</script" bên trong chuỗi JS sẽ đóng thẻ sớm
+                source = Regex.Replace(source, "</script", "<\\/script", RegexOptions.IgnoreCase);
+                return "<script>/* " + match.Groups[1].Value + " */\n" + source + "\n</script>";
+            });
+        }
+
+        private static string LoadResource(Assembly assembly, string resourceName)
+        {
+            using (Stream stream = assembly.GetManifestResourceStream(resourceName))
+            {
+                if (stream == null) return null;
+                using (var reader = new StreamReader(stream))
+                {
+                    return reader.ReadToEnd();
+                }
+            }
+        }
+    }
+}
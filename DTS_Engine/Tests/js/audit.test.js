@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, createElement, plain } = require('./harness');
+
+function setup() {
+    const win = createViewer({ elements: { auditLogBody: createElement('tbody') } });
+    const fixtures = win.Dts.MockFixtures.clone();
+    win.Beam.State.init(fixtures.groupData);
+    return { win, data: fixtures.groupData, Audit: win.Beam.Audit, group: win.Beam.State.currentGroup };
+}
+
+test('entries carry user, time, option before/after and reason', () => {
+    const { Audit, group } = setup();
+    assert.equal(Audit.optionKey(group), '0');
+
+    const entry = Audit.record(group, 'lock', { before: '0', after: 'locked', reason: '  Theo ý kiến tư vấn  ' });
+    assert.deepEqual(Object.keys(entry), ['User', 'Timestamp', 'Action', 'OptionBefore', 'OptionAfter', 'SpanId', 'Field', 'Reason']);
+    assert.equal(entry.User, 'designer');
+    assert.ok(!isNaN(Date.parse(entry.Timestamp)));
+    assert.equal(entry.Reason, 'Theo ý kiến tư vấn');
+    assert.equal(entry.SpanId, null);
+
+    Audit.record(group, 'unlock', { before: 'locked', after: '0', reason: '   ' });
+    assert.deepEqual(Array.from(Audit.entries(), e => e.Action), ['unlock', 'lock']);
+    assert.equal(group.AuditLog[1].Reason, null);
+});
+
+test('manual edits: first one auto-locks, bursts on one field share an entry', () => {
+    const { win, Audit, group } = setup();
+    const State = win.Beam.State;
+
+    State.updateRebar(1, 'bot', 'AddMid', { Count: 3, Diameter: 18 });
+    assert.deepEqual(plain(group.AuditLog.map(e => [e.Action, e.OptionBefore, e.OptionAfter, e.SpanId, e.Field])), [
+        ['autolock', '0', 'manual', 'S2', 'BotAddMid'],
+        ['edit', '0', 'manual', 'S2', 'BotAddMid']
+    ]);
+    assert.equal(group.IsManuallyEdited, true);
+
+    State.updateRebar(1, 'bot', 'AddMid', { Count: 4, Diameter: 18 });
+    assert.equal(group.AuditLog.length, 2);
+    State.updateStirrup(1, 0, 'd8a100');
+    assert.deepEqual(plain(group.AuditLog[2]).Field, 'Stirrup');
+    assert.equal(group.AuditLog[2].OptionBefore, 'manual');
+
+    // An old edit is not merged into
+    group.AuditLog[2].Timestamp = new Date(Date.now() - Audit.config.MERGE_MS - 1).toISOString();
+    State.updateStirrup(1, 0, 'd8a150');
+    assert.equal(group.AuditLog.length, 4);
+
+    // Label locks are not logged; a locked design refuses edits
+    State.toggleSectionLock(0);
+    group.IsLocked = true;
+    assert.equal(State.updateSideBar(0, '2D12'), false);
+    assert.equal(group.AuditLog.length, 4);
+});
+
+test('lock messages carry the entry; reasons with | survive the field format', () => {
+    const { win, Audit, group } = setup();
+    const Bridge = win.Dts.Bridge;
+    const entry = Audit.record(group, 'unlock', { before: 'locked', after: '0', reason: 'Nhịp S2 | đổi tiết diện' });
+
+    const raw = Bridge.encode('UNLOCK_DESIGN', { groupIndex: 0, entry });
+    assert.equal(raw.split('|').length, 3);
+    assert.deepEqual(plain(Bridge.decode(raw).payload), { groupIndex: 0, entry: plain(entry) });
+
+    const design = { OptionName: 'A|B' };
+    const lock = Bridge.decode(Bridge.encode('LOCK_DESIGN', { groupIndex: 0, entry, design }));
+    assert.deepEqual(plain(lock.payload.design), design);
+    assert.equal(lock.payload.entry.Reason, entry.Reason);
+
+    // Bodies without an entry stay as before
+    assert.equal(Bridge.encode('UNLOCK_DESIGN', { groupIndex: 2 }), 'UNLOCK_DESIGN|2');
+});
+
+test('the log is saved with the data package', () => {
+    const { win, data, group } = setup();
+    win.Beam.State.updateSideBar(0, '2D14');
+
+    const saved = JSON.parse(win.Dts.Bridge.encode('SAVE', data).slice('SAVE|'.length));
+    assert.deepEqual(saved.groups[0].AuditLog, plain(group.AuditLog));
+    assert.equal(saved.groups[0].AuditLog.length, 2);
+});
+
+test('side panel lists the current group, newest first, escaped', () => {
+    const { win, Audit, group } = setup();
+    const tbody = win.document.getElementById('auditLogBody');
+
+    Audit.render();
+    assert.match(tbody.innerHTML, /Chưa có thay đổi/);
+
+    Audit.record(group, 'lock', { before: '1', after: 'locked', reason: 'A < B' });
+    win.Beam.State.settings.UserName = 'reviewer';
+    Audit.record(group, 'unlock', { before: 'locked', after: '1' });
+    const html = tbody.innerHTML;
+    assert.ok(html.indexOf('Mở chốt') < html.indexOf('Chốt<'));
+    assert.match(html, /Opt1 → 🔒/);
+    assert.match(html, /reviewer/);
+    assert.match(html, /A &lt; B/);
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, plain } = require('./harness');
+
+const win = createViewer({ modules: ['core/DtsBridge.js'] });
+const Bridge = win.Dts.Bridge;
+
+test('field messages round-trip through encode/decode', () => {
+    const raw = Bridge.encode('UPDATE_SECTION_LABEL', { handle: '2A3F', label: '2GY2', locked: true });
+    assert.equal(raw, 'UPDATE_SECTION_LABEL|2A3F|2GY2|1');
+    assert.deepEqual(plain(Bridge.decode(raw).payload), { handle: '2A3F', label: '2GY2', locked: true });
+});
+
+test("string fields with '|' are rejected instead of shifting the later fields", () => {
+    const posted = [];
+    Bridge.setTransport({ post: raw => posted.push(raw) > 0, subscribe: () => null });
+    const errors = [];
+    const error = win.console.error;
+    win.console.error = (...args) => errors.push(args);
+
+    assert.deepEqual(Array.from(Bridge.validate('UPDATE_SECTION_LABEL', { handle: '2A3F', label: 'A|B', locked: true })),
+        ["UPDATE_SECTION_LABEL.label must not contain '|'"]);
+    assert.equal(Bridge.send('UPDATE_SECTION_LABEL_BATCH', { label: 'A|B', locked: true, handles: '2A3F,2A40' }), false);
+    assert.equal(posted.length, 0);
+    assert.equal(errors.length, 1);
+
+    // JSON fields are escaped, so they may carry '|'
+    assert.equal(Bridge.send('LOCK_DESIGN', { groupIndex: 1, entry: { Reason: 'A|B' } }), true);
+    assert.deepEqual(plain(Bridge.decode(posted[0]).payload), { groupIndex: 1, entry: { Reason: 'A|B' } });
+    win.console.error = error;
+});
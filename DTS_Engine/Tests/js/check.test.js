@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, createCanvas, createElement, plain } = require('./harness');
+
+const near = (actual, expected, msg) =>
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${msg || ''} expected ${expected}, got ${actual}`);
+
+function setup() {
+    const badge = createElement('button');
+    badge.classList.add('hidden');
+    const win = createViewer({
+        elements: {
+            beamCanvas: createCanvas(800, 400),
+            spanTableBody: createElement('tbody'),
+            deficitBadge: badge
+        }
+    });
+    const fixtures = win.Dts.MockFixtures.clone();
+    win.Beam.State.init(fixtures.groupData);
+    win.Dts.Renderer.init(win.document.getElementById('beamCanvas'));
+    return { win, badge, Check: win.Beam.Check, State: win.Beam.State, group: win.Beam.State.currentGroup };
+}
+
+test('fixture group passes: utilisation from backbone + station addon', () => {
+    const { win, Check, group } = setup();
+    const area = win.Dts.Rebar.barArea;
+    const results = Check.checkGroup(group);
+
+    assert.equal(results.deficitCount, 0);
+    assert.deepEqual(plain(results.deficitSpans), []);
+
+    // S1 top L: 2D20 + 2D18 against 9.8 cm²
+    const topL = results.spans[0].top[0];
+    near(topL.prov, 2 * area(20) + 2 * area(18));
+    near(topL.utilisation, 9.8 / topL.prov);
+    assert.equal(Check.formatUtilisation(topL.utilisation), '86%');
+});
+
+test('deficit when As_prov < As_req x SafetyFactor', () => {
+    const { Check, State, group } = setup();
+    group.Spans[1].As_Bot[2] = 12;
+    State.settings.SafetyFactor = 1.0;
+    let results = Check.checkGroup(group);
+    assert.deepEqual(plain(results.deficitSpans), [1]);
+    assert.equal(results.spans[1].bot[1].isDeficit, true);
+    assert.ok(results.spans[1].maxUtilisation > 1);
+
+    // S3 top R: 2D20 + 2D16 = 10.3 cm² vs 4.1 x 2.6
+    State.settings.SafetyFactor = 2.6;
+    results = Check.checkGroup(group);
+    assert.equal(results.spans[2].top[2].isDeficit, true);
+});
+
+test('evaluate: no requirement is never a deficit, no steel is unbounded', () => {
+    const { Check } = setup();
+    assert.deepEqual(plain(Check.evaluate(0, 0, 1)), { prov: 0, req: 0, utilisation: 0, isDeficit: false });
+    const missing = Check.evaluate(5, 0, 1);
+    assert.equal(missing.isDeficit, true);
+    assert.equal(Check.formatUtilisation(missing.utilisation), '∞');
+    assert.equal(Check.evaluate(10, 10.5, 1.05).isDeficit, false);
+});
+
+test('without RebarInfo the legacy tables are summed over all layers', () => {
+    const { win, Check, group } = setup();
+    const span = group.Spans[0];
+    ['TopBackbone', 'TopAddLeft', 'TopAddMid', 'TopAddRight'].forEach(f => { span[f] = null; });
+
+    const station = Check.STATIONS[0];
+    // Layer 0 '2D20' + layer 1 '2D18'
+    const area = win.Dts.Rebar.barArea;
+    near(Check.getProvided(span, 'Top', station), 2 * area(20) + 2 * area(18));
+    span.TopRebar = null;
+    assert.equal(Check.getProvided(span, 'Top', station), 0);
+});
+
+test('nextDeficitSpan cycles through failing spans', () => {
+    const { Check, group } = setup();
+    group.Spans[0].As_Top[0] = 30;
+    group.Spans[2].As_Bot[4] = 30;
+    Check.run();
+
+    assert.equal(Check.nextDeficitSpan(-1), 0);
+    assert.equal(Check.nextDeficitSpan(0), 2);
+    assert.equal(Check.nextDeficitSpan(2), 0);
+
+    group.Spans[0].As_Top[0] = 0;
+    group.Spans[2].As_Bot[4] = 0;
+    Check.run();
+    assert.equal(Check.nextDeficitSpan(0), -1);
+});
+
+test('badge reruns on span edits and jumps to each failing span', () => {
+    const { win, badge, State, group } = setup();
+    win.Beam.Actions.updateDeficitBadge();
+    assert.equal(badge.classList.contains('hidden'), true);
+
+    // Dropping the S2 mid addon leaves 2D20 against 9.2 cm²
+    group.Spans[0].As_Top[4] = 40;
+    State.updateRebar(1, 'bot', 'AddMid', null);
+    win.Beam.Actions.updateDeficitBadge();
+    assert.equal(badge.classList.contains('hidden'), false);
+    assert.match(badge.textContent, /2 nhịp thiếu thép/);
+
+    assert.equal(win.Beam.Actions.gotoNextDeficit(), 0);
+    assert.equal(State.highlightedSpanIndex, 0);
+    assert.equal(win.Beam.Actions.gotoNextDeficit(), 1);
+    assert.equal(win.Beam.Actions.gotoNextDeficit(), 0);
+});
+
+test('render shades deficit zones and writes L/M/R utilisation', () => {
+    const { win, group } = setup();
+    group.Spans[1].As_Bot[2] = 12;
+    const ctx = win.document.getElementById('beamCanvas').getContext('2d');
+    ctx.reset();
+    win.Beam.Renderer.render();
+
+    const washes = ctx.getCalls('fillRect').filter(c => c.style.fillStyle === win.Beam.Renderer.colors.deficitFill);
+    assert.equal(washes.length, 1);
+    assert.ok(ctx.getTexts().includes('86%'));
+    assert.ok(ctx.getTexts().some(t => /^1\d\d%$/.test(t)));
+});
+
+test('exports and shear mode skip the check overlay', () => {
+    const { win, State, group } = setup();
+    group.Spans[1].As_Bot[2] = 12;
+    const svg = win.Beam.Renderer.exportSVG({ measureText: text => text.length * 6 });
+    assert.ok(!svg.includes('86%'));
+
+    State.setCanvasMode('shear');
+    const ctx = win.document.getElementById('beamCanvas').getContext('2d');
+    ctx.reset();
+    win.Beam.Renderer.render();
+    assert.ok(!ctx.getTexts().includes('86%'));
+});
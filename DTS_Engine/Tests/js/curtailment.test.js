@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, plain } = require('./harness');
+
+const near = (actual, expected, tol = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) < tol, `expected ${expected}, got ${actual}`);
+
+function setup() {
+    const win = createViewer();
+    const fixtures = win.Dts.MockFixtures.clone();
+    win.Beam.State.init(fixtures.groupData);
+    return { win, Curtailment: win.Beam.Curtailment, group: win.Beam.State.currentGroup };
+}
+
+test('envelope: five stations, middle pair merged, safety factor applied', () => {
+    const { win, Curtailment, group } = setup();
+    const span = group.Spans[0];
+    span.As_Bot = [3.1, 5.2, 7.6, 7.9, 4.8, 3.3];
+
+    assert.deepEqual(plain(Curtailment.envelope(span, 'bot')), [
+        { x: 0, as: 3.1 }, { x: 1500, as: 5.2 }, { x: 3000, as: 7.9 }, { x: 4500, as: 4.8 }, { x: 6000, as: 3.3 }
+    ]);
+    win.Beam.State.settings.SafetyFactor = 1.1;
+    near(Curtailment.envelope(span, 'bot')[2].as, 7.9 * 1.1);
+
+    span.As_Top = [0, 0, 0, 0, 0, 0];
+    assert.equal(Curtailment.envelope(span, 'top'), null);
+});
+
+test('demand intervals interpolate the crossings', () => {
+    const { Curtailment } = setup();
+    const points = [{ x: 0, as: 10 }, { x: 1000, as: 4 }, { x: 2000, as: 8 }, { x: 3000, as: 2 }, { x: 4000, as: 9 }];
+
+    assert.deepEqual(plain(Curtailment.demandIntervals(points, 6)), [
+        { start: 0, end: 1000 * 4 / 6 },
+        { start: 1500, end: 2000 + 1000 / 3 },
+        { start: 3000 + 1000 * 4 / 7, end: 4000 }
+    ]);
+    assert.deepEqual(plain(Curtailment.demandIntervals(points, 20)), []);
+});
+
+test('support addons run from the support past the theoretical point by la', () => {
+    const { Curtailment, group } = setup();
+    const span = group.Spans[0];
+
+    // Top 2D20 backbone 6.28 cm²: 6.3 at the quarter point, 2.1 at midspan
+    const left = Curtailment.addon(span, 'top', 'AddLeft');
+    assert.equal(left.start, 0);
+    near(left.theoreticalEnd, 1500 + (6.3 - 2 * Math.PI) / 4.2 * 1500, 1e-3);
+    assert.equal(left.development, 810);
+    assert.equal(left.end, 2350);
+    assert.equal(left.fromEnvelope, true);
+
+    const right = Curtailment.addon(span, 'top', 'AddRight');
+    assert.equal(right.end, 6000);
+    assert.equal(right.start, 3250);
+    assert.equal(right.length, 2750);
+});
+
+test('mid addons are cut at both ends', () => {
+    const { Curtailment, group } = setup();
+    const mid = Curtailment.addon(group.Spans[1], 'bot', 'AddMid');
+
+    // Bottom 2D20 6.28 cm² against 6.1 / 9.2 / 5.9 at the quarter points and midspan; la 810, rounded outward
+    near(mid.theoreticalStart, 1750 + (2 * Math.PI - 6.1) / 3.1 * 1750, 1e-3);
+    near(mid.theoreticalEnd, 3500 + (9.2 - 2 * Math.PI) / 3.3 * 1750, 1e-3);
+    assert.equal(mid.start, 1000);
+    assert.equal(mid.end, 5900);
+    assert.equal(Curtailment.addon(group.Spans[1], 'bot', 'AddLeft'), null);
+});
+
+test('fixed zones stand in without As data or without demand', () => {
+    const { Curtailment, group } = setup();
+
+    // S3 top R: 6.2 cm² never exceeds the 2D20 backbone -> 0.25 zone + la 720
+    const right = Curtailment.addon(group.Spans[2], 'top', 'AddRight');
+    assert.equal(right.fromEnvelope, false);
+    assert.equal(right.theoreticalStart, 3750);
+    assert.equal(right.start, 3000);
+
+    const span = group.Spans[0];
+    span.As_Bot = null;
+    const mid = Curtailment.addon(span, 'bot', 'AddMid');
+    assert.equal(mid.fromEnvelope, false);
+    assert.deepEqual([mid.start, mid.end], [150, 5850]);
+});
+
+test('renderer draws addons between the cut-offs', () => {
+    const { win, group } = setup();
+    const Renderer = win.Beam.Renderer;
+    const span = group.Spans[0];
+
+    assert.deepEqual(plain(Renderer._getZoneExtent('top', 'AddLeft', span)), { start: 0, length: 2350 / 6000 });
+    assert.deepEqual(plain(Renderer._getZoneExtent('top', 'AddLeft')), plain(Renderer.zones.top.AddLeft));
+    assert.deepEqual(plain(Renderer._getZoneExtent('top', 'AddMid', span)), plain(Renderer.zones.top.AddMid));
+});
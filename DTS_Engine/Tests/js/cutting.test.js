@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { createViewer, createElement, plain } = require('./harness');
+
+const core = createViewer({ modules: ['core/DtsCutting.js'] }).Dts.Cutting;
+
+const near = (actual, expected, tol = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) < tol, `expected ${expected}, got ${actual}`);
+
+const patternsOf = d => d.patterns.map(p => `${p.count}x${p.stockLength}:${p.cuts.map(c => c.length).join('+')}`);
+
+test('best-fit decreasing on one stock length', () => {
+    const result = core.optimize([
+        { diameter: 20, length: 6000, quantity: 3, mark: 'A' },
+        { diameter: 20, length: 5000, quantity: 2, mark: 'B' },
+        { diameter: 20, length: 4000, quantity: 1, mark: 'C' }
+    ]);
+
+    const d20 = result.diameters[0];
+    assert.equal(d20.stockCount, 3);
+    assert.deepEqual(plain(patternsOf(d20)), ['2x11700:6000+5000', '1x11700:6000+4000']);
+    assert.equal(d20.patterns[0].offcut, 700);
+    assert.equal(d20.required, 32000);
+    assert.equal(d20.purchased, 35100);
+    near(d20.wastePct, 3100 / 35100 * 100);
+});
+
+test('each stock bar uses the shortest stock length that fits', () => {
+    const result = core.optimize([
+        { diameter: 18, length: 8000, quantity: 1 },
+        { diameter: 18, length: 11000, quantity: 1 }
+    ], { stockLengths: [11700, 8600, 8600, -1] });
+
+    assert.deepEqual(plain(result.stockLengths), [8600, 11700]);
+    assert.deepEqual(plain(result.diameters[0].stockBars), { 8600: 1, 11700: 1 });
+    assert.equal(result.waste, 600 + 700);
+});
+
+test('pieces longer than the stock are reported, diameters kept apart', () => {
+    const result = core.optimize([
+        { diameter: 25, length: 12500, quantity: 2, mark: 'X' },
+        { diameter: 16, length: 3000, quantity: 3 },
+        { diameter: 25, length: 3000, quantity: 1 }
+    ]);
+
+    assert.deepEqual(Array.from(result.diameters, d => d.diameter), [16, 25]);
+    assert.equal(result.diameters[0].stockCount, 1);
+    assert.deepEqual(plain(result.diameters[1].oversize), [{ mark: 'X', length: 12500, quantity: 2 }]);
+    assert.equal(result.stockCount, 2);
+    assert.equal(core.optimize([]).wastePct, 0);
+});
+
+test('worker source runs on its own and answers like optimize', () => {
+    const pieces = [{ diameter: 20, length: 6000, quantity: 3 }, { diameter: 20, length: 5000, quantity: 2 }];
+    let reply = null;
+    const sandbox = { self: { postMessage: data => { reply = data; } } };
+    vm.runInNewContext(core.workerSource(), sandbox);
+    sandbox.self.onmessage({ data: { pieces, options: { stockLengths: [11700] } } });
+
+    assert.deepEqual(plain(reply), plain(core.optimize(pieces, { stockLengths: [11700] })));
+});
+
+test('run uses a Blob worker and cleans up; falls back without workers', async () => {
+    const pieces = [{ diameter: 20, length: 6000, quantity: 2 }];
+    assert.equal((await core.run(pieces)).stockCount, 2);
+
+    const win = createViewer({ modules: ['core/DtsCutting.js'] });
+    const calls = [];
+    win.Blob = class { constructor(parts) { this.source = parts.join(''); } };
+    win.URL = {
+        createObjectURL: blob => { calls.push('create'); win.__source = blob.source; return 'blob:cutting'; },
+        revokeObjectURL: url => calls.push(`revoke ${url}`)
+    };
+    win.Worker = class {
+        constructor(url) {
+            calls.push(`worker ${url}`);
+            const self = { postMessage: data => setTimeout(() => this.onmessage({ data }), 0) };
+            vm.runInNewContext(win.__source, { self });
+            this._self = self;
+        }
+        postMessage(data) { this._self.onmessage({ data: JSON.parse(JSON.stringify(data)) }); }
+        terminate() { calls.push('terminate'); }
+    };
+
+    const result = await win.Dts.Cutting.run(pieces, { stockLengths: [6000] });
+    assert.equal(result.stockCount, 2);
+    assert.equal(result.wastePct, 0);
+    assert.deepEqual(calls, ['create', 'worker blob:cutting', 'terminate', 'revoke blob:cutting']);
+});
+
+// ===== PANEL =====
+
+function setup(mutate) {
+    const win = createViewer({
+        elements: {
+            cuttingResult: createElement('div'),
+            stockLengths: Object.assign(createElement('input'), { value: '11.7' }),
+            cuttingScope: Object.assign(createElement('select'), { value: 'group' })
+        }
+    });
+    const fixtures = win.Dts.MockFixtures.clone();
+    if (mutate) mutate(fixtures.groupData);
+    win.Beam.State.init(fixtures.groupData);
+    return { win, Cutting: win.Beam.Cutting, group: win.Beam.State.currentGroup };
+}
+
+test('pieces come from the schedule marks, coil sizes left out', () => {
+    const { Cutting, group } = setup();
+    const pieces = Cutting.collectPieces([group]);
+    assert.ok(pieces.every(p => p.diameter > 10));
+    assert.deepEqual(plain(pieces[0]), { mark: 'G201-01', diameter: 20, length: 10490, quantity: 8 });
+    assert.ok(pieces.some(p => p.diameter === 12));
+});
+
+test('stock lengths from settings or the panel input', () => {
+    const { Cutting } = setup();
+    assert.deepEqual(plain(Cutting.getStockLengths()), [11700]);
+    assert.deepEqual(plain(Cutting.setStockLengths('11.7, 8.6')), [8600, 11700]);
+    assert.deepEqual(plain(Cutting.getStockLengths()), [8600, 11700]);
+    assert.deepEqual(plain(Cutting.setStockLengths('6000;12000')), [6000, 12000]);
+    assert.equal(Cutting.setStockLengths('11.7, abc'), null);
+    assert.equal(Cutting.setStockLengths(''), null);
+});
+
+test('story scope takes every group of the current story', () => {
+    const { Cutting } = setup(data => {
+        ['L2', 'L3'].forEach((story, i) => {
+            const copy = JSON.parse(JSON.stringify(data.groups[0]));
+            copy.Name = copy.GroupName = `G20${i + 2}`;
+            copy.StoryName = story;
+            data.groups.push(copy);
+        });
+    });
+    assert.deepEqual(Array.from(Cutting.getGroups('group'), g => g.Name), ['G201']);
+    assert.deepEqual(Array.from(Cutting.getGroups('story'), g => g.Name), ['G201', 'G202']);
+});
+
+test('panel run renders stock bars, waste and pattern strips', async () => {
+    const { win, Cutting } = setup();
+    win.document.getElementById('stockLengths').value = '11.7';
+    const result = await win.Beam.Actions.runCuttingOptimiser();
+
+    assert.equal(Cutting.result, result);
+    const d20 = result.diameters.find(d => d.diameter === 20);
+    // 8 bars of 10490 -> one per stock bar
+    assert.deepEqual(plain(d20.stockBars), { 11700: d20.stockCount });
+
+    const html = win.document.getElementById('cuttingResult').innerHTML;
+    assert.match(html, /D20/);
+    assert.match(html, /\d+ × 11\.7m/);
+    assert.match(html, /title="G201-01: 10490 mm"/);
+    assert.match(html, /Đầu thừa 1210 mm/);
+    assert.ok(Cutting.getPurchasedWeight() > 0);
+});
+
+test('edits make the result stale, also for a run still in flight', async () => {
+    const { win, Cutting } = setup();
+    await Cutting.run('group');
+    Cutting.invalidate();
+    assert.equal(Cutting.result, null);
+    assert.match(win.document.getElementById('cuttingResult').innerHTML, /chạy lại/);
+
+    const pending = Cutting.run('group');
+    Cutting.invalidate();
+    await pending;
+    assert.equal(Cutting.result, null);
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+// End to end: BeamGroupViewer.html on a MockHost, host messages and their replies
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createPage, plain } = require('./harness');
+
+/**
+ * Page with a traffic log: { out: [message], in: [raw], script: [{name, args}] }
+ */
+function createLoggedPage() {
+    const traffic = { out: [], in: [], script: [] };
+    const page = createPage({ log: (direction, detail) => traffic[direction].push(detail) });
+    return Object.assign(page, { traffic });
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('SAVE and APPLY post the groups as json and run the host reply script', () => {
+    const { win, host, traffic } = createLoggedPage();
+    const groups = plain(vm.runInContext('data.groups', win));
+
+    win.doSave();
+    const save = host.lastSent();
+    assert.equal(save.type, 'SAVE');
+    assert.ok(save.raw.startsWith('SAVE|{'));
+    assert.deepEqual(plain(save.payload.groups), groups);
+    assert.deepEqual(plain(traffic.script.at(-1)), { name: 'showToast', args: ['Đã lưu (mock)'] });
+
+    win.applyToDrawing();
+    const apply = host.lastSent();
+    assert.equal(apply.type, 'APPLY');
+    assert.deepEqual(plain(apply.payload.groups), groups);
+    assert.deepEqual(plain(traffic.script.at(-1)), { name: 'showToast', args: ['Đã áp dụng (mock)'] });
+});
+
+test('LOCK_DESIGN and UNLOCK_DESIGN carry the group index and the audit entry', () => {
+    const { win, host } = createLoggedPage();
+    const group = win.Beam.State.currentGroup;
+    const index = vm.runInContext('currentGroupIndex', win);
+    const sentBefore = host.sent.length;
+
+    // Cancelling the reason prompt sends nothing
+    win.prompt = () => null;
+    win.toggleLock();
+    assert.equal(host.sent.length, sentBefore);
+    assert.equal(!!group.IsLocked, false);
+
+    win.prompt = () => 'Đã duyệt';
+    win.toggleLock();
+    const lock = host.lastSent();
+    assert.equal(lock.type, 'LOCK_DESIGN');
+    assert.ok(lock.raw.startsWith(`LOCK_DESIGN|${index}|{`));
+    assert.equal(lock.payload.groupIndex, index);
+    assert.equal(lock.payload.entry.Action, 'lock');
+    assert.equal(lock.payload.entry.Reason, 'Đã duyệt');
+    assert.equal(group.IsLocked, true);
+
+    win.toggleLock();
+    const unlock = host.lastSent();
+    assert.equal(unlock.type, 'UNLOCK_DESIGN');
+    assert.equal(unlock.payload.groupIndex, index);
+    assert.equal(unlock.payload.entry.Action, 'unlock');
+    assert.equal(group.IsLocked, false);
+    assert.deepEqual(plain(group.AuditLog.slice(-2)), plain([lock.payload.entry, unlock.payload.entry]));
+});
+
+test('a lock the host does not get is rolled back and not logged; locking works without Beam.Audit', () => {
+    const { win, host } = createLoggedPage();
+    const group = win.Beam.State.currentGroup;
+    const logged = (group.AuditLog || []).length;
+    win.prompt = () => '';
+
+    win.Dts.Bridge.setTransport({ post: () => false, subscribe: () => null });
+    win.toggleLock();
+    assert.equal(!!group.IsLocked, false);
+    assert.equal((group.AuditLog || []).length, logged);
+
+    win.Dts.Bridge.setTransport(host);
+    delete win.Beam.Audit;
+    win.toggleLock();
+    assert.equal(group.IsLocked, true);
+    assert.equal(host.lastSent().type, 'LOCK_DESIGN');
+    assert.equal(host.lastSent().payload.entry, undefined);
+    assert.equal((group.AuditLog || []).length, logged);
+});
+
+test('AUTO_NAME resolves on the NAMING_DONE reply that echoes its correlation id', async () => {
+    const { win, host, traffic } = createLoggedPage();
+    const shown = [];
+    const showToast = win.showToast;
+    win.showToast = msg => { shown.push(msg); return showToast(msg); };
+
+    win.sendAutoNameCommand(['A1', 'B2']);
+    const request = host.getSent('AUTO_NAME').at(-1);
+    assert.match(request.id, /^r\d+$/);
+    assert.ok(request.raw.startsWith(`AUTO_NAME|${request.id}|`));
+    assert.ok(traffic.in.some(raw => raw.startsWith(`NAMING_DONE|${request.id}|`)));
+
+    await flush();
+    assert.ok(shown.includes('✅ Đã đặt tên 2 dầm'));
+    assert.equal(win.Dts.Bridge._pending.length, 0);
+    assert.deepEqual(plain(host.sent.slice(-2).map(m => m.type)), ['REFRESH_DATA', 'REFRESH_PLAN_DATA']);
+
+    // A reply with another id leaves the request pending
+    host.fixtures.replies.AUTO_NAME = [];
+    const pending = win.Dts.Bridge.request('AUTO_NAME', { handles: ['C3'] });
+    const id = host.lastSent().id;
+    host.emitMessage('NAMING_DONE', { count: 9 }, 'r9999');
+    assert.equal(win.Dts.Bridge._pending.length, 1);
+    host.emitMessage('NAMING_DONE', { count: 1 }, id);
+    assert.equal(plain((await pending).payload).count, 1);
+});
+
+test('PULL_DATA is answered with onGroupUpdated for the current group', () => {
+    const { win, host, traffic } = createLoggedPage();
+    const index = vm.runInContext('currentGroupIndex', win);
+
+    win.pullDataFromCad();
+    const pull = host.getSent('PULL_DATA').at(-1);
+    assert.equal(pull.payload.groupIndex, index);
+    const call = traffic.script.find(s => s.name === 'onGroupUpdated');
+    assert.equal(call.args[0], index);
+    assert.equal(JSON.parse(call.args[1]).Name, win.Beam.State.currentGroup.Name);
+});
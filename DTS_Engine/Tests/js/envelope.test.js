@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, plain } = require('./harness');
+
+const near = (actual, expected, tol = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) < tol, `expected ${expected}, got ${actual}`);
+
+const D20 = Math.PI;        // cm² per bar
+const D18 = 0.81 * Math.PI;
+
+function setup() {
+    const win = createViewer();
+    const fixtures = win.Dts.MockFixtures.clone();
+    win.Beam.State.init(fixtures.groupData);
+    const canvas = win.document.getElementById('beamCanvas');
+    win.Dts.Renderer.init(canvas);
+    return { win, canvas, Envelope: win.Beam.Envelope, group: win.Beam.State.currentGroup };
+}
+
+test('capacity: backbone plus each addon between its cut-offs', () => {
+    const { Envelope, group } = setup();
+    const top = Envelope.capacitySteps(group.Spans[0], 'top');
+
+    // 2D20 backbone, 2D18 left to 2350, 2D20 right from 3250
+    assert.deepEqual(plain(top.map(s => [s.start, s.end])), [[0, 2350], [2350, 3250], [3250, 6000]]);
+    near(top[0].value, 2 * D20 + 2 * D18);
+    near(top[1].value, 2 * D20);
+    near(top[2].value, 4 * D20);
+
+    const bot = Envelope.capacitySteps(group.Spans[2], 'bot');
+    assert.deepEqual(plain(bot.map(s => [s.start, s.end])), [[0, 5000]]);
+});
+
+test('flexure gaps where the demand line rises above the steps', () => {
+    const { Envelope, group } = setup();
+    const span = group.Spans[0];
+    assert.deepEqual(plain(Envelope.spanData(span).top.gaps), []);
+
+    // 14 cm² at the left support against 2D20 + 2D18, falling to 6.3 at the quarter point
+    span.As_Top[0] = 14;
+    const gaps = Envelope.spanData(span).top.gaps;
+    assert.equal(gaps.length, 1);
+    assert.equal(gaps[0].start, 0);
+    near(gaps[0].end, (14 - (2 * D20 + 2 * D18)) / (14 - 6.3) * 1500);
+});
+
+test('shear: required against provided Asw/s per stirrup zone', () => {
+    const { win, Envelope, group } = setup();
+    const span = group.Spans[0];
+    span.As_Stir = [0.62, 0.04, 0.62];
+    const shear = Envelope.spanData(span).shear;
+
+    assert.deepEqual(plain(shear.demand.map(z => [z.start, z.end, z.value])), [[0, 1500, 0.62], [1500, 4500, 0.04], [4500, 6000, 0.62]]);
+    near(shear.capacity[1].value, win.Beam.Renderer.getStirrupCheck(span, 1).prov);
+    assert.deepEqual(plain(shear.gaps), [{ start: 0, end: 1500 }, { start: 4500, end: 6000 }]);
+});
+
+test('strips are optional, drawn inside the zoom/pan transform and counted in the bounds', () => {
+    const { win, canvas, group } = setup();
+    const Renderer = win.Beam.Renderer;
+    const ctx = canvas.getContext('2d');
+    const layout = Renderer._calculateLayout(group.Spans, canvas.width, group);
+    const hiddenHeight = Renderer.getContentBounds(layout).height;
+    const titles = () => ctx.getTexts().filter(t => t.startsWith('As yêu cầu') || t.startsWith('Asw/s'));
+
+    ctx.reset();
+    Renderer.render();
+    assert.equal(titles().length, 0);
+
+    const events = [];
+    win.Dts.State.on('envelope', payload => events.push(payload.showEnvelope));
+    win.Dts.State.zoom = 2;
+    win.Beam.Actions.toggleEnvelope();
+    assert.deepEqual(events, [true]);
+    assert.equal(Renderer.getContentBounds(layout).height, hiddenHeight + win.Beam.Envelope.getHeight());
+
+    ctx.reset();
+    Renderer.render();
+    assert.equal(titles().length, 2);
+    const calls = ctx.getCalls();
+    const scaleAt = calls.findIndex(c => c.name === 'scale' && c.args[0] === 2);
+    const titleAt = calls.findIndex(c => c.name === 'fillText' && String(c.args[0]).startsWith('As yêu cầu'));
+    const restoreAt = calls.findIndex((c, i) => i > scaleAt && c.name === 'restore');
+    assert.ok(scaleAt >= 0 && scaleAt < titleAt && titleAt < restoreAt);
+    // The fixture stirrups fall short of As_Stir: every shear zone is filled
+    assert.equal(ctx.getCalls('fill').filter(c => c.style.fillStyle === win.Beam.Envelope.colors.gapFill).length, 9);
+});
+
+test('exports carry the strips when shown', () => {
+    const { win } = setup();
+    const measureText = (text) => String(text).length * 6;
+    assert.ok(!win.Beam.Renderer.exportSVG({ measureText }).includes('As yêu cầu'));
+
+    win.Beam.State.setShowEnvelope(true);
+    assert.ok(win.Beam.Renderer.exportSVG({ measureText }).includes('As yêu cầu'));
+});
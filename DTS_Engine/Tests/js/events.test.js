@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, createCanvas, plain } = require('./harness');
+
+function setup() {
+    const win = createViewer({ modules: ['core/DtsState.js', 'core/DtsPhysics.js', 'core/DtsEvents.js'] });
+    const Events = win.Dts.Events;
+    const State = win.Dts.State;
+    let renders = 0;
+    Events.init(createCanvas(400, 200), () => renders++);
+
+    const seen = [];
+    ['click', 'boxselect'].forEach(name => State.on(name, (...args) => seen.push([name, plain(args[0]), plain(args[1])])));
+
+    const mouse = (type, x, y, extra = {}) => Events[`_on${type}`](Object.assign({
+        button: 0, clientX: x, clientY: y, ctrlKey: false, altKey: false, shiftKey: false, preventDefault() { }
+    }, extra));
+    return { Events, State, seen, mouse, renders: () => renders };
+}
+
+test('a left drag within the threshold stays a click', () => {
+    const { Events, seen, mouse } = setup();
+    mouse('MouseDown', 10, 10);
+    mouse('MouseMove', 10 + Events.BOX_SELECT_THRESHOLD, 12);
+    assert.equal(Events.isBoxSelectActive(), false);
+    mouse('MouseUp', 14, 12);
+    mouse('Click', 14, 12);
+    assert.deepEqual(seen, [['click', 14, 12]]);
+});
+
+test('a drag past the threshold box-selects in world units and eats the trailing click', () => {
+    const { Events, State, seen, mouse, renders } = setup();
+    State.zoom = 2;
+    State.panX = 20;
+    State.panY = 0;
+
+    mouse('MouseDown', 100, 40);
+    mouse('MouseMove', 100 + Events.BOX_SELECT_THRESHOLD + 1, 40);
+    assert.equal(Events.isBoxSelectActive(), true);
+    mouse('MouseMove', 60, 120);
+    assert.ok(renders() >= 2);
+    mouse('MouseUp', 60, 120, { shiftKey: true });
+    mouse('Click', 60, 120);
+
+    assert.equal(Events.isBoxSelectActive(), false);
+    assert.deepEqual(seen, [['boxselect', { x1: 20, y1: 20, x2: 40, y2: 60, additive: true }, undefined]]);
+
+    // Only the one click after the drag is swallowed
+    mouse('Click', 60, 120);
+    assert.deepEqual(seen[1], ['click', 20, 60]);
+});
+
+test('Ctrl+drag box zoom also swallows its click; other buttons never pick', () => {
+    const { Events, State, seen, mouse } = setup();
+    mouse('MouseDown', 10, 10, { ctrlKey: true });
+    assert.equal(Events.isBoxZoomActive(), true);
+    mouse('MouseMove', 110, 90);
+    mouse('MouseUp', 110, 90);
+    mouse('Click', 110, 90, { ctrlKey: true });
+    assert.ok(State.zoom > 1);
+    assert.deepEqual(seen, []);
+
+    mouse('Click', 50, 50, { button: 2 });
+    assert.deepEqual(seen, []);
+});
@@ -0,0 +1,394 @@
+/**
+ * harness.js - Headless loader for the viewer modules
+ * Runs the IIFE modules of UI/Resources in a Node vm context that stands in
+ * for the browser window: a minimal document, recording canvas contexts,
+ * timers and console. No npm packages needed.
+ *
+ * Run from the repository root:
+ *   node --test DTS_Engine/Tests/js/
+ *
+ * Usage in a test:
+ *   const { createViewer } = require('./harness');
+ *   const win = createViewer();                 // core + beam modules
+ *   win.Beam.State.init(win.Dts.MockFixtures.clone().groupData);
+ *
+ *   const { win, host } = createPage();         // BeamGroupViewer.html on a MockHost
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const RESOURCES = path.resolve(__dirname, '../../UI/Resources');
+
+// Same order as the <script> tags in BeamGroupViewer.html
+const CORE_MODULES = [
+    'core/DtsUI.js',
+    'core/DtsState.js',
+    'core/DtsBridge.js',
+    'core/DtsHistory.js',
+    'core/DtsPhysics.js',
+    'core/DtsRebar.js',
+    'core/DtsCutting.js',
+    'core/DtsEvents.js',
+    'core/DtsRenderer.js',
+    'core/DtsSvgContext.js'
+];
+
+const BEAM_MODULES = [
+    'beam/BeamState.js',
+    'beam/BeamCheck.js',
+    'beam/BeamRenderer.js',
+    'beam/BeamTable.js',
+    'beam/BeamTooltip.js',
+    'beam/BeamSection.js',
+    'beam/BeamRules.js',
+    'beam/BeamTakeoff.js',
+    'beam/BeamSplice.js',
+    'beam/BeamCurtailment.js',
+    'beam/BeamEnvelope.js',
+    'beam/BeamSchedule.js',
+    'beam/BeamOptions.js',
+    'beam/BeamAudit.js',
+    'beam/BeamCutting.js',
+    'beam/BeamSheet.js',
+    'beam/BeamActions.js',
+    'beam/BeamInit.js'
+];
+
+const MOCK_MODULES = [
+    'core/DtsMockHost.js',
+    'mock/fixtures.js'
+];
+
+// ===== CANVAS STAND-IN =====
+
+const CONTEXT_METHODS = [
+    'save', 'restore', 'translate', 'scale', 'rotate', 'transform', 'setTransform', 'resetTransform',
+    'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'arcTo', 'rect', 'roundRect', 'ellipse',
+    'quadraticCurveTo', 'bezierCurveTo', 'fill', 'stroke', 'clip',
+    'fillRect', 'strokeRect', 'clearRect', 'fillText', 'strokeText', 'setLineDash', 'drawImage'
+];
+
+/**
+ * 2D context that records every call as { name, args, style }.
+ * measureText uses the same approximation as Dts.SvgContext (0.55 x font size per char).
+ */
+function createContext2D(canvas) {
+    const ctx = {
+        canvas,
+        calls: [],
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        globalAlpha: 1,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        imageSmoothingEnabled: true,
+        _lineDash: [],
+
+        getLineDash() {
+            return this._lineDash.slice();
+        },
+
+        measureText(text) {
+            const size = parseFloat(/(\d+(?:\.\d+)?)px/.exec(this.font)?.[1] || 10);
+            return { width: String(text).length * size * 0.55 };
+        },
+
+        /**
+         * Recorded calls, optionally filtered by method name
+         */
+        getCalls(name) {
+            return name ? this.calls.filter(c => c.name === name) : this.calls.slice();
+        },
+
+        /**
+         * Text drawn with fillText, in call order
+         */
+        getTexts() {
+            return this.getCalls('fillText').map(c => String(c.args[0]));
+        },
+
+        reset() {
+            this.calls = [];
+        }
+    };
+
+    CONTEXT_METHODS.forEach(name => {
+        ctx[name] = function (...args) {
+            if (name === 'setLineDash') this._lineDash = args[0] || [];
+            this.calls.push({
+                name,
+                args,
+                style: { fillStyle: this.fillStyle, strokeStyle: this.strokeStyle, font: this.font }
+            });
+        };
+    });
+
+    return ctx;
+}
+
+function createCanvas(width = 800, height = 400) {
+    const canvas = createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext = type => {
+        if (type !== '2d') return null;
+        if (!canvas._ctx) canvas._ctx = createContext2D(canvas);
+        return canvas._ctx;
+    };
+    canvas.getBoundingClientRect = () => ({
+        left: 0, top: 0, right: canvas.width, bottom: canvas.height,
+        x: 0, y: 0, width: canvas.width, height: canvas.height
+    });
+    canvas.toDataURL = (type = 'image/png') => `data:${type};base64,`;
+    return canvas;
+}
+
+// ===== DOM STAND-IN =====
+
+function createElement(tagName) {
+    const classes = new Set();
+    const element = {
+        tagName: String(tagName).toUpperCase(),
+        id: '',
+        style: {},
+        dataset: {},
+        children: [],
+        innerHTML: '',
+        textContent: '',
+        value: '',
+        disabled: false,
+        clientWidth: 0,
+        clientHeight: 0,
+        classList: {
+            add: (...names) => names.forEach(n => classes.add(n)),
+            remove: (...names) => names.forEach(n => classes.delete(n)),
+            toggle: (name, force) => {
+                const on = force === undefined ? !classes.has(name) : !!force;
+                if (on) classes.add(name); else classes.delete(name);
+                return on;
+            },
+            contains: name => classes.has(name)
+        },
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        },
+        removeChild(child) {
+            this.children = this.children.filter(c => c !== child);
+            return child;
+        },
+        setAttribute(name, value) {
+            this[name] = String(value);
+        },
+        getAttribute(name) {
+            return this[name] ?? null;
+        },
+        addEventListener() { },
+        removeEventListener() { },
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        scrollIntoView() { },
+        focus() { },
+        click() { },
+        remove() { }
+    };
+    return element;
+}
+
+/**
+ * Document with a registry of elements looked up by id
+ * @param {object} [elements] - { id: element } (canvas elements via createCanvas)
+ */
+function createDocument(elements = {}) {
+    const byId = Object.assign({}, elements);
+    Object.entries(byId).forEach(([id, el]) => { el.id = id; });
+
+    const body = createElement('body');
+    return {
+        body,
+        documentElement: createElement('html'),
+        getElementById: id => byId[id] || null,
+        createElement: tag => (String(tag).toLowerCase() === 'canvas' ? createCanvas(300, 150) : createElement(tag)),
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() { },
+        removeEventListener() { },
+
+        /**
+         * Register an element after creation (test helper)
+         */
+        _register(id, el) {
+            el.id = id;
+            byId[id] = el;
+            return el;
+        }
+    };
+}
+
+// ===== WINDOW =====
+
+/**
+ * Create a sandboxed window
+ * @param {object} [options]
+ * @param {object} [options.elements] - Elements by id (default: beamCanvas + spanTableBody)
+ * @param {boolean} [options.quiet=true] - Silence console.log/info from the modules
+ * @returns {object} Window (vm context global)
+ */
+function createWindow(options = {}) {
+    const elements = options.elements || {
+        beamCanvas: createCanvas(800, 400),
+        canvasContainer: Object.assign(createElement('div'), { clientWidth: 800, clientHeight: 400 }),
+        spanTableBody: createElement('tbody')
+    };
+
+    const quiet = options.quiet !== false;
+    const noop = () => { };
+    const sandbox = {
+        console: quiet ? Object.assign({}, console, { log: noop, info: noop, debug: noop }) : console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        queueMicrotask,
+        devicePixelRatio: 1,
+        innerWidth: 1280,
+        innerHeight: 800,
+        location: { href: 'about:blank', search: '' },
+        navigator: { userAgent: 'node' },
+        document: createDocument(elements),
+        requestAnimationFrame: fn => setTimeout(() => fn(Date.now()), 0),
+        cancelAnimationFrame: id => clearTimeout(id),
+        addEventListener() { },
+        removeEventListener() { },
+        alert: noop,
+        confirm: () => true
+    };
+    sandbox.window = sandbox;
+    sandbox.self = sandbox;
+    return vm.createContext(sandbox);
+}
+
+/**
+ * Run module files (paths relative to UI/Resources) inside a window
+ */
+function load(win, files) {
+    files.forEach(file => {
+        const fullPath = path.join(RESOURCES, file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), win, { filename: fullPath });
+    });
+    return win;
+}
+
+/**
+ * Window with the core, beam and mock modules loaded
+ * @param {object} [options] - See createWindow; options.modules overrides the module list
+ */
+function createViewer(options = {}) {
+    const win = createWindow(options);
+    return load(win, options.modules || [...CORE_MODULES, ...BEAM_MODULES, ...MOCK_MODULES]);
+}
+
+// ===== VIEWER PAGE =====
+
+/**
+ * Element of the page stand-in: a canvas for *Canvas ids, else an element with
+ * the select/layout members the page touches; listeners are recorded in _listeners
+ */
+function createPageElement(tagName, id = '') {
+    const element = /canvas/i.test(id) ? createCanvas(800, 400) : createElement(tagName);
+    return Object.assign(element, {
+        options: [],
+        _listeners: [],
+        addEventListener(type, fn) {
+            this._listeners.push({ type, fn });
+        },
+        parentElement: null,
+        offsetWidth: 800,
+        offsetHeight: 400,
+        clientWidth: 800,
+        clientHeight: 400,
+        getBoundingClientRect: () => ({ left: 0, top: 0, right: 800, bottom: 400, x: 0, y: 0, width: 800, height: 400 }),
+        insertAdjacentHTML() { },
+        closest: () => null,
+        contains: () => false,
+        add(option) {
+            this.options.push(option);
+        }
+    });
+}
+
+/**
+ * BeamGroupViewer.html on a Dts.MockHost: the module scripts, then the page's
+ * inline scripts. Elements looked up by id are created on demand; document
+ * listeners are recorded so tests can fire key events.
+ * @param {object} [options]
+ * @param {object} [options.fixtures] - MockHost fixtures (default: Dts.MockFixtures.clone())
+ * @param {boolean} [options.quiet=true] - Silence console.log/info
+ * @param {Function} [options.log] - MockHost traffic log, fn(direction, detail)
+ * @returns {{win, host, fire: Function, fireOn: Function}} fire(type, event) calls the document
+ *   listeners, fireOn(id, type, event) the listeners of the element with that id
+ */
+function createPage(options = {}) {
+    const win = createWindow({ elements: {}, quiet: options.quiet });
+    const doc = win.document;
+    const byId = {};
+    const listeners = [];
+
+    doc.getElementById = id => {
+        if (!byId[id]) {
+            byId[id] = Object.assign(createPageElement('div', id), { id, parentElement: createPageElement('div') });
+        }
+        return byId[id];
+    };
+    doc.createElement = tag => createPageElement(tag, String(tag));
+    doc.addEventListener = (type, fn) => listeners.push({ type, fn });
+    win.localStorage = { getItem: () => null, setItem() { }, removeItem() { } };
+    win.tailwind = {};
+
+    load(win, [...CORE_MODULES, ...BEAM_MODULES, ...MOCK_MODULES]);
+    const host = win.Dts.MockHost.create(options.fixtures || win.Dts.MockFixtures.clone(), { window: win, log: options.log });
+    host.attach(win);
+
+    const html = fs.readFileSync(path.join(RESOURCES, 'BeamGroupViewer.html'), 'utf8');
+    Array.from(html.matchAll(/<script>([\s\S]*?)<\/script>/g), m => m[1]).forEach((source, i) => {
+        vm.runInContext(source, win, { filename: `BeamGroupViewer.html#script${i}` });
+    });
+
+    const dispatch = (list, type, event) => list
+        .filter(l => l.type === type)
+        .forEach(l => l.fn(Object.assign({ target: doc.body, preventDefault() { } }, event)));
+    const fire = (type, event = {}) => dispatch(listeners, type, event);
+    const fireOn = (id, type, event = {}) => dispatch(doc.getElementById(id)._listeners, type, event);
+    return { win, host, fire, fireOn };
+}
+
+/**
+ * Deep copy a value created inside a vm context into this realm
+ * (so assert.deepStrictEqual does not trip over foreign prototypes)
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    RESOURCES,
+    CORE_MODULES,
+    BEAM_MODULES,
+    MOCK_MODULES,
+    createContext2D,
+    createCanvas,
+    createElement,
+    createDocument,
+    createWindow,
+    createViewer,
+    createPage,
+    load,
+    plain
+};
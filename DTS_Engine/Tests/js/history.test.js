@@ -0,0 +1,294 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RESOURCES, createViewer, createElement, plain } = require('./harness');
+
+const win = createViewer({ modules: ['core/DtsHistory.js'] });
+const History = win.Dts.History;
+
+test('snapshot: push skips unchanged state', () => {
+    const h = History.create();
+    assert.equal(h.push({ a: 1 }), true);
+    assert.equal(h.push({ a: 1 }), false);
+    assert.equal(h.push({ a: 2 }), true);
+    assert.equal(h._stack.length, 2);
+});
+
+test('snapshot: first state is the baseline and cannot be undone', () => {
+    const h = History.create();
+    h.push({ a: 1 });
+    assert.equal(h.canUndo(), false);
+    assert.equal(h.undo(), null);
+});
+
+test('snapshot: undo/redo walk the stack', () => {
+    const h = History.create();
+    [1, 2, 3].forEach(a => h.push({ a }));
+
+    assert.deepEqual(plain(h.undo()), { a: 2 });
+    assert.deepEqual(plain(h.undo()), { a: 1 });
+    assert.equal(h.canUndo(), false);
+    assert.deepEqual(plain(h.redo()), { a: 2 });
+    assert.deepEqual(plain(h.redo()), { a: 3 });
+    assert.equal(h.canRedo(), false);
+    assert.equal(h.redo(), null);
+});
+
+test('snapshot: pushing after undo drops the redo branch', () => {
+    const h = History.create();
+    [1, 2, 3].forEach(a => h.push({ a }));
+    h.undo();
+    h.push({ a: 9 });
+
+    assert.equal(h.canRedo(), false);
+    assert.deepEqual(plain(h.getCurrent()), { a: 9 });
+    assert.deepEqual(plain(h.undo()), { a: 2 });
+    assert.equal(h.getSize(), JSON.stringify({ a: 1 }).length * 3);
+});
+
+test('snapshot: returned states are copies', () => {
+    const h = History.create();
+    h.push({ list: [1] });
+    h.push({ list: [1, 2] });
+    const prev = h.undo();
+    prev.list.push(99);
+    assert.deepEqual(plain(h.redo()), { list: [1, 2] });
+    assert.deepEqual(plain(h.undo()), { list: [1] });
+});
+
+test('patch: first push sets the baseline, later pushes store named steps', () => {
+    const h = History.create({ mode: 'patch' });
+    assert.equal(h.push({ a: 1, b: [1, 2] }), true);
+    assert.equal(h.canUndo(), false);
+
+    h.push({ a: 2, b: [1, 2] }, 'set a');
+    h.push({ a: 2, b: [1] }, 'trim b');
+    assert.equal(h.peekUndoName(), 'trim b');
+
+    assert.deepEqual(plain(h.undo()), { a: 2, b: [1, 2] });
+    assert.equal(h.peekUndoName(), 'set a');
+    assert.equal(h.peekRedoName(), 'trim b');
+    assert.deepEqual(plain(h.undo()), { a: 1, b: [1, 2] });
+    assert.equal(h.canUndo(), false);
+    assert.deepEqual(plain(h.redo()), { a: 2, b: [1, 2] });
+    assert.deepEqual(plain(h.redo()), { a: 2, b: [1] });
+});
+
+test('patch: unchanged state adds no step', () => {
+    const h = History.create({ mode: 'patch' });
+    h.push({ a: 1 });
+    assert.equal(h.push({ a: 1 }), false);
+    assert.equal(h._stack.length, 0);
+});
+
+test('diff/applyPatch round-trip', () => {
+    const from = { a: 1, keep: 'x', gone: true, list: [1, 2, 3], nested: { 'k/ey': [{ v: 1 }] } };
+    const to = { a: 2, keep: 'x', added: null, list: [1, 5], nested: { 'k/ey': [{ v: 2 }, { v: 3 }] } };
+
+    const forward = History.diff(from, to);
+    const inverse = History.diff(to, from);
+    assert.deepEqual(plain(History.applyPatch(plain(from), forward)), to);
+    assert.deepEqual(plain(History.applyPatch(plain(to), inverse)), from);
+    assert.equal(History.diff(to, plain(to)).length, 0);
+});
+
+test('transaction: several pushes become one step', () => {
+    for (const mode of ['snapshot', 'patch']) {
+        const h = History.create({ mode });
+        h.push({ a: 0 });
+        h.transaction('bulk', () => {
+            h.push({ a: 1 });
+            h.push({ a: 2 });
+            h.push({ a: 3 });
+        });
+        assert.deepEqual(plain(h.getCurrent()), { a: 3 }, mode);
+        assert.deepEqual(plain(h.undo()), { a: 0 }, mode);
+        assert.equal(h.canUndo(), false, mode);
+    }
+});
+
+test('transaction: nested calls join the outer one', () => {
+    const h = History.create({ mode: 'patch' });
+    h.push({ a: 0 });
+    h.beginTransaction('outer');
+    h.beginTransaction('inner');
+    h.push({ a: 1 });
+    assert.equal(h.commitTransaction(), false);
+    assert.equal(h.isInTransaction(), true);
+    h.push({ a: 2 });
+    assert.equal(h.commitTransaction(), true);
+    assert.equal(h.peekUndoName(), 'outer');
+    assert.equal(h._stack.length, 1);
+});
+
+test('transaction: a throwing body records nothing', () => {
+    const h = History.create();
+    h.push({ a: 0 });
+    assert.throws(() => h.transaction('bad', () => {
+        h.push({ a: 1 });
+        throw new Error('boom');
+    }), /boom/);
+    assert.equal(h.isInTransaction(), false);
+    assert.equal(h.canUndo(), false);
+    assert.deepEqual(plain(h.getCurrent()), { a: 0 });
+});
+
+test('budget: oldest steps are evicted, current state is kept', () => {
+    const h = History.create({ maxBytes: 100 });
+    for (let i = 0; i < 20; i++) h.push({ value: 'x'.repeat(20) + i });
+
+    assert.ok(h.getSize() <= 100);
+    assert.ok(h._stack.length < 20);
+    assert.deepEqual(plain(h.getCurrent()), { value: 'x'.repeat(20) + 19 });
+});
+
+test('budget: maxSize caps the entry count alongside maxBytes', () => {
+    const snapshots = History.create({ maxSize: 3 });
+    for (let i = 0; i < 6; i++) snapshots.push({ a: i });
+    assert.equal(snapshots._stack.length, 3);
+    assert.deepEqual(plain(snapshots.undo()), { a: 4 });
+    assert.deepEqual(plain(snapshots.undo()), { a: 3 });
+    assert.equal(snapshots.canUndo(), false);
+
+    const steps = History.create({ mode: 'patch', maxSize: 2 });
+    for (let i = 0; i < 6; i++) steps.push({ a: i }, `s${i}`);
+    assert.equal(steps._stack.length, 2);
+    assert.equal(steps.peekUndoName(), 's5');
+
+    // Whichever limit is hit first wins
+    const both = History.create({ maxSize: 10, maxBytes: 100 });
+    for (let i = 0; i < 10; i++) both.push({ value: 'x'.repeat(20) + i });
+    assert.ok(both._stack.length < 10);
+    assert.ok(both.getSize() <= 100);
+
+    const defaults = History.create();
+    for (let i = 0; i < 40; i++) defaults.push({ a: i });
+    assert.equal(defaults._stack.length, 30);
+});
+
+test('clear resets stack and baseline', () => {
+    const h = History.create({ mode: 'patch' });
+    h.push({ a: 1 });
+    h.push({ a: 2 });
+    h.clear();
+    assert.equal(h.canUndo(), false);
+    assert.equal(h.getSize(), 0);
+    assert.equal(h.getCurrent(), undefined);
+});
+
+// ===== Beam.State per-group history (the page edits spans through it) =====
+
+function beamSetup() {
+    const listeners = [];
+    const viewer = createViewer({ elements: { undoBtn: createElement('button'), redoBtn: createElement('button') } });
+    viewer.document.addEventListener = (type, fn) => listeners.push({ type, fn });
+    const fixtures = viewer.Dts.MockFixtures.clone();
+    viewer.Beam.State.syncGroup(fixtures.groupData, 0);
+    return { viewer, data: fixtures.groupData, State: viewer.Beam.State, listeners };
+}
+
+test('editSpan: page edits are undoable per group and update the toolbar', () => {
+    const { viewer, data, State } = beamSetup();
+    const undoBtn = viewer.document.getElementById('undoBtn');
+    const span = () => State.currentGroup.Spans[1];
+    const before = plain(span().StirRS);
+
+    assert.equal(State.editSpan(1, 'StirRS', s => { s.StirRS[0] = 'D10a100'; }), true);
+    viewer.Beam.Actions.updateHistoryButtons();
+    assert.equal(undoBtn.disabled, false);
+
+    // Another group keeps its own stack
+    State.syncGroup(data, 1);
+    assert.equal(State.canUndo(), false);
+    State.syncGroup(data, 0);
+
+    assert.equal(State.undo(), true);
+    assert.deepEqual(plain(span().StirRS), before);
+    assert.equal(State.redo(), true);
+    assert.equal(span().StirRS[0], 'D10a100');
+
+    // A group replaced by the host starts a new history
+    State.clearHistory(0);
+    assert.equal(State.canUndo(), false);
+});
+
+test('editSpan: refused while the design is locked', () => {
+    const { State } = beamSetup();
+    State.currentGroup.IsLocked = true;
+    let called = false;
+    assert.equal(State.editSpan(0, 'SideBar', () => { called = true; }), false);
+    assert.equal(called, false);
+    assert.equal(State.canUndo(), false);
+});
+
+test('history shortcuts are bound once even if both init paths run', () => {
+    const { State, listeners, viewer } = beamSetup();
+    viewer.Beam.Actions.bindHistoryShortcuts();
+    viewer.Beam.Actions.bindHistoryShortcuts();
+    assert.equal(listeners.filter(l => l.type === 'keydown').length, 1);
+
+    State.editSpan(0, 'SideBar', s => { s.SideBar = '2D14'; });
+    State.editSpan(0, 'SideBar', s => { s.SideBar = '2D16'; });
+    const press = (key, extra = {}) => listeners[0].fn(Object.assign({ key, ctrlKey: true, target: { tagName: 'CANVAS' }, preventDefault() { } }, extra));
+
+    press('z');
+    assert.equal(State.currentGroup.Spans[0].SideBar, '2D14');
+    press('Z', { shiftKey: true });
+    assert.equal(State.currentGroup.Spans[0].SideBar, '2D16');
+    press('z', { target: { tagName: 'INPUT' } });
+    assert.equal(State.currentGroup.Spans[0].SideBar, '2D16');
+});
+
+test('viewer page has no inline Beam.State / Beam.History and undoes through Beam.Actions', () => {
+    const html = require('fs').readFileSync(require('path').join(RESOURCES, 'BeamGroupViewer.html'), 'utf8');
+    assert.doesNotMatch(html, /Beam\.State\s*=\s*\{/);
+    assert.doesNotMatch(html, /Beam\.History/);
+    assert.doesNotMatch(html, /autoLockOnEdit/);
+    assert.match(html, /id="undoBtn" onclick="Beam\.Actions\.undo\(\)"/);
+    assert.match(html, /id="redoBtn" onclick="Beam\.Actions\.redo\(\)"/);
+    assert.equal(html.match(/addEventListener\('keydown'[\s\S]{0,200}ctrlKey/g), null);
+});
+
+test('batch edits: picked spans share one undo step and write the page fields', () => {
+    const { viewer, State } = beamSetup();
+    const Actions = viewer.Beam.Actions;
+    const spans = State.currentGroup.Spans;
+    Actions.showToast = () => { };
+
+    Actions.selectSpan(0);
+    Actions.selectSpan(2, { shiftKey: true });
+    assert.deepEqual(plain(Actions.getTargetSpanIndices()), [0, 2]);
+    assert.equal(State.highlightedSpanIndex, 2);
+
+    assert.equal(Actions.applyStirrupToSelection(1, '2-d10a200'), 2);
+    assert.deepEqual(plain(spans.map(s => s.StirRS[1])), ['2-d10a200', 'D8a200', '2-d10a200']);
+    assert.equal(spans[0].Stirrup[1], '2-d10a200');
+
+    const before = [spans[2].TopRebar[1][0], plain(spans[2].TopAddLeft)];
+    Actions.applyRebarToSelection('top', 'AddLeft', viewer.Dts.Rebar.toInfo('2d22+1d18'));
+    assert.deepEqual(plain(spans[2].TopAddLeft), { Count: 3, Diameter: 22, LayerCounts: [3], DisplayString: '2D22+1D18' });
+    assert.equal(spans[2].TopRebar[1][0], '2D22+1D18');
+
+    State.undo();
+    assert.deepEqual([spans[2].TopRebar[1][0], plain(spans[2].TopAddLeft)], before);
+    State.undo();
+    assert.deepEqual(plain(spans.map(s => s.StirRS[1])), ['D8a200', 'D8a200', 'D8a200']);
+
+    // Ctrl toggles off; with nothing picked the highlighted span is the target
+    Actions.selectSpan(-1);
+    State.highlightSpan(1);
+    assert.deepEqual(plain(Actions.getTargetSpanIndices()), [1]);
+    Actions.applySideBarToSelection('2D12');
+    assert.equal(spans[1].SideBar, '2D12');
+});
+
+test('viewer page picks spans and runs the batch edit bar through Beam.Actions', () => {
+    const html = require('fs').readFileSync(require('path').join(RESOURCES, 'BeamGroupViewer.html'), 'utf8');
+    assert.match(html, /onclick="applyBatchEdit\(\)"/);
+    assert.match(html, /Beam\.Actions\.applyStirrupToSelection\(/);
+    assert.match(html, /Beam\.Actions\.applySideBarToSelection\(/);
+    assert.match(html, /Beam\.Actions\.applyRebarToSelection\(/);
+    assert.match(html, /Beam\.Actions\.selectSpan\(index, /);
+    assert.equal(html.match(/pickSpan\((spanIdx|b\.index), e\)/g).length, 2);
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, createElement, plain } = require('./harness');
+
+const bar = (count, diameter) => ({ Count: count, Diameter: diameter });
+
+/**
+ * Solver result carrying the bars the fixture spans already have
+ */
+function asSolution(spans, extra) {
+    return Object.assign({
+        OptionName: 'Opt',
+        BackboneCount_Top: 2, BackboneDiameter_Top: 20,
+        BackboneCount_Bot: 2, BackboneDiameter_Bot: 20,
+        SpanResults: spans.map((s, i) => ({
+            SpanIndex: i,
+            SpanId: s.SpanId,
+            TopBackbone: s.TopBackbone,
+            BotBackbone: s.BotBackbone,
+            TopAddons: Object.fromEntries([['Left', s.TopAddLeft], ['Mid', s.TopAddMid], ['Right', s.TopAddRight]].filter(e => e[1])),
+            BotAddons: Object.fromEntries([['Left', s.BotAddLeft], ['Mid', s.BotAddMid], ['Right', s.BotAddRight]].filter(e => e[1]))
+        }))
+    }, extra);
+}
+
+function setup() {
+    const win = createViewer({ elements: { optionCompareBody: createElement('tbody') } });
+    const fixtures = win.Dts.MockFixtures.clone();
+    const group = fixtures.groupData.groups[0];
+
+    group.SelectedDesign = asSolution(group.Spans, { OptionName: 'Locked' });
+    group.BackboneOptions = [
+        asSolution(group.Spans, { OptionName: 'Tối ưu', StrategyLabel: 'Tối ưu nhất', ConstructabilityScore: 85 }),
+        // Heavier backbone from the legacy Reinforcements map: 3D22 top, one bottom addon
+        {
+            OptionName: 'An toàn', ConstructabilityScore: 65,
+            BackboneCount_Top: 3, BackboneDiameter_Top: 22, BackboneCount_Bot: 2, BackboneDiameter_Bot: 22,
+            Reinforcements: { S2_Bot_Mid: { Diameter: 18, Count: 2, Position: 'Bot', Layer: 1 } }
+        },
+        // Light backbone, no addons: short of steel
+        { OptionName: 'Tiết kiệm', BackboneCount_Top: 2, BackboneDiameter_Top: 14, BackboneCount_Bot: 2, BackboneDiameter_Bot: 14 }
+    ];
+    win.Beam.State.init(fixtures.groupData);
+    return { win, Options: win.Beam.Options, group: win.Beam.State.currentGroup };
+}
+
+test('options are applied to copies of the spans', () => {
+    const { Options, group } = setup();
+    const before = JSON.stringify(group.Spans);
+
+    const fromResults = Options.applyToSpans(group, group.BackboneOptions[0]);
+    assert.deepEqual(plain(fromResults[0].TopAddLeft), bar(2, 18));
+    assert.equal(fromResults[2].BotAddMid, null);
+
+    const fromMap = Options.applyToSpans(group, group.BackboneOptions[1]);
+    assert.deepEqual(plain(fromMap.map(s => s.TopBackbone)), [bar(3, 22), bar(3, 22), bar(3, 22)]);
+    assert.deepEqual(plain(fromMap[1].BotAddMid), bar(2, 18));
+    assert.equal(fromMap[0].TopAddLeft, null);
+    assert.equal(fromMap[0].As_Top, group.Spans[0].As_Top);
+
+    assert.equal(JSON.stringify(group.Spans), before);
+});
+
+test('rows: locked design first, metrics and difference from it', () => {
+    const { win, Options, group } = setup();
+    const rows = Options.compare();
+
+    assert.deepEqual(Array.from(rows, r => r.key), ['locked', '0', '1', '2']);
+    const [locked, best, heavy, light] = rows;
+    assert.equal(locked.diff, null);
+    assert.deepEqual(plain(locked.backbones), ['2D20 / 2D20', '2D20 / 2D20', '2D20 / 2D20']);
+
+    // Same bars as the loaded spans
+    assert.equal(best.addons, 8);
+    assert.ok(Math.abs(best.weight - win.Beam.Takeoff.group(group).weight) < 1e-9);
+    assert.equal(best.deficits, win.Beam.Check.checkGroup(group).deficitCount);
+    assert.deepEqual(plain(best.diff), { changes: 0, weight: 0 });
+    assert.equal(best.label, 'Tối ưu nhất');
+
+    assert.equal(heavy.addons, 1);
+    assert.ok(heavy.weight > light.weight);
+    assert.ok(light.deficits > best.deficits);
+    // Every backbone differs; light drops all 8 addons, heavy keeps the S2 bottom one
+    assert.equal(light.diff.changes, 6 + 8);
+    assert.equal(heavy.diff.changes, 6 + 7);
+});
+
+test('constructability: solver score, detailing violations otherwise', () => {
+    const { Options } = setup();
+    const rows = Options.compare();
+    assert.deepEqual(Array.from(rows.slice(1), r => r.constructability), ['good', 'fair', 'good']);
+
+    assert.equal(Options._rate(50, 0), 'poor');
+    assert.equal(Options._rate(90, 1), 'fair');
+    assert.equal(Options._rate(null, 3), 'poor');
+});
+
+test('sorting by a column, again to reverse; locked row stays on top', () => {
+    const { Options } = setup();
+
+    Options.setSort('weight');
+    const byWeight = Options.compare().slice(1);
+    assert.ok(byWeight.every((r, i) => i === 0 || byWeight[i - 1].weight <= r.weight));
+
+    Options.setSort('weight');
+    const reversed = Options.compare();
+    assert.equal(reversed[0].key, 'locked');
+    assert.deepEqual(Array.from(reversed.slice(1), r => r.key), Array.from(byWeight, r => r.key).reverse());
+
+    Options.setSort('constructability');
+    assert.deepEqual(Array.from(Options.compare().slice(1), r => r.key), ['0', '1', '2']);
+});
+
+test('panel rows select the option in one click', () => {
+    const { win, Options, group } = setup();
+    const events = [];
+    win.Dts.State.on('option', payload => events.push(payload.key));
+
+    Options.render();
+    const tbody = win.document.getElementById('optionCompareBody');
+    assert.match(tbody.innerHTML, /onclick="Beam\.Options\.select\('1'\)"/);
+    assert.match(tbody.innerHTML, /= chốt/);
+    assert.match(tbody.innerHTML, /🔒 Đã chốt/);
+
+    Options.select('1');
+    assert.equal(win.Beam.State.selectedOptionKey, '1');
+    assert.equal(group.SelectedBackboneIndex, 1);
+    assert.deepEqual(events, ['1']);
+    assert.match(tbody.innerHTML, /bg-blue-100[^>]*select\('1'\)/);
+});
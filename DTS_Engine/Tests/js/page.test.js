@@ -0,0 +1,326 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { RESOURCES, createPage, createViewer } = require('./harness');
+
+const HTML = fs.readFileSync(path.join(RESOURCES, 'BeamGroupViewer.html'), 'utf8');
+
+/**
+ * Run the onclick handler of a page button (by id) in the page
+ */
+function press(win, id) {
+    const tag = HTML.match(new RegExp(`<button[^>]*\\bid="${id}"[^>]*>`))[0];
+    vm.runInContext(tag.match(/onclick="([^"]*)"/)[1], win);
+}
+
+function detailTexts(win) {
+    const ctx = win.document.getElementById('detailCanvas').getContext('2d');
+    ctx.reset();
+    win.renderDetailCanvas();
+    return ctx.getTexts();
+}
+
+test('label mode: L and the toolbar button switch the long view between zone and summary labels', () => {
+    const { win, fire } = createPage();
+    const btn = win.document.getElementById('labelModeBtn');
+    assert.equal(win.Beam.State.labelMode, 'detailed');
+    assert.equal(btn.classList.contains('bg-blue-600'), true);
+    const detailed = detailTexts(win);
+    assert.ok(detailed.includes('2D18'));
+
+    fire('keydown', { key: 'l' });
+    assert.equal(win.Beam.State.labelMode, 'summary');
+    assert.equal(btn.classList.contains('bg-slate-600'), true);
+    const summary = detailTexts(win);
+    assert.ok(summary.includes('2D20 + 2D18'));
+    assert.ok(summary.length < detailed.length);
+
+    // Typing and Ctrl+L leave the mode alone
+    fire('keydown', { key: 'l', target: { tagName: 'INPUT' } });
+    fire('keydown', { key: 'L', ctrlKey: true });
+    assert.equal(win.Beam.State.labelMode, 'summary');
+
+    win.Beam.Actions.toggleLabelMode();
+    assert.equal(win.Beam.State.labelMode, 'detailed');
+});
+
+test('layout mode: T and the toolbar button draw the long view at true scale with dimension chains', () => {
+    const { win, fire } = createPage();
+    const btn = win.document.getElementById('layoutModeBtn');
+    const spanBounds = () => require('vm').runInContext('detailSpanBounds', win).map(b => [Math.round(b.x), Math.round(b.width)]);
+    const group = win.Beam.State.currentGroup;
+
+    detailTexts(win);
+    const fit = spanBounds();
+    assert.equal(new Set(fit.map(b => b[1])).size, 1, 'equal widths');
+
+    fire('keydown', { key: 't' });
+    assert.equal(win.Beam.State.layoutMode, 'scale');
+    assert.equal(btn.classList.contains('bg-blue-600'), true);
+
+    const texts = detailTexts(win);
+    const layout = win.Beam.Renderer._calculateLayout(group.Spans, 0, group, 'scale');
+    assert.deepEqual(spanBounds(), layout.spans.map(s => [Math.round(s.x), Math.round(s.width)]));
+    // Chains in mm: support faces, axis to axis, overall; then the grid names
+    const chains = texts.filter(t => /^\d+$/.test(t)).join(' ');
+    assert.equal(chains, '400 5600 400 6600 400 4600 400 6000 7000 5000 18400 1 2 3 4');
+
+    win.Beam.Actions.toggleLayoutMode();
+    assert.equal(win.Beam.State.layoutMode, 'fit');
+    detailTexts(win);
+    assert.deepEqual(spanBounds(), fit);
+});
+
+test('SVG button exports the elevation, or the highlighted span section from the section tab', () => {
+    const { win } = createPage();
+    const files = [];
+    win.Beam.Actions.downloadFile = (fileName, content, mimeType) => files.push({ fileName, content, mimeType });
+
+    press(win, 'exportSvgBtn');
+    assert.equal(files[0].fileName, 'G201.svg');
+    assert.equal(files[0].mimeType, 'image/svg+xml');
+    assert.ok(files[0].content.includes('<g id="rebar"'));
+
+    win.highlightSpan(1);
+    win.setDetailMode('section');
+    assert.equal(win.Beam.State.canvasMode, 'section');
+    press(win, 'exportSvgBtn');
+    assert.equal(files[1].fileName, 'G201_section_M.svg');
+    assert.notEqual(files[1].content, files[0].content);
+});
+
+test('PNG button sends the sheet to the host as SAVE_IMAGE through Dts.Bridge', () => {
+    const { win, host } = createPage();
+    win.document.getElementById('sheetScale').value = '100';
+    press(win, 'exportSheetBtn');
+
+    const message = host.lastSent();
+    assert.equal(message.type, 'SAVE_IMAGE');
+    assert.deepEqual(Object.keys(message.payload), ['FileName', 'DataUrl']);
+    assert.equal(message.payload.FileName, 'G201_1-100.png');
+    assert.match(message.payload.DataUrl, /^data:image\/png;base64,/);
+    // BeamGroupViewerDialog reads SAVE_IMAGE|{json}
+    assert.match(message.raw, /^SAVE_IMAGE\|\{"FileName":"G201_1-100\.png","DataUrl":"data:image\/png;base64,/);
+});
+
+test('without a host the sheet is downloaded instead', () => {
+    const { win, host } = createPage();
+    win.Dts.Bridge.setTransport({ post: () => false, subscribe: () => null });
+    const links = [];
+    const createElement = win.document.createElement;
+    win.document.createElement = tag => {
+        const el = createElement(tag);
+        if (tag === 'a') el.click = () => links.push({ href: el.href, download: el.download });
+        return el;
+    };
+
+    const sent = host.sent.length;
+    win.Beam.Actions.exportSheet({ scale: 50 });
+    assert.equal(host.sent.length, sent);
+    assert.equal(links.length, 1);
+    assert.equal(links[0].download, 'G201_1-50.png');
+});
+
+test('stirrup pattern goes through Beam.State: one undo step, audited, refused when locked', () => {
+    const { win } = createPage();
+    const group = win.Beam.State.currentGroup;
+    const before = group.Spans.map(s => Array.from(s.StirRS));
+    const logged = (group.AuditLog || []).length;
+
+    win.document.getElementById('stirrupPattern').value = 'd10a100/200';
+    win.applyStirrupPattern();
+    group.Spans.forEach(s => assert.deepEqual(Array.from(s.StirRS), ['2-d10a100', '2-d10a200', '2-d10a100']));
+    assert.ok(group.AuditLog.length > logged);
+
+    assert.equal(win.Beam.State.undo(), true);
+    assert.deepEqual(group.Spans.map(s => Array.from(s.StirRS)), before);
+
+    group.IsLocked = true;
+    win.applyStirrupPattern();
+    assert.deepEqual(group.Spans.map(s => Array.from(s.StirRS)), before);
+});
+
+test('hovering the detail canvas shades the span, tints the label and shows the breakdown tooltip', () => {
+    const { win, fireOn } = createPage();
+    detailTexts(win);
+    const toClient = b => vm.runInContext(`({
+        clientX: (${b.x + b.width / 2}) * detailZoom + detailPanX,
+        clientY: (${b.y + b.height / 2}) * detailZoom + detailPanY
+    })`, win);
+    const label = vm.runInContext('detailRebarLabelBounds', win).find(lb => lb.spanIndex === 1 && lb.type === 'Top');
+    const events = [];
+    win.Dts.State.on('labelhover', payload => events.push(payload.label && payload.label.position));
+
+    fireOn('detailCanvas', 'mousemove', toClient(label));
+    assert.equal(win.Dts.State.hoveredIndex, 1);
+    assert.equal(win.Beam.State.hoveredLabel.position, 'top');
+    assert.deepEqual(events, ['top']);
+    const tooltip = win.Beam.Tooltip._el;
+    assert.equal(tooltip.style.display, 'block');
+    assert.ok(tooltip.innerHTML.includes(win.Beam.State.currentGroup.Spans[1].SpanId));
+
+    const ctx = win.document.getElementById('detailCanvas').getContext('2d');
+    ctx.reset();
+    win.renderDetailCanvas();
+    assert.ok(ctx.getCalls('fillRect').some(c => c.style.fillStyle === '#f1f5f9'));
+
+    // Moving onto the span body keeps the span hover and drops the label hover
+    const span = vm.runInContext('detailSpanBounds', win)[1];
+    fireOn('detailCanvas', 'mousemove', { clientX: toClient(span).clientX, clientY: toClient(span).clientY + span.height / 2 - 1 });
+    assert.equal(win.Dts.State.hoveredIndex, 1);
+    assert.equal(win.Beam.State.hoveredLabel, null);
+
+    fireOn('detailCanvas', 'mouseleave');
+    assert.equal(win.Dts.State.hoveredIndex, -1);
+    assert.equal(tooltip.style.display, 'none');
+    assert.deepEqual(events, ['top', null]);
+});
+
+test('rebar cells keep the "-" placeholder and still work without Dts.Rebar', () => {
+    const { win } = createPage();
+    const span = win.Beam.State.currentGroup.Spans[0];
+    assert.equal(win.readRebarCell(' - ', 'stirrup'), '-');
+    assert.equal(win.readRebarCell('d8a100', 'stirrup'), '2-d8a100');
+    assert.equal(win.countBars('2D20+1D18'), 3);
+
+    delete win.Dts.Rebar;
+    assert.equal(win.readRebarCell(' 3d20 ', 'bars'), '3d20');
+    assert.equal(win.countBars('2D20+1D18'), 3);
+    assert.equal(win.parseRebarArea('3D20').toFixed(2), '9.42');
+    assert.deepEqual(Object.assign({}, win.parseStirrupText('2-d10a150')), { diameter: 10, spacing: 150 });
+
+    // The beam modules need Dts.Rebar themselves: only the page's own fallback is under test
+    win.renderTable = () => { };
+    win.document.getElementById('stirrupPattern').value = 'd10a100/200';
+    win.applyStirrupPattern();
+    assert.deepEqual(Array.from(span.StirRS), ['d10a100', 'd10a200', 'd10a100']);
+});
+
+test('deficit badge follows the page render path and jumps the page highlight to the failing span', () => {
+    const { win, host } = createPage();
+    const badge = win.document.getElementById('deficitBadge');
+    const group = vm.runInContext('currentGroup', win);
+
+    win.renderTable();
+    assert.equal(badge.classList.contains('hidden'), true);
+
+    group.Spans[1].As_Top[0] = 40;
+    vm.runInContext('tablePanelCollapsed = true', win);
+    win.maybeRenderTable();
+    assert.equal(badge.classList.contains('hidden'), false);
+    assert.match(badge.textContent, /1 nhịp thiếu thép/);
+
+    press(win, 'deficitBadge');
+    assert.equal(vm.runInContext('highlightedSpanIndex', win), 1);
+    assert.equal(win.Beam.State.highlightedSpanIndex, 1);
+    assert.equal(host.lastSent().type, 'HIGHLIGHT');
+    assert.equal(win.getAsRatioResult(group.Spans[1], 'Top', 'L').isDeficit, true);
+
+    // The As labels do not need Beam.Check
+    delete win.Beam.Check;
+    assert.equal(win.getAsRatioResult(group.Spans[1], 'Top', 'L').isDeficit, true);
+    assert.equal(win.getAsRatioResult(group.Spans[1], 'Top', 'M').isDeficit, false);
+});
+
+test('detailing rule warnings show in the page span table and above the span in the detail view', () => {
+    const { win } = createPage();
+    const group = win.Beam.State.currentGroup;
+    const tbody = win.document.getElementById('spanTableBody');
+    const rows = () => {
+        tbody.children = [];
+        win.renderTable();
+        return tbody.children.map(tr => tr.innerHTML).join('');
+    };
+    assert.equal(detailTexts(win).some(t => t.startsWith('⚠')), false);
+
+    group.Spans[1].Stirrup = ['d8a350', 'd8a200', 'd8a100'];
+    const violations = win.Beam.Rules.checkSpan(group.Spans[1]);
+    assert.ok(violations.length > 0);
+    const warning = `⚠ ${win.Beam.Rules.summarize(violations)}`;
+
+    assert.equal((rows().match(/⚠/g) || []).length, 1);
+    assert.ok(rows().includes(warning));
+    assert.match(rows(), /title="Bước đai: Đai \(L\): a350/);
+    assert.ok(detailTexts(win).includes(warning));
+
+    // Without BeamRules.js the page draws no warnings
+    delete win.Beam.Rules;
+    assert.equal(rows().includes('⚠'), false);
+    assert.equal(detailTexts(win).some(t => t.startsWith('⚠')), false);
+});
+
+test('long view draws laps, lap zones and end hooks (Beam.Splice) on the page backbone lines', () => {
+    const fixtures = createViewer().Dts.MockFixtures.clone();
+    const spans = fixtures.groupData.groups[0].Spans;
+    spans.splice(1);
+    spans[0].Length = 20;
+    spans[0].ClearLength = 19.6;
+    const { win } = createPage({ fixtures });
+    const Renderer = win.Beam.Renderer;
+    const ctx = win.document.getElementById('detailCanvas').getContext('2d');
+    const beamY = 90;
+    const zoneRects = () => ctx.getCalls('fillRect').filter(c => c.style.fillStyle === Renderer.colors.spliceZone);
+
+    const texts = detailTexts(win);
+    assert.equal(texts.filter(t => t === 'la=900').length, 4);
+    assert.ok(texts.includes('⚠'));
+    assert.deepEqual(zoneRects().map(c => c.args[1]).filter((y, i, all) => all.indexOf(y) === i).sort((a, b) => a - b),
+        [beamY + 1, beamY + 120 - 3]);
+    assert.ok(ctx.getCalls('stroke').some(c => c.style.strokeStyle === Renderer.colors.spliceForbidden));
+
+    vm.runInContext("detailMode = 'shear'", win);
+    assert.equal(detailTexts(win).includes('la=900'), false);
+});
+
+test('addon bars in the long view run from cut-off to cut-off (Beam.Curtailment), not the fixed zones', () => {
+    const { win } = createPage();
+    const spans = win.Beam.State.currentGroup.Spans;
+    const ctx = win.document.getElementById('detailCanvas').getContext('2d');
+    detailTexts(win);
+    const bounds = vm.runInContext('detailSpanBounds', win);
+    const topBarY = 90 + 12 + 4;
+    const ends = ctx.getCalls('lineTo').filter(c => c.args[1] === topBarY).map(c => Math.round(c.args[0]));
+
+    const moved = [];
+    spans.forEach((span, i) => {
+        ['AddLeft', 'AddMid', 'AddRight'].forEach(zone => {
+            const cut = win.Beam.Curtailment.extent(span, 'top', zone);
+            if (!(span[`Top${zone}`]?.Count > 0) || !cut) return;
+            const { x, width } = bounds[i];
+            const end = Math.round(x + Math.min(width - 3, width * (cut.start + cut.length)));
+            assert.ok(ends.includes(end), `S${i + 1} ${zone} ends at ${end}`);
+            const fixed = win.Beam.Renderer.zones.top[zone];
+            if (Math.abs(cut.start + cut.length - fixed.start - fixed.length) > 0.01) moved.push(zone);
+        });
+    });
+    assert.ok(moved.length > 0);
+});
+
+test('envelope button draws the demand/capacity strips under the long view in both layouts', () => {
+    const { win } = createPage();
+    const ctx = win.document.getElementById('detailCanvas').getContext('2d');
+    const hasStrips = texts => texts.some(t => t.startsWith('As yêu cầu / bố trí')) && texts.some(t => t.startsWith('Asw/s yêu cầu'));
+    assert.equal(hasStrips(detailTexts(win)), false);
+
+    ctx.reset();
+    press(win, 'envelopeBtn');
+    assert.equal(win.Beam.State.showEnvelope, true);
+    assert.equal(hasStrips(ctx.getTexts()), true, 'redrawn on the envelope event');
+
+    // Strips start below the span dimension text, then below the dimension chains
+    const stripTop = () => Math.min(...ctx.getCalls('fillText')
+        .filter(c => String(c.args[0]).startsWith('As yêu cầu')).map(c => c.args[2]));
+    const fitTop = stripTop();
+    assert.ok(fitTop > 90 + vm.runInContext('BEAM_HEIGHT', win) + 42);
+
+    win.Beam.Actions.toggleLayoutMode();
+    assert.equal(hasStrips(detailTexts(win)), true);
+    assert.ok(stripTop() > fitTop);
+
+    press(win, 'envelopeBtn');
+    assert.equal(hasStrips(detailTexts(win)), false);
+});
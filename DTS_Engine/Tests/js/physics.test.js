@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, plain } = require('./harness');
+
+const win = createViewer({ modules: ['core/DtsState.js', 'core/DtsPhysics.js'] });
+const { Physics, State } = win.Dts;
+
+const rect = { left: 40, top: 25 };
+
+function setView(zoom, panX, panY) {
+    State.zoom = zoom;
+    State.panX = panX;
+    State.panY = panY;
+}
+
+test('screenToCanvas removes canvas offset, pan and zoom', () => {
+    setView(2, 100, -50);
+    assert.deepEqual(plain(Physics.screenToCanvas(340, 175, rect)), { x: 100, y: 100 });
+});
+
+test('canvasToScreen is the inverse of screenToCanvas', () => {
+    for (const [zoom, panX, panY] of [[1, 0, 0], [0.35, 12.5, -80], [4.2, -300, 140]]) {
+        setView(zoom, panX, panY);
+        for (const [x, y] of [[0, 0], [123.4, -56.7], [-900, 2500]]) {
+            const screen = Physics.canvasToScreen(x, y, rect);
+            const back = Physics.screenToCanvas(screen.x, screen.y, rect);
+            assert.ok(Math.abs(back.x - x) < 1e-9 && Math.abs(back.y - y) < 1e-9, `${zoom}: ${x},${y}`);
+        }
+    }
+});
+
+test('fitToBounds view maps the bounds centre to the canvas centre', () => {
+    const bounds = { x: -20, y: -40, width: 1000, height: 300 };
+    State.fitToBounds(bounds, 800, 400);
+    const centre = Physics.canvasToScreen(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, { left: 0, top: 0 });
+    assert.ok(Math.abs(centre.x - 400) < 1e-9);
+    assert.ok(Math.abs(centre.y - 200) < 1e-9);
+    assert.equal(State.zoom, (800 - 40) / 1000);
+});
+
+test('isPointInRect includes edges', () => {
+    const b = { x: 10, y: 10, width: 20, height: 5 };
+    assert.equal(Physics.isPointInRect(10, 10, b), true);
+    assert.equal(Physics.isPointInRect(30, 15, b), true);
+    assert.equal(Physics.isPointInRect(30.01, 15, b), false);
+    assert.equal(Physics.isPointInRect(20, 9.99, b), false);
+});
+
+test('hitTest returns the bound index, else the array position, else -1', () => {
+    const bounds = [
+        { x: 0, y: 0, width: 10, height: 10, index: 7 },
+        { x: 20, y: 0, width: 10, height: 10 }
+    ];
+    assert.equal(Physics.hitTest(5, 5, bounds), 7);
+    assert.equal(Physics.hitTest(25, 5, bounds), 1);
+    assert.equal(Physics.hitTest(15, 5, bounds), -1);
+    assert.equal(Physics.hitTest(0, 0, []), -1);
+});
+
+test('hitTest takes the first match when bounds overlap', () => {
+    const bounds = [
+        { x: 0, y: 0, width: 10, height: 10, index: 0 },
+        { x: 5, y: 0, width: 10, height: 10, index: 1 }
+    ];
+    assert.equal(Physics.hitTest(7, 5, bounds), 0);
+});
+
+test('hitTestRect returns every touched bound', () => {
+    const bounds = [0, 1, 2, 3].map(i => ({ x: i * 20, y: 0, width: 10, height: 10, index: i }));
+    assert.deepEqual(plain(Physics.hitTestRect({ x1: 5, y1: 2, x2: 40, y2: 3 }, bounds)), [0, 1, 2]);
+    assert.deepEqual(plain(Physics.hitTestRect({ x1: 11, y1: 0, x2: 19, y2: 10 }, bounds)), []);
+    assert.equal(Physics.intersectsRect(bounds[1], { x1: 30, y1: 10, x2: 35, y2: 20 }), true);
+});
+
+test('without Dts.State the conversion is identity minus the offset', () => {
+    const bare = createViewer({ modules: ['core/DtsPhysics.js'] });
+    assert.deepEqual(plain(bare.Dts.Physics.screenToCanvas(50, 30, rect)), { x: 10, y: 5 });
+    assert.deepEqual(plain(bare.Dts.Physics.canvasToScreen(10, 5, rect)), { x: 50, y: 30 });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, plain } = require('./harness');
+
+const win = createViewer({ modules: ['core/DtsRebar.js'] });
+const Rebar = win.Dts.Rebar;
+
+const near = (actual, expected, tol = 1e-3) =>
+    assert.ok(Math.abs(actual - expected) < tol, `expected ${expected}, got ${actual}`);
+
+test('bars: groups, layers and symbols normalise to the project style', () => {
+    assert.equal(Rebar.normalize('3d20 + 2Φ18'), '3D20+2D18');
+    assert.equal(Rebar.normalize('2phi16, 1 fi 14'), '2D16+1D14');
+    assert.equal(Rebar.normalize('4D20 / 2D18;2Ø16'), '4D20 / 2D18 / 2D16');
+    assert.equal(Rebar.normalize('2D20*'), '2D20*');
+
+    const parsed = Rebar.parseBars('4D20+1D16 / 2D18');
+    assert.deepEqual(plain(parsed.groups), [
+        { count: 4, diameter: 20, layer: 0 },
+        { count: 1, diameter: 16, layer: 0 },
+        { count: 2, diameter: 18, layer: 1 }
+    ]);
+    assert.equal(parsed.layers.length, 2);
+});
+
+test('empty cells are valid and format to an empty string, keeping the "-" placeholder', () => {
+    ['', '-', '  ', null, undefined].forEach(text => {
+        assert.equal(Rebar.parseBars(text).empty, true);
+        assert.equal(Rebar.validate(text, 'stirrup'), null);
+        assert.equal(Rebar.normalize(text), text === '-' ? '-' : '');
+    });
+    assert.equal(Rebar.isEmpty(' - '), true);
+    assert.equal(Rebar.normalize(' - ', 'stirrup'), '-');
+    assert.equal(Rebar.format(Rebar.parseBars('-')), '');
+});
+
+test('stirrups: legs from (nl), the n- prefix or the default', () => {
+    assert.equal(Rebar.normalize('d8a100', 'stirrup'), '2-d8a100');
+    assert.equal(Rebar.normalize('4-D10a150', 'stirrup'), '4-d10a150');
+    assert.equal(Rebar.normalize('3x d8 a 200', 'stirrup'), '3-d8a200');
+    assert.equal(Rebar.normalize('d8@200(4l)', 'stirrup'), '4-d8a200');
+    assert.equal(Rebar.normalize('D8a150*', 'stirrup'), '2-d8a150*');
+
+    const s = Rebar.parseStirrup('2-d10a150');
+    assert.deepEqual([s.legs, s.diameter, s.spacing], [2, 10, 150]);
+    assert.equal(Rebar.formatStirrup(s, { legs: false }), 'd10a150');
+});
+
+test('side bars: one group', () => {
+    assert.equal(Rebar.normalize('2d12', 'side'), '2D12');
+    assert.equal(Rebar.parseSideBar('2d12+2d12').error.code, 'SYNTAX');
+});
+
+test('errors carry a code, a message and the offending token', () => {
+    const syntax = Rebar.parseBars('3D20+abc');
+    assert.equal(syntax.ok, false);
+    assert.deepEqual(plain(syntax.error).code, 'SYNTAX');
+    assert.equal(syntax.error.token, 'abc');
+    assert.match(syntax.error.message, /3D20/);
+
+    assert.match(Rebar.validate('3D20+'), /Thiếu nhóm thép/);
+    assert.equal(Rebar.parseBars('2D50').error.code, 'DIAMETER');
+    assert.equal(Rebar.parseBars('30D20').error.code, 'COUNT');
+    assert.equal(Rebar.parseStirrup('d8a20').error.code, 'SPACING');
+    assert.equal(Rebar.parseStirrup('d20a150').error.code, 'DIAMETER');
+    assert.equal(Rebar.parseStirrup('d8a150(9l)').error.code, 'LEGS');
+    assert.equal(Rebar.parseStirrup('d8').error.code, 'SYNTAX');
+    assert.equal(Rebar.normalize('2D50'), null);
+});
+
+test('area: cm² for bars, cm²/cm for stirrups', () => {
+    near(Rebar.barArea(20), 3.1416);
+    near(Rebar.area('3d20 + 2Φ18'), 14.514);
+    near(Rebar.area('2D12', 'side'), 2.262);
+    near(Rebar.area('d8a100', 'stirrup'), 0.1005);
+    near(Rebar.area('4-d8a200', 'stirrup'), 0.1005);
+    assert.equal(Rebar.area('-'), 0);
+    assert.equal(Rebar.area('abc'), 0);
+});
+
+test('out-of-range values still count in quantities', () => {
+    const parsed = Rebar.parseBars('22D20');
+    assert.equal(parsed.ok, false);
+    near(Rebar.area(parsed), 22 * Rebar.barArea(20));
+});
+
+test('weight and perimeter of straight bars', () => {
+    near(Rebar.unitWeight(20), 2.466);
+    near(Rebar.weight('2D20', 1), 4.932);
+    near(Rebar.weight('2D20 / 2D20', 2.5), 10 * Rebar.unitWeight(20));
+    assert.equal(Rebar.weight('d8a100', 1, 'stirrup'), 0);
+    near(Rebar.perimeter('3D20'), 3 * Math.PI * 20);
+});
+
+test('stirrup cut length and weight', () => {
+    const section = { width: 300, height: 600 };
+    assert.equal(Rebar.stirrupLength('d8a100', section), 1568);
+    // Four legs: two inner legs of the full inner height
+    assert.equal(Rebar.stirrupLength('4-d8a100', section), 1568 + 2 * 542);
+    assert.equal(Rebar.stirrupLength('d8a100', { width: 40, height: 600 }), 0);
+    // 1 m at a100 -> 11 sets
+    near(Rebar.stirrupWeight('d8a100', section, 1), 11 * 1.568 * Rebar.unitWeight(8));
+});
+
+test('stirrup pattern: bare spacings reuse the first zone', () => {
+    const pattern = Rebar.parseStirrupPattern('4-d8a100/150/100');
+    assert.equal(pattern.ok, true);
+    assert.deepEqual(plain(pattern.zones.map(z => Rebar.format(z))), ['4-d8a100', '4-d8a150', '4-d8a100']);
+
+    const single = Rebar.parseStirrupPattern('d10a150');
+    assert.equal(single.zones.length, 3);
+    assert.equal(Rebar.format(single.zones[2]), '2-d10a150');
+
+    assert.equal(Rebar.parseStirrupPattern('d8a100/x').ok, false);
+    assert.equal(Rebar.parseStirrupPattern('').error.code, 'EMPTY');
+});
+
+test('formatInfo: DisplayString or nDd, empty without bars', () => {
+    assert.equal(Rebar.formatInfo({ Count: 2, Diameter: 20 }), '2D20');
+    assert.equal(Rebar.formatInfo({ Count: 2, Diameter: 20, DisplayString: '2D20*' }), '2D20*');
+    assert.equal(Rebar.formatInfo({ Count: 0, Diameter: 20 }), '');
+    assert.equal(Rebar.formatInfo(null), '');
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer } = require('./harness');
+
+const near = (actual, expected, msg) =>
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${msg || ''} expected ${expected}, got ${actual}`);
+
+function setup() {
+    const win = createViewer();
+    const fixtures = win.Dts.MockFixtures.clone();
+    win.Beam.State.init(fixtures.groupData);
+    const canvas = win.document.getElementById('beamCanvas');
+    win.Dts.Renderer.init(canvas);
+    return { win, canvas, Renderer: win.Beam.Renderer, State: win.Beam.State, group: win.Beam.State.currentGroup };
+}
+
+test('fit layout: widths proportional to span length within the canvas', () => {
+    const { Renderer, group } = setup();
+    const { CANVAS_PADDING, SUPPORT_GAP } = Renderer.config;
+    const layout = Renderer._calculateLayout(group.Spans, 800, group, 'fit');
+
+    const available = 800 - CANVAS_PADDING * 2 - group.Spans.length * SUPPORT_GAP;
+    assert.equal(layout.mode, 'fit');
+    near(layout.widths[0], available * 6 / 18);
+    near(layout.widths[1], available * 7 / 18);
+    near(layout.widths[2], available * 5 / 18);
+    assert.equal(layout.pxPerM, null);
+});
+
+test('fit layout: supports sit between spans with a fixed gap', () => {
+    const { Renderer, group } = setup();
+    const { CANVAS_PADDING, SUPPORT_GAP } = Renderer.config;
+    const layout = Renderer._calculateLayout(group.Spans, 800, group, 'fit');
+
+    assert.equal(layout.supports.length, group.Spans.length + 1);
+    assert.equal(layout.supports[0].x, CANVAS_PADDING);
+    assert.equal(layout.spans[0].x, CANVAS_PADDING + 5);
+    layout.spans.forEach((s, i) => {
+        near(layout.supports[i + 1].x, s.x + s.width);
+        if (i > 0) near(s.x, layout.spans[i - 1].x + layout.spans[i - 1].width + SUPPORT_GAP);
+    });
+    near(layout.totalWidth, layout.supports[3].x - CANVAS_PADDING);
+});
+
+test('fit layout: short spans keep the minimum width and wide canvases are capped', () => {
+    const { Renderer } = setup();
+    const spans = [{ Length: 20 }, { Length: 0.2 }];
+    const layout = Renderer._calculateLayout(spans, 400, null, 'fit');
+    assert.equal(layout.widths[1], Renderer.config.MIN_SPAN_WIDTH);
+
+    const wide = Renderer._calculateLayout([{ Length: 1 }], 5000, null, 'fit');
+    const { MAX_CANVAS_WIDTH, CANVAS_PADDING, SUPPORT_GAP } = Renderer.config;
+    near(wide.widths[0], MAX_CANVAS_WIDTH - CANVAS_PADDING * 2 - SUPPORT_GAP);
+});
+
+test('scale layout: supports at true positions, spans face to face', () => {
+    const { Renderer, group } = setup();
+    const { REAL_SCALE_PX_PER_M: pxPerM, CANVAS_PADDING } = Renderer.config;
+    const layout = Renderer._calculateLayout(group.Spans, 800, group, 'scale');
+
+    assert.equal(layout.mode, 'scale');
+    assert.equal(layout.pxPerM, pxPerM);
+
+    const x0 = CANVAS_PADDING + 0.2 * pxPerM;
+    [0, 6, 13, 18].forEach((pos, i) => {
+        near(layout.supports[i].x, x0 + pos * pxPerM, `support ${i}`);
+        near(layout.supports[i].width, 0.4 * pxPerM);
+        assert.equal(layout.supports[i].data.SupportIndex, i);
+    });
+
+    group.Spans.forEach((span, i) => {
+        near(layout.spans[i].width, span.ClearLength * pxPerM, `span ${i}`);
+        near(layout.spans[i].x, layout.supports[i].x + 0.2 * pxPerM);
+    });
+    near(layout.totalWidth, (18 + 0.4) * pxPerM);
+});
+
+test('scale layout: chains span lengths when supports are incomplete', () => {
+    const { Renderer } = setup();
+    const { REAL_SCALE_PX_PER_M: pxPerM, CANVAS_PADDING } = Renderer.config;
+    const spans = [{ Length: 4 }, { Length: 3.5 }];
+    const group = { Supports: [{ SupportIndex: 1, Width: 300, Position: 99 }] };
+    const layout = Renderer._calculateLayout(spans, 800, group, 'scale');
+
+    // Only one support given: it is taken as the first (sorted by SupportIndex)
+    near(layout.supports[0].x, CANVAS_PADDING + 0.15 * pxPerM);
+    near(layout.supports[1].x, layout.supports[0].x + 4 * pxPerM);
+    near(layout.supports[2].x, layout.supports[0].x + 7.5 * pxPerM);
+    assert.equal(layout.supports[2].width, 0);
+    near(layout.spans[1].width, 3.5 * pxPerM);
+});
+
+test('layout mode follows Beam.State unless overridden', () => {
+    const { Renderer, State, group } = setup();
+    assert.equal(Renderer._calculateLayout(group.Spans, 800, group).mode, 'fit');
+    State.setLayoutMode('scale');
+    assert.equal(Renderer._calculateLayout(group.Spans, 800, group).mode, 'scale');
+    assert.equal(Renderer._calculateLayout(group.Spans, 800, group, 'fit').mode, 'fit');
+});
+
+test('content bounds wrap the beam with label rows and padding', () => {
+    const { Renderer, group } = setup();
+    const c = Renderer.config;
+    const layout = Renderer._calculateLayout(group.Spans, 800, group, 'scale');
+    const bounds = Renderer.getContentBounds(layout);
+
+    assert.equal(bounds.x, layout.startX - c.CANVAS_PADDING);
+    near(bounds.width, layout.totalWidth + c.CANVAS_PADDING * 2);
+    assert.ok(bounds.y < layout.beamY);
+    assert.ok(bounds.y + bounds.height > layout.beamY + c.BEAM_HEIGHT + c.DIM_CHAIN_OFFSET);
+});
+
+test('fitToView zooms the scaled group into the canvas', () => {
+    const { win, Renderer, State } = setup();
+    State.setLayoutMode('scale');
+    Renderer.fitToView();
+
+    const view = win.Dts.State;
+    assert.ok(view.zoom < 1);
+    assert.ok(view.zoom >= view.MIN_ZOOM);
+});
+
+test('render records span bounds matching the layout', () => {
+    const { win, canvas, Renderer, State, group } = setup();
+    Renderer.render();
+
+    const layout = Renderer._calculateLayout(group.Spans, canvas.width, group);
+    assert.equal(State.spanBounds.length, group.Spans.length);
+    State.spanBounds.forEach((b, i) => {
+        near(b.x, layout.spans[i].x);
+        near(b.width, layout.spans[i].width);
+        assert.equal(b.height, Renderer.config.BEAM_HEIGHT);
+    });
+
+    // Middle of span 2 hits span 2
+    const b = State.spanBounds[1];
+    assert.equal(win.Dts.Physics.hitTest(b.x + b.width / 2, b.y + 10, State.spanBounds), 1);
+    assert.ok(canvas.getContext('2d').getTexts().includes('S2'));
+});
+
+test('render without spans draws the no-data message', () => {
+    const { canvas, Renderer, State } = setup();
+    State.currentGroup = { Spans: [] };
+    canvas.getContext('2d').reset();
+    Renderer.render();
+    assert.ok(canvas.getContext('2d').getCalls('fillText').length > 0);
+});
+
+test('detailed labels: only the hovered zone gets the hover box', () => {
+    const { win, canvas, Renderer, State } = setup();
+    const ctx = canvas.getContext('2d');
+    const hoverBoxes = () => ctx.getCalls('fillRect').filter(c => c.style.fillStyle === Renderer.colors.labelHoverFill).length;
+    State.setLabelMode('detailed');
+    Renderer.render();
+
+    const hits = State.labelHits.filter(h => h.spanIndex === 0 && h.position === 'top');
+    assert.ok(hits.length > 1, 'backbone and addon labels');
+    const events = [];
+    win.Dts.State.on('labelhover', payload => events.push(payload.label?.zone));
+    win.Dts.State.on('hover', () => events.push('span hover'));
+
+    State.setHoveredLabel(hits[1]);
+    State.setHoveredLabel(hits[1]);
+    State.setHoveredLabel(hits[0]);
+    assert.deepEqual(events, [hits[1].zone, hits[0].zone]);
+
+    ctx.reset();
+    Renderer.render();
+    assert.equal(hoverBoxes(), 1);
+
+    // Summary labels carry no zone
+    State.setLabelMode('summary');
+    ctx.reset();
+    Renderer.render();
+    State.setHoveredLabel(State.labelHits.find(h => h.spanIndex === 0 && h.position === 'top'));
+    ctx.reset();
+    Renderer.render();
+    assert.equal(hoverBoxes(), 1);
+});
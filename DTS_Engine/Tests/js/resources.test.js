@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { RESOURCES, CORE_MODULES, BEAM_MODULES, createWindow, load } = require('./harness');
+
+const CSPROJ = fs.readFileSync(path.resolve(RESOURCES, '../../DTS_Engine.csproj'), 'utf8');
+
+// Same pattern as WebResourceInliner.cs
+const LOCAL_SCRIPT = /<script\s+src="((?:core|beam)\/[\w.]+\.js)"\s*>\s*<\/script>/gi;
+
+function readPage(name) {
+    return fs.readFileSync(path.join(RESOURCES, name), 'utf8');
+}
+
+function localScripts(html) {
+    return Array.from(html.matchAll(LOCAL_SCRIPT), m => m[1]);
+}
+
+/**
+ * Page window with only the named inline function defined (plus an optional Dts.Bridge)
+ */
+function pageFunction(html, name, modules = []) {
+    const source = html.match(new RegExp(`\\n( *)function ${name}\\([\\s\\S]*?\\n\\1}`))[0];
+    const posted = [];
+    const win = createWindow();
+    win.chrome = { webview: { postMessage: message => posted.push(message), addEventListener() { } } };
+    load(win, modules);
+    vm.runInContext(source, win);
+    return { win, posted };
+}
+
+test('every local <script src> of the dialogs is an embedded resource', () => {
+    ['BeamGroupViewer.html', 'CalculationReport.html'].forEach(page => {
+        const scripts = localScripts(readPage(page));
+        assert.ok(scripts.length > 0, page);
+        scripts.forEach(src => {
+            assert.ok(fs.existsSync(path.join(RESOURCES, src)), src);
+            assert.ok(CSPROJ.includes(`<EmbeddedResource Include="UI\\Resources\\${src.replace('/', '\\')}" />`), src);
+        });
+    });
+});
+
+test('harness loads the viewer modules in page order', () => {
+    assert.deepEqual(localScripts(readPage('BeamGroupViewer.html')), [...CORE_MODULES, ...BEAM_MODULES]);
+});
+
+test('viewer host calls go through Dts.Bridge and fall back to legacy strings', () => {
+    const html = readPage('BeamGroupViewer.html');
+    assert.equal(html.match(/Dts\.Bridge\.send\(/g).length, 1, 'only sendToHost calls Dts.Bridge.send');
+
+    const bare = pageFunction(html, 'sendToHost');
+    bare.win.sendToHost('SAVE', { groups: [] });
+    bare.win.sendToHost('CANCEL');
+    bare.win.sendToHost('LOCK_DESIGN', { groupIndex: 2, entry: { Reason: 'a|b' } }, 'LOCK_DESIGN|2');
+    assert.deepEqual(bare.posted, ['SAVE|{"groups":[]}', 'CANCEL', 'LOCK_DESIGN|2']);
+
+    const typed = pageFunction(html, 'sendToHost', ['core/DtsBridge.js']);
+    typed.win.Dts.Bridge.setTransport({ post: raw => typed.posted.push(raw), subscribe: () => null });
+    typed.win.sendToHost('LOCK_DESIGN', { groupIndex: 2 }, 'ignored');
+    assert.deepEqual(typed.posted, ['LOCK_DESIGN|2']);
+});
+
+test('report host calls fall back to the command JSON string', () => {
+    const { win, posted } = pageFunction(readPage('CalculationReport.html'), 'sendToHost');
+    win.sendToHost('export_excel', { data: { Name: 'G1' }, isSimple: true });
+    assert.deepEqual(JSON.parse(posted[0]), { command: 'export_excel', data: { Name: 'G1' }, isSimple: true });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer } = require('./harness');
+
+function setup() {
+    const win = createViewer();
+    const fixtures = win.Dts.MockFixtures.clone();
+    win.Beam.State.init(fixtures.groupData);
+    win.Dts.Renderer.init(win.document.getElementById('beamCanvas'));
+    return { win, Rules: win.Beam.Rules, group: win.Beam.State.currentGroup };
+}
+
+// Plain arrays of this realm for deepEqual
+const ids = violations => Array.from(violations, v => v.id);
+
+test('fixture group is buildable', () => {
+    const { Rules, group } = setup();
+    const results = Rules.checkGroup(group);
+    assert.equal(results.count, 0);
+    assert.equal(results.spans.length, 3);
+});
+
+test('too many bars in a layer: BARS_PER_LAYER, not also CLEAR_SPACING', () => {
+    const { Rules, group } = setup();
+    const span = group.Spans[0];
+    // 300 wide, cover 25, d8 stirrup: 234 mm between stirrups; top d25 needs 37.5 mm clear
+    span.TopAddLeft = { Count: 5, Diameter: 25 };
+
+    const violations = Rules.checkSpan(span);
+    assert.deepEqual(ids(violations), ['BARS_PER_LAYER']);
+    assert.equal(violations[0].position, 'top');
+    assert.equal(violations[0].station, 'L');
+    assert.match(violations[0].message, /5D25 lớp 2 trên \(L\): tối đa 4 thanh/);
+});
+
+test('project clear spacing stricter than the code: CLEAR_SPACING', () => {
+    const { win, Rules, group } = setup();
+    win.Beam.State.settings.MinClearSpacing = 60;
+    const span = group.Spans[0];
+    span.BotAddMid = { Count: 4, Diameter: 20 };
+
+    const violations = Rules.checkSpan(span);
+    assert.deepEqual(ids(violations), ['CLEAR_SPACING']);
+    assert.equal(violations[0].station, 'M');
+    assert.match(violations[0].message, /a=51 < 60 mm/);
+});
+
+test('layers beyond MaxLayers', () => {
+    const { Rules, group } = setup();
+    const span = group.Spans[1];
+    span.TopAddLeft = { Count: 4, Diameter: 20, LayerCounts: [2, 2] };
+    const violations = Rules.checkSpan(span);
+    assert.deepEqual(ids(violations), ['MAX_LAYERS']);
+    assert.match(violations[0].message, /3 lớp > 2/);
+});
+
+test('reinforcement ratio limits', () => {
+    const { Rules, group } = setup();
+    const span = group.Spans[2];
+    span.Width = 600;
+    span.Height = 900;
+    span.SideBar = '4d14';
+    span.TopBackbone = { Count: 2, Diameter: 10 };
+    span.TopAddLeft = null;
+    span.TopAddRight = null;
+    assert.deepEqual(ids(Rules.checkSpan(span)), ['MIN_RATIO', 'MIN_RATIO', 'MIN_RATIO']);
+
+    const small = group.Spans[0];
+    small.Width = 200;
+    small.Height = 300;
+    small.Stirrup = ['d8a100', 'd8a100', 'd8a100'];
+    small.TopBackbone = { Count: 2, Diameter: 32 };
+    small.BotBackbone = { Count: 2, Diameter: 32 };
+    small.TopAddLeft = small.TopAddRight = small.BotAddMid = null;
+    const violations = Rules.checkSpan(small);
+    assert.deepEqual(ids(violations), ['MAX_RATIO', 'MAX_RATIO', 'MAX_RATIO']);
+    assert.equal(violations[0].position, 'section');
+});
+
+test('stirrup spacing limits per zone', () => {
+    const { Rules, group } = setup();
+    const span = group.Spans[0];
+    span.Stirrup = ['d8a300', 'd8a400', 'd8a150'];
+    const violations = Rules.checkSpan(span);
+    assert.deepEqual(Array.from(violations, v => `${v.id}:${v.station}`), ['STIRRUP_SPACING:L']);
+    assert.match(violations[0].message, /a300 > 278 mm/);
+
+    span.Stirrup = ['d8a150', 'd8a450', 'd8a150'];
+    assert.deepEqual(Array.from(Rules.checkSpan(span), v => v.station), ['M']);
+});
+
+test('deep beams need side bars at a limited pitch', () => {
+    const { Rules, group } = setup();
+    const span = group.Spans[0];
+    span.Height = 1200;
+    span.SideBar = '';
+    assert.deepEqual(ids(Rules.checkSpan(span)), ['SIDE_BARS']);
+
+    span.SideBar = '2d12';
+    assert.match(Rules.checkSpan(span)[0].message, /Cốt giá 2D12: khoảng cách \d+ > 400 mm/);
+
+    span.SideBar = '4d12';
+    assert.equal(Rules.checkSpan(span).length, 0);
+});
+
+test('violations show in table rows, on the canvas and in the tooltip', () => {
+    const { win, group } = setup();
+    group.Spans[1].Stirrup = ['d8a350', 'd8a200', 'd8a100'];
+
+    win.Beam.Table.render();
+    const html = win.document.getElementById('spanTableBody').innerHTML;
+    assert.equal((html.match(/⚠/g) || []).length, 1);
+    assert.match(html, /title="Bước đai: Đai \(L\): a350 &gt;|title="Bước đai: Đai \(L\): a350 >/);
+
+    const ctx = win.document.getElementById('beamCanvas').getContext('2d');
+    ctx.reset();
+    win.Beam.Renderer.render();
+    assert.ok(ctx.getTexts().includes('⚠ sđai'));
+
+    assert.match(win.Beam.Tooltip.buildSpanHtml(group.Spans[1]), /Bước đai<\/b>: Đai \(L\): a350/);
+});
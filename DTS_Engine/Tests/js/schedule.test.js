@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, createElement, plain } = require('./harness');
+
+function setup() {
+    const win = createViewer({ elements: { scheduleTableBody: createElement('tbody') } });
+    const fixtures = win.Dts.MockFixtures.clone();
+    win.Beam.State.init(fixtures.groupData);
+    return { win, Schedule: win.Beam.Schedule, group: win.Beam.State.currentGroup };
+}
+
+test('backbone: stock bars with laps, L-hooks into the end columns', () => {
+    const { Schedule, group } = setup();
+    const { marks } = Schedule.generate(group);
+
+    // 18 m + 2 x 900 anchorage in two bars joined by a 1170 lap; top and bottom 2D20 share the mark
+    const backbone = marks[0];
+    assert.equal(backbone.mark, 'G201-01');
+    assert.equal(backbone.shapeCode, '11');
+    assert.equal(backbone.cutLength, 10490);
+    assert.deepEqual(plain(backbone.dims), { A: 10250, B: 240 });
+    assert.equal(backbone.quantity, 8);
+    assert.equal(backbone.description, 'Chủ trên, Chủ dưới');
+    assert.deepEqual(plain(backbone.members), ['S1', 'S2', 'S3']);
+
+    // Side bars 2D12: straight, no bend at the ends
+    const side = marks[1];
+    assert.equal(side.shape, 'STRAIGHT');
+    assert.equal(side.diameter, 12);
+    assert.equal(side.cutLength, 9900);
+    assert.equal(side.quantity, 4);
+});
+
+test('addons and stirrups', () => {
+    const { Schedule, group } = setup();
+    const { marks } = Schedule.generate(group);
+
+    // S1 top L 2D18 at the group start: cut off at 2350 (As envelope) + 810, bent into the column
+    const addon = marks.find(m => m.diameter === 18 && m.members.includes('S1'));
+    assert.equal(addon.shape, 'L_HOOK');
+    assert.equal(addon.cutLength, 3160);
+    assert.deepEqual(plain(addon.dims), { A: 2940, B: 220 });
+
+    // One closed link mark for every d8 zone of the 300x600 spans
+    const stirrups = marks.filter(m => m.shape === 'STIRRUP');
+    assert.equal(stirrups.length, 1);
+    assert.equal(stirrups[0].shapeCode, '51');
+    // Outline 1568 + two 135° hooks of 75 -> 80
+    assert.equal(stirrups[0].cutLength, 1730);
+    assert.deepEqual(plain(stirrups[0].dims), { A: 242, B: 542, C: 80 });
+
+    // S1: 15 + 15 + 15, S2: 17 + 17 + 17, S3: 12 + 12 + 12 sets
+    assert.equal(stirrups[0].quantity, 45 + 51 + 36);
+    assert.deepEqual(plain(stirrups[0].members), ['S1', 'S2', 'S3']);
+});
+
+test('mark ids are stable across runs and edits', () => {
+    const { win, Schedule, group } = setup();
+    const first = Schedule.generate(group).marks.map(m => `${m.mark}:${m.key}`);
+    assert.deepEqual(Schedule.generate(group).marks.map(m => `${m.mark}:${m.key}`), first);
+    const count = first.length;
+
+    // A new bar takes the next number, every other bar keeps its mark
+    win.Beam.State.updateRebar(1, 'bot', 'AddMid', { Count: 3, Diameter: 22 });
+    const after = Schedule.generate(group).marks;
+    const added = after.find(m => m.diameter === 22);
+    assert.equal(added.mark, `G201-${String(count + 1).padStart(2, '0')}`);
+    after.filter(m => m !== added).forEach(m => assert.ok(first.includes(`${m.mark}:${m.key}`), m.mark));
+    assert.equal(group.BarMarks[added.key], count + 1);
+
+    // Marks survive a save/load round trip of the group
+    const reloaded = JSON.parse(JSON.stringify(group));
+    assert.deepEqual(plain(Schedule.generate(reloaded).marks.map(m => m.mark)), plain(after.map(m => m.mark)));
+});
+
+test('a backbone change splits the run', () => {
+    const { Schedule, group } = setup();
+    group.Spans[2].TopBackbone = { Count: 2, Diameter: 22 };
+    const bars = Schedule.collectBars(group).filter(b => b.category === 'backbone' && b.position === 'top');
+
+    // S1-S2: 13 m + 2 x 900 in two bars, only the first bent; S3 2D22 alone, bent at the group end
+    assert.deepEqual(Array.from(bars, b => `${b.diameter}:${b.shape}:${b.cutLength}`), [
+        '20:L_HOOK:7990', '20:STRAIGHT:7990', '22:L_HOOK:6980'
+    ]);
+});
+
+test('schedule agrees with the take-off within rounding', () => {
+    const { win, Schedule, group } = setup();
+    const schedule = Schedule.generate(group).weight;
+    const takeoff = win.Beam.Takeoff.group(group).weight;
+    assert.ok(schedule >= takeoff && schedule < takeoff * 1.01, `${schedule} vs ${takeoff}`);
+});
+
+test('table and CSV/JSON exports', () => {
+    const { win, Schedule } = setup();
+    Schedule.render();
+    const html = win.document.getElementById('scheduleTableBody').innerHTML;
+    assert.match(html, /G201-01/);
+    assert.match(html, /A=10250 B=240/);
+    assert.match(html, /Tổng cộng/);
+
+    const lines = Schedule.toCSV().replace(/^﻿/, '').split('\r\n');
+    assert.match(lines[0], /^Tầng,Dầm,Số hiệu,Mã hình dạng/);
+    assert.equal(lines[1].split(',').slice(0, 10).join(','), 'L2,G201,G201-01,11,Móc L,D20,10250,240,,10490');
+
+    const json = JSON.parse(Schedule.toJSON());
+    assert.equal(json.groups[0].group, 'G201');
+    assert.equal(json.groups[0].marks[0].mark, 'G201-01');
+    assert.equal(json.groups[0].marks.length, lines.length - 1);
+});
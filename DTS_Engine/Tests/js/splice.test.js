@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, plain } = require('./harness');
+
+function setup(mutate) {
+    const win = createViewer();
+    const fixtures = win.Dts.MockFixtures.clone();
+    if (mutate) mutate(fixtures.groupData);
+    win.Beam.State.init(fixtures.groupData);
+    const canvas = win.document.getElementById('beamCanvas');
+    win.Dts.Renderer.init(canvas);
+    return { win, canvas, Splice: win.Beam.Splice, group: win.Beam.State.currentGroup };
+}
+
+// One 20 m span: the bottom bars cannot reach a support zone from the first lap
+function longSpan(data) {
+    const spans = data.groups[0].Spans;
+    spans.splice(1);
+    spans[0].Length = 20;
+    spans[0].ClearLength = 19.6;
+}
+
+test('top laps at midspan, bottom laps near the supports', () => {
+    const { Splice, group } = setup();
+
+    // 2D20, 18 m + 2 x la 900 on 11.7 m stock, lap 1170
+    const top = Splice.plan(group, 'top');
+    assert.equal(top.runs.length, 1);
+    assert.deepEqual(plain(top.splices.map(s => [s.center, s.spanIndex, s.allowed])), [[10215, 1, true]]);
+    assert.deepEqual(plain(top.runs[0].bars), [{ start: -900, end: 10800 }, { start: 9630, end: 18900 }]);
+
+    const bot = Splice.plan(group, 'bot');
+    assert.deepEqual(plain(bot.splices.map(s => [s.center, s.spanIndex, s.allowed])), [[7165, 1, true], [17415, 2, true]]);
+    assert.equal(bot.violations.length, 0);
+    assert.ok(bot.runs[0].bars.every(b => b.end - b.start <= 11700));
+});
+
+test('a lap that cannot reach a preferred zone is flagged at the end of the bar', () => {
+    const { Splice, group } = setup(longSpan);
+    const bot = Splice.plan(group, 'bot');
+
+    assert.deepEqual(plain(bot.splices.map(s => [s.center, s.allowed])), [[4415, true], [14945, false]]);
+    assert.equal(bot.violations.length, 1);
+    assert.equal(Splice.plan(group, 'top').violations.length, 0);
+});
+
+test('preferred zones merge across supports', () => {
+    const { Splice, group } = setup();
+    assert.deepEqual(plain(Splice.preferredZones(group.Spans, 'bot')), [
+        { start: 0, end: 1500 }, { start: 4500, end: 7750 }, { start: 11250, end: 14250 }, { start: 16750, end: 18000 }
+    ]);
+    assert.equal(Splice.preferredZones(group.Spans, 'top').length, 3);
+});
+
+test('hooks at the group ends, straight anchorage where the backbone changes', () => {
+    const { Splice, group } = setup(data => {
+        data.groups[0].Spans[2].BotBackbone = { Count: 3, Diameter: 22 };
+    });
+    const bot = Splice.plan(group, 'bot');
+
+    assert.equal(bot.runs.length, 2);
+    assert.deepEqual(plain(bot.runs.map(r => r.anchorages.map(a => [a.x, a.side, a.hook]))), [
+        [[0, 'start', true], [13000, 'end', false]],
+        [[13000, 'start', false], [18000, 'end', true]]
+    ]);
+    assert.equal(bot.runs[0].anchorages[0].length, 900);
+    assert.equal(bot.runs[0].anchorages[0].hookLength, 240);
+});
+
+test('forbidden laps are a detailing rule violation of their span', () => {
+    const { win, group } = setup(longSpan);
+    const violations = win.Beam.Rules.checkSpan(group.Spans[0]).filter(v => v.id === 'SPLICE_ZONE');
+
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].position, 'bot');
+    assert.equal(violations[0].station, 'M');
+    assert.equal(violations[0].message, 'Nối thép dưới (M) tại 14.95 m: ngoài vùng nối');
+});
+
+test('canvas: laps, end hooks and zone bands; bands and warnings left out of exports', () => {
+    const { win, canvas, group } = setup(longSpan);
+    const Renderer = win.Beam.Renderer;
+    const ctx = canvas.getContext('2d');
+    const zoneRects = () => ctx.getCalls('fillRect').filter(c => c.style.fillStyle === Renderer.colors.spliceZone);
+
+    ctx.reset();
+    Renderer.render();
+    assert.equal(zoneRects().length, 3);
+    assert.equal(ctx.getTexts().filter(t => t === 'la=900').length, 4);
+    assert.ok(ctx.getTexts().includes('⚠'));
+    assert.ok(ctx.getCalls('stroke').some(c => c.style.strokeStyle === Renderer.colors.spliceForbidden));
+
+    ctx.reset();
+    Renderer._exporting = true;
+    Renderer.render();
+    Renderer._exporting = false;
+    assert.equal(zoneRects().length, 0);
+    assert.ok(!ctx.getTexts().includes('⚠'));
+    assert.equal(ctx.getTexts().filter(t => t === 'la=900').length, 4);
+    assert.equal(group.Spans.length, 1);
+});
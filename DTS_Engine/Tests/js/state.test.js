@@ -0,0 +1,155 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, plain } = require('./harness');
+
+function setup() {
+    const win = createViewer({ modules: ['core/DtsState.js'] });
+    win.console.error = () => { };
+    return win.Dts.State;
+}
+
+test('on/emit pass the payload; off removes the listener', () => {
+    const State = setup();
+    const calls = [];
+    const fn = (...args) => calls.push(args);
+
+    State.on('click', fn);
+    State.emit('click', 1, 2, 'e');
+    State.off('click', fn);
+    State.emit('click', 3, 4, 'e');
+
+    assert.deepEqual(plain(calls), [[1, 2, 'e']]);
+    assert.equal(State._events.click, undefined);
+});
+
+test('once fires a single time', () => {
+    const State = setup();
+    let count = 0;
+    State.once('hover', () => count++);
+
+    State.emit('hover', { index: 1 });
+    State.emit('hover', { index: 2 });
+    assert.equal(count, 1);
+});
+
+test('once unsubscribe keeps an on() registration of the same callback', () => {
+    const State = setup();
+    const seen = [];
+    const fn = payload => seen.push(payload.index);
+
+    State.on('selection', fn);
+    const cancel = State.once('selection', fn);
+    cancel();
+    State.emit('selection', { index: 1 });
+    State.emit('selection', { index: 2 });
+    assert.deepEqual(plain(seen), [1, 2]);
+
+    // A fired once() leaves the persistent registration too
+    State.once('selection', fn);
+    State.emit('selection', { index: 3 });
+    State.emit('selection', { index: 4 });
+    assert.deepEqual(plain(seen), [1, 2, 3, 3, 4]);
+});
+
+test('off removes one registration per call; without a callback it clears the event', () => {
+    const State = setup();
+    let count = 0;
+    const fn = () => count++;
+
+    State.on('span', fn);
+    State.on('span', fn);
+    State.off('span', fn);
+    State.emit('span', {});
+    assert.equal(count, 1);
+
+    State.on('span', () => count++);
+    State.off('span');
+    State.emit('span', {});
+    assert.equal(count, 1);
+});
+
+test('wildcard listeners get the event name after the named listeners', () => {
+    const State = setup();
+    const order = [];
+    State.on('*', (event, payload) => order.push(['*', event, payload.index]));
+    State.on('highlight', payload => order.push(['highlight', payload.index]));
+
+    State.emit('highlight', { index: 2 });
+    const stop = State.once('*', event => order.push(['once', event]));
+    State.emit('mode', { index: -1 });
+    State.emit('mode', { index: -1 });
+    stop();
+
+    assert.deepEqual(plain(order), [
+        ['highlight', 2], ['*', 'highlight', 2],
+        ['*', 'mode', -1], ['once', 'mode'],
+        ['*', 'mode', -1]
+    ]);
+});
+
+test('notify runs legacy subscribers before named listeners; errors do not stop dispatch', () => {
+    const State = setup();
+    const order = [];
+    const stop = State.subscribe((event, state, payload) => {
+        order.push(['subscribe', event, state === State, payload.index]);
+    });
+    State.on('highlight', () => { throw new Error('boom'); });
+    State.on('highlight', payload => order.push(['on', payload.index]));
+    State.on('*', event => order.push(['*', event]));
+
+    State.notify('highlight', { index: 1 });
+    stop();
+    State.notify('highlight', { index: 2 });
+
+    assert.deepEqual(plain(order), [
+        ['subscribe', 'highlight', true, 1], ['on', 1], ['*', 'highlight'],
+        ['on', 2], ['*', 'highlight']
+    ]);
+});
+
+test('listeners added or removed during emit do not affect the current dispatch', () => {
+    const State = setup();
+    const calls = [];
+    const late = () => calls.push('late');
+    const second = () => calls.push('second');
+
+    State.on('group', () => {
+        calls.push('first');
+        State.off('group', second);
+        State.on('group', late);
+    });
+    State.on('group', second);
+
+    State.emit('group', {});
+    State.emit('group', {});
+    assert.deepEqual(calls, ['first', 'second', 'first', 'late']);
+});
+
+test('selectMany replaces or extends the selection and notifies once', () => {
+    const State = setup();
+    const events = [];
+    State.on('selection', payload => events.push(plain(payload)));
+
+    State.setSelection(4);
+    State.selectMany([1, 2, -1]);
+    assert.deepEqual(plain(State.getSelection()), [1, 2]);
+    assert.equal(State.selectedIndex, 2);
+
+    State.selectMany([0], true);
+    assert.deepEqual(plain(State.getSelection()), [0, 1, 2]);
+    assert.equal(State.selectedIndex, 0);
+
+    // An empty additive box keeps everything, an empty plain box clears
+    State.selectMany([], true);
+    assert.deepEqual(plain(State.getSelection()), [0, 1, 2]);
+    State.selectMany([]);
+    assert.deepEqual(plain(State.getSelection()), []);
+    assert.equal(State.selectedIndex, -1);
+
+    assert.deepEqual(events.slice(1, 3), [
+        { index: 2, previous: 4, indices: [1, 2] },
+        { index: 0, previous: 2, indices: [0, 1, 2] }
+    ]);
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, createContext2D } = require('./harness');
+
+const PATH_CALLS = new Set(['moveTo', 'lineTo', 'arc', 'arcTo', 'rect', 'closePath']);
+
+function setup() {
+    const win = createViewer();
+    const fixtures = win.Dts.MockFixtures.clone();
+    win.Beam.State.init(fixtures.groupData);
+    return { win, State: win.Beam.State, Renderer: win.Beam.Renderer, group: win.Beam.State.currentGroup };
+}
+
+/**
+ * Export a view as SVG and draw the same view on a recording canvas context
+ */
+function exportBoth(win, options = {}) {
+    const Renderer = win.Beam.Renderer;
+    const group = options.group || win.Beam.State.currentGroup;
+    const svg = Renderer.exportSVG(options);
+
+    const ctx = createContext2D(null);
+    const layout = Renderer._calculateLayout(group.Spans, Renderer.config.MAX_CANVAS_WIDTH, group);
+    Renderer.drawExport(ctx, group.Spans, layout, Renderer.createExportView(options));
+    return { svg, ctx };
+}
+
+/**
+ * What the canvas drawing should turn into: text, rect and path elements
+ * (texts sorted: layers regroup the drawing order)
+ */
+function expectedElements(ctx) {
+    const shapes = { texts: ctx.getTexts().sort(), rects: 0, paths: 0 };
+    let pathLength = 0;
+    ctx.getCalls().forEach(({ name }) => {
+        if (name === 'beginPath') pathLength = 0;
+        else if (PATH_CALLS.has(name)) pathLength++;
+        else if (name === 'fillRect' || name === 'strokeRect') shapes.rects++;
+        else if ((name === 'fill' || name === 'stroke') && pathLength > 0) shapes.paths++;
+    });
+    return shapes;
+}
+
+function svgElements(svg) {
+    const unescape = text => text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    return {
+        texts: Array.from(svg.matchAll(/<text [^>]*>([^<]*)<\/text>/g), m => unescape(m[1])).sort(),
+        rects: (svg.match(/^ {2}<rect /gm) || []).length,
+        paths: (svg.match(/<path /g) || []).length
+    };
+}
+
+const CASES = [
+    ['elevation, fit layout, summary labels', () => { }],
+    ['elevation, detailed labels', ({ State }) => State.setLabelMode('detailed')],
+    ['elevation, true scale with dimension chains', ({ State }) => State.setLayoutMode('scale')],
+    ['elevation, shear mode', ({ State }) => State.setCanvasMode('shear')],
+    ['elevation, envelope strips', ({ State }) => State.setShowEnvelope(true)],
+    ['section at mid span of S2', () => ({ view: 'section', spanIndex: 1, position: 'M' })],
+    ['section at the left support of S1', () => ({ view: 'section', spanIndex: 0, position: 'L' })],
+    ['single span group', ({ group }) => ({
+        group: Object.assign({}, group, { Spans: group.Spans.slice(0, 1), Supports: group.Supports.slice(0, 2) })
+    })]
+];
+
+CASES.forEach(([name, prepare]) => {
+    test(`fixture ${name}: SVG holds the same texts and shapes as the canvas drawing`, () => {
+        const env = setup();
+        const options = prepare(env) || {};
+        const { svg, ctx } = exportBoth(env.win, options);
+
+        assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+        assert.deepEqual(svgElements(svg), expectedElements(ctx));
+        assert.ok(svgElements(svg).texts.length > 0);
+
+        // Layers keep the SVG_LAYERS order and every element sits in one
+        const layers = Array.from(svg.matchAll(/<g id="([^"]+)"/g), m => m[1]);
+        const order = Array.from(env.Renderer.SVG_LAYERS).filter(layer => layers.includes(layer));
+        assert.deepEqual(layers.filter(layer => env.Renderer.SVG_LAYERS.includes(layer)), order);
+        assert.equal((svg.match(/<g /g) || []).length, (svg.match(/<\/g>/g) || []).length);
+
+        // Same fixture, same document
+        assert.equal(env.Renderer.exportSVG(options), svg);
+    });
+});
+
+test('elevation SVG names every span and, at true scale, the grids and overall length', () => {
+    const { win, State, group } = setup();
+    const texts = svgElements(win.Beam.Renderer.exportSVG()).texts;
+    group.Spans.forEach(span => assert.ok(texts.some(t => t.includes(span.SpanId)), span.SpanId));
+
+    State.setLayoutMode('scale');
+    const scaled = svgElements(win.Beam.Renderer.exportSVG()).texts;
+    ['1', '2', '3', '4', '18400'].forEach(t => assert.ok(scaled.includes(t), t));
+});
+
+test('SvgContext: transforms, dashes, alpha, arcs and escaping', () => {
+    const { win } = setup();
+    const ctx = win.Dts.SvgContext.create(100, 50, { layers: ['a', 'b'], measureText: text => text.length * 5 });
+
+    ctx.setLayer('b');
+    ctx.save();
+    ctx.translate(10, 5);
+    ctx.scale(2, 2);
+    ctx.globalAlpha = 0.5;
+    ctx.setLineDash([4, 2]);
+    ctx.strokeStyle = '#ff0000';
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(5, 0);
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.setLayer('a');
+    ctx.beginPath();
+    ctx.arc(20, 20, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillText('A < B & "C"', 1, 2);
+    ctx.beginPath();
+    ctx.stroke();
+
+    assert.equal(ctx.measureText('abcd').width, 20);
+    assert.deepEqual(Array.from(ctx.getLayers()), ['a', 'b']);
+    const svg = ctx.toSVG({ background: '#fff' });
+    assert.match(svg, /viewBox="0 0 100 50"/);
+    assert.ok(svg.includes('<path d="M0 0 L5 0" fill="none" stroke="#ff0000" stroke-width="1" stroke-dasharray="4 2" opacity="0.5" transform="matrix(2 0 0 2 10 5)"/>'));
+    assert.match(svg, /<path d="M25 20 A5 5 0 1 1 15 20 A5 5 0 1 1 25 20"/);
+    assert.match(svg, />A &lt; B &amp; &quot;C&quot;<\/text>/);
+    assert.ok(svg.indexOf('<g id="a"') < svg.indexOf('<g id="b"'));
+    assert.equal((svg.match(/<path /g) || []).length, 2, 'an empty path draws nothing');
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer } = require('./harness');
+
+function setup() {
+    const win = createViewer();
+    const fixtures = win.Dts.MockFixtures.clone();
+    win.Beam.State.init(fixtures.groupData);
+    return { win, Table: win.Beam.Table, State: win.Beam.State };
+}
+
+/**
+ * C# string[8,6] layout: [layer][position], positions 0/2/4 = L/M/R
+ */
+function legacy(...layers) {
+    const table = Array.from({ length: 8 }, () => ['', '', '', '', '', '']);
+    layers.forEach((layer, i) => { table[i] = layer; });
+    return table;
+}
+
+test('legacy rebar: first filled value of each layer, joined with +', () => {
+    const { Table } = setup();
+    const top = legacy(
+        ['2D20', '', '2D20', '', '2D20', ''],
+        ['', '', '', '', '2D18', ''],
+        ['-', '', '1D16', '', '', '']
+    );
+    assert.equal(Table._getLegacyRebarString(top), '2D20 + 2D18 + 1D16');
+});
+
+test('legacy rebar: empty or missing tables', () => {
+    const { Table } = setup();
+    assert.equal(Table._getLegacyRebarString(legacy()), null);
+    assert.equal(Table._getLegacyRebarString(null), null);
+    assert.equal(Table._getLegacyRebarString('2D20'), null);
+    assert.equal(Table._getLegacyRebarString([null, ['', '3D22']]), '3D22');
+});
+
+test('top/bot labels fall back to the legacy arrays without RebarInfo', () => {
+    const { Table } = setup();
+    const span = {
+        TopRebar: legacy(['2D22', '', '2D22', '', '2D22', ''], ['2D20', '', '', '', '', '']),
+        BotRebar: legacy(['3D18', '', '3D18', '', '3D18', ''])
+    };
+    assert.equal(Table._getTopRebarLabel(span), '2D22 + 2D20');
+    assert.equal(Table._getBotRebarLabel(span), '3D18');
+    assert.equal(Table._getTopRebarLabel({}), '-');
+});
+
+test('RebarInfo wins over the legacy arrays', () => {
+    const { Table } = setup();
+    const span = {
+        TopBackbone: { Count: 2, Diameter: 20 },
+        TopAddLeft: { Count: 2, Diameter: 18 },
+        TopAddRight: { Count: 3, Diameter: 16 },
+        TopRebar: legacy(['9D9', '', '', '', '', ''])
+    };
+    assert.equal(Table._getTopRebarLabel(span), '2D20+3D16');
+});
+
+test('summary label: backbone plus the addon with most bars', () => {
+    const { Table } = setup();
+    const backbone = { Count: 2, Diameter: 20 };
+    assert.equal(Table._getMergedLabel(backbone), '2D20');
+    assert.equal(Table._getMergedLabel(backbone, null, { Count: 2, Diameter: 16 }, null), '2D20+2D16');
+    assert.equal(Table._getMergedLabel(backbone, { Count: 2, Diameter: 25 }, { Count: 2, Diameter: 16 }), '2D20+2D25');
+    assert.equal(Table._getMergedLabel({ Count: 0, Diameter: 20 }), '-');
+    assert.equal(Table._getMergedLabel(null), '-');
+});
+
+test('DisplayString overrides Count/Diameter', () => {
+    const { Table } = setup();
+    assert.equal(
+        Table._getMergedLabel({ Count: 2, Diameter: 20, DisplayString: '2D20 (L1)' }, { Count: 1, Diameter: 18, DisplayString: '1D18*' }),
+        '2D20 (L1)+1D18*'
+    );
+});
+
+test('detailed label mode lists every addon with its zone', () => {
+    const { Table, State } = setup();
+    State.setLabelMode('detailed');
+    const label = Table._getMergedLabel(
+        { Count: 2, Diameter: 20 },
+        { Count: 2, Diameter: 18 }, null, { Count: 3, Diameter: 16 }
+    );
+    assert.equal(label, '2D20 + L:2D18 R:3D16');
+    assert.equal(Table._getMergedLabel({ Count: 2, Diameter: 20 }), '2D20');
+});
+
+test('stirrup label: one value when zones agree, else L / M / R', () => {
+    const { Table } = setup();
+    assert.equal(Table._getStirrupLabel({ Stirrup: ['D8a150', 'D8a150', 'D8a150'] }), 'D8a150');
+    assert.equal(Table._getStirrupLabel({ Stirrup: ['D8a100', 'D8a200', 'D8a100'] }), 'D8a100 / D8a200 / D8a100');
+    assert.equal(Table._getStirrupLabel({ Stirrup: ['', 'D10a200', '-'] }), 'D10a200');
+    assert.equal(Table._getStirrupLabel({ Stirrup: ['', '', ''] }), '-');
+    assert.equal(Table._getStirrupLabel({ Stirrup: 'D8a100' }), '-');
+    assert.equal(Table._getStirrupLabel({}), '-');
+});
+
+test('render writes one row per span of the current group', () => {
+    const { win, Table, State } = setup();
+    Table.render();
+    const html = win.document.getElementById('spanTableBody').innerHTML;
+
+    const rows = html.match(/data-span-index="\d+"/g) || [];
+    assert.equal(rows.length, State.currentGroup.Spans.length);
+    assert.match(html, /6\.00m/);
+    assert.match(html, /300×600/);
+    assert.match(html, /2D20\+2D18/);
+    assert.match(html, /D8a100 \/ D8a200 \/ D8a100/);
+});
+
+test('render shows the empty message without spans', () => {
+    const { win, Table, State } = setup();
+    State.currentGroup = { Spans: [] };
+    Table.render();
+    assert.match(win.document.getElementById('spanTableBody').innerHTML, /Không có dữ liệu/);
+});
+
+test('getSummary totals the span lengths', () => {
+    const { Table } = setup();
+    const summary = Table.getSummary();
+    assert.equal(summary.spanCount, 3);
+    assert.equal(summary.totalLength, 18);
+    assert.equal(summary.hasManualEdits, false);
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, plain, CORE_MODULES, BEAM_MODULES, MOCK_MODULES } = require('./harness');
+
+const near = (actual, expected, msg) =>
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${msg || ''} expected ${expected}, got ${actual}`);
+
+function setup(mutate) {
+    const win = createViewer();
+    const fixtures = win.Dts.MockFixtures.clone();
+    if (mutate) mutate(fixtures.groupData);
+    win.Beam.State.init(fixtures.groupData);
+    return { win, Takeoff: win.Beam.Takeoff, group: win.Beam.State.currentGroup };
+}
+
+const find = (items, category, position, zone) =>
+    items.find(i => i.category === category && i.position === position && (zone === undefined || i.zone === zone));
+
+test('anchorage, splice and hook lengths follow AnchorageConfig', () => {
+    const { win, Takeoff } = setup();
+    const cfg = win.Beam.State.settings.Anchorage;
+
+    // ByFactor: table value x d
+    assert.equal(Takeoff.getAnchorageLength(20), 900);
+    assert.equal(Takeoff.getSpliceLength(20), 1170);
+    // No hook table: max(d x factor, minimum)
+    assert.equal(Takeoff.getHookLength(8, 135), 75);
+    assert.equal(Takeoff.getHookLength(20, 90), 240);
+
+    cfg.Mode = 1;
+    cfg.AnchorageValues.B25_CB400[20] = 1000;
+    assert.equal(Takeoff.getAnchorageLength(20), 1000);
+
+    // Unknown grades fall back to the default factors
+    const other = { concrete: 'B40', steel: 'CB500' };
+    assert.equal(Takeoff.getAnchorageLength(20, other), 800);
+    assert.equal(Takeoff.getSpliceLength(20, other), 1040);
+});
+
+test('grades: the group, then the project concrete grade, then the first configured one', () => {
+    const { win, Takeoff, group } = setup();
+    const settings = win.Beam.State.settings;
+    settings.Anchorage.ConcreteGrades = ['B20', 'B25', 'B30'];
+    assert.deepEqual(plain(Takeoff.getGrades()), { concrete: 'B25', steel: 'CB400' });
+
+    delete group.ConcreteGrade;
+    delete group.SteelGrade;
+    settings.ConcreteGradeName = 'B30';
+    assert.deepEqual(plain(Takeoff.getGrades()), { concrete: 'B30', steel: 'CB400' });
+
+    delete settings.ConcreteGradeName;
+    assert.equal(Takeoff.getGrades().concrete, 'B20');
+});
+
+test('backbone runs through the group: end anchorage and laps by span length', () => {
+    const { Takeoff, group } = setup();
+    // 18 m + 2 x 900 needs two stock bars of 11.7 m: one lap of 1170 shared 6/7/5
+    const first = find(Takeoff.spanItems(group, 0), 'backbone', 'top');
+    assert.equal(first.count, 2);
+    near(first.length, (6000 + 900 + 1170 * 6 / 18) / 1000);
+
+    const middle = find(Takeoff.spanItems(group, 1), 'backbone', 'bot');
+    near(middle.length, (7000 + 1170 * 7 / 18) / 1000);
+
+    const side = find(Takeoff.spanItems(group, 2), 'side', 'side');
+    assert.equal(side.diameter, 12);
+    near(side.length, (5000 + 12 * 45 + 12 * 58.5 * 5 / 18) / 1000);
+});
+
+test('addons: cut-off to cut-off, plus anchorage at group ends', () => {
+    const { Takeoff, group } = setup();
+    const items = Takeoff.spanItems(group, 0);
+
+    // S1 top L 2D18 at the group start: cut off at 2350 (see Beam.Curtailment) + 810 into the column
+    near(find(items, 'addon', 'top', 'AddLeft').length, (2350 + 810) / 1000);
+    // S1 top R 2D20 over an inner support: from 3250 to the support axis
+    near(find(items, 'addon', 'top', 'AddRight').length, (6000 - 3250) / 1000);
+    // S1 bot M 2D16, both ends cut in the span
+    near(find(items, 'addon', 'bot', 'AddMid').length, (4450 - 1450) / 1000);
+});
+
+test('stirrups per zone over the clear span with two 135° hooks', () => {
+    const { win, Takeoff, group } = setup();
+    const stirrups = Takeoff.spanItems(group, 0).filter(i => i.category === 'stirrup');
+    assert.deepEqual(Array.from(stirrups, s => s.zone), ['L', 'M', 'R']);
+
+    // Clear 5.6 m: L zone 1.4 m at a100 -> 15 sets of 1568 + 2 x 75
+    const left = stirrups[0];
+    assert.equal(left.count, 15);
+    near(left.length, 1.718);
+    near(left.weight, 15 * 1.718 * win.Dts.Rebar.unitWeight(8));
+    // M zone 2.8 m at a200 -> 15 sets
+    assert.equal(stirrups[1].count, 15);
+});
+
+test('stirrup zones do not need BeamCheck.js', () => {
+    const modules = [...CORE_MODULES, ...BEAM_MODULES.filter(m => m !== 'beam/BeamCheck.js'), ...MOCK_MODULES];
+    const win = createViewer({ modules });
+    win.Beam.State.init(win.Dts.MockFixtures.clone().groupData);
+    const group = win.Beam.State.currentGroup;
+    const stirrups = win.Beam.Takeoff.spanItems(group, 0).filter(i => i.category === 'stirrup');
+    assert.deepEqual(Array.from(stirrups, s => s.zone), ['L', 'M', 'R']);
+});
+
+test('totals per span, group, story and project add up', () => {
+    const { Takeoff, group } = setup(data => {
+        const copy = JSON.parse(JSON.stringify(data.groups[0]));
+        copy.Name = copy.GroupName = 'G301';
+        copy.StoryName = 'L3';
+        data.groups.push(copy);
+    });
+
+    const g = Takeoff.group(group);
+    assert.equal(g.spans.length, 3);
+    near(g.weight, g.spans.reduce((sum, s) => sum + s.weight, 0));
+    near(g.weight, Object.values(g.byCategory).reduce((sum, w) => sum + w, 0));
+    near(g.weight, Object.values(g.byDiameter).reduce((sum, d) => sum + d.weight, 0));
+    assert.deepEqual(Object.keys(g.byDiameter).map(Number).sort((a, b) => a - b), [8, 12, 16, 18, 20]);
+
+    const project = Takeoff.project();
+    assert.deepEqual(plain(project.stories.map(s => s.story)), ['L2', 'L3']);
+    near(project.stories[0].weight, g.weight);
+    near(project.weight, 2 * g.weight);
+});
+
+test('CSV lists every item and the totals by diameter', () => {
+    const { win, Takeoff } = setup();
+    const csv = Takeoff.toCSV();
+    const lines = csv.replace(/^﻿/, '').split('\r\n');
+
+    assert.ok(csv.startsWith('﻿'));
+    assert.match(lines[0], /^Tầng,Dầm,Nhịp,Loại,Vị trí,Đường kính,Số thanh/);
+    assert.ok(lines.includes('L2,G201,S1,Thép gia cường,AddLeft,D18,2,3.160,6.32,' +
+        (6.32 * win.Dts.Rebar.unitWeight(18)).toFixed(2)));
+    assert.ok(lines.some(l => /^,,,,,D8,,,/.test(l)));
+    assert.equal(lines[lines.length - 1], `Tổng cộng,,,,,,,,,${Takeoff.project().weight.toFixed(2)}`);
+});
+
+test('table summary carries the group steel weight', () => {
+    const { win, Takeoff, group } = setup();
+    near(win.Beam.Table.getSummary().steelWeight, Takeoff.group(group).weight);
+});
@@ -151,6 +151,9 @@ namespace DTS_Engine.UI.Forms
                 {
                     string html = reader.ReadToEnd();
 
+                    // NavigateToString has no base URL: inline core/ and beam/ modules
+                    html = WebResourceInliner.InlineScripts(html, assembly);
+
                     // Inject data with settings
                     // Force reload to get latest settings from file (fixes MaxLayers not updating)
                     DtsSettings.Reload();
@@ -251,7 +254,16 @@ namespace DTS_Engine.UI.Forms
                                 MaxLayers = settings.Beam?.MaxLayers ?? 2,
                                 MainBarRange = settings.Beam?.MainBarRange ?? "16-25",
                                 StirrupBarRange = settings.Beam?.StirrupBarRange ?? "8-10",
-                                SafetyFactor = settings.Rules?.SafetyFactor ?? 1.0
+                                CoverTop = settings.Beam?.CoverTop ?? 25,
+                                CoverBot = settings.Beam?.CoverBot ?? 25,
+                                CoverSide = settings.Beam?.CoverSide ?? 25,
+                                MinClearSpacing = settings.Beam?.MinClearSpacing ?? 30,
+                                SafetyFactor = settings.Rules?.SafetyFactor ?? 1.0,
+                                StandardBarLength = settings.Beam?.StandardBarLength ?? 11700,
+                                // Anchorage/splice/hook tables for the steel take-off (Beam.Takeoff)
+                                Anchorage = settings.Anchorage,
+                                // Author of lock/edit entries in the group audit log (Beam.Audit)
+                                UserName = Environment.UserName
                             }
                         };
 
@@ -596,9 +608,17 @@ namespace DTS_Engine.UI.Forms
             // === AUTO_NAME: Đặt tên tiết diện dầm tự động ===
             if (message.StartsWith("AUTO_NAME|"))
             {
+                // Format: AUTO_NAME|[handles] or AUTO_NAME|correlationId|[handles] (id is echoed in the reply)
+                string requestId = "";
                 try
                 {
                     string json = message.Substring(10);
+                    if (!json.StartsWith("["))
+                    {
+                        var parts = json.Split(new[] { '|' }, 2);
+                        requestId = parts[0];
+                        json = parts.Length > 1 ? parts[1] : "[]";
+                    }
                     var handles = JsonConvert.DeserializeObject<List<string>>(json) ?? new List<string>();
 
                     this.BeginInvoke(new Action(() =>
@@ -618,18 +638,18 @@ namespace DTS_Engine.UI.Forms
                                 tr.Commit();
                             }
 
-                            _webView.CoreWebView2.PostWebMessageAsString($"NAMING_DONE|{count}");
+                            _webView.CoreWebView2.PostWebMessageAsString($"NAMING_DONE|{requestId}|{count}");
                         }
                         catch (Exception ex)
                         {
                             System.Diagnostics.Debug.WriteLine($"[AUTO_NAME] Error: {ex.Message}");
-                            _webView.CoreWebView2.PostWebMessageAsString($"NAMING_ERROR|{ex.Message}");
+                            _webView.CoreWebView2.PostWebMessageAsString($"NAMING_ERROR|{requestId}|{ex.Message}");
                         }
                     }));
                 }
                 catch (Exception ex)
                 {
-                    _webView.CoreWebView2.PostWebMessageAsString($"NAMING_ERROR|{ex.Message}");
+                    _webView.CoreWebView2.PostWebMessageAsString($"NAMING_ERROR|{requestId}|{ex.Message}");
                 }
                 return;
             }
@@ -646,9 +666,15 @@ namespace DTS_Engine.UI.Forms
             {
                 try
                 {
-                    // Format: LOCK_DESIGN|groupIndex|lockedDesignJson
-                    var parts = message.Substring(12).Split(new[] { '|' }, 2);
-                    if (parts.Length >= 2 && int.TryParse(parts[0], out int groupIndex) &&
+                    // Format: LOCK_DESIGN|groupIndex|auditEntryJson|lockedDesignJson (entry and design optional)
+                    var parts = message.Substring(12).Split(new[] { '|' }, 3);
+                    if (int.TryParse(parts[0], out int lockIndex) && lockIndex >= 0 && lockIndex < _groups.Count)
+                    {
+                        var entry = ReadAuditEntry(parts.Length >= 2 ? parts[1] : null);
+                        if (entry != null) _groups[lockIndex].LockedBy = entry.User;
+                    }
+
+                    if (parts.Length >= 3 && !string.IsNullOrEmpty(parts[2]) && int.TryParse(parts[0], out int groupIndex) &&
                         groupIndex >= 0 && groupIndex < _groups.Count)
                     {
                         var group = _groups[groupIndex];
@@ -661,7 +687,7 @@ namespace DTS_Engine.UI.Forms
                         };
 
                         // Parse as JObject first to extract _capturedSpans
-                        var jObj = Newtonsoft.Json.Linq.JObject.Parse(parts[1]);
+                        var jObj = Newtonsoft.Json.Linq.JObject.Parse(parts[2]);
 
                         // Deserialize the main design
                         var design = jObj.ToObject<ContinuousBeamSolution>(JsonSerializer.Create(jsonSettings));
@@ -852,13 +878,16 @@ namespace DTS_Engine.UI.Forms
             {
                 try
                 {
-                    string idxStr = message.Substring(14);
-                    if (int.TryParse(idxStr, out int groupIndex) && groupIndex >= 0 && groupIndex < _groups.Count)
+                    // Format: UNLOCK_DESIGN|groupIndex|auditEntryJson (entry optional)
+                    var parts = message.Substring(14).Split(new[] { '|' }, 2);
+                    if (int.TryParse(parts[0], out int groupIndex) && groupIndex >= 0 && groupIndex < _groups.Count)
                     {
                         var group = _groups[groupIndex];
+
                         // Clear SelectedDesign
                         group.SelectedDesign = null;
                         group.LockedAt = null;
+                        group.LockedBy = null;
                         System.Diagnostics.Debug.WriteLine($"[BeamGroupViewer] Design unlocked for group {groupIndex}");
 
                         // V6.0: Persist IsLocked=false to XData
@@ -945,6 +974,27 @@ namespace DTS_Engine.UI.Forms
                 catch { }
                 return;
             }
+
+            // Sheet export: SAVE_IMAGE|{"FileName": "...png", "DataUrl": "data:image/png;base64,..."}
+            if (message.StartsWith("SAVE_IMAGE|"))
+            {
+                try
+                {
+                    string json = message.Substring(11);
+                    var payload = JsonConvert.DeserializeObject<dynamic>(json);
+                    string fileName = (string)payload?.FileName ?? "BeamSheet.png";
+                    string dataUrl = (string)payload?.DataUrl;
+                    if (!string.IsNullOrEmpty(dataUrl))
+                    {
+                        this.BeginInvoke(new Action(() => HandleSaveImage(fileName, dataUrl)));
+                    }
+                }
+                catch (Exception ex)
+                {
+                    System.Diagnostics.Debug.WriteLine($"[SAVE_IMAGE] Error: {ex.Message}");
+                }
+                return;
+            }
         }
 
         private async Task RunQuickCalcAndRefreshAsync(int groupIndex)
@@ -1535,6 +1585,24 @@ namespace DTS_Engine.UI.Forms
             if (arr != null && arr.Length > 0) Array.Reverse(arr);
         }
 
+        /// <summary>
+        /// Đọc entry nhật ký chốt/mở chốt (Beam.Audit) gửi kèm LOCK_DESIGN / UNLOCK_DESIGN.
+        /// Viewer là nơi duy nhất ghi group.AuditLog (lưu qua SAVE); host chỉ lấy người chốt từ entry.
+        /// </summary>
+        private static DesignAuditEntry ReadAuditEntry(string entryJson)
+        {
+            if (string.IsNullOrEmpty(entryJson)) return null;
+            try
+            {
+                return JsonConvert.DeserializeObject<DesignAuditEntry>(entryJson);
+            }
+            catch (JsonException ex)
+            {
+                System.Diagnostics.Debug.WriteLine($"[BeamGroupViewer] Audit entry parse error: {ex.Message}");
+                return null;
+            }
+        }
+
         private static void ApplySolutionToSpanData(BeamGroup group, ContinuousBeamSolution sol)
         {
             if (group?.Spans == null || sol == null) return;
@@ -1867,6 +1935,35 @@ namespace DTS_Engine.UI.Forms
             }
         }
 
+        private void HandleSaveImage(string fileName, string dataUrl)
+        {
+            try
+            {
+                int comma = dataUrl.IndexOf(',');
+                byte[] bytes = Convert.FromBase64String(comma >= 0 ? dataUrl.Substring(comma + 1) : dataUrl);
+
+                using (var sfd = new SaveFileDialog())
+                {
+                    sfd.Title = "Export Beam Sheet";
+                    sfd.Filter = "PNG Image (*.png)|*.png";
+                    sfd.FileName = fileName;
+                    sfd.InitialDirectory = Environment.GetFolderPath(Environment.SpecialFolder.Desktop);
+
+                    if (sfd.ShowDialog(this) == DialogResult.OK)
+                    {
+                        File.WriteAllBytes(sfd.FileName, bytes);
+                        MessageBox.Show($"Đã xuất bản vẽ:\n{sfd.FileName}", "Export thành công",
+                            MessageBoxButtons.OK, MessageBoxIcon.Information);
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                MessageBox.Show("Lỗi xuất ảnh: " + ex.Message, "Error",
+                    MessageBoxButtons.OK, MessageBoxIcon.Warning);
+            }
+        }
+
         private void HandleImport()
         {
             try
@@ -122,7 +122,8 @@ namespace DTS_Engine.UI.Forms
 
                 using (var reader = new StreamReader(stream))
                 {
-                    return reader.ReadToEnd();
+                    // NavigateToString không có base URL: nhúng core/DtsBridge.js, core/DtsRebar.js
+                    return WebResourceInliner.InlineScripts(reader.ReadToEnd(), assembly);
                 }
             }
         }
@@ -33,6 +33,188 @@
             }
         },
 
+        // Undo last span edit of the current group
+        undo() {
+            if (global.Beam?.State?.undo()) {
+                this.showToast('Đã hoàn tác', 'info');
+            }
+        },
+
+        // Redo last undone span edit of the current group
+        redo() {
+            if (global.Beam?.State?.redo()) {
+                this.showToast('Đã làm lại', 'info');
+            }
+        },
+
+        /**
+         * Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo (skipped while typing in inputs).
+         * Bound once per page, whichever init path calls it.
+         */
+        bindHistoryShortcuts() {
+            if (this._historyShortcutsBound) return;
+            this._historyShortcutsBound = true;
+
+            document.addEventListener('keydown', (e) => {
+                if (e.target?.tagName === 'INPUT' || e.target?.tagName === 'TEXTAREA') return;
+                if (!e.ctrlKey) return;
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                    e.preventDefault();
+                    this.redo();
+                }
+            });
+        },
+
+        // View toggles by plain key (no modifier, not while typing)
+        VIEW_SHORTCUTS: {
+            l: 'toggleLabelMode',
+            t: 'toggleLayoutMode'
+        },
+
+        /**
+         * Single-key view toggles from VIEW_SHORTCUTS. Bound once per page.
+         */
+        bindViewShortcuts() {
+            if (this._viewShortcutsBound) return;
+            this._viewShortcutsBound = true;
+
+            document.addEventListener('keydown', (e) => {
+                if (e.ctrlKey || e.altKey || e.metaKey) return;
+                const tag = e.target?.tagName;
+                if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target?.isContentEditable) return;
+                const action = this.VIEW_SHORTCUTS[String(e.key).toLowerCase()];
+                if (!action) return;
+                e.preventDefault();
+                this[action]();
+            });
+        },
+
+        // Enable/disable toolbar undo/redo buttons from history state
+        updateHistoryButtons() {
+            const beamState = global.Beam?.State;
+            const undoBtn = document.getElementById('undoBtn');
+            const redoBtn = document.getElementById('redoBtn');
+            if (undoBtn) undoBtn.disabled = !beamState?.canUndo();
+            if (redoBtn) redoBtn.disabled = !beamState?.canRedo();
+        },
+
+        // Switch rebar labels between summary and per-zone detail
+        toggleLabelMode() {
+            const beamState = global.Beam?.State;
+            if (!beamState) return;
+            beamState.setLabelMode(beamState.labelMode === 'detailed' ? 'summary' : 'detailed');
+            this.showToast(beamState.labelMode === 'detailed' ? 'Nhãn thép: chi tiết' : 'Nhãn thép: tóm tắt', 'info');
+        },
+
+        // Switch long view between fit-to-width and true scale, then fit the view
+        toggleLayoutMode() {
+            const beamState = global.Beam?.State;
+            if (!beamState) return;
+            beamState.setLayoutMode(beamState.layoutMode === 'scale' ? 'fit' : 'scale');
+            this.showToast(beamState.layoutMode === 'scale' ? 'Bố trí: đúng tỉ lệ' : 'Bố trí: vừa khung', 'info');
+        },
+
+        // Show/hide the As and shear demand/capacity strips under the long view
+        toggleEnvelope() {
+            const beamState = global.Beam?.State;
+            if (!beamState) return;
+            beamState.setShowEnvelope(!beamState.showEnvelope);
+            const button = document.getElementById('envelopeBtn');
+            button?.classList.toggle('bg-blue-600', beamState.showEnvelope);
+            button?.classList.toggle('bg-slate-700', !beamState.showEnvelope);
+            this.showToast(beamState.showEnvelope ? 'Biểu đồ bao: hiện' : 'Biểu đồ bao: ẩn', 'info');
+        },
+
+        // Rerun the As check and show "N nhịp thiếu thép" on the deficit badge (hidden when all pass)
+        updateDeficitBadge() {
+            const results = global.Beam?.Check?.run();
+            const badge = document.getElementById('deficitBadge');
+            if (!results || !badge) return results || null;
+
+            const count = results.deficitSpans.length;
+            badge.classList.toggle('hidden', count === 0);
+            badge.textContent = `⚠ ${count} nhịp thiếu thép`;
+            badge.title = `${results.deficitCount} vị trí As_prov < As_req. Click để chuyển tới nhịp tiếp theo.`;
+            return results;
+        },
+
+        // Select and scroll to the next span with an As deficit (wraps around)
+        gotoNextDeficit() {
+            const beamState = global.Beam?.State;
+            const next = global.Beam?.Check?.nextDeficitSpan(beamState?.highlightedSpanIndex ?? -1) ?? -1;
+            if (next < 0) {
+                this.showToast('Không có nhịp thiếu thép', 'success');
+                return -1;
+            }
+
+            global.Beam?.Renderer?.scrollToSpan(next);
+            this.selectSpan(next);
+            return next;
+        },
+
+        // Pick a span: plain = single, Shift = add, Ctrl = toggle, miss = clear
+        selectSpan(index, modifiers = {}) {
+            const state = global.Dts?.State;
+            const beamState = global.Beam?.State;
+            if (!state || !beamState) return;
+
+            if (modifiers.ctrlKey) {
+                state.toggleSelection(index);
+            } else if (modifiers.shiftKey) {
+                state.addToSelection(index);
+            } else if (index >= 0) {
+                state.setSelection(index);
+            } else {
+                state.clearSelection();
+            }
+
+            // Primary selection drives the single-span highlight
+            beamState.highlightSpan(state.selectedIndex);
+        },
+
+        // Spans targeted by batch edits: selection set, else highlighted span
+        getTargetSpanIndices() {
+            const selected = global.Dts?.State?.getSelection() || [];
+            if (selected.length > 0) return selected;
+            const highlighted = global.Beam?.State?.highlightedSpanIndex ?? -1;
+            return highlighted >= 0 ? [highlighted] : [];
+        },
+
+        // Batch edit: same stirrup on every target span (one undo step)
+        applyStirrupToSelection(pos, value) {
+            return this._applyToSelection('Stirrup', (beamState, i) => beamState.updateStirrup(i, pos, value));
+        },
+
+        // Batch edit: same side bar on every target span (one undo step)
+        applySideBarToSelection(value) {
+            return this._applyToSelection('SideBar', (beamState, i) => beamState.updateSideBar(i, value));
+        },
+
+        // Batch edit: same addon rebar on every target span (one undo step)
+        applyRebarToSelection(position, zone, info) {
+            return this._applyToSelection(`${position}${zone}`, (beamState, i) => beamState.updateRebar(i, position, zone, info));
+        },
+
+        _applyToSelection(name, edit) {
+            const beamState = global.Beam?.State;
+            const indices = this.getTargetSpanIndices();
+            if (!beamState || indices.length === 0) {
+                this.showToast('Chưa chọn nhịp nào', 'warning');
+                return 0;
+            }
+
+            let count = 0;
+            beamState.batch(name, () => {
+                indices.forEach(i => { if (edit(beamState, i)) count++; });
+            });
+            if (count > 0) this.showToast(`Đã áp dụng cho ${count} nhịp`, 'success');
+            return count;
+        },
+
         // Trigger full data package save
         save() {
             if (global.doSave) {
@@ -42,8 +224,108 @@
             }
         },
 
-        // Helper to send messages to C# host
+        // Download the elevation ('elevation') or selected span section ('section') as SVG
+        exportSVG(view = 'elevation') {
+            const beamState = global.Beam?.State;
+            const svg = global.Beam?.Renderer?.exportSVG({ view });
+            if (!svg) {
+                this.showToast('Không có dữ liệu để xuất', 'warning');
+                return null;
+            }
+
+            const groupName = beamState?.currentGroup?.Name || 'beam';
+            const suffix = view === 'section' ? `_section_${beamState?.sectionPosition || 'M'}` : '';
+            this.downloadFile(`${groupName}${suffix}.svg`, svg, 'image/svg+xml');
+            this.showToast('Đã xuất SVG', 'success');
+            return svg;
+        },
+
+        // Render the current group as a PNG sheet (scale 1:N, DPI) and hand it to the host for saving
+        exportSheet(options = {}) {
+            const beamState = global.Beam?.State;
+            const dataUrl = global.Beam?.Sheet?.toDataURL(options);
+            if (!dataUrl) {
+                this.showToast('Không có dữ liệu để xuất', 'warning');
+                return null;
+            }
+
+            const scale = options.scale || global.Beam.Sheet.config.DEFAULT_SCALE;
+            const fileName = `${beamState?.currentGroup?.Name || 'beam'}_1-${scale}.png`;
+            // The host saves it; without a host (browser preview) it is downloaded
+            if (!global.Dts?.Bridge?.send('SAVE_IMAGE', { FileName: fileName, DataUrl: dataUrl })) {
+                const a = document.createElement('a');
+                a.href = dataUrl;
+                a.download = fileName;
+                a.click();
+            }
+            return dataUrl;
+        },
+
+        // Download the steel take-off (BOQ) of all loaded groups as CSV
+        exportTakeoffCSV() {
+            const groups = global.Beam?.State?.groups || [];
+            if (groups.length === 0 || !global.Beam?.Takeoff) {
+                this.showToast('Không có dữ liệu để xuất', 'warning');
+                return null;
+            }
+
+            const csv = global.Beam.Takeoff.toCSV(groups);
+            this.downloadFile('thong_ke_thep.csv', csv, 'text/csv');
+            this.showToast('Đã xuất thống kê thép', 'success');
+            return csv;
+        },
+
+        // Download the bar bending schedule of all loaded groups ('csv' | 'json')
+        exportSchedule(format = 'csv') {
+            const groups = global.Beam?.State?.groups || [];
+            if (groups.length === 0 || !global.Beam?.Schedule) {
+                this.showToast('Không có dữ liệu để xuất', 'warning');
+                return null;
+            }
+
+            const isJson = format === 'json';
+            const content = isJson ? global.Beam.Schedule.toJSON(groups) : global.Beam.Schedule.toCSV(groups);
+            this.downloadFile(`bang_thong_ke_cot_thep.${isJson ? 'json' : 'csv'}`, content, isJson ? 'application/json' : 'text/csv');
+            this.showToast('Đã xuất bảng thống kê cốt thép', 'success');
+            return content;
+        },
+
+        // Run the cutting optimiser with the scope and stock lengths of the panel
+        runCuttingOptimiser() {
+            const cutting = global.Beam?.Cutting;
+            if (!cutting) return null;
+
+            const stockInput = document.getElementById('stockLengths');
+            if (stockInput && !cutting.setStockLengths(stockInput.value)) {
+                this.showToast('Chiều dài cây thép không hợp lệ', 'warning');
+                return null;
+            }
+
+            const scope = document.getElementById('cuttingScope')?.value || 'group';
+            return cutting.run(scope).catch(err => {
+                this.showToast(`Lỗi tối ưu cắt thép: ${err.message}`, 'error');
+                return null;
+            });
+        },
+
+        // Save text content as a file through the browser download
+        downloadFile(fileName, content, mimeType = 'text/plain') {
+            const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName.replace(/[\\/:*?"<>|]/g, '_');
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            URL.revokeObjectURL(url);
+        },
+
+        // Helper to send messages to C# host (typed via Dts.Bridge when the type is registered)
         sendToHost(action, data) {
+            if (global.Dts?.Bridge?.MESSAGES[action]) {
+                return global.Dts.Bridge.send(action, data);
+            }
             if (window.chrome?.webview?.postMessage) {
                 const payload = (typeof data === 'string') ? data : JSON.stringify(data);
                 window.chrome.webview.postMessage(`${action}|${payload}`);
@@ -0,0 +1,169 @@
+/**
+ * BeamAudit.js - Design Lock Audit Trail
+ * Per-group log of lock, unlock, manual edit and auto-lock events in group.AuditLog,
+ * so reviewers can see why a design diverges from the calculator. The viewer owns
+ * the log: only this module appends to it, and it reaches the host with the group
+ * through SAVE. Lock/unlock entries also ride on LOCK_DESIGN / UNLOCK_DESIGN, where
+ * the host reads them (LockedBy) without adding them to its copy. Entries: { User, Timestamp (ISO), Action, OptionBefore, OptionAfter,
+ * SpanId, Field, Reason }.
+ * Option keys follow Beam.State.selectOption ('0', '1', ... | 'locked'), plus 'manual'
+ * once the bars were edited by hand.
+ */
+(function (global) {
+    'use strict';
+
+    const BeamAudit = {
+        config: {
+            MERGE_MS: 60000,    // Repeated edits of one span field by one user within this window share an entry
+            MAX_ROWS: 200       // Newest entries shown in the panel
+        },
+
+        ACTIONS: {
+            lock: 'Chốt',
+            unlock: 'Mở chốt',
+            autolock: 'Tự chốt khi sửa',
+            edit: 'Sửa tay'
+        },
+
+        /**
+         * Current user (host Windows account, see settings.UserName)
+         */
+        user() {
+            return global.Beam?.State?.settings?.UserName || 'unknown';
+        },
+
+        /**
+         * Option key the group currently shows
+         */
+        optionKey(group) {
+            if (!group) return null;
+            if (group.IsLocked) return 'locked';
+            if (group.IsManuallyEdited) return 'manual';
+            return String(group.SelectedBackboneIndex ?? 0);
+        },
+
+        /**
+         * Append an entry to the audit log of a group
+         * @param {string} action - 'lock' | 'unlock' | 'autolock' | 'edit'
+         * @param {{before, after, spanId, field, reason}} [details]
+         * @returns {object|null} The entry
+         */
+        record(group, action, details = {}) {
+            if (!group) return null;
+            return this.append(group, this.createEntry(action, details));
+        },
+
+        /**
+         * Entry for the current user and time, not yet in any log (see record)
+         */
+        createEntry(action, details = {}) {
+            return {
+                User: this.user(),
+                Timestamp: new Date().toISOString(),
+                Action: action,
+                OptionBefore: details.before ?? null,
+                OptionAfter: details.after ?? null,
+                SpanId: details.spanId ?? null,
+                Field: details.field ?? null,
+                Reason: details.reason ? String(details.reason).trim() || null : null
+            };
+        },
+
+        /**
+         * Append a createEntry result to the audit log of a group
+         * @returns {object} The entry
+         */
+        append(group, entry) {
+            if (!Array.isArray(group.AuditLog)) group.AuditLog = [];
+            group.AuditLog.push(entry);
+            this.render();
+            return entry;
+        },
+
+        /**
+         * Record a manual edit of one span. The first edit of an unlocked design also
+         * records the auto-lock (group becomes IsManuallyEdited).
+         * @returns {object|null} The edit entry
+         */
+        recordEdit(group, spanIndex, field) {
+            if (!group) return null;
+            const spanId = group.Spans?.[spanIndex]?.SpanId ?? null;
+            const before = this.optionKey(group);
+
+            if (!group.IsManuallyEdited && !group.IsLocked) {
+                group.IsManuallyEdited = true;
+                this.record(group, 'autolock', { before, after: 'manual', spanId, field });
+            }
+
+            // Typing into one cell produces a burst of edits: keep the latest only
+            const last = group.AuditLog?.[group.AuditLog.length - 1];
+            if (last && last.Action === 'edit' && last.User === this.user() && last.SpanId === spanId &&
+                last.Field === (field ?? null) && Date.now() - Date.parse(last.Timestamp) < this.config.MERGE_MS) {
+                last.Timestamp = new Date().toISOString();
+                last.OptionAfter = this.optionKey(group);
+                this.render();
+                return last;
+            }
+            return this.record(group, 'edit', { before, after: this.optionKey(group), spanId, field });
+        },
+
+        /**
+         * Log of a group, newest first
+         */
+        entries(group = global.Beam?.State?.currentGroup) {
+            return (group?.AuditLog || []).slice().reverse();
+        },
+
+        // ===== RENDERING =====
+
+        /**
+         * Log of the current group into #auditLogBody
+         */
+        render() {
+            const tbody = document.getElementById('auditLogBody');
+            if (!tbody) return;
+
+            const entries = this.entries().slice(0, this.config.MAX_ROWS);
+            if (entries.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="5" class="text-center text-slate-400 py-4">Chưa có thay đổi</td></tr>';
+                return;
+            }
+
+            tbody.innerHTML = entries.map(e => `
+                <tr class="border-t border-slate-100 align-top">
+                    <td class="px-2 py-1 text-slate-500">${this._formatTime(e.Timestamp)}</td>
+                    <td class="px-2 py-1">${this._escape(e.User)}</td>
+                    <td class="px-2 py-1 ${e.Action === 'lock' || e.Action === 'autolock' ? 'text-amber-600' : ''}">${this.ACTIONS[e.Action] || this._escape(e.Action)}${e.SpanId ? ` <span class="text-slate-500">${this._escape(e.SpanId)}${e.Field ? ' · ' + this._escape(e.Field) : ''}</span>` : ''}</td>
+                    <td class="px-2 py-1">${this._formatKey(e.OptionBefore)} → ${this._formatKey(e.OptionAfter)}</td>
+                    <td class="px-2 py-1 whitespace-normal">${e.Reason ? this._escape(e.Reason) : '<span class="text-slate-300">—</span>'}</td>
+                </tr>`).join('');
+        },
+
+        // ===== INTERNAL =====
+
+        _formatKey(key) {
+            if (key === null || key === undefined) return '-';
+            if (key === 'locked') return '🔒';
+            if (key === 'manual') return 'Sửa tay';
+            return `Opt${key}`;
+        },
+
+        _formatTime(timestamp) {
+            const d = new Date(timestamp);
+            if (isNaN(d.getTime())) return '-';
+            const pad = n => String(n).padStart(2, '0');
+            return `${pad(d.getDate())}/${pad(d.getMonth() + 1)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+        },
+
+        _escape(text) {
+            return String(text ?? '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Audit = BeamAudit;
+
+})(window);
@@ -0,0 +1,131 @@
+/**
+ * BeamCheck.js - As Provided vs Required
+ * Checks longitudinal steel of every span at the L / M / R stations.
+ * Provided area comes from RebarInfo (backbone + addon of the station),
+ * else from the legacy TopRebar/BotRebar tables (all layers, as getAsRatioResult).
+ * Utilisation = As_req x SafetyFactor / As_prov; > 100% is a deficit.
+ */
+(function (global) {
+    'use strict';
+
+    const BeamCheck = {
+        // As stations: index into As_Top/As_Bot and legacy rebar columns, addon zone, elevation extent
+        STATIONS: [
+            { name: 'L', index: 0, addon: 'AddLeft', start: 0, length: 0.25 },
+            { name: 'M', index: 2, addon: 'AddMid', start: 0.25, length: 0.5 },
+            { name: 'R', index: 4, addon: 'AddRight', start: 0.75, length: 0.25 }
+        ],
+
+        // Result of the last run() (current group)
+        results: null,
+
+        /**
+         * Check the current group and keep the result in this.results
+         * @returns {object} See checkGroup
+         */
+        run() {
+            this.results = this.checkGroup(global.Beam?.State?.currentGroup);
+            return this.results;
+        },
+
+        /**
+         * @returns {{spans: object[], deficitSpans: number[], deficitCount: number}}
+         *   deficitSpans = indices of failing spans, deficitCount = failing stations
+         */
+        checkGroup(group) {
+            const spans = (group?.Spans || []).map(span => this.checkSpan(span));
+            const deficitSpans = [];
+            spans.forEach((s, i) => { if (s.deficits > 0) deficitSpans.push(i); });
+            return {
+                spans,
+                deficitSpans,
+                deficitCount: spans.reduce((sum, s) => sum + s.deficits, 0)
+            };
+        },
+
+        /**
+         * @returns {{top: object[], bot: object[], deficits: number, maxUtilisation: number}}
+         *   top/bot = one checkStation result per STATIONS entry
+         */
+        checkSpan(span) {
+            const top = this.STATIONS.map(st => this.checkStation(span, 'top', st));
+            const bot = this.STATIONS.map(st => this.checkStation(span, 'bot', st));
+            const all = top.concat(bot);
+            return {
+                top,
+                bot,
+                deficits: all.filter(c => c.isDeficit).length,
+                maxUtilisation: Math.max(0, ...all.map(c => c.utilisation))
+            };
+        },
+
+        /**
+         * @param {object} span - Span data
+         * @param {string} position - 'top' | 'bot'
+         * @param {object} station - STATIONS entry
+         * @returns {{station: string, position: string, prov: number, req: number, utilisation: number, isDeficit: boolean}}
+         */
+        checkStation(span, position, station) {
+            const side = position === 'top' ? 'Top' : 'Bot';
+            const reqArr = span?.[`As_${side}`];
+            const req = Number(reqArr?.[station.index]) || 0;
+            const prov = this.getProvided(span, side, station);
+            return Object.assign({ station: station.name, position }, this.evaluate(req, prov));
+        },
+
+        /**
+         * Ratio and deficit flag for one station (also used by the legacy viewer labels)
+         * @param {number} req - As required (cm²)
+         * @param {number} prov - As provided (cm²)
+         * @param {number} [safetyFactor] - Default: Beam.State.settings.SafetyFactor
+         */
+        evaluate(req, prov, safetyFactor) {
+            const factor = safetyFactor || global.Beam?.State?.settings?.SafetyFactor || 1.0;
+            let utilisation = 0;
+            if (req > 0) utilisation = prov > 0 ? (req * factor) / prov : Infinity;
+            return { prov, req, utilisation, isDeficit: req > 0 && prov < req * factor };
+        },
+
+        /**
+         * Provided area at a station (cm²)
+         * @param {string} side - 'Top' | 'Bot'
+         */
+        getProvided(span, side, station) {
+            if (!span) return 0;
+            const rebar = global.Dts.Rebar;
+            const backbone = span[`${side}Backbone`];
+            const addon = span[`${side}${station.addon}`];
+
+            if (backbone || addon) {
+                return [backbone, addon].reduce((sum, info) =>
+                    sum + (info?.Count > 0 ? info.Count * rebar.barArea(info.Diameter || 0) : 0), 0);
+            }
+
+            const table = span[`${side}Rebar`];
+            if (!Array.isArray(table)) return 0;
+            return table.reduce((sum, layer) => sum + rebar.area(layer?.[station.index] || ''), 0);
+        },
+
+        /**
+         * Next failing span after fromIndex, wrapping around
+         * @returns {number} Span index, -1 without deficits
+         */
+        nextDeficitSpan(fromIndex = -1) {
+            const list = (this.results || this.run()).deficitSpans;
+            if (list.length === 0) return -1;
+            return list.find(i => i > fromIndex) ?? list[0];
+        },
+
+        /**
+         * "85%", or "∞" when steel is required but none is provided
+         */
+        formatUtilisation(utilisation) {
+            if (!Number.isFinite(utilisation)) return '∞';
+            return `${Math.round(utilisation * 100)}%`;
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Check = BeamCheck;
+
+})(window);
@@ -0,0 +1,169 @@
+/**
+ * BeamCurtailment.js - Cut-off Positions of Addon Bars
+ * The required area of a face is interpolated linearly between five stations
+ * (support faces, quarter points, midspan) from As_Top/As_Bot. An addon is needed
+ * where As_req x SafetyFactor exceeds the backbone; its bar runs past those
+ * theoretical points by the anchorage length la and stops at the support axis.
+ * Without As data, or when the envelope never exceeds the backbone in the zone,
+ * the fixed zone fractions of Beam.Renderer stand in for the theoretical extent.
+ * Distances are in mm from the left support axis of the span.
+ */
+(function (global) {
+    'use strict';
+
+    // Envelope stations: fraction of span length and the As_Top/As_Bot entries read there
+    // (the host fills six entries as L, L, M, M, R, R; the middle pair is one station)
+    const STATIONS = [
+        { at: 0, indices: [0] },
+        { at: 0.25, indices: [1] },
+        { at: 0.5, indices: [2, 3] },
+        { at: 0.75, indices: [4] },
+        { at: 1, indices: [5] }
+    ];
+
+    const BeamCurtailment = {
+        config: {
+            ROUND_TO: 50    // mm, cut-offs are rounded outward
+        },
+
+        /**
+         * Required area along the span (cm², SafetyFactor applied)
+         * @returns {{x: number, as: number}[]|null} One point per station, null without As data
+         */
+        envelope(span, position) {
+            const values = span?.[`As_${position === 'top' ? 'Top' : 'Bot'}`];
+            if (!Array.isArray(values) || !values.some(v => Number(v) > 0)) return null;
+
+            const factor = global.Beam?.State?.settings?.SafetyFactor || 1.0;
+            const length = (span.Length || 0) * 1000;
+            return STATIONS.map(st => ({
+                x: st.at * length,
+                as: Math.max(...st.indices.map(i => Number(values[i]) || 0)) * factor
+            }));
+        },
+
+        /**
+         * Stretches where the envelope exceeds an area (mm), crossings interpolated
+         * @returns {{start: number, end: number}[]}
+         */
+        demandIntervals(points, capacity) {
+            const intervals = [];
+            let open = null;
+            points.forEach((p, i) => {
+                const above = p.as > capacity;
+                if (i > 0) {
+                    const prev = points[i - 1];
+                    if ((prev.as > capacity) !== above) {
+                        const x = prev.x + (prev.as - capacity) / (prev.as - p.as) * (p.x - prev.x);
+                        if (above) open = x;
+                        else intervals.push({ start: open, end: x });
+                    }
+                } else if (above) {
+                    open = p.x;
+                }
+                if (above && i === points.length - 1) intervals.push({ start: open, end: p.x });
+            });
+            return intervals;
+        },
+
+        /**
+         * Cut-off of one addon
+         * @param {string} zone - 'AddLeft' | 'AddMid' | 'AddRight'
+         * @param {object} [grades] - Beam.Takeoff.getGrades result
+         * @returns {{zone, position, diameter, start, end, length, theoreticalStart, theoreticalEnd, development, fromEnvelope}|null}
+         *   start/end = bar ends, theoretical* = where the backbone alone no longer suffices
+         */
+        addon(span, position, zone, grades) {
+            const info = span?.[`${position === 'top' ? 'Top' : 'Bot'}${zone}`];
+            if (!(info?.Count > 0)) return null;
+
+            const takeoff = global.Beam.Takeoff;
+            const length = (span.Length || 0) * 1000;
+            const la = takeoff.getAnchorageLength(info.Diameter, grades || takeoff.getGrades());
+            const theoretical = this._theoretical(span, position, zone, length);
+            const source = theoretical || this._fixed(position, zone, length);
+
+            // Ends at a support axis stay there (anchored in the column or lapped over it)
+            const start = source.start > 0 ? this._roundDown(Math.max(0, source.start - la)) : 0;
+            const end = source.end < length ? this._roundUp(Math.min(length, source.end + la)) : length;
+            return {
+                zone,
+                position,
+                diameter: info.Diameter,
+                start,
+                end,
+                length: end - start,
+                theoreticalStart: source.start,
+                theoreticalEnd: source.end,
+                development: la,
+                fromEnvelope: theoretical !== null
+            };
+        },
+
+        /**
+         * Bar extent of an addon as fractions of span length (Beam.Renderer zone format)
+         * @returns {{start: number, length: number}|null}
+         */
+        extent(span, position, zone) {
+            const cut = this.addon(span, position, zone);
+            const length = (span?.Length || 0) * 1000;
+            if (!cut || !(length > 0)) return null;
+            return { start: cut.start / length, length: cut.length / length };
+        },
+
+        /**
+         * Every addon of a span, top then bottom
+         */
+        spanCutoffs(span, grades) {
+            const list = [];
+            ['top', 'bot'].forEach(position => {
+                ['AddLeft', 'AddMid', 'AddRight'].forEach(zone => {
+                    const cut = this.addon(span, position, zone, grades);
+                    if (cut) list.push(cut);
+                });
+            });
+            return list;
+        },
+
+        // ===== INTERNAL =====
+
+        /**
+         * Stretch the addon has to cover: from the support for AddLeft/AddRight,
+         * around midspan (else the peak) for AddMid; null when the backbone suffices
+         */
+        _theoretical(span, position, zone, length) {
+            const points = this.envelope(span, position);
+            if (!points || !(length > 0)) return null;
+
+            const backbone = span[`${position === 'top' ? 'Top' : 'Bot'}Backbone`];
+            const capacity = backbone?.Count > 0 ? backbone.Count * global.Dts.Rebar.barArea(backbone.Diameter || 0) : 0;
+            const intervals = this.demandIntervals(points, capacity);
+
+            if (zone === 'AddLeft') return intervals.find(r => r.start === 0) || null;
+            if (zone === 'AddRight') return intervals.find(r => r.end === length) || null;
+
+            const inner = intervals.filter(r => r.start > 0 && r.end < length);
+            const mid = length / 2;
+            const peak = points.slice(1, -1).reduce((best, p) => (p.as > best.as ? p : best));
+            return inner.find(r => r.start <= mid && r.end >= mid) ||
+                inner.find(r => r.start <= peak.x && r.end >= peak.x) || null;
+        },
+
+        _fixed(position, zone, length) {
+            const zoneExtent = global.Beam.Renderer.zones[position][zone];
+            return { start: zoneExtent.start * length, end: (zoneExtent.start + zoneExtent.length) * length };
+        },
+
+        _roundUp(value) {
+            return Math.ceil(value / this.config.ROUND_TO - 1e-9) * this.config.ROUND_TO;
+        },
+
+        _roundDown(value) {
+            return Math.floor(value / this.config.ROUND_TO + 1e-9) * this.config.ROUND_TO;
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Curtailment = BeamCurtailment;
+
+})(window);
@@ -0,0 +1,187 @@
+/**
+ * BeamCutting.js - Cutting Optimisation Panel
+ * Feeds the bar marks of Beam.Schedule (current group or its whole story) to
+ * Dts.Cutting and shows stock bars, waste and one strip diagram per cutting pattern.
+ * Small diameters come from coils and are left out.
+ */
+(function (global) {
+    'use strict';
+
+    const BeamCutting = {
+        config: {
+            COIL_MAX_DIAMETER: 10   // mm, bars up to this size are cut from coils
+        },
+
+        scope: 'group',     // 'group' | 'story'
+        result: null,       // Last Dts.Cutting result (null when stale)
+        _runId: 0,
+
+        /**
+         * Stock lengths (mm): settings.StockLengths, else the standard bar length
+         */
+        getStockLengths() {
+            const settings = global.Beam?.State?.settings || {};
+            if (Array.isArray(settings.StockLengths) && settings.StockLengths.length > 0) {
+                return global.Dts.Cutting.normalizeStockLengths(settings.StockLengths);
+            }
+            return [settings.StandardBarLength || global.Beam.Takeoff.config.STANDARD_BAR_LENGTH];
+        },
+
+        /**
+         * Parse "11.7, 8.6" (m) or "11700 8600" (mm) into settings.StockLengths
+         * @returns {number[]|null} Stock lengths in mm, null when the text has no valid length
+         */
+        setStockLengths(text) {
+            const values = String(text || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+            if (values.length === 0 || values.some(v => !(v > 0))) return null;
+
+            const lengths = global.Dts.Cutting.normalizeStockLengths(values.map(v => v < 100 ? Math.round(v * 1000) : v));
+            const settings = global.Beam?.State?.settings;
+            if (settings) settings.StockLengths = lengths;
+            return lengths;
+        },
+
+        /**
+         * Groups of a scope: the current group, or every loaded group of its story
+         */
+        getGroups(scope = this.scope) {
+            const beamState = global.Beam?.State;
+            const current = beamState?.currentGroup;
+            if (!current) return [];
+            if (scope !== 'story') return [current];
+            return (beamState.groups || []).filter(g => (g.StoryName || '') === (current.StoryName || ''));
+        },
+
+        /**
+         * Cut pieces from the bending schedule: one entry per mark
+         */
+        collectPieces(groups) {
+            return groups
+                .flatMap(group => global.Beam.Schedule.generate(group).marks)
+                .filter(m => m.diameter > this.config.COIL_MAX_DIAMETER)
+                .map(m => ({ mark: m.mark, diameter: m.diameter, length: m.cutLength, quantity: m.quantity }));
+        },
+
+        /**
+         * Optimise the scope (in a worker where available) and render the result
+         * @returns {Promise<object>} Dts.Cutting result
+         */
+        run(scope = this.scope) {
+            this.scope = scope;
+            const runId = ++this._runId;
+            const pieces = this.collectPieces(this.getGroups(scope));
+            this._renderMessage('Đang tối ưu...');
+
+            return global.Dts.Cutting.run(pieces, { stockLengths: this.getStockLengths() }).then(result => {
+                // A newer run or an edit superseded this one
+                if (runId !== this._runId) return result;
+                this.result = result;
+                this.render();
+                return result;
+            });
+        },
+
+        /**
+         * Drop the result after an edit or a group change
+         */
+        invalidate() {
+            this._runId++;
+            if (!this.result) return;
+            this.result = null;
+            this._renderMessage('Dữ liệu đã thay đổi, chạy lại tối ưu');
+        },
+
+        /**
+         * Weight of the purchased stock bars (kg)
+         */
+        getPurchasedWeight(result = this.result) {
+            if (!result) return 0;
+            return result.diameters.reduce((sum, d) =>
+                sum + d.purchased / 1000 * global.Dts.Rebar.unitWeight(d.diameter), 0);
+        },
+
+        // ===== RENDERING =====
+
+        /**
+         * Summary per diameter and the cutting patterns into #cuttingResult
+         */
+        render() {
+            const container = document.getElementById('cuttingResult');
+            if (!container || !this.result) return;
+
+            const result = this.result;
+            if (result.diameters.length === 0) {
+                this._renderMessage('Không có thanh cần cắt');
+                return;
+            }
+
+            const maxStock = Math.max(...result.stockLengths);
+            container.innerHTML = `
+                <table class="w-full text-xs mb-2">
+                    <thead class="text-[10px] text-slate-500">
+                        <tr><th class="text-left">D</th><th class="text-left">Cây thép</th><th class="text-right">Cần (m)</th><th class="text-right">Mua (m)</th><th class="text-right">Hao hụt</th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.diameters.map(d => `
+                        <tr>
+                            <td class="font-bold">D${d.diameter}</td>
+                            <td>${this._formatStockBars(d.stockBars)}</td>
+                            <td class="text-right">${(d.required / 1000).toFixed(1)}</td>
+                            <td class="text-right">${(d.purchased / 1000).toFixed(1)}</td>
+                            <td class="text-right">${d.wastePct.toFixed(1)}%</td>
+                        </tr>`).join('')}
+                        <tr class="font-bold border-t border-slate-300">
+                            <td>Tổng</td>
+                            <td>${result.stockCount} cây (${this.getPurchasedWeight().toFixed(1)} kg)</td>
+                            <td class="text-right">${(result.required / 1000).toFixed(1)}</td>
+                            <td class="text-right">${(result.purchased / 1000).toFixed(1)}</td>
+                            <td class="text-right">${result.wastePct.toFixed(1)}%</td>
+                        </tr>
+                    </tbody>
+                </table>
+                ${result.diameters.map(d => `
+                <div class="mb-2">
+                    <div class="font-bold text-slate-600">D${d.diameter}</div>
+                    ${d.patterns.map(p => this.renderPattern(p, maxStock)).join('')}
+                    ${d.oversize.map(o => `<div class="text-red-600">⚠ ${o.mark}: ${o.length} mm dài hơn cây thép (${o.quantity} thanh)</div>`).join('')}
+                </div>`).join('')}`;
+        },
+
+        /**
+         * One pattern: count x stock length and a strip of the cuts, offcut shaded
+         * @param {number} maxStock - Strip width reference (longest stock length)
+         */
+        renderPattern(pattern, maxStock) {
+            const pct = length => (length / pattern.stockLength * 100).toFixed(2);
+            const cuts = pattern.cuts.map(c => `
+                <div class="h-full bg-blue-200 border-r border-white text-[9px] text-blue-900 overflow-hidden text-center"
+                     style="width:${pct(c.length)}%" title="${c.mark}: ${c.length} mm">${c.mark}</div>`).join('');
+            const offcut = pattern.offcut > 0
+                ? `<div class="h-full bg-slate-300 text-[9px] text-slate-600 overflow-hidden text-center"
+                     style="width:${pct(pattern.offcut)}%" title="Đầu thừa ${pattern.offcut} mm">${pattern.offcut}</div>`
+                : '';
+
+            return `
+                <div class="flex items-center gap-2 my-0.5">
+                    <span class="w-20 shrink-0 text-slate-500">${pattern.count} × ${(pattern.stockLength / 1000).toFixed(1)}m</span>
+                    <div class="flex h-4 border border-slate-300" style="width:${(pattern.stockLength / maxStock * 100).toFixed(2)}%">${cuts}${offcut}</div>
+                </div>`;
+        },
+
+        // ===== INTERNAL =====
+
+        _formatStockBars(stockBars) {
+            return Object.keys(stockBars).map(Number).sort((a, b) => b - a)
+                .map(l => `${stockBars[l]} × ${(l / 1000).toFixed(1)}m`).join(', ');
+        },
+
+        _renderMessage(text) {
+            const container = document.getElementById('cuttingResult');
+            if (container) container.innerHTML = `<div class="text-slate-400">${text}</div>`;
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Cutting = BeamCutting;
+
+})(window);
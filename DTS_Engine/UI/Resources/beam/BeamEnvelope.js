@@ -0,0 +1,257 @@
+/**
+ * BeamEnvelope.js - Demand / Capacity Diagram Strip
+ * Optional strips under the long view, on the same world axes as the spans so they
+ * follow Dts.State zoom and pan:
+ *   flexure: required top steel above the axis, bottom steel below it (tension side),
+ *            interpolated as in Beam.Curtailment; provided area of backbone plus the
+ *            addons between their cut-offs as a step line
+ *   shear:   required and provided Asw/s per stirrup zone (Beam.Renderer.getStirrupCheck)
+ * Where demand exceeds capacity the gap is filled.
+ */
+(function (global) {
+    'use strict';
+
+    const ADDON_ZONES = ['AddLeft', 'AddMid', 'AddRight'];
+
+    const BeamEnvelope = {
+        config: {
+            GAP: 24,             // Space between the elevation and the first strip
+            FLEXURE_HEIGHT: 100,
+            SHEAR_HEIGHT: 50,
+            STRIP_GAP: 20,
+            TITLE_OFFSET: 6
+        },
+
+        colors: {
+            axis: '#94a3b8',
+            demandTop: '#dc2626',
+            demandBot: '#2563eb',
+            demandShear: '#059669',
+            capacity: '#0f172a',
+            gapFill: 'rgba(239, 68, 68, 0.35)',
+            title: '#64748b'
+        },
+
+        // ===== DATA =====
+
+        /**
+         * Demand and capacity of one span, x in mm from the left support axis
+         * @returns {{top, bot, shear}} top/bot: { demand: [{x, as}], capacity: [{start, end, value}], gaps }
+         *   shear: { demand: [{start, end, value}], capacity: [...], gaps }; gaps = [{start, end}]
+         */
+        spanData(span) {
+            const data = {};
+            ['top', 'bot'].forEach(position => {
+                const demand = global.Beam.Curtailment.envelope(span, position) || [];
+                const capacity = this.capacitySteps(span, position);
+                data[position] = { demand, capacity, gaps: this.flexureGaps(demand, capacity) };
+            });
+
+            const renderer = global.Beam.Renderer;
+            const length = (span.Length || 0) * 1000;
+            const factor = global.Beam?.State?.settings?.SafetyFactor || 1.0;
+            const demand = [];
+            const capacity = [];
+            (global.Beam?.State?.STIRRUP_ZONES || []).forEach((zone, zi) => {
+                const check = renderer.getStirrupCheck(span, zi);
+                const start = zone.start * length;
+                const end = (zone.start + zone.length) * length;
+                demand.push({ start, end, value: check.req * factor });
+                capacity.push({ start, end, value: check.prov });
+            });
+            data.shear = {
+                demand,
+                capacity,
+                gaps: demand.filter((d, i) => d.value > 0 && d.value > capacity[i].value).map(d => ({ start: d.start, end: d.end }))
+            };
+            return data;
+        },
+
+        /**
+         * Provided area along a face (cm²): backbone, plus each addon between its cut-offs
+         * @returns {{start, end, value}[]}
+         */
+        capacitySteps(span, position) {
+            const side = position === 'top' ? 'Top' : 'Bot';
+            const rebar = global.Dts.Rebar;
+            const area = info => (info?.Count > 0 ? info.Count * rebar.barArea(info.Diameter || 0) : 0);
+            const length = (span.Length || 0) * 1000;
+            const backbone = area(span[`${side}Backbone`]);
+            const addons = ADDON_ZONES
+                .map(zone => ({ cut: global.Beam.Curtailment.addon(span, position, zone), as: area(span[`${side}${zone}`]) }))
+                .filter(a => a.cut);
+
+            const breaks = [...new Set([0, length, ...addons.flatMap(a => [a.cut.start, a.cut.end])])].sort((a, b) => a - b);
+            const steps = [];
+            for (let i = 1; i < breaks.length; i++) {
+                const mid = (breaks[i - 1] + breaks[i]) / 2;
+                const value = addons.reduce((sum, a) => sum + (a.cut.start <= mid && a.cut.end >= mid ? a.as : 0), backbone);
+                const last = steps[steps.length - 1];
+                if (last && last.value === value) last.end = breaks[i];
+                else steps.push({ start: breaks[i - 1], end: breaks[i], value });
+            }
+            return steps;
+        },
+
+        /**
+         * Stretches where the demand line rises above the capacity step under it
+         * @returns {{start, end}[]}
+         */
+        flexureGaps(demand, capacity) {
+            if (demand.length < 2) return [];
+            const gaps = [];
+            capacity.forEach(step => {
+                const points = this._clip(demand, step.start, step.end);
+                global.Beam.Curtailment.demandIntervals(points, step.value).forEach(r => {
+                    const last = gaps[gaps.length - 1];
+                    if (last && Math.abs(last.end - r.start) < 1e-6) last.end = r.end;
+                    else gaps.push(r);
+                });
+            });
+            return gaps;
+        },
+
+        /**
+         * Total height of the strips (world px)
+         */
+        getHeight() {
+            return this.config.GAP + this.config.FLEXURE_HEIGHT + this.config.STRIP_GAP + this.config.SHEAR_HEIGHT;
+        },
+
+        // ===== DRAWING =====
+
+        /**
+         * Draw both strips under the spans of a long view layout
+         * @param {number} top - World y of the strip area (below the elevation content)
+         */
+        render(ctx, spans, layout, top) {
+            const data = spans.map(span => this.spanData(span));
+            const left = layout.startX;
+            const right = layout.startX + layout.totalWidth;
+            const flexureAxis = top + this.config.GAP + this.config.FLEXURE_HEIGHT / 2;
+            const shearBase = top + this.config.GAP + this.config.FLEXURE_HEIGHT + this.config.STRIP_GAP + this.config.SHEAR_HEIGHT;
+
+            // One scale per strip for the whole group, so spans compare at a glance
+            const flexureMax = Math.max(1e-6, ...data.flatMap(d => ['top', 'bot'].flatMap(p =>
+                d[p].demand.map(pt => pt.as).concat(d[p].capacity.map(s => s.value)))));
+            const shearMax = Math.max(1e-6, ...data.flatMap(d => d.shear.demand.concat(d.shear.capacity).map(s => s.value)));
+            const flexureScale = (this.config.FLEXURE_HEIGHT / 2) / flexureMax;
+            const shearScale = this.config.SHEAR_HEIGHT / shearMax;
+
+            ctx.setLayer?.('dimensions');
+            this._drawAxis(ctx, left, right, flexureAxis);
+            this._drawAxis(ctx, left, right, shearBase);
+            this._drawTitle(ctx, left, top + this.config.GAP - this.config.TITLE_OFFSET, `As yêu cầu / bố trí (max ${flexureMax.toFixed(1)} cm²)`);
+            this._drawTitle(ctx, left, shearBase - this.config.SHEAR_HEIGHT - this.config.TITLE_OFFSET, `Asw/s yêu cầu / bố trí (max ${(shearMax * 100).toFixed(2)} cm²/m)`);
+
+            data.forEach((d, i) => {
+                const span = layout.spans[i];
+                const length = (spans[i].Length || 0) * 1000;
+                const toX = x => span.x + (length > 0 ? x / length : 0) * span.width;
+
+                ['top', 'bot'].forEach(position => {
+                    // Top steel above the axis, bottom steel below
+                    const toY = v => flexureAxis + (position === 'top' ? -1 : 1) * v * flexureScale;
+                    const face = d[position];
+                    this._fillFlexureGaps(ctx, face, toX, toY);
+                    this._drawSteps(ctx, face.capacity, toX, toY, this.colors.capacity);
+                    this._drawLine(ctx, face.demand, toX, toY, position === 'top' ? this.colors.demandTop : this.colors.demandBot);
+                });
+
+                const toShearY = v => shearBase - v * shearScale;
+                d.shear.gaps.forEach(g => {
+                    const zi = d.shear.demand.findIndex(z => z.start === g.start);
+                    this._fillPolygon(ctx, [
+                        [toX(g.start), toShearY(d.shear.capacity[zi].value)], [toX(g.end), toShearY(d.shear.capacity[zi].value)],
+                        [toX(g.end), toShearY(d.shear.demand[zi].value)], [toX(g.start), toShearY(d.shear.demand[zi].value)]
+                    ]);
+                });
+                this._drawSteps(ctx, d.shear.capacity, toX, toShearY, this.colors.capacity);
+                this._drawSteps(ctx, d.shear.demand, toX, toShearY, this.colors.demandShear, [4, 2]);
+            });
+        },
+
+        // ===== INTERNAL =====
+
+        /**
+         * Demand points inside [start, end], interpolated at both ends
+         */
+        _clip(points, start, end) {
+            const at = x => {
+                const found = points.findIndex(p => p.x >= x);
+                const i = Math.max(1, found < 0 ? points.length - 1 : found);
+                const a = points[i - 1];
+                const b = points[i];
+                const t = b.x > a.x ? (x - a.x) / (b.x - a.x) : 0;
+                return { x, as: a.as + (b.as - a.as) * Math.min(1, Math.max(0, t)) };
+            };
+            return [at(start), ...points.filter(p => p.x > start && p.x < end), at(end)];
+        },
+
+        _fillFlexureGaps(ctx, face, toX, toY) {
+            face.gaps.forEach(gap => {
+                const points = this._clip(face.demand, gap.start, gap.end);
+                const under = face.capacity.filter(s => s.end > gap.start && s.start < gap.end);
+                const polygon = points.map(p => [toX(p.x), toY(p.as)]);
+                // Back along the capacity steps under the gap
+                under.reverse().forEach(s => {
+                    polygon.push([toX(Math.min(s.end, gap.end)), toY(s.value)], [toX(Math.max(s.start, gap.start)), toY(s.value)]);
+                });
+                this._fillPolygon(ctx, polygon);
+            });
+        },
+
+        _fillPolygon(ctx, polygon) {
+            ctx.fillStyle = this.colors.gapFill;
+            ctx.beginPath();
+            polygon.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+            ctx.fill();
+        },
+
+        _drawLine(ctx, points, toX, toY, color) {
+            if (points.length < 2) return;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(toX(p.x), toY(p.as)) : ctx.lineTo(toX(p.x), toY(p.as))));
+            ctx.stroke();
+        },
+
+        _drawSteps(ctx, steps, toX, toY, color, dash = []) {
+            if (steps.length === 0) return;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            steps.forEach((s, i) => {
+                if (i === 0) ctx.moveTo(toX(s.start), toY(s.value));
+                else ctx.lineTo(toX(s.start), toY(s.value));
+                ctx.lineTo(toX(s.end), toY(s.value));
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        },
+
+        _drawAxis(ctx, left, right, y) {
+            ctx.strokeStyle = this.colors.axis;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(left, Math.round(y) + 0.5);
+            ctx.lineTo(right, Math.round(y) + 0.5);
+            ctx.stroke();
+        },
+
+        _drawTitle(ctx, x, y, text) {
+            ctx.fillStyle = this.colors.title;
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillText(text, x, y);
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Envelope = BeamEnvelope;
+
+})(window);
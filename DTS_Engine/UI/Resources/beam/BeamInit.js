@@ -25,7 +25,7 @@
             });
 
             // FIX: Subscribe to Double Click event for Rebar Editing
-            if (global.Dts?.State && global.Dts.State.on) {
+            if (global.Dts?.State) {
                 global.Dts.State.on('dblclick', (x, y) => {
                     // Check if a label was hit
                     const hit = global.Beam?.Renderer?.hitTestLabel(x, y);
@@ -40,12 +40,35 @@
                 });
             }
 
+            // Span picking: Click = select, Shift+Click = add, Ctrl+Click = toggle
+            global.Dts?.State?.on('click', (x, y, e) => {
+                const beamState = global.Beam?.State;
+                const index = global.Dts.Physics.hitTest(x, y, beamState?.spanBounds || []);
+                global.Beam?.Actions?.selectSpan(index, e);
+            });
+
+            // Rubber-band selection: every span the box touches
+            global.Dts?.State?.on('boxselect', (box) => {
+                const beamState = global.Beam?.State;
+                const indices = global.Dts.Physics.hitTestRect(box, beamState?.spanBounds || []);
+                global.Dts.State.selectMany(indices, box.additive);
+                beamState?.highlightSpan(global.Dts.State.selectedIndex);
+            });
+
             global.Beam?.State?.init(data);
             global.Beam?.Actions?.populateOptionDropdown();
             global.Beam?.Actions?.updateMetrics();
             global.Beam?.Actions?.updateLockStatus();
             global.Beam?.Renderer?.render();
             global.Beam?.Table?.render();
+            global.Beam?.Schedule?.render();
+            global.Beam?.Audit?.render();
+            global.Beam?.Actions?.updateHistoryButtons();
+            global.Beam?.Actions?.updateDeficitBadge();
+
+            // Undo/Redo and view shortcuts (shared with the page, bound once)
+            global.Beam?.Actions?.bindHistoryShortcuts();
+            global.Beam?.Actions?.bindViewShortcuts();
 
             window.addEventListener('resize', () => {
                 global.Dts?.Renderer?.resizeToContainer('canvasContainer');
@@ -58,10 +81,30 @@
                     global.Beam?.Actions?.updateMetrics();
                     global.Beam?.Actions?.updateLockStatus();
                 }
-                if (eventType === 'group' || eventType === 'option' || eventType === 'highlight') {
+                // Fit replaces squashing in true-scale layout; fit mode returns to the default view
+                if (eventType === 'layout') {
+                    if (global.Beam?.State?.layoutMode === 'scale') global.Beam?.Renderer?.fitToView();
+                    else global.Dts?.State?.resetView();
+                } else if (eventType === 'group' && global.Beam?.State?.layoutMode === 'scale') {
+                    global.Beam?.Renderer?.fitToView();
+                }
+                if (eventType === 'group' || eventType === 'option' || eventType === 'highlight' ||
+                    eventType === 'selection' || eventType === 'labels' || eventType === 'mode' ||
+                    eventType === 'layout' || eventType === 'envelope' || eventType === 'span' || eventType === 'history') {
                     global.Beam?.Renderer?.render();
                     global.Beam?.Table?.render();
                 }
+                if (eventType === 'group' || eventType === 'span' || eventType === 'history') {
+                    global.Beam?.Actions?.updateHistoryButtons();
+                }
+                // As check, bending schedule, option comparison and audit log rerun on every edit; cutting results go stale
+                if (eventType === 'group' || eventType === 'option' || eventType === 'span' || eventType === 'history') {
+                    global.Beam?.Actions?.updateDeficitBadge();
+                    global.Beam?.Schedule?.render();
+                    global.Beam?.Options?.render();
+                    global.Beam?.Audit?.render();
+                    global.Beam?.Cutting?.invalidate();
+                }
             });
 
             console.log('BeamInit: Initialization complete');
@@ -0,0 +1,213 @@
+/**
+ * BeamOptions.js - Design Option Comparison
+ * Puts every BackboneOption of the current group side by side: backbone per span,
+ * addon count, steel weight (Beam.Takeoff), As deficits (Beam.Check), a
+ * constructability indicator and the difference from the locked SelectedDesign.
+ * Each option is evaluated on a copy of the group spans carrying that option's bars,
+ * so the loaded spans are never touched. Rows sort by column; a click selects.
+ */
+(function (global) {
+    'use strict';
+
+    // Span addon fields -> zone names of SpanResults (TopAddons/BotAddons) and Reinforcements keys
+    const ZONES = [['AddLeft', 'Left'], ['AddMid', 'Mid'], ['AddRight', 'Right']];
+    const BAR_FIELDS = ['TopBackbone', 'BotBackbone', ...['Top', 'Bot'].flatMap(s => ZONES.map(([zone]) => `${s}${zone}`))];
+
+    const BeamOptions = {
+        config: {
+            GOOD_SCORE: 80,     // ConstructabilityScore thresholds (0-100)
+            FAIR_SCORE: 60
+        },
+
+        sortKey: 'index',   // 'index' | 'weight' | 'addons' | 'deficits' | 'constructability' | 'changes'
+        sortAsc: true,
+
+        /**
+         * Spans of a group with the bars of one option (copies; As data shared)
+         */
+        applyToSpans(group, option) {
+            return (group?.Spans || []).map((span, i) => {
+                const result = option.SpanResults?.find(r => r.SpanId === span.SpanId) || option.SpanResults?.[i];
+                const copy = Object.assign({}, span);
+
+                ['Top', 'Bot'].forEach(side => {
+                    copy[`${side}Backbone`] = this._info(result?.[`${side}Backbone`]) ||
+                        this._info({ Count: option[`BackboneCount_${side}`], Diameter: option[`BackboneDiameter_${side}`] });
+                    ZONES.forEach(([zone, key]) => {
+                        const addon = result
+                            ? result[`${side}Addons`]?.[key]
+                            : option.Reinforcements?.[`${span.SpanId}_${side}_${key}`];
+                        copy[`${side}${zone}`] = this._info(addon);
+                    });
+                });
+                return copy;
+            });
+        },
+
+        /**
+         * Evaluate one option
+         * @param {string} key - Option key as used by Beam.State.selectOption ('0', '1', ... | 'locked')
+         * @returns {{key, name, label, backbones, addons, weight, deficits, violations, score, constructability, spans}}
+         */
+        evaluate(group, option, key) {
+            const spans = this.applyToSpans(group, option);
+            const copy = Object.assign({}, group, { Spans: spans });
+            const score = option.ConstructabilityScore > 0 ? option.ConstructabilityScore : null;
+            const violations = global.Beam?.Rules?.checkGroup(copy).count || 0;
+
+            return {
+                key,
+                name: key === 'locked' ? 'Đã chốt' : (option.OptionName || `Opt${key}`),
+                label: option.StrategyLabel || '',
+                backbones: spans.map(s => `${this._format(s.TopBackbone)} / ${this._format(s.BotBackbone)}`),
+                addons: spans.reduce((sum, s) => sum + ZONES.filter(([zone]) => s[`Top${zone}`]).length +
+                    ZONES.filter(([zone]) => s[`Bot${zone}`]).length, 0),
+                weight: global.Beam.Takeoff.group(copy).weight,
+                deficits: global.Beam.Check.checkGroup(copy).deficitCount,
+                violations,
+                score,
+                constructability: this._rate(score, violations),
+                spans
+            };
+        },
+
+        /**
+         * Every option of a group, locked design first, then sorted by sortKey
+         * @returns {object[]} evaluate() rows with diff ({changes, weight} against the locked design, or null)
+         */
+        compare(group = global.Beam?.State?.currentGroup) {
+            if (!group) return [];
+            const locked = group.SelectedDesign ? this.evaluate(group, group.SelectedDesign, 'locked') : null;
+            const rows = (group.BackboneOptions || []).map((option, i) => this.evaluate(group, option, String(i)));
+
+            rows.forEach(row => {
+                row.diff = locked ? { changes: this._countChanges(row.spans, locked.spans), weight: row.weight - locked.weight } : null;
+            });
+            if (locked) locked.diff = null;
+
+            const value = row => {
+                switch (this.sortKey) {
+                    case 'weight': return row.weight;
+                    case 'addons': return row.addons;
+                    case 'deficits': return row.deficits;
+                    // Higher score first when ascending: best constructability on top
+                    case 'constructability': return -(row.score ?? -1) * 1000 + row.violations;
+                    case 'changes': return row.diff ? row.diff.changes : 0;
+                    default: return Number(row.key);
+                }
+            };
+            rows.sort((a, b) => (value(a) - value(b)) * (this.sortAsc ? 1 : -1) || Number(a.key) - Number(b.key));
+            return locked ? [locked, ...rows] : rows;
+        },
+
+        /**
+         * Sort by a column; the same column again reverses the order
+         */
+        setSort(key) {
+            if (this.sortKey === key) {
+                this.sortAsc = !this.sortAsc;
+            } else {
+                this.sortKey = key;
+                this.sortAsc = true;
+            }
+            this.render();
+        },
+
+        /**
+         * Select an option from the panel (same path as the option dropdown)
+         */
+        select(key) {
+            const beamState = global.Beam?.State;
+            if (!beamState) return;
+            if (typeof beamState.selectOption === 'function') {
+                beamState.selectOption(key);
+            } else if (key !== 'locked' && beamState.currentGroup) {
+                beamState.currentGroup.SelectedBackboneIndex = parseInt(key);
+                beamState.selectedOptionKey = String(key);
+            }
+            this.render();
+        },
+
+        // ===== RENDERING =====
+
+        /**
+         * Comparison rows into #optionCompareBody
+         */
+        render() {
+            const tbody = document.getElementById('optionCompareBody');
+            if (!tbody) return;
+
+            const rows = this.compare();
+            if (rows.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7" class="text-center text-slate-400 py-4">Chưa có phương án</td></tr>';
+                return;
+            }
+
+            const selectedKey = global.Beam?.State?.selectedOptionKey;
+            tbody.innerHTML = rows.map(row => `
+                <tr class="cursor-pointer hover:bg-blue-50 ${row.key === selectedKey ? 'bg-blue-100 font-semibold' : ''}"
+                    onclick="Beam.Options.select('${row.key}')" title="Chọn phương án">
+                    <td class="px-2 py-1">${row.key === 'locked' ? '🔒 ' : ''}${row.name}${row.label ? `<div class="text-[10px] text-slate-500">${row.label}</div>` : ''}</td>
+                    <td class="px-2 py-1">${row.backbones.map((b, i) => `<div>S${i + 1}: ${b}</div>`).join('')}</td>
+                    <td class="px-2 py-1 text-center">${row.addons}</td>
+                    <td class="px-2 py-1 text-right">${row.weight.toFixed(1)}</td>
+                    <td class="px-2 py-1 text-center ${row.deficits > 0 ? 'text-red-600 font-bold' : 'text-green-600'}">${row.deficits > 0 ? row.deficits : '✓'}</td>
+                    <td class="px-2 py-1 text-center">${this._formatConstructability(row)}</td>
+                    <td class="px-2 py-1 text-right">${this._formatDiff(row.diff)}</td>
+                </tr>`).join('');
+        },
+
+        // ===== INTERNAL =====
+
+        _info(value) {
+            if (!(value?.Count > 0) || !(value.Diameter > 0)) return null;
+            const info = { Count: value.Count, Diameter: value.Diameter };
+            const layers = value.LayerCounts || value.LayerBreakdown;
+            if (Array.isArray(layers) && layers.length > 0) info.LayerCounts = layers.slice();
+            return info;
+        },
+
+        _format(info) {
+            return info ? global.Dts.Rebar.formatBar(info.Count, info.Diameter) : '-';
+        },
+
+        /**
+         * 'good' | 'fair' | 'poor' from the solver score, else from detailing rule violations
+         */
+        _rate(score, violations) {
+            let level;
+            if (score !== null) {
+                level = score >= this.config.GOOD_SCORE ? 'good' : score >= this.config.FAIR_SCORE ? 'fair' : 'poor';
+            } else {
+                level = violations === 0 ? 'good' : violations <= 2 ? 'fair' : 'poor';
+            }
+            return violations > 0 && level === 'good' ? 'fair' : level;
+        },
+
+        /**
+         * Bar positions (backbone or addon of a span) that differ between two span lists
+         */
+        _countChanges(spans, reference) {
+            return spans.reduce((sum, span, i) => sum + BAR_FIELDS.filter(field =>
+                this._format(span[field]) !== this._format(reference[i]?.[field])).length, 0);
+        },
+
+        _formatConstructability(row) {
+            const colors = { good: 'bg-green-500', fair: 'bg-amber-500', poor: 'bg-red-500' };
+            const score = row.score !== null ? Math.round(row.score) : '';
+            const violations = row.violations > 0 ? ` <span class="text-red-600">⚠${row.violations}</span>` : '';
+            return `<span class="inline-block w-2 h-2 rounded-full ${colors[row.constructability]}"></span> ${score}${violations}`;
+        },
+
+        _formatDiff(diff) {
+            if (!diff) return '—';
+            if (diff.changes === 0 && Math.abs(diff.weight) < 0.05) return '= chốt';
+            const sign = diff.weight > 0 ? '+' : '';
+            return `${diff.changes} vị trí, ${sign}${diff.weight.toFixed(1)} kg`;
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Options = BeamOptions;
+
+})(window);
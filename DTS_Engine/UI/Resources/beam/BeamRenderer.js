@@ -13,21 +13,67 @@
             CANVAS_PADDING: 30,
             SUPPORT_GAP: 15,
             LAYER_OFFSET: 4,
-            BAR_THICKNESS: 2
+            BAR_THICKNESS: 2,
+            LABEL_ROW_HEIGHT: 12,
+            MAX_LABEL_ROWS: 4,
+            STIRRUP_INSET: 3,
+            MIN_STIRRUP_TICK_GAP: 3,
+            REAL_SCALE_PX_PER_M: 100,
+            COLUMN_DEPTH: 24,
+            DIM_CHAIN_OFFSET: 84,
+            DIM_CHAIN_ROW: 22,
+            LAP_OFFSET: 3,
+            ANCHOR_HOOK: 12
         },
 
+        // Addon zones as fractions of span length, used where Beam.Curtailment has no As envelope
+        zones: {
+            top: {
+                AddLeft: { start: 0, length: 0.25 },
+                AddMid: { start: 0.25, length: 0.5 },
+                AddRight: { start: 0.75, length: 0.25 }
+            },
+            bot: {
+                AddLeft: { start: 0, length: 0.25 },
+                AddMid: { start: 0.15, length: 0.7 },
+                AddRight: { start: 0.75, length: 0.25 }
+            }
+        },
+
+        // SVG export layers, bottom to top
+        SVG_LAYERS: ['supports', 'concrete', 'rebar', 'dimensions', 'labels'],
+
+        // Per-render placed label extents for collision avoidance
+        _placedLabels: { top: [], bot: [] },
+
         colors: {
             beamFill: '#e2e8f0',
             beamStroke: '#64748b',
             highlightFill: '#dbeafe',
             highlightStroke: '#3b82f6',
+            hoverFill: '#f1f5f9',
+            hoverStroke: '#94a3b8',
+            labelHoverFill: 'rgba(148, 163, 184, 0.25)',
+            selectedFill: '#dcfce7',
+            selectedStroke: '#22c55e',
             rebarTop: '#dc2626',
             rebarBot: '#2563eb',
             rebarTopLight: '#fca5a5',
             rebarBotLight: '#93c5fd',
             dimension: '#64748b',
             label: '#1e293b',
-            supportFill: '#475569'
+            supportFill: '#475569',
+            columnFill: '#cbd5e1',
+            stirrup: '#059669',
+            stirrupExceeded: '#dc2626',
+            stirrupExceededFill: 'rgba(239, 68, 68, 0.15)',
+            stirrupZoneBorder: '#94a3b8',
+            deficitFill: 'rgba(239, 68, 68, 0.22)',
+            deficitText: '#b91c1c',
+            utilisation: '#64748b',
+            ruleViolation: '#dc2626',
+            spliceZone: 'rgba(34, 197, 94, 0.45)',
+            spliceForbidden: '#dc2626'
         },
 
         render() {
@@ -44,7 +90,7 @@
             }
 
             const spans = group.Spans;
-            const layout = this._calculateLayout(spans, canvas.width);
+            const layout = this._calculateLayout(spans, canvas.width, group);
 
             global.Dts?.Renderer?.clear();
             global.Dts?.Renderer?.beginTransform();
@@ -53,14 +99,128 @@
             beamState.spanBounds = [];
             beamState.labelHits = []; // FIX: Initialize label hits array
 
-            this._drawAllSpans(ctx, spans, layout, beamState);
+            this.drawScene(ctx, spans, layout, beamState);
 
             global.Dts?.Renderer?.endTransform();
             global.Dts?.Renderer?.drawBoxZoomOverlay();
+            global.Dts?.Renderer?.drawBoxSelectOverlay();
             global.Dts?.Renderer?.updateZoomIndicator();
         },
 
-        _calculateLayout(spans, canvasWidth) {
+        /**
+         * Draw the current view (elevation or section) in world coordinates.
+         * Works on a canvas context or a Dts.SvgContext recording.
+         * @param {object} view - Beam.State or an export view derived from it (modes, hit arrays)
+         */
+        drawScene(ctx, spans, layout, view) {
+            this._placedLabels = { top: [], bot: [] };
+
+            if (view.canvasMode === 'section' && global.Beam?.Section) {
+                global.Beam.Section.render(ctx, this._getSectionSpan(spans, view), view.sectionPosition);
+            } else {
+                this._drawAllSpans(ctx, spans, layout, view);
+            }
+        },
+
+        _getSectionSpan(spans, view) {
+            const index = view.highlightedSpanIndex >= 0 ? view.highlightedSpanIndex : 0;
+            return spans[index] || spans[0];
+        },
+
+        // ===== SVG EXPORT =====
+
+        /**
+         * Export the elevation or a section as SVG grouped into SVG_LAYERS
+         * @param {object} [options]
+         * @param {string} [options.view='elevation'] - 'elevation' | 'section'
+         * @param {number} [options.spanIndex] - Section span (default: highlighted span)
+         * @param {string} [options.position] - Section station 'L' | 'M' | 'R'
+         * @param {object} [options.group] - Group to export (default: current group)
+         * @param {number} [options.canvasWidth] - Width used by the 'fit' layout
+         * @param {Function} [options.measureText] - Text measurer (text, font) => width, for deterministic output
+         * @returns {string|null} SVG document, or null without spans
+         */
+        exportSVG(options = {}) {
+            const group = options.group || global.Beam?.State?.currentGroup;
+            const spans = group?.Spans;
+            if (!spans?.length || !global.Dts?.SvgContext) return null;
+
+            const view = this.createExportView(options);
+            const layout = this._calculateLayout(spans, options.canvasWidth || this.config.MAX_CANVAS_WIDTH, group);
+            const bounds = this.getExportBounds(spans, layout, view);
+            if (!bounds) return null;
+
+            const ctx = global.Dts.SvgContext.create(bounds.width, bounds.height, {
+                viewBox: bounds,
+                measureText: options.measureText,
+                layers: this.SVG_LAYERS
+            });
+            this.drawExport(ctx, spans, layout, view);
+            return ctx.toSVG({ background: '#ffffff' });
+        },
+
+        /**
+         * View for exports: same modes as the screen, own hit arrays, no highlight/hover styling
+         * @param {object} [options] - view ('elevation' | 'section'), spanIndex, position
+         */
+        createExportView(options = {}) {
+            const beamState = global.Beam?.State || {};
+            const isSection = options.view === 'section';
+
+            return Object.assign(Object.create(beamState), {
+                canvasMode: isSection ? 'section' : (beamState.canvasMode === 'shear' ? 'shear' : 'long'),
+                sectionPosition: options.position || beamState.sectionPosition || 'M',
+                highlightedSpanIndex: options.spanIndex ?? (isSection ? beamState.highlightedSpanIndex : -1),
+                hoveredLabel: null,
+                spanBounds: [],
+                labelHits: []
+            });
+        },
+
+        /**
+         * World-space bounds of an export view (elevation or section)
+         */
+        getExportBounds(spans, layout, view) {
+            return view.canvasMode === 'section'
+                ? global.Beam?.Section?.getContentBounds(this._getSectionSpan(spans, view), view.sectionPosition) || null
+                : this.getContentBounds(layout, view);
+        },
+
+        /**
+         * Draw an export view without selection/hover styling
+         */
+        drawExport(ctx, spans, layout, view) {
+            this._exporting = true;
+            try {
+                this.drawScene(ctx, spans, layout, view);
+            } finally {
+                this._exporting = false;
+            }
+        },
+
+        /**
+         * Horizontal layout of spans and supports in world coordinates.
+         * 'fit' squeezes all spans into the canvas width; 'scale' draws lengths
+         * at REAL_SCALE_PX_PER_M with support widths from group.Supports and
+         * leaves fitting to zoom/pan. Beam depth stays schematic in both modes.
+         * @param {string} [layoutMode] - Override Beam.State.layoutMode
+         * @returns {{mode, widths, spans: {x, width}[], supports: {x, width, data}[], startX, beamY, totalWidth, pxPerM}}
+         */
+        _calculateLayout(spans, canvasWidth, group, layoutMode) {
+            const mode = (layoutMode || global.Beam?.State?.layoutMode) === 'scale' ? 'scale' : 'fit';
+            const layout = mode === 'scale'
+                ? this._calculateScaleLayout(spans, group)
+                : this._calculateFitLayout(spans, canvasWidth);
+
+            layout.mode = mode;
+            layout.widths = layout.spans.map(s => s.width);
+            layout.beamY = 60;
+            const last = layout.supports[layout.supports.length - 1];
+            layout.totalWidth = last.x + last.width / 2 - layout.startX;
+            return layout;
+        },
+
+        _calculateFitLayout(spans, canvasWidth) {
             const numSpans = spans.length;
             const lengths = spans.map(s => s.Length || 1);
             const totalLength = lengths.reduce((a, b) => a + b, 0);
@@ -76,24 +236,114 @@
                 return Math.max(this.config.MIN_SPAN_WIDTH, width);
             });
 
+            // First support sits 5px before span 0; later supports mark span ends followed by SUPPORT_GAP
+            const startX = this.config.CANVAS_PADDING;
+            const supports = [{ x: startX, width: 0, data: null }];
+            const layoutSpans = [];
+            let x = startX + 5;
+            widths.forEach(w => {
+                layoutSpans.push({ x, width: w });
+                x += w;
+                supports.push({ x, width: 0, data: null });
+                x += this.config.SUPPORT_GAP;
+            });
+
+            return { startX, spans: layoutSpans, supports, pxPerM: null };
+        },
+
+        _calculateScaleLayout(spans, group) {
+            const pxPerM = this.config.REAL_SCALE_PX_PER_M;
+            const supportData = this._getSupportData(spans, group);
+
+            // Support centerlines (m): Position from data when complete, else chained span lengths
+            const hasPositions = supportData.length === spans.length + 1 &&
+                supportData.every(sp => typeof sp?.Position === 'number');
+            const centers = [0];
+            spans.forEach((span, i) => {
+                centers.push(hasPositions
+                    ? supportData[i + 1].Position - supportData[0].Position
+                    : centers[i] + (span.Length || 0));
+            });
+
+            const firstHalf = (supportData[0]?.Width || 0) / 2000 * pxPerM;
+            const startX = this.config.CANVAS_PADDING + firstHalf;
+            const supports = centers.map((c, i) => ({
+                x: startX + c * pxPerM,
+                width: (supportData[i]?.Width || 0) / 1000 * pxPerM,
+                data: supportData[i] || null
+            }));
+
+            // Spans run face to face
+            const layoutSpans = spans.map((span, i) => {
+                const x1 = supports[i].x + supports[i].width / 2;
+                const x2 = supports[i + 1].x - supports[i + 1].width / 2;
+                return { x: x1, width: Math.max(1, x2 - x1) };
+            });
+
+            return { startX: this.config.CANVAS_PADDING, spans: layoutSpans, supports, pxPerM };
+        },
+
+        /**
+         * Supports ordered along the beam (group.Supports, padded to spans + 1)
+         */
+        _getSupportData(spans, group) {
+            const list = Array.isArray(group?.Supports) ? group.Supports.slice() : [];
+            list.sort((a, b) => (a?.SupportIndex ?? 0) - (b?.SupportIndex ?? 0));
+            return Array.from({ length: spans.length + 1 }, (_, i) => list[i] || null);
+        },
+
+        /**
+         * World-space extent of the drawing (beam, labels, dimension chains, envelope strips)
+         * @param {object} [view] - Beam.State or an export view (showEnvelope)
+         */
+        getContentBounds(layout, view = global.Beam?.State) {
+            const rowsAbove = this.config.MAX_LABEL_ROWS * this.config.LABEL_ROW_HEIGHT + 20;
+            const envelope = view?.showEnvelope && global.Beam?.Envelope ? global.Beam.Envelope.getHeight() : 0;
+            const pad = this.config.CANVAS_PADDING;
+
             return {
-                widths,
-                startX: this.config.CANVAS_PADDING,
-                beamY: 60
+                x: layout.startX - pad,
+                y: layout.beamY - rowsAbove,
+                width: layout.totalWidth + pad * 2,
+                height: rowsAbove + this.config.BEAM_HEIGHT + this._getHeightBelowBeam(layout) + envelope
             };
         },
 
+        /**
+         * Labels under the beam, or the dimension chains in true-scale layout
+         */
+        _getHeightBelowBeam(layout) {
+            return layout.mode === 'scale'
+                ? this.config.DIM_CHAIN_OFFSET + this.config.DIM_CHAIN_ROW * 3
+                : 24 + this.config.MAX_LABEL_ROWS * this.config.LABEL_ROW_HEIGHT;
+        },
+
+        /**
+         * Zoom/pan so the whole beam group is visible
+         */
+        fitToView() {
+            const canvas = document.getElementById('beamCanvas');
+            const spans = global.Beam?.State?.currentGroup?.Spans;
+            if (!canvas || !spans?.length) return;
+
+            const layout = this._calculateLayout(spans, canvas.width, global.Beam.State.currentGroup);
+            global.Dts?.State?.fitToBounds(this.getContentBounds(layout), canvas.width, canvas.height);
+        },
+
         _drawAllSpans(ctx, spans, layout, beamState) {
-            let x = layout.startX;
             const beamY = layout.beamY;
 
-            spans.forEach((span, i) => {
-                const w = layout.widths[i];
-
-                if (i === 0) {
-                    this._drawSupport(ctx, x, beamY);
-                    x += 5;
+            ctx.setLayer?.('supports');
+            layout.supports.forEach(support => {
+                if (layout.mode === 'scale' && support.width > 0) {
+                    this._drawColumn(ctx, support.x, beamY, support.width);
+                } else {
+                    this._drawSupport(ctx, support.x, beamY);
                 }
+            });
+
+            spans.forEach((span, i) => {
+                const { x, width: w } = layout.spans[i];
 
                 beamState.spanBounds.push({
                     x, y: beamY,
@@ -101,17 +351,50 @@
                     index: i
                 });
 
+                // Exports carry no selection/hover styling
                 const isHighlighted = i === beamState.highlightedSpanIndex;
-                this._drawSpan(ctx, x, beamY, w, span, isHighlighted);
-                this._drawRebarNLayers(ctx, x, beamY, w, span);
+                const isSelected = !this._exporting && !!global.Dts?.State?.isSelected(i);
+                const isHovered = !this._exporting && i === global.Dts?.State?.hoveredIndex;
+                // As check overlay is a screen aid, not part of exported drawings
+                const asCheck = beamState.canvasMode !== 'shear' && !this._exporting
+                    ? global.Beam?.Check?.checkSpan(span)
+                    : null;
+
+                ctx.setLayer?.('concrete');
+                this._drawSpan(ctx, x, beamY, w, span, isHighlighted, isSelected, isHovered);
+                if (asCheck) this._drawDeficitZones(ctx, x, beamY, w, asCheck);
+                ctx.setLayer?.('rebar');
+                if (beamState.canvasMode === 'shear') {
+                    this._drawStirrupZones(ctx, x, beamY, w, span);
+                } else {
+                    this._drawRebarNLayers(ctx, x, beamY, w, span);
+                }
 
                 // Pass beamState to store label hits
+                ctx.setLayer?.('labels');
                 this._drawLabels(ctx, x, beamY, w, span, beamState, i);
+                if (asCheck) this._drawUtilisation(ctx, x, beamY, w, asCheck);
 
-                x += w;
-                this._drawSupport(ctx, x, beamY);
-                x += this.config.SUPPORT_GAP;
+                const violations = this._exporting ? null : global.Beam?.Rules?.checkSpan(span);
+                if (violations?.length) this._drawRuleMarker(ctx, x, beamY, violations);
             });
+
+            if (beamState.canvasMode !== 'shear' && global.Beam?.Splice) {
+                const group = beamState.currentGroup?.Spans === spans ? beamState.currentGroup : { Spans: spans };
+                ctx.setLayer?.('rebar');
+                this._drawSplices(ctx, group, layout);
+            }
+
+            if (layout.mode === 'scale') {
+                ctx.setLayer?.('dimensions');
+                this._drawDimensionChains(ctx, layout);
+            }
+
+            // Demand/capacity strips in world space: they zoom and pan with the beam
+            if (beamState.showEnvelope && global.Beam?.Envelope) {
+                const top = layout.beamY + this.config.BEAM_HEIGHT + this._getHeightBelowBeam(layout);
+                global.Beam.Envelope.render(ctx, spans, layout, top);
+            }
         },
 
         _drawNoData(ctx, canvas) {
@@ -124,13 +407,24 @@
             ctx.fillText('Không có dữ liệu nhịp', 200, 90);
         },
 
-        _drawSpan(ctx, x, y, w, span, isHighlighted) {
+        _drawSpan(ctx, x, y, w, span, isHighlighted, isSelected, isHovered) {
             const renderer = global.Dts?.Renderer;
             const snap = renderer ? renderer.snap : (v) => v;
 
-            ctx.fillStyle = isHighlighted ? this.colors.highlightFill : this.colors.beamFill;
-            ctx.strokeStyle = isHighlighted ? this.colors.highlightStroke : this.colors.beamStroke;
-            ctx.lineWidth = isHighlighted ? 2 : 1;
+            if (isHighlighted) {
+                ctx.fillStyle = this.colors.highlightFill;
+                ctx.strokeStyle = this.colors.highlightStroke;
+            } else if (isSelected) {
+                ctx.fillStyle = this.colors.selectedFill;
+                ctx.strokeStyle = this.colors.selectedStroke;
+            } else if (isHovered) {
+                ctx.fillStyle = this.colors.hoverFill;
+                ctx.strokeStyle = this.colors.hoverStroke;
+            } else {
+                ctx.fillStyle = this.colors.beamFill;
+                ctx.strokeStyle = this.colors.beamStroke;
+            }
+            ctx.lineWidth = (isHighlighted || isSelected) ? 2 : 1;
 
             // Use fillSnap (no offset) and strokeSnap (0.5 offset)
             const sx = snap(x, true);
@@ -159,23 +453,116 @@
             ctx.fill();
         },
 
+        /**
+         * True-scale support: column stub of its real width under the beam
+         */
+        _drawColumn(ctx, cx, y, width) {
+            const x = Math.round(cx - width / 2);
+            const top = Math.round(y + this.config.BEAM_HEIGHT);
+            const w = Math.max(1, Math.round(width));
+
+            ctx.fillStyle = this.colors.columnFill;
+            ctx.fillRect(x, top, w, this.config.COLUMN_DEPTH);
+            ctx.strokeStyle = this.colors.supportFill;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, top + 0.5, w - 1, this.config.COLUMN_DEPTH - 1);
+        },
+
+        // ===== DIMENSION CHAINS (true-scale layout) =====
+
+        /**
+         * Three chained rows under the beam: support faces, axis-to-axis spans, overall length
+         */
+        _drawDimensionChains(ctx, layout) {
+            const baseY = layout.beamY + this.config.BEAM_HEIGHT + this.config.DIM_CHAIN_OFFSET;
+            const rowH = this.config.DIM_CHAIN_ROW;
+            const supports = layout.supports;
+
+            const faces = [];
+            supports.forEach(sp => {
+                if (sp.width > 0) faces.push(sp.x - sp.width / 2, sp.x + sp.width / 2);
+                else faces.push(sp.x);
+            });
+            const axes = supports.map(sp => sp.x);
+            const overall = [faces[0], faces[faces.length - 1]];
+
+            ctx.font = '10px "Segoe UI", sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            this._drawDimChain(ctx, faces, baseY, layout.pxPerM);
+            this._drawDimChain(ctx, axes, baseY + rowH, layout.pxPerM);
+            this._drawDimChain(ctx, overall, baseY + rowH * 2, layout.pxPerM);
+
+            // Grid names under the axis ticks
+            ctx.fillStyle = this.colors.label;
+            ctx.textBaseline = 'top';
+            supports.forEach(sp => {
+                if (sp.data?.GridName) ctx.fillText(sp.data.GridName, Math.round(sp.x), baseY + rowH * 2 + 6);
+            });
+        },
+
+        /**
+         * One dimension row: line through all points, 45° ticks and mm text per segment
+         * @param {number[]} xs - World X of the chain points (ascending)
+         */
+        _drawDimChain(ctx, xs, y, pxPerM) {
+            if (xs.length < 2) return;
+            const tick = 3;
+            const sy = Math.round(y) + 0.5;
+
+            ctx.strokeStyle = this.colors.dimension;
+            ctx.fillStyle = this.colors.dimension;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(xs[0], sy);
+            ctx.lineTo(xs[xs.length - 1], sy);
+            xs.forEach(x => {
+                ctx.moveTo(x, sy - 6);
+                ctx.lineTo(x, sy + 4);
+                ctx.moveTo(x - tick, sy + tick);
+                ctx.lineTo(x + tick, sy - tick);
+            });
+            ctx.stroke();
+
+            for (let i = 1; i < xs.length; i++) {
+                const px = xs[i] - xs[i - 1];
+                const text = String(Math.round(px / pxPerM * 1000));
+                // Skip text that would not fit between the ticks
+                if (ctx.measureText(text).width + 4 > px) continue;
+                ctx.fillText(text, Math.round(xs[i - 1] + px / 2), sy - 2);
+            }
+        },
+
         _drawRebarNLayers(ctx, x, y, w, span) {
             const topY = y + 6;
             const botY = y + this.config.BEAM_HEIGHT - 6;
 
-            if (span.TopBackbone) this._drawRebarLine(ctx, x, topY, w, span.TopBackbone, 'top', 0, true);
+            this._drawSideRebar(ctx, x, topY, w, span, 'top');
+            this._drawSideRebar(ctx, x, botY, w, span, 'bot');
+        },
 
-            const baseLayerTop = span.TopBackbone ? this._getLayerCount(span.TopBackbone) : 0;
-            if (span.TopAddLeft) this._drawRebarLine(ctx, x, topY, w * 0.25, span.TopAddLeft, 'top', baseLayerTop, false);
-            if (span.TopAddMid) this._drawRebarLine(ctx, x + w * 0.25, topY, w * 0.5, span.TopAddMid, 'top', baseLayerTop, false);
-            if (span.TopAddRight) this._drawRebarLine(ctx, x + w * 0.75, topY, w * 0.25, span.TopAddRight, 'top', baseLayerTop, false);
+        _drawSideRebar(ctx, x, barY, w, span, position) {
+            const prefix = position === 'top' ? 'Top' : 'Bot';
+            const backbone = span[`${prefix}Backbone`];
 
-            if (span.BotBackbone) this._drawRebarLine(ctx, x, botY, w, span.BotBackbone, 'bot', 0, true);
+            if (backbone) this._drawRebarLine(ctx, x, barY, w, backbone, position, 0, true);
 
-            const baseLayerBot = span.BotBackbone ? this._getLayerCount(span.BotBackbone) : 0;
-            if (span.BotAddLeft) this._drawRebarLine(ctx, x, botY, w * 0.25, span.BotAddLeft, 'bot', baseLayerBot, false);
-            if (span.BotAddMid) this._drawRebarLine(ctx, x + w * 0.15, botY, w * 0.7, span.BotAddMid, 'bot', baseLayerBot, false);
-            if (span.BotAddRight) this._drawRebarLine(ctx, x + w * 0.75, botY, w * 0.25, span.BotAddRight, 'bot', baseLayerBot, false);
+            const baseLayer = backbone ? this._getLayerCount(backbone) : 0;
+            ['AddLeft', 'AddMid', 'AddRight'].forEach(zone => {
+                const info = span[`${prefix}${zone}`];
+                if (!info) return;
+                const extent = this._getZoneExtent(position, zone, span);
+                this._drawRebarLine(ctx, x + w * extent.start, barY, w * extent.length, info, position, baseLayer, false);
+            });
+        },
+
+        /**
+         * Addon bar extent as fractions of span length: cut-off to cut-off from
+         * Beam.Curtailment when a span is given, else the fixed zone
+         * @returns {{start: number, length: number}}
+         */
+        _getZoneExtent(position, zone, span) {
+            return (span && global.Beam?.Curtailment?.extent(span, position, zone)) || this.zones[position][zone];
         },
 
         _drawRebarLine(ctx, startX, startY, length, info, pos, startLayer, isBackbone) {
@@ -206,6 +593,292 @@
             });
         },
 
+        // ===== LAP SPLICES AND ANCHORAGE (Beam.Splice) =====
+
+        /**
+         * Backbone laps as a doubled bar segment (red when outside the preferred zones),
+         * hooks into the end supports, straight anchorage where a backbone run changes.
+         * Preferred lap zones are a screen aid: a thin band inside the beam edge.
+         * @param {number} [beamHeight] - Beam depth on the canvas (the page draws a deeper beam)
+         * @param {number} [barInset] - Distance of the top and bottom bars from the beam edges
+         */
+        _drawSplices(ctx, group, layout, beamHeight = this.config.BEAM_HEIGHT, barInset = 6) {
+            const splice = global.Beam.Splice;
+            const offsets = splice.spanOffsets(group.Spans);
+            const toX = x => this._groupToCanvasX(layout, offsets, x);
+            const beamY = layout.beamY;
+
+            ['top', 'bot'].forEach(position => {
+                const isTop = position === 'top';
+                const barY = isTop ? beamY + barInset : beamY + beamHeight - barInset;
+                const color = isTop ? this.colors.rebarTop : this.colors.rebarBot;
+
+                if (!this._exporting) {
+                    const bandY = isTop ? beamY + 1 : beamY + beamHeight - 3;
+                    ctx.fillStyle = this.colors.spliceZone;
+                    splice.preferredZones(group.Spans, position).forEach(z => {
+                        const x1 = Math.round(toX(z.start));
+                        ctx.fillRect(x1, bandY, Math.max(1, Math.round(toX(z.end)) - x1), 2);
+                    });
+                }
+
+                splice.plan(group, position).runs.forEach(run => {
+                    run.splices.forEach(lap => this._drawLap(ctx, toX(lap.start), toX(lap.end), barY, isTop, lap.allowed ? color : this.colors.spliceForbidden, lap.allowed));
+                    run.anchorages.forEach(a => {
+                        if (a.hook) {
+                            this._drawEndHook(ctx, layout, a, barY, isTop, color);
+                        } else {
+                            const dir = a.side === 'start' ? -1 : 1;
+                            this._drawStraightAnchorage(ctx, toX(a.x), toX(a.x + dir * a.length), barY, isTop, color);
+                        }
+                    });
+                });
+            });
+        },
+
+        /**
+         * Group position (mm from the first support axis) to canvas x, through the span that holds it
+         */
+        _groupToCanvasX(layout, offsets, x) {
+            const i = global.Beam.Splice.spanAt(offsets, x);
+            const span = layout.spans[i];
+            const length = offsets[i + 1] - offsets[i] || 1;
+            return span.x + (x - offsets[i]) / length * span.width;
+        },
+
+        _drawLap(ctx, x1, x2, barY, isTop, color, allowed) {
+            const dy = this.config.LAP_OFFSET * (isTop ? 1 : -1);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = this.config.BAR_THICKNESS - 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x1, barY + dy);
+            ctx.lineTo(x2, barY + dy);
+            ctx.moveTo(x1, barY - dy);
+            ctx.lineTo(x1, barY + 2 * dy);
+            ctx.moveTo(x2, barY - dy);
+            ctx.lineTo(x2, barY + 2 * dy);
+            ctx.stroke();
+
+            if (!allowed && !this._exporting) {
+                ctx.fillStyle = color;
+                ctx.font = '9px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.fillText('⚠', (x1 + x2) / 2, barY + (isTop ? 16 : -10));
+            }
+        },
+
+        /**
+         * Bar continues into the end support and bends toward the beam centre; label with la
+         */
+        _drawEndHook(ctx, layout, anchorage, barY, isTop, color) {
+            const atStart = anchorage.side === 'start';
+            const span = atStart ? layout.spans[0] : layout.spans[layout.spans.length - 1];
+            const support = atStart ? layout.supports[0] : layout.supports[layout.supports.length - 1];
+            const dir = atStart ? -1 : 1;
+            const edgeX = atStart ? span.x : span.x + span.width;
+            const endX = support.x + dir * Math.max(4, support.width * 0.3);
+            const hookY = barY + this.config.ANCHOR_HOOK * (isTop ? 1 : -1);
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = this.config.BAR_THICKNESS;
+            ctx.beginPath();
+            ctx.moveTo(edgeX, barY);
+            ctx.lineTo(endX, barY);
+            ctx.lineTo(endX, hookY);
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            ctx.font = '8px sans-serif';
+            ctx.textAlign = atStart ? 'right' : 'left';
+            ctx.fillText(`la=${Math.round(anchorage.length)}`, endX + dir * 2, hookY + (isTop ? 8 : -2));
+        },
+
+        /**
+         * Anchorage past a backbone change: dashed continuation of the bar
+         */
+        _drawStraightAnchorage(ctx, x1, x2, barY, isTop, color) {
+            const dy = this.config.LAP_OFFSET * (isTop ? 1 : -1);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = this.config.BAR_THICKNESS - 0.5;
+            ctx.setLineDash([4, 2]);
+            ctx.beginPath();
+            ctx.moveTo(x1, barY + dy);
+            ctx.lineTo(x2, barY + dy);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        },
+
+        // ===== AS CHECK (Beam.Check) =====
+
+        /**
+         * Red wash over the half of each station zone (top or bottom) where As_prov < As_req
+         * @param {object} check - Beam.Check.checkSpan result
+         */
+        _drawDeficitZones(ctx, x, y, w, check) {
+            const half = this.config.BEAM_HEIGHT / 2;
+            ctx.fillStyle = this.colors.deficitFill;
+
+            global.Beam.Check.STATIONS.forEach((station, si) => {
+                const zx = Math.round(x + w * station.start);
+                const zw = Math.round(w * station.length);
+                if (check.top[si].isDeficit) ctx.fillRect(zx, Math.round(y), zw, half);
+                if (check.bot[si].isDeficit) ctx.fillRect(zx, Math.round(y + half), zw, half);
+            });
+        },
+
+        /**
+         * Utilisation per station inside the beam, top row for top steel, bottom row for bottom steel
+         */
+        _drawUtilisation(ctx, x, y, w, check) {
+            const beamCheck = global.Beam.Check;
+            const rows = [['top', y + 22], ['bot', y + this.config.BEAM_HEIGHT - 22]];
+            ctx.font = '9px "Segoe UI", sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+
+            beamCheck.STATIONS.forEach((station, si) => {
+                const cx = Math.round(x + w * (station.start + station.length / 2));
+                rows.forEach(([position, cy]) => {
+                    const result = check[position][si];
+                    if (result.req <= 0) return;
+                    ctx.fillStyle = result.isDeficit ? this.colors.deficitText : this.colors.utilisation;
+                    ctx.fillText(beamCheck.formatUtilisation(result.utilisation), cx, Math.round(cy));
+                });
+            });
+        },
+
+        /**
+         * Failed detailing rules in the top-left corner of the span: "⚠ a, μmin"
+         * @param {object[]} violations - Beam.Rules.checkSpan result
+         */
+        _drawRuleMarker(ctx, x, y, violations) {
+            ctx.font = '600 9px "Segoe UI", sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = this.colors.ruleViolation;
+            ctx.fillText(`⚠ ${global.Beam.Rules.summarize(violations)}`, Math.round(x + 3), Math.round(y + 10));
+        },
+
+        /**
+         * Pan (zoom unchanged) so a span is centred when it lies outside the visible canvas
+         */
+        scrollToSpan(index) {
+            const canvas = document.getElementById('beamCanvas');
+            const bounds = global.Beam?.State?.spanBounds?.[index];
+            const view = global.Dts?.State;
+            if (!canvas || !bounds || !view) return;
+
+            const left = bounds.x * view.zoom + view.panX;
+            const right = (bounds.x + bounds.width) * view.zoom + view.panX;
+            if (left >= 0 && right <= canvas.width) return;
+
+            view.panX = canvas.width / 2 - (bounds.x + bounds.width / 2) * view.zoom;
+            view.notify('view', { zoom: view.zoom, panX: view.panX, panY: view.panY });
+        },
+
+        // ===== SHEAR MODE =====
+
+        /**
+         * Draw stirrup zones of a span: zone borders, stirrups as ticks at their
+         * spacing (scaled to span length) and a red wash where the shear ratio is exceeded
+         */
+        _drawStirrupZones(ctx, x, y, w, span) {
+            const inset = this.config.STIRRUP_INSET;
+            const h = this.config.BEAM_HEIGHT;
+            const pxPerMm = w / (Math.max(span.Length || 0, 0.001) * 1000);
+
+            (global.Beam?.State?.STIRRUP_ZONES || []).forEach((zone, zi) => {
+                const zx = x + w * zone.start;
+                const zw = w * zone.length;
+                const check = this.getStirrupCheck(span, zi);
+
+                if (check.isExceeded) {
+                    ctx.fillStyle = this.colors.stirrupExceededFill;
+                    ctx.fillRect(Math.round(zx), Math.round(y), Math.round(zw), h);
+                }
+
+                // Zone border (support zones vs mid zone)
+                if (zi > 0) {
+                    ctx.strokeStyle = this.colors.stirrupZoneBorder;
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash([3, 3]);
+                    ctx.beginPath();
+                    ctx.moveTo(Math.round(zx) + 0.5, y);
+                    ctx.lineTo(Math.round(zx) + 0.5, y + h);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+
+                if (!check.stirrup) return;
+
+                // Ticks at real spacing; clamp so dense stirrups stay readable
+                const gap = Math.max(check.stirrup.spacing * pxPerMm, this.config.MIN_STIRRUP_TICK_GAP);
+                ctx.strokeStyle = check.isExceeded ? this.colors.stirrupExceeded : this.colors.stirrup;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                for (let tx = zx + gap / 2; tx < zx + zw; tx += gap) {
+                    const sx = Math.round(tx) + 0.5;
+                    ctx.moveTo(sx, y + inset);
+                    ctx.lineTo(sx, y + h - inset);
+                }
+                ctx.stroke();
+            });
+        },
+
+        /**
+         * Stirrup label per zone: "d8a100 (85%)", red when exceeded
+         */
+        _drawStirrupLabels(ctx, x, w, span, baseY) {
+            (global.Beam?.State?.STIRRUP_ZONES || []).forEach((zone, zi) => {
+                const check = this.getStirrupCheck(span, zi);
+                if (!check.text) return;
+
+                const ratioText = check.ratio > 0 ? ` (${Math.round(check.ratio * 100)}%)` : '';
+                const text = `${zone.name}: ${check.text}${ratioText}`;
+                const cx = x + w * (zone.start + zone.length / 2);
+                const row = this._findFreeLabelRow('bot', cx, ctx.measureText(text).width, 0);
+
+                ctx.fillStyle = check.isExceeded ? this.colors.stirrupExceeded : this.colors.stirrup;
+                ctx.fillText(text, Math.round(cx), Math.round(baseY + row * this.config.LABEL_ROW_HEIGHT));
+            });
+        },
+
+        /**
+         * Shear check of one stirrup zone.
+         * Provided Asw/s uses the same units as As_Stir (cm²/cm, see RebarCalculator.ParseStirrupAreaPerLen).
+         * @param {object} span - Span data
+         * @param {number} zoneIndex - 0 = L, 1 = M, 2 = R
+         * @returns {{text: string, stirrup: object|null, prov: number, req: number, ratio: number, isExceeded: boolean}}
+         */
+        getStirrupCheck(span, zoneIndex) {
+            const raw = Array.isArray(span.Stirrup) ? span.Stirrup[zoneIndex] : null;
+            const text = raw && raw !== '-' ? String(raw) : '';
+            const stirrup = this._parseStirrup(text);
+
+            const prov = stirrup ? global.Dts.Rebar.area(stirrup, 'stirrup') : 0;
+            const req = Number(span.As_Stir?.[zoneIndex]) || 0;
+            const safetyFactor = global.Beam?.State?.settings?.SafetyFactor || 1.0;
+            const ratio = prov > 0 ? (req * safetyFactor) / prov : 0;
+
+            return {
+                text,
+                stirrup,
+                prov,
+                req,
+                ratio,
+                isExceeded: req > 0 && (prov <= 0 || ratio > 1)
+            };
+        },
+
+        /**
+         * Parse stirrup notation (see Dts.Rebar.parseStirrup)
+         * @returns {object|null} Dts.Rebar stirrup result {legs, diameter, spacing, ...}, null if empty or unreadable
+         */
+        _parseStirrup(text) {
+            const stirrup = global.Dts?.Rebar?.parseStirrup(text);
+            return stirrup?.spacing > 0 ? stirrup : null;
+        },
+
         _getLayerCount(info) {
             if (!info) return 0;
             if (info.LayerCounts && info.LayerCounts.length > 0) return info.LayerCounts.length;
@@ -221,50 +894,136 @@
 
             ctx.font = '11px "Segoe UI", sans-serif';
 
-            // === TOP LABEL & HIT BOX ===
-            const topLabel = this._getSummaryLabel(span.TopBackbone, span.TopAddLeft, span.TopAddMid, span.TopAddRight);
-            ctx.fillStyle = this.colors.rebarTop;
             const topY = Math.round(y - 12);
-            ctx.fillText(topLabel, Math.round(x + w / 2), topY);
+            const botY = Math.round(y + this.config.BEAM_HEIGHT + 24);
 
-            // Register Top Hit (approximate text metrics)
-            const topMetrics = ctx.measureText(topLabel);
-            if (beamState && beamState.labelHits) {
-                beamState.labelHits.push({
-                    x: x + w / 2 - topMetrics.width / 2,
-                    y: topY - 6,
-                    w: topMetrics.width,
-                    h: 12,
-                    spanIndex: spanIndex,
-                    position: 'top'
+            if (beamState?.canvasMode === 'shear') {
+                this._drawStirrupLabels(ctx, x, w, span, botY);
+            } else if (beamState?.labelMode === 'detailed') {
+                this._drawDetailedLabels(ctx, x, w, span, 'top', topY, beamState, spanIndex);
+                this._drawDetailedLabels(ctx, x, w, span, 'bot', botY, beamState, spanIndex);
+            } else {
+                // === TOP LABEL & HIT BOX ===
+                const topLabel = this._getSummaryLabel(span.TopBackbone, span.TopAddLeft, span.TopAddMid, span.TopAddRight);
+                this._drawRebarLabel(ctx, topLabel, x + w / 2, topY, 'top', null, beamState, spanIndex);
+
+                // === BOT LABEL & HIT BOX ===
+                const botLabel = this._getSummaryLabel(span.BotBackbone, span.BotAddLeft, span.BotAddMid, span.BotAddRight);
+                this._drawRebarLabel(ctx, botLabel, x + w / 2, botY, 'bot', null, beamState, spanIndex);
+            }
+
+            ctx.setLayer?.('dimensions');
+            ctx.fillStyle = this.colors.dimension;
+            const lengthText = `${(span.Length || 0).toFixed(2)}m`;
+            ctx.fillText(lengthText, Math.round(x + w / 2), Math.round(y + this.config.BEAM_HEIGHT + 12));
+
+            const sectionText = `${span.Width || 0}×${span.Height || 0}`;
+            ctx.fillText(sectionText, Math.round(x + w / 2), Math.round(y - 2));
+        },
+
+        /**
+         * Detailed mode: backbone centered on the first row, each addon over its own zone.
+         * Labels that would overlap an already placed label move one row further out.
+         */
+        _drawDetailedLabels(ctx, x, w, span, position, baseY, beamState, spanIndex) {
+            const prefix = position === 'top' ? 'Top' : 'Bot';
+            const direction = position === 'top' ? -1 : 1;
+
+            const backbone = span[`${prefix}Backbone`];
+            if (!backbone || !backbone.Count) return;
+
+            const items = [{ zone: 'Backbone', text: this._formatRebarInfo(backbone), cx: x + w / 2, minRow: 0 }];
+            ['AddLeft', 'AddMid', 'AddRight'].forEach(zone => {
+                const info = span[`${prefix}${zone}`];
+                if (!info || !info.Count) return;
+                const extent = this._getZoneExtent(position, zone, span);
+                items.push({
+                    zone,
+                    text: `+${this._formatRebarInfo(info)}`,
+                    cx: x + w * (extent.start + extent.length / 2),
+                    minRow: 1
                 });
+            });
+
+            items.forEach(item => {
+                const width = ctx.measureText(item.text).width;
+                const row = this._findFreeLabelRow(position, item.cx, width, item.minRow);
+                const cy = baseY + direction * row * this.config.LABEL_ROW_HEIGHT;
+                this._drawRebarLabel(ctx, item.text, item.cx, cy, position, item.zone, beamState, spanIndex);
+            });
+        },
+
+        /**
+         * Find the first label row (>= minRow) where a label of given width fits without overlap
+         */
+        _findFreeLabelRow(position, cx, width, minRow) {
+            const placed = this._placedLabels[position];
+            const gap = 4;
+            const x1 = cx - width / 2 - gap;
+            const x2 = cx + width / 2 + gap;
+
+            let row = minRow;
+            while (row < this.config.MAX_LABEL_ROWS - 1 &&
+                placed.some(p => p.row === row && p.x1 < x2 && p.x2 > x1)) {
+                row++;
             }
+            placed.push({ row, x1, x2 });
+            return row;
+        },
 
-            // === BOT LABEL & HIT BOX ===
-            const botLabel = this._getSummaryLabel(span.BotBackbone, span.BotAddMid, span.BotAddLeft, span.BotAddRight);
-            ctx.fillStyle = this.colors.rebarBot;
-            const botY = Math.round(y + this.config.BEAM_HEIGHT + 24);
-            ctx.fillText(botLabel, Math.round(x + w / 2), botY);
+        /**
+         * Draw one editable rebar label and register its hit box
+         */
+        _drawRebarLabel(ctx, text, cx, cy, position, zone, beamState, spanIndex) {
+            const color = position === 'top' ? this.colors.rebarTop : this.colors.rebarBot;
+            const metrics = ctx.measureText(text);
 
-            // Register Bot Hit
-            const botMetrics = ctx.measureText(botLabel);
+            if (this._isLabelHovered(beamState, spanIndex, position, zone)) {
+                this._drawLabelHover(ctx, cx, cy, metrics.width, color);
+            }
+            ctx.fillStyle = color;
+            ctx.fillText(text, Math.round(cx), Math.round(cy));
+
+            // Register hit (approximate text metrics)
             if (beamState && beamState.labelHits) {
                 beamState.labelHits.push({
-                    x: x + w / 2 - botMetrics.width / 2,
-                    y: botY - 6,
-                    w: botMetrics.width,
+                    x: cx - metrics.width / 2,
+                    y: Math.round(cy) - 6,
+                    w: metrics.width,
                     h: 12,
                     spanIndex: spanIndex,
-                    position: 'bot'
+                    position: position,
+                    zone: zone
                 });
             }
+        },
 
-            ctx.fillStyle = this.colors.dimension;
-            const lengthText = `${(span.Length || 0).toFixed(2)}m`;
-            ctx.fillText(lengthText, Math.round(x + w / 2), Math.round(y + this.config.BEAM_HEIGHT + 12));
+        // Detailed mode draws one label per zone: only the one under the cursor is hovered
+        _isLabelHovered(beamState, spanIndex, position, zone = null) {
+            const hovered = beamState?.hoveredLabel;
+            return !!hovered && hovered.spanIndex === spanIndex && hovered.position === position &&
+                (hovered.zone ?? null) === zone;
+        },
 
-            const sectionText = `${span.Width || 0}×${span.Height || 0}`;
-            ctx.fillText(sectionText, Math.round(x + w / 2), Math.round(y - 2));
+        /**
+         * Hover style for an editable label: soft box + underline in label color
+         */
+        _drawLabelHover(ctx, cx, cy, textWidth, color) {
+            if (textWidth <= 0) return;
+            const pad = 3;
+            ctx.fillStyle = this.colors.labelHoverFill;
+            ctx.fillRect(Math.round(cx - textWidth / 2 - pad), Math.round(cy - 8), Math.round(textWidth + pad * 2), 16);
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(Math.round(cx - textWidth / 2) + 0.5, Math.round(cy + 7) + 0.5);
+            ctx.lineTo(Math.round(cx + textWidth / 2) + 0.5, Math.round(cy + 7) + 0.5);
+            ctx.stroke();
+        },
+
+        _formatRebarInfo(info) {
+            return global.Dts.Rebar.formatInfo(info);
         },
 
         _getSummaryLabel(backbone, ...addons) {
@@ -277,10 +1036,9 @@
                     maxAddon = a;
                 }
             });
-            const backboneStr = backbone.DisplayString || `${backbone.Count}D${backbone.Diameter}`;
+            const backboneStr = this._formatRebarInfo(backbone);
             if (!maxAddon) return backboneStr;
-            const addonStr = maxAddon.DisplayString || `${maxAddon.Count}D${maxAddon.Diameter}`;
-            return `${backboneStr} + ${addonStr}`;
+            return `${backboneStr} + ${this._formatRebarInfo(maxAddon)}`;
         },
 
         /**
@@ -0,0 +1,295 @@
+/**
+ * BeamRules.js - Detailing Rule Checks
+ * Checks whether the bars of a span can be built: clear spacing, bars and layers
+ * per face, reinforcement ratio, stirrup spacing per zone, side bars of deep beams
+ * and backbone laps outside the preferred splice zones (Beam.Splice).
+ * Layer geometry (cover, stirrup, bar positions) comes from Beam.Section.calculateLayout,
+ * so the checks see the same section that the section view draws.
+ * Limits follow TCVN 5574:2018 and can be tuned in Beam.Rules.config.
+ */
+(function (global) {
+    'use strict';
+
+    const STATIONS = ['L', 'M', 'R'];
+    const SIDE_NAMES = { top: 'trên', bot: 'dưới' };
+
+    const BeamRules = {
+        config: {
+            MIN_CLEAR_BOT: 25,          // mm, and >= d
+            MIN_CLEAR_TOP: 30,          // mm, and >= 1.5d
+            MIN_RATIO: 0.001,           // As / (b·h0) per face
+            MAX_RATIO: 0.04,            // (As top + As bot) / (b·h)
+            STIRRUP_SUPPORT_MAX: 300,   // mm, and <= h0/2
+            STIRRUP_MID_MAX: 500,       // mm, and <= 3h0/4
+            DEEP_BEAM_HEIGHT: 700,      // mm, side bars required above this
+            SIDE_BAR_MAX_SPACING: 400,  // mm, vertical pitch of side bars
+            DEFAULT_MAX_LAYERS: 2
+        },
+
+        /**
+         * Rule table. check(span, context) returns violations
+         * [{ position, station, message }]; id, title and short are added by checkSpan.
+         */
+        rules: [
+            {
+                id: 'BARS_PER_LAYER',
+                title: 'Số thanh mỗi lớp',
+                short: 'n/lớp',
+                check(span, ctx) {
+                    return ctx.layers
+                        .filter(l => l.count > l.maxBars)
+                        .map(l => ({
+                            position: l.side,
+                            station: l.station,
+                            message: `${l.count}D${l.diameter} lớp ${l.index + 1} ${SIDE_NAMES[l.side]} (${l.station}): tối đa ${l.maxBars} thanh`
+                        }));
+                }
+            },
+            {
+                id: 'CLEAR_SPACING',
+                title: 'Khoảng hở giữa thanh',
+                short: 'a',
+                check(span, ctx) {
+                    // Layers over the code limit are already reported by BARS_PER_LAYER
+                    return ctx.layers
+                        .filter(l => l.count > 1 && l.count <= l.maxBars && l.clear < l.minClear)
+                        .map(l => ({
+                            position: l.side,
+                            station: l.station,
+                            message: `Lớp ${l.index + 1} ${SIDE_NAMES[l.side]} (${l.station}): a=${Math.round(l.clear)} < ${Math.round(l.minClear)} mm`
+                        }));
+                }
+            },
+            {
+                id: 'MAX_LAYERS',
+                title: 'Số lớp thép',
+                short: 'lớp',
+                check(span, ctx) {
+                    const out = [];
+                    ['top', 'bot'].forEach(side => STATIONS.forEach(station => {
+                        const count = ctx.layers.filter(l => l.side === side && l.station === station).length;
+                        if (count > ctx.maxLayers) {
+                            out.push({
+                                position: side,
+                                station,
+                                message: `Thép ${SIDE_NAMES[side]} (${station}): ${count} lớp > ${ctx.maxLayers}`
+                            });
+                        }
+                    }));
+                    return out;
+                }
+            },
+            {
+                id: 'MIN_RATIO',
+                title: 'Hàm lượng tối thiểu',
+                short: 'μmin',
+                check(span, ctx) {
+                    return ctx.ratios
+                        .filter(r => r.as > 0 && r.mu < ctx.config.MIN_RATIO)
+                        .map(r => ({
+                            position: r.side,
+                            station: r.station,
+                            message: `Thép ${SIDE_NAMES[r.side]} (${r.station}): μ=${(r.mu * 100).toFixed(2)}% < ${(ctx.config.MIN_RATIO * 100).toFixed(2)}%`
+                        }));
+                }
+            },
+            {
+                id: 'MAX_RATIO',
+                title: 'Hàm lượng tối đa',
+                short: 'μmax',
+                check(span, ctx) {
+                    return STATIONS
+                        .map(station => {
+                            const as = ctx.ratios.filter(r => r.station === station).reduce((sum, r) => sum + r.as, 0);
+                            return { station, mu: as * 100 / (span.Width * span.Height) };
+                        })
+                        .filter(r => r.mu > ctx.config.MAX_RATIO)
+                        .map(r => ({
+                            position: 'section',
+                            station: r.station,
+                            message: `Tổng thép (${r.station}): μ=${(r.mu * 100).toFixed(2)}% > ${(ctx.config.MAX_RATIO * 100).toFixed(1)}%`
+                        }));
+                }
+            },
+            {
+                id: 'STIRRUP_SPACING',
+                title: 'Bước đai',
+                short: 'sđai',
+                check(span, ctx) {
+                    const rebar = global.Dts.Rebar;
+                    const out = [];
+                    STATIONS.forEach((station, i) => {
+                        const text = Array.isArray(span.Stirrup) ? span.Stirrup[i] : '';
+                        const stirrup = rebar.parseStirrup(text);
+                        if (!(stirrup.spacing > 0)) return;
+
+                        const limit = station === 'M'
+                            ? Math.min(0.75 * ctx.h0, ctx.config.STIRRUP_MID_MAX)
+                            : Math.min(0.5 * ctx.h0, ctx.config.STIRRUP_SUPPORT_MAX);
+                        if (stirrup.spacing > limit) {
+                            out.push({
+                                position: 'stirrup',
+                                station,
+                                message: `Đai (${station}): a${stirrup.spacing} > ${Math.floor(limit)} mm`
+                            });
+                        }
+                    });
+                    return out;
+                }
+            },
+            {
+                id: 'SIDE_BARS',
+                title: 'Cốt giá dầm cao',
+                short: 'giá',
+                check(span, ctx) {
+                    if (span.Height <= ctx.config.DEEP_BEAM_HEIGHT) return [];
+
+                    const side = global.Dts.Rebar.parseSideBar(span.SideBar);
+                    if (!(side.count > 0)) {
+                        return [{
+                            position: 'side',
+                            station: null,
+                            message: `h=${span.Height} > ${ctx.config.DEEP_BEAM_HEIGHT} mm: cần cốt giá`
+                        }];
+                    }
+
+                    // Bars split over both faces (see Beam.Section), pitch over the web between the outer layers
+                    const perFace = Math.floor(side.count / 2);
+                    const pitch = ctx.webHeight / (perFace + 1);
+                    if (pitch <= ctx.config.SIDE_BAR_MAX_SPACING) return [];
+                    return [{
+                        position: 'side',
+                        station: null,
+                        message: `Cốt giá ${global.Dts.Rebar.formatBar(side.count, side.diameter)}: khoảng cách ${Math.round(pitch)} > ${ctx.config.SIDE_BAR_MAX_SPACING} mm`
+                    }];
+                }
+            },
+            {
+                id: 'SPLICE_ZONE',
+                title: 'Vị trí nối thép',
+                short: 'nối',
+                check(span) {
+                    const splice = global.Beam?.Splice;
+                    const beamState = global.Beam?.State;
+                    const group = [beamState?.currentGroup, ...(beamState?.groups || [])].find(g => g?.Spans?.includes(span));
+                    if (!splice || !group) return [];
+
+                    // Laps are placed along the whole group; report those that fall in this span
+                    const index = group.Spans.indexOf(span);
+                    const offsets = splice.spanOffsets(group.Spans);
+                    const length = offsets[index + 1] - offsets[index];
+                    return ['top', 'bot'].flatMap(side => splice.plan(group, side).violations
+                        .filter(s => s.spanIndex === index)
+                        .map(s => {
+                            const at = s.center - offsets[index];
+                            const station = at < length * 0.25 ? 'L' : at > length * 0.75 ? 'R' : 'M';
+                            return {
+                                position: side,
+                                station,
+                                message: `Nối thép ${SIDE_NAMES[side]} (${station}) tại ${(at / 1000).toFixed(2)} m: ngoài vùng nối`
+                            };
+                        }));
+                }
+            }
+        ],
+
+        /**
+         * Run every rule on a span
+         * @returns {{id, title, short, position, station, message}[]} Violations, rule order
+         */
+        checkSpan(span) {
+            const ctx = this._createContext(span);
+            if (!ctx) return [];
+
+            const violations = [];
+            this.rules.forEach(rule => {
+                rule.check(span, ctx).forEach(v => {
+                    violations.push(Object.assign({ id: rule.id, title: rule.title, short: rule.short }, v));
+                });
+            });
+            return violations;
+        },
+
+        /**
+         * @returns {{spans: object[][], count: number}} Violations per span index and in total
+         */
+        checkGroup(group) {
+            const spans = (group?.Spans || []).map(span => this.checkSpan(span));
+            return { spans, count: spans.reduce((sum, v) => sum + v.length, 0) };
+        },
+
+        /**
+         * Short rule tags of a violation list: "a, μmin"
+         */
+        summarize(violations) {
+            return [...new Set(violations.map(v => v.short))].join(', ');
+        },
+
+        /**
+         * One line per violation: "Khoảng hở giữa thanh: Lớp 1 trên (L): a=18 < 30 mm"
+         */
+        describe(violations) {
+            return violations.map(v => `${v.title}: ${v.message}`).join('\n');
+        },
+
+        // ===== INTERNAL =====
+
+        /**
+         * Geometry shared by the rules: layers at every station with their limits,
+         * As and ratio per face and station, h0 and web height
+         */
+        _createContext(span) {
+            const section = global.Beam?.Section;
+            if (!section || !(span?.Width > 0) || !(span?.Height > 0)) return null;
+
+            const settings = global.Beam?.State?.settings || {};
+            const layouts = STATIONS.map(station => section.calculateLayout(span, station));
+            const first = layouts[0];
+            const inner = span.Width - 2 * (first.coverSide + first.stirrup.diameter);
+
+            const layers = [];
+            const ratios = [];
+            layouts.forEach(layout => {
+                ['top', 'bot'].forEach(side => {
+                    const sideLayers = layout.layers.filter(l => l.side === side);
+                    sideLayers.forEach((l, index) => {
+                        const codeClear = side === 'top'
+                            ? Math.max(this.config.MIN_CLEAR_TOP, 1.5 * l.diameter)
+                            : Math.max(this.config.MIN_CLEAR_BOT, l.diameter);
+                        layers.push(Object.assign({}, l, {
+                            station: layout.position,
+                            index,
+                            minClear: Math.max(codeClear, layout.minClear),
+                            maxBars: Math.max(1, Math.floor((inner + codeClear) / (l.diameter + codeClear)))
+                        }));
+                    });
+
+                    const as = sideLayers.reduce((sum, l) => sum + l.count * global.Dts.Rebar.barArea(l.diameter), 0);
+                    const outer = sideLayers[0];
+                    const h0 = span.Height - (outer ? (side === 'top' ? outer.y : span.Height - outer.y) : first.coverTop);
+                    ratios.push({ side, station: layout.position, as, mu: as * 100 / (span.Width * h0) });
+                });
+            });
+
+            // h0 of the bottom (sagging) steel at midspan, else cover + stirrup + 10
+            const mid = layouts[1].layers.find(l => l.side === 'bot');
+            const h0 = mid ? mid.y : span.Height - first.coverBot - first.stirrup.diameter - 10;
+
+            const webTop = Math.max(first.coverTop, ...layers.filter(l => l.side === 'top').map(l => l.y));
+            const webBot = Math.min(span.Height - first.coverBot, ...layers.filter(l => l.side === 'bot').map(l => l.y));
+
+            return {
+                config: this.config,
+                maxLayers: settings.MaxLayers || this.config.DEFAULT_MAX_LAYERS,
+                layers,
+                ratios,
+                h0,
+                webHeight: webBot - webTop
+            };
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Rules = BeamRules;
+
+})(window);
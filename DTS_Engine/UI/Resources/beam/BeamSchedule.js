@@ -0,0 +1,325 @@
+/**
+ * BeamSchedule.js - Bar Bending Schedule
+ * Turns the backbone, addon, side and stirrup bars of a group into bar marks
+ * with a shape code, cut length, dimensions and quantity.
+ * Cut lengths use the anchorage/lap allowances of Beam.Takeoff, so schedule and take-off agree.
+ * Mark numbers are kept in group.BarMarks (saved with the group): the same bar gets the same
+ * mark on every run, and a changed bar gets the next free number.
+ */
+(function (global) {
+    'use strict';
+
+    // Shape codes after BS 8666 (00 straight, 11 one bend, 21 U, 51 closed link)
+    const SHAPES = {
+        STRAIGHT: { code: '00', name: 'Thẳng' },
+        L_HOOK: { code: '11', name: 'Móc L' },
+        U_BAR: { code: '21', name: 'Chữ U' },
+        STIRRUP: { code: '51', name: 'Đai kín' }
+    };
+
+    const LABELS = {
+        backbone: { top: 'Chủ trên', bot: 'Chủ dưới' },
+        addon: { top: 'Gia cường trên', bot: 'Gia cường dưới' },
+        side: { side: 'Cốt giá' },
+        stirrup: { stirrup: 'Đai' }
+    };
+
+    const ADDON_ZONES = ['AddLeft', 'AddMid', 'AddRight'];
+
+    const BeamSchedule = {
+        SHAPES,
+
+        config: {
+            ROUND_TO: 10,           // mm, cut lengths rounded up
+            END_HOOK_ANGLE: 90,     // bend of bars anchored in the end columns
+            STIRRUP_HOOK_ANGLE: 135
+        },
+
+        /**
+         * Bending schedule of a group; assigns marks into group.BarMarks
+         * @returns {{name, story, marks: object[], weight: number}} marks sorted by mark number
+         */
+        generate(group = global.Beam?.State?.currentGroup) {
+            if (!group?.Spans?.length) return { name: group?.Name || '', story: group?.StoryName || '', marks: [], weight: 0 };
+
+            const bars = this.collectBars(group);
+            const marks = this._merge(group, bars);
+            return {
+                name: group.Name || group.GroupName || '',
+                story: group.StoryName || '',
+                marks,
+                weight: marks.reduce((sum, m) => sum + m.weight, 0)
+            };
+        },
+
+        /**
+         * Individual bars before merging into marks
+         * @returns {{category, position, shape, diameter, cutLength, dims, legs, quantity, spanId}[]}
+         */
+        collectBars(group) {
+            const takeoff = global.Beam.Takeoff;
+            const grades = takeoff.getGrades(group);
+            const spans = group.Spans;
+            const bars = [];
+
+            ['top', 'bot'].forEach(position => {
+                const side = position === 'top' ? 'Top' : 'Bot';
+                bars.push(...this._continuousBars(group, 'backbone', position, span => span[`${side}Backbone`], true, grades));
+            });
+            bars.push(...this._continuousBars(group, 'side', 'side', span => {
+                const parsed = global.Dts.Rebar.parseSideBar(span.SideBar);
+                return parsed.count > 0 ? { Count: parsed.count, Diameter: parsed.diameter } : null;
+            }, false, grades));
+
+            spans.forEach((span, index) => {
+                ['top', 'bot'].forEach(position => {
+                    const side = position === 'top' ? 'Top' : 'Bot';
+                    ADDON_ZONES.forEach(zone => {
+                        const info = span[`${side}${zone}`];
+                        if (!(info?.Count > 0)) return;
+                        // Cut-off to cut-off, plus the anchorage into the column at a group end
+                        const cutoff = global.Beam.Curtailment.addon(span, position, zone, grades);
+                        const hooked = (zone === 'AddLeft' && index === 0) || (zone === 'AddRight' && index === spans.length - 1);
+                        const cut = this._round(cutoff.length + (hooked ? cutoff.development : 0));
+                        bars.push(this._bar('addon', position, info.Count, info.Diameter, cut, hooked ? 1 : 0, [span.SpanId], grades));
+                    });
+                });
+                bars.push(...this._stirrupBars(span, grades));
+            });
+
+            return bars;
+        },
+
+        // ===== TABLE =====
+
+        /**
+         * Render the schedule of the current group into #scheduleTableBody
+         */
+        render() {
+            const tbody = document.getElementById('scheduleTableBody');
+            if (!tbody) return;
+
+            const schedule = this.generate();
+            if (schedule.marks.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="8" class="text-center text-slate-400 py-4">Không có dữ liệu</td></tr>';
+                return;
+            }
+
+            tbody.innerHTML = schedule.marks.map((m, i) => `
+                <tr class="${i % 2 ? 'bg-slate-50' : ''}" title="${m.description}">
+                    <td class="px-2 py-1 font-bold">${m.mark}</td>
+                    <td class="px-2 py-1 text-center">${m.shapeCode} ${m.shapeName}</td>
+                    <td class="px-2 py-1 text-center">D${m.diameter}</td>
+                    <td class="px-2 py-1 text-center">${this.formatDims(m.dims)}</td>
+                    <td class="px-2 py-1 text-right">${m.cutLength}</td>
+                    <td class="px-2 py-1 text-right">${m.quantity}</td>
+                    <td class="px-2 py-1">${m.members.join(', ')}</td>
+                    <td class="px-2 py-1 text-right">${m.weight.toFixed(2)}</td>
+                </tr>`).join('') + `
+                <tr class="font-bold border-t border-slate-300">
+                    <td class="px-2 py-1" colspan="7">Tổng cộng</td>
+                    <td class="px-2 py-1 text-right">${schedule.weight.toFixed(2)}</td>
+                </tr>`;
+        },
+
+        /**
+         * "A=5670 B=240"
+         */
+        formatDims(dims) {
+            return Object.keys(dims).map(k => `${k}=${dims[k]}`).join(' ');
+        },
+
+        // ===== EXPORT =====
+
+        /**
+         * @param {object[]} [groups] - Default: all loaded groups
+         */
+        toCSV(groups = global.Beam?.State?.groups || []) {
+            const rows = [['Tầng', 'Dầm', 'Số hiệu', 'Mã hình dạng', 'Hình dạng', 'Đường kính', 'A', 'B', 'C', 'Chiều dài cắt (mm)', 'Số lượng', 'Nhịp', 'Khối lượng (kg)']];
+            groups.forEach(group => {
+                const schedule = this.generate(group);
+                schedule.marks.forEach(m => rows.push([
+                    schedule.story, schedule.name, m.mark, m.shapeCode, m.shapeName, `D${m.diameter}`,
+                    m.dims.A ?? '', m.dims.B ?? '', m.dims.C ?? '', m.cutLength, m.quantity, m.members.join(' '), m.weight.toFixed(2)
+                ]));
+            });
+            return global.Beam.Takeoff.formatCSV(rows);
+        },
+
+        /**
+         * @param {object[]} [groups] - Default: all loaded groups
+         */
+        toJSON(groups = global.Beam?.State?.groups || []) {
+            const list = groups.map(group => {
+                const schedule = this.generate(group);
+                return {
+                    group: schedule.name,
+                    story: schedule.story,
+                    weight: round2(schedule.weight),
+                    marks: schedule.marks.map(m => ({
+                        mark: m.mark,
+                        shapeCode: m.shapeCode,
+                        shape: m.shape,
+                        diameter: m.diameter,
+                        cutLength: m.cutLength,
+                        dims: m.dims,
+                        quantity: m.quantity,
+                        members: m.members,
+                        weight: round2(m.weight)
+                    }))
+                };
+            });
+            return JSON.stringify({ groups: list }, null, 2);
+        },
+
+        // ===== INTERNAL =====
+
+        /**
+         * Bars running through consecutive spans with the same count and diameter.
+         * A run is cut into equal stock bars joined by laps; ends at the group ends are
+         * anchored with a bend when hookEnds, inner run ends with a straight anchorage.
+         */
+        _continuousBars(group, category, position, pick, hookEnds, grades) {
+            const takeoff = global.Beam.Takeoff;
+            const spans = group.Spans;
+            const stock = global.Beam?.State?.settings?.StandardBarLength || takeoff.config.STANDARD_BAR_LENGTH;
+            const bars = [];
+
+            global.Beam.Splice.runs(spans, pick).forEach(run => {
+                const d = run.info.Diameter;
+                const la = takeoff.getAnchorageLength(d, grades);
+                const length = spans.slice(run.start, run.end + 1).reduce((sum, s) => sum + (s.Length || 0), 0) * 1000;
+                const total = length + 2 * la;
+                const pieces = Math.max(1, Math.ceil(total / stock));
+                const cut = this._round((total + (pieces - 1) * takeoff.getSpliceLength(d, grades)) / pieces);
+                const members = spans.slice(run.start, run.end + 1).map(s => s.SpanId);
+
+                for (let k = 0; k < pieces; k++) {
+                    const hooks = hookEnds
+                        ? (k === 0 && run.start === 0 ? 1 : 0) + (k === pieces - 1 && run.end === spans.length - 1 ? 1 : 0)
+                        : 0;
+                    bars.push(this._bar(category, position, run.info.Count, d, cut, hooks, members, grades));
+                }
+            });
+            return bars;
+        },
+
+        /**
+         * Longitudinal bar: hooks = bent ends (0 straight, 1 L, 2 U); the bend leg is part of the anchorage
+         */
+        _bar(category, position, quantity, diameter, cutLength, hooks, members, grades) {
+            const shape = ['STRAIGHT', 'L_HOOK', 'U_BAR'][hooks];
+            const leg = hooks > 0 ? this._round(global.Beam.Takeoff.getHookLength(diameter, this.config.END_HOOK_ANGLE, grades)) : 0;
+            const dims = hooks === 0 ? { A: cutLength } : { A: cutLength - hooks * leg, B: leg };
+            if (hooks === 2) dims.C = leg;
+            return { category, position, shape, diameter, cutLength, dims, legs: 0, quantity, members };
+        },
+
+        /**
+         * Closed stirrups per zone: sets over the clear span, outline from Dts.Rebar.stirrupLength, two 135° hooks
+         */
+        _stirrupBars(span, grades) {
+            const rebar = global.Dts.Rebar;
+            const takeoff = global.Beam.Takeoff;
+            const cover = global.Beam?.State?.settings?.CoverSide || takeoff.config.DEFAULT_COVER;
+            const clear = (span.ClearLength || span.Length || 0) * 1000;
+            const bars = [];
+
+            (global.Beam?.State?.STIRRUP_ZONES || []).forEach((zone, i) => {
+                const stirrup = rebar.parseStirrup(Array.isArray(span.Stirrup) ? span.Stirrup[i] : '');
+                if (!(stirrup.spacing > 0)) return;
+                const body = rebar.stirrupLength(stirrup, { width: span.Width, height: span.Height }, cover);
+                if (!body) return;
+
+                const hook = this._round(takeoff.getHookLength(stirrup.diameter, this.config.STIRRUP_HOOK_ANGLE, grades));
+                bars.push({
+                    category: 'stirrup',
+                    position: 'stirrup',
+                    shape: 'STIRRUP',
+                    diameter: stirrup.diameter,
+                    cutLength: this._round(body + 2 * hook),
+                    dims: {
+                        A: span.Width - 2 * cover - stirrup.diameter,
+                        B: span.Height - 2 * cover - stirrup.diameter,
+                        C: hook
+                    },
+                    legs: stirrup.legs,
+                    quantity: Math.floor(zone.length * clear / stirrup.spacing) + 1,
+                    members: [span.SpanId]
+                });
+            });
+            return bars;
+        },
+
+        /**
+         * Identical bars share a mark: quantities add up, members are listed once
+         */
+        _merge(group, bars) {
+            const registry = group.BarMarks || (group.BarMarks = {});
+            let next = Math.max(0, ...Object.values(registry)) + 1;
+            const byKey = new Map();
+
+            bars.forEach(bar => {
+                const key = this._key(bar);
+                let mark = byKey.get(key);
+                if (!mark) {
+                    if (!(key in registry)) registry[key] = next++;
+                    mark = {
+                        number: registry[key],
+                        mark: this._formatMark(group, registry[key]),
+                        key,
+                        shape: bar.shape,
+                        shapeCode: SHAPES[bar.shape].code,
+                        shapeName: SHAPES[bar.shape].name,
+                        diameter: bar.diameter,
+                        cutLength: bar.cutLength,
+                        dims: bar.dims,
+                        legs: bar.legs,
+                        quantity: 0,
+                        members: [],
+                        labels: [],
+                        weight: 0
+                    };
+                    byKey.set(key, mark);
+                }
+                mark.quantity += bar.quantity;
+                bar.members.forEach(id => { if (!mark.members.includes(id)) mark.members.push(id); });
+                const label = LABELS[bar.category][bar.position];
+                if (!mark.labels.includes(label)) mark.labels.push(label);
+            });
+
+            const unitWeight = global.Dts.Rebar.unitWeight.bind(global.Dts.Rebar);
+            return [...byKey.values()]
+                .map(m => Object.assign(m, {
+                    description: m.labels.join(', '),
+                    weight: m.quantity * m.cutLength / 1000 * unitWeight(m.diameter)
+                }))
+                .sort((a, b) => a.number - b.number);
+        },
+
+        /**
+         * Bar signature: shape | diameter | cut length | dimensions (| legs for stirrups)
+         */
+        _key(bar) {
+            const dims = Object.keys(bar.dims).map(k => bar.dims[k]).join('x');
+            const key = `${SHAPES[bar.shape].code}|D${bar.diameter}|${bar.cutLength}|${dims}`;
+            return bar.legs > 0 ? `${key}|${bar.legs}L` : key;
+        },
+
+        _formatMark(group, number) {
+            return `${group.Name || group.GroupName || 'B'}-${String(number).padStart(2, '0')}`;
+        },
+
+        _round(length) {
+            return Math.ceil(Math.round(length) / this.config.ROUND_TO) * this.config.ROUND_TO;
+        }
+    };
+
+    function round2(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    global.Beam = global.Beam || {};
+    global.Beam.Schedule = BeamSchedule;
+
+})(window);
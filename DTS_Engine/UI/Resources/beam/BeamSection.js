@@ -0,0 +1,332 @@
+/**
+ * BeamSection.js - Cross-Section Rendering
+ * Draws the section of one span at L, M or R: outline, cover, stirrup,
+ * longitudinal bars per layer, side bars and dimension annotations.
+ */
+(function (global) {
+    'use strict';
+
+    // Station -> addon zone and stirrup index
+    const POSITIONS = {
+        L: { addon: 'AddLeft', stirrupIndex: 0, title: 'Gối trái' },
+        M: { addon: 'AddMid', stirrupIndex: 1, title: 'Giữa nhịp' },
+        R: { addon: 'AddRight', stirrupIndex: 2, title: 'Gối phải' }
+    };
+
+    const BeamSection = {
+        config: {
+            ORIGIN_X: 90,
+            ORIGIN_Y: 50,
+            MAX_DRAW_HEIGHT: 260,
+            MAX_DRAW_WIDTH: 320,
+            DEFAULT_COVER: 25,
+            DEFAULT_STIRRUP_DIA: 8,
+            MIN_CLEAR_SPACING: 25,
+            DIM_OFFSET: 24
+        },
+
+        colors: {
+            concreteFill: '#f1f5f9',
+            concreteStroke: '#334155',
+            cover: '#94a3b8',
+            stirrup: '#059669',
+            barTop: '#dc2626',
+            barBot: '#2563eb',
+            barAddon: '#f59e0b',
+            sideBar: '#7c3aed',
+            dimension: '#64748b',
+            congested: '#dc2626',
+            title: '#1e293b'
+        },
+
+        /**
+         * Draw section of a span (caller applies zoom/pan transform)
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {object} span - Span data
+         * @param {string} position - 'L' | 'M' | 'R'
+         */
+        render(ctx, span, position = 'M') {
+            const layout = this.calculateLayout(span, position);
+            if (!layout) return;
+
+            const { ox, oy, scale } = layout;
+            const W = layout.width * scale;
+            const H = layout.height * scale;
+
+            // Title
+            ctx.setLayer?.('labels');
+            ctx.font = '600 12px "Segoe UI", Tahoma, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = this.colors.title;
+            ctx.fillText(`${span.SpanId || ''} · ${POSITIONS[layout.position].title} (${layout.position}) · ${layout.width}×${layout.height}`, ox, oy - 30);
+
+            // Concrete outline
+            ctx.setLayer?.('concrete');
+            ctx.fillStyle = this.colors.concreteFill;
+            ctx.strokeStyle = this.colors.concreteStroke;
+            ctx.lineWidth = 1.5;
+            ctx.fillRect(ox, oy, W, H);
+            ctx.strokeRect(ox, oy, W, H);
+
+            // Cover line
+            ctx.strokeStyle = this.colors.cover;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(
+                ox + layout.coverSide * scale,
+                oy + layout.coverTop * scale,
+                (layout.width - 2 * layout.coverSide) * scale,
+                (layout.height - layout.coverTop - layout.coverBot) * scale
+            );
+            ctx.setLineDash([]);
+
+            // Stirrup outline (centerline of stirrup bar)
+            ctx.setLayer?.('rebar');
+            const st = layout.stirrup;
+            ctx.strokeStyle = this.colors.stirrup;
+            ctx.lineWidth = Math.max(1, st.diameter * scale);
+            this._roundRect(ctx,
+                ox + st.x * scale, oy + st.y * scale,
+                st.width * scale, st.height * scale,
+                Math.max(2, st.diameter * 2 * scale));
+            ctx.stroke();
+
+            // Bars
+            layout.bars.forEach(bar => {
+                ctx.beginPath();
+                ctx.arc(ox + bar.x * scale, oy + bar.y * scale, Math.max(1.5, bar.diameter / 2 * scale), 0, Math.PI * 2);
+                ctx.fillStyle = bar.kind === 'side'
+                    ? this.colors.sideBar
+                    : (bar.isBackbone ? (bar.side === 'top' ? this.colors.barTop : this.colors.barBot) : this.colors.barAddon);
+                ctx.fill();
+            });
+
+            ctx.setLayer?.('dimensions');
+            this._drawDimensions(ctx, layout);
+            ctx.setLayer?.('labels');
+            this._drawLayerAnnotations(ctx, layout);
+        },
+
+        /**
+         * World-space extent of the section drawing (title, dimensions, layer annotations)
+         * @returns {{x, y, width, height}|null}
+         */
+        getContentBounds(span, position = 'M') {
+            const layout = this.calculateLayout(span, position);
+            if (!layout) return null;
+
+            const left = this.config.DIM_OFFSET + 30;
+            const top = 45;
+            const right = 56 + 120;
+            const bottom = this.config.DIM_OFFSET + 25;
+            return {
+                x: layout.ox - left,
+                y: layout.oy - top,
+                width: left + layout.width * layout.scale + right,
+                height: top + layout.height * layout.scale + bottom
+            };
+        },
+
+        /**
+         * Compute section geometry in mm (bar centres relative to the section's top-left corner)
+         * @returns {object|null} layout
+         */
+        calculateLayout(span, position = 'M') {
+            if (!span || !(span.Width > 0) || !(span.Height > 0)) return null;
+
+            const pos = POSITIONS[position] ? position : 'M';
+            const settings = global.Beam?.State?.settings || {};
+            const width = span.Width;
+            const height = span.Height;
+            const coverTop = settings.CoverTop || this.config.DEFAULT_COVER;
+            const coverBot = settings.CoverBot || this.config.DEFAULT_COVER;
+            const coverSide = settings.CoverSide || this.config.DEFAULT_COVER;
+            const minClear = settings.MinClearSpacing || this.config.MIN_CLEAR_SPACING;
+
+            const stirrupText = Array.isArray(span.Stirrup) ? span.Stirrup[POSITIONS[pos].stirrupIndex] : null;
+            const stirrupDia = global.Beam?.Renderer?._parseStirrup(String(stirrupText || ''))?.diameter ||
+                this.config.DEFAULT_STIRRUP_DIA;
+
+            const stirrup = {
+                diameter: stirrupDia,
+                x: coverSide + stirrupDia / 2,
+                y: coverTop + stirrupDia / 2,
+                width: width - 2 * coverSide - stirrupDia,
+                height: height - coverTop - coverBot - stirrupDia
+            };
+
+            const bars = [];
+            const layers = [];
+            ['top', 'bot'].forEach(side => {
+                const prefix = side === 'top' ? 'Top' : 'Bot';
+                const groups = [
+                    { info: span[`${prefix}Backbone`], isBackbone: true },
+                    { info: span[`${prefix}${POSITIONS[pos].addon}`], isBackbone: false }
+                ];
+
+                // Layer 0 sits against the stirrup; following layers move inwards
+                let offset = (side === 'top' ? coverTop : coverBot) + stirrupDia;
+                groups.forEach(({ info, isBackbone }) => {
+                    if (!info || !info.Count || !info.Diameter) return;
+                    const counts = info.LayerCounts?.length ? info.LayerCounts : [info.Count];
+                    counts.forEach(count => {
+                        if (count <= 0) return;
+                        const d = info.Diameter;
+                        const centerFromFace = offset + d / 2;
+                        const y = side === 'top' ? centerFromFace : height - centerFromFace;
+                        const layer = this._placeLayer(count, d, width, coverSide + stirrupDia, minClear);
+
+                        layer.xs.forEach(x => bars.push({ x, y, diameter: d, side, isBackbone, kind: 'main' }));
+                        layers.push({ side, y, count, diameter: d, clear: layer.clear, isCongested: layer.isCongested, isBackbone });
+
+                        offset += d + Math.max(minClear, d);
+                    });
+                });
+            });
+
+            // Side bars: "2d12" = 2 bars total, split evenly over both faces
+            const side = this._parseSideBar(span.SideBar);
+            if (side && side.count >= 2) {
+                const perFace = Math.floor(side.count / 2);
+                const topY = layers.filter(l => l.side === 'top').reduce((m, l) => Math.max(m, l.y), coverTop);
+                const botY = layers.filter(l => l.side === 'bot').reduce((m, l) => Math.min(m, l.y), height - coverBot);
+                const x = coverSide + stirrupDia + side.diameter / 2;
+                for (let i = 1; i <= perFace; i++) {
+                    const y = topY + (botY - topY) * i / (perFace + 1);
+                    bars.push({ x, y, diameter: side.diameter, side: 'web', isBackbone: false, kind: 'side' });
+                    bars.push({ x: width - x, y, diameter: side.diameter, side: 'web', isBackbone: false, kind: 'side' });
+                }
+            }
+
+            const scale = Math.min(this.config.MAX_DRAW_HEIGHT / height, this.config.MAX_DRAW_WIDTH / width);
+
+            return {
+                position: pos,
+                width, height,
+                coverTop, coverBot, coverSide,
+                minClear,
+                stirrup,
+                bars,
+                layers,
+                scale,
+                ox: this.config.ORIGIN_X,
+                oy: this.config.ORIGIN_Y
+            };
+        },
+
+        /**
+         * Spread bars of one layer evenly between the inner stirrup faces
+         * @returns {{xs: number[], clear: number, isCongested: boolean}}
+         */
+        _placeLayer(count, diameter, width, edge, minClear) {
+            const first = edge + diameter / 2;
+            const last = width - edge - diameter / 2;
+            if (count === 1) {
+                return { xs: [width / 2], clear: last - first, isCongested: last - first < 0 };
+            }
+
+            const pitch = (last - first) / (count - 1);
+            const xs = [];
+            for (let i = 0; i < count; i++) xs.push(first + pitch * i);
+
+            const clear = pitch - diameter;
+            return { xs, clear, isCongested: clear < Math.max(minClear, diameter) };
+        },
+
+        _parseSideBar(text) {
+            const side = global.Dts?.Rebar?.parseSideBar(text);
+            return side?.count > 0 ? { count: side.count, diameter: side.diameter } : null;
+        },
+
+        _drawDimensions(ctx, layout) {
+            const { ox, oy, scale } = layout;
+            const W = layout.width * scale;
+            const H = layout.height * scale;
+            const off = this.config.DIM_OFFSET;
+
+            ctx.strokeStyle = this.colors.dimension;
+            ctx.fillStyle = this.colors.dimension;
+            ctx.lineWidth = 1;
+            ctx.font = '11px "Segoe UI", sans-serif';
+
+            // Width (below)
+            this._dimLine(ctx, ox, oy + H + off, ox + W, oy + H + off);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(`${layout.width}`, ox + W / 2, oy + H + off + 4);
+
+            // Height (left)
+            this._dimLine(ctx, ox - off, oy, ox - off, oy + H);
+            ctx.save();
+            ctx.translate(ox - off - 6, oy + H / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`${layout.height}`, 0, 0);
+            ctx.restore();
+
+            // Cover (top-left corner)
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`c=${layout.coverTop}`, ox + W + 8, oy + layout.coverTop * scale / 2);
+            ctx.fillText(`c=${layout.coverBot}`, ox + W + 8, oy + H - layout.coverBot * scale / 2);
+        },
+
+        /**
+         * Per-layer annotation on the right: "3Ø20 · a=45" (red when clear spacing is too small)
+         */
+        _drawLayerAnnotations(ctx, layout) {
+            const { ox, oy, scale } = layout;
+            const x = ox + layout.width * scale + 56;
+
+            ctx.font = '11px "Segoe UI", sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+
+            layout.layers.forEach(l => {
+                const y = oy + l.y * scale;
+                const clearText = l.count > 1 ? ` · a=${Math.round(l.clear)}` : '';
+                ctx.fillStyle = l.isCongested ? this.colors.congested : this.colors.dimension;
+                ctx.fillText(`${l.count}Ø${l.diameter}${clearText}${l.isCongested ? ' ⚠' : ''}`, x, y);
+
+                // Leader to the layer
+                ctx.strokeStyle = this.colors.cover;
+                ctx.beginPath();
+                ctx.moveTo(ox + layout.width * scale + 2, y);
+                ctx.lineTo(x - 4, y);
+                ctx.stroke();
+            });
+        },
+
+        _dimLine(ctx, x1, y1, x2, y2) {
+            const tick = 4;
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            // 45° architectural ticks
+            ctx.moveTo(x1 - tick, y1 + tick);
+            ctx.lineTo(x1 + tick, y1 - tick);
+            ctx.moveTo(x2 - tick, y2 + tick);
+            ctx.lineTo(x2 + tick, y2 - tick);
+            ctx.stroke();
+        },
+
+        _roundRect(ctx, x, y, w, h, r) {
+            ctx.beginPath();
+            ctx.moveTo(x + r, y);
+            ctx.lineTo(x + w - r, y);
+            ctx.arcTo(x + w, y, x + w, y + r, r);
+            ctx.lineTo(x + w, y + h - r);
+            ctx.arcTo(x + w, y + h, x + w - r, y + h, r);
+            ctx.lineTo(x + r, y + h);
+            ctx.arcTo(x, y + h, x, y + h - r, r);
+            ctx.lineTo(x, y + r);
+            ctx.arcTo(x, y, x + r, y, r);
+            ctx.closePath();
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Section = BeamSection;
+
+})(window);
@@ -0,0 +1,183 @@
+/**
+ * BeamSheet.js - Print Sheet Export
+ * Renders the current group at a drawing scale (1:50, 1:100...) and DPI to an
+ * offscreen canvas with a title block, and returns it as a PNG data URL.
+ * The elevation always uses the true-scale layout; beam depth stays schematic.
+ */
+(function (global) {
+    'use strict';
+
+    const MM_PER_INCH = 25.4;
+
+    const BeamSheet = {
+        config: {
+            DEFAULT_SCALE: 50,
+            DEFAULT_DPI: 150,
+            MARGIN_MM: 10,
+            TITLE_GAP_MM: 5,
+            TITLE_WIDTH_MM: 180,
+            TITLE_HEIGHT_MM: 20,
+            TITLE_TEXT_MM: 3
+        },
+
+        colors: {
+            paper: '#ffffff',
+            frame: '#1e293b',
+            label: '#64748b',
+            value: '#0f172a'
+        },
+
+        /**
+         * Device pixels per paper millimetre
+         */
+        getPxPerMm(dpi) {
+            return dpi / MM_PER_INCH;
+        },
+
+        /**
+         * Device pixels per renderer world pixel for a drawing scale.
+         * World units: Beam.Renderer.config.REAL_SCALE_PX_PER_M per metre.
+         * @param {number} scale - Scale denominator (50 for 1:50)
+         * @param {number} dpi - Output resolution
+         */
+        getWorldFactor(scale, dpi) {
+            const pxPerM = global.Beam?.Renderer?.config.REAL_SCALE_PX_PER_M || 100;
+            const paperMmPerM = 1000 / scale;
+            return paperMmPerM * this.getPxPerMm(dpi) / pxPerM;
+        },
+
+        /**
+         * Render the sheet to an offscreen canvas
+         * @param {object} [options]
+         * @param {number} [options.scale=50] - Scale denominator
+         * @param {number} [options.dpi=150] - Output resolution
+         * @param {object} [options.group] - Group to render (default: current group)
+         * @param {Date} [options.date] - Date shown in the title block
+         * @param {HTMLCanvasElement} [options.canvas] - Target canvas (default: a new element)
+         * @returns {{canvas, width, height, scale, dpi}|null}
+         */
+        render(options = {}) {
+            const renderer = global.Beam?.Renderer;
+            const group = options.group || global.Beam?.State?.currentGroup;
+            const spans = group?.Spans;
+            if (!renderer || !spans?.length) return null;
+
+            const scale = options.scale || this.config.DEFAULT_SCALE;
+            const dpi = options.dpi || this.config.DEFAULT_DPI;
+            const pxPerMm = this.getPxPerMm(dpi);
+            const factor = this.getWorldFactor(scale, dpi);
+
+            const view = renderer.createExportView({ view: 'elevation' });
+            const layout = renderer._calculateLayout(spans, renderer.config.MAX_CANVAS_WIDTH, group, 'scale');
+            const bounds = renderer.getExportBounds(spans, layout, view);
+
+            const margin = this.config.MARGIN_MM * pxPerMm;
+            const titleW = this.config.TITLE_WIDTH_MM * pxPerMm;
+            const titleH = this.config.TITLE_HEIGHT_MM * pxPerMm;
+            const gap = this.config.TITLE_GAP_MM * pxPerMm;
+            const drawingW = bounds.width * factor;
+            const drawingH = bounds.height * factor;
+
+            const width = Math.ceil(Math.max(drawingW, titleW) + margin * 2);
+            const height = Math.ceil(drawingH + gap + titleH + margin * 2);
+
+            const canvas = options.canvas || document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+
+            ctx.fillStyle = this.colors.paper;
+            ctx.fillRect(0, 0, width, height);
+
+            // Frame
+            ctx.strokeStyle = this.colors.frame;
+            ctx.lineWidth = Math.max(1, 0.35 * pxPerMm);
+            ctx.strokeRect(margin / 2, margin / 2, width - margin, height - margin);
+
+            // Drawing
+            ctx.save();
+            ctx.translate(margin - bounds.x * factor, margin - bounds.y * factor);
+            ctx.scale(factor, factor);
+            renderer.drawExport(ctx, spans, layout, view);
+            ctx.restore();
+
+            // Title block (bottom right)
+            const info = this.getTitleInfo(group, scale, options.date);
+            this._drawTitleBlock(ctx, width - margin - titleW, height - margin - titleH, titleW, titleH, pxPerMm, info);
+
+            return { canvas, width, height, scale, dpi };
+        },
+
+        /**
+         * Render and encode as PNG
+         * @returns {string|null} data:image/png;base64,...
+         */
+        toDataURL(options = {}) {
+            const result = this.render(options);
+            return result ? result.canvas.toDataURL('image/png') : null;
+        },
+
+        /**
+         * Title block fields for a group
+         */
+        getTitleInfo(group, scale, date) {
+            const settings = global.Beam?.State?.settings || {};
+            return {
+                name: group?.Name || group?.GroupName || '',
+                story: group?.StoryName || '',
+                concrete: group?.ConcreteGrade || settings.ConcreteGradeName || '',
+                steel: group?.SteelGrade || settings.SteelGradeName || '',
+                scale: `1:${scale}`,
+                date: this._formatDate(date || new Date())
+            };
+        },
+
+        /**
+         * 2 x 3 grid: name | story | scale / concrete | steel | date
+         */
+        _drawTitleBlock(ctx, x, y, w, h, pxPerMm, info) {
+            const cells = [
+                [['Nhóm dầm', info.name], ['Tầng', info.story], ['Tỉ lệ', info.scale]],
+                [['Bê tông', info.concrete], ['Cốt thép', info.steel], ['Ngày', info.date]]
+            ];
+            const colW = [w * 0.45, w * 0.3, w * 0.25];
+            const rowH = h / cells.length;
+            const pad = 1.5 * pxPerMm;
+            const textPx = this.config.TITLE_TEXT_MM * pxPerMm;
+
+            ctx.strokeStyle = this.colors.frame;
+            ctx.lineWidth = Math.max(1, 0.25 * pxPerMm);
+            ctx.strokeRect(x, y, w, h);
+
+            ctx.textBaseline = 'middle';
+            ctx.textAlign = 'left';
+            cells.forEach((row, r) => {
+                let cx = x;
+                row.forEach(([label, value], c) => {
+                    const cy = y + r * rowH;
+                    ctx.strokeRect(cx, cy, colW[c], rowH);
+
+                    ctx.fillStyle = this.colors.label;
+                    ctx.font = `${Math.round(textPx * 0.7)}px "Segoe UI", sans-serif`;
+                    ctx.fillText(label, cx + pad, cy + rowH * 0.3);
+
+                    ctx.fillStyle = this.colors.value;
+                    ctx.font = `600 ${Math.round(textPx)}px "Segoe UI", sans-serif`;
+                    ctx.fillText(String(value || '-'), cx + pad, cy + rowH * 0.68);
+
+                    cx += colW[c];
+                });
+            });
+        },
+
+        _formatDate(date) {
+            const dd = String(date.getDate()).padStart(2, '0');
+            const mm = String(date.getMonth() + 1).padStart(2, '0');
+            return `${dd}/${mm}/${date.getFullYear()}`;
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Sheet = BeamSheet;
+
+})(window);
@@ -0,0 +1,157 @@
+/**
+ * BeamSplice.js - Lap Splices and End Anchorage of Backbones
+ * Places the laps of every backbone run (consecutive spans with the same bars):
+ * a stock bar reaches StandardBarLength, and each lap is pushed as far as the bar
+ * allows while staying inside a preferred splice zone, away from the peak moments
+ * (top bars at midspan, bottom bars near the supports). A lap that cannot reach a
+ * preferred zone is placed at the end of the bar and flagged.
+ * Lengths are in mm along the group, x = 0 at the first support axis;
+ * lap/anchorage lengths come from the RebarConfig tables through Beam.Takeoff.
+ */
+(function (global) {
+    'use strict';
+
+    const BeamSplice = {
+        config: {
+            END_HOOK_ANGLE: 90
+        },
+
+        // Preferred splice zones as fractions of span length, per face
+        zones: {
+            top: [{ start: 0.25, end: 0.75 }],
+            bot: [{ start: 0, end: 0.25 }, { start: 0.75, end: 1 }]
+        },
+
+        /**
+         * Splices and anchorages of the top or bottom backbone of a group
+         * @param {string} position - 'top' | 'bot'
+         * @returns {{position, runs: object[], splices: object[], violations: object[]}}
+         *   runs: [{ start, end, count, diameter, bars: [{start, end}], splices, anchorages }]
+         *   splice: { center, start, end, length, spanIndex, allowed }
+         *   anchorage: { x, side: 'start'|'end', length, hook, hookLength }
+         */
+        plan(group, position) {
+            const spans = group?.Spans || [];
+            const side = position === 'top' ? 'Top' : 'Bot';
+            const offsets = this.spanOffsets(spans);
+            const runs = this.runs(spans, span => span[`${side}Backbone`]).map(run => this._planRun(group, position, run, offsets));
+            const splices = runs.flatMap(r => r.splices);
+            return { position, runs, splices, violations: splices.filter(s => !s.allowed) };
+        },
+
+        /**
+         * Consecutive spans with the same bars (count and diameter)
+         * @param {function} pick - span => { Count, Diameter } | null
+         * @returns {{start: number, end: number, info: object}[]} Span index ranges
+         */
+        runs(spans, pick) {
+            const runs = [];
+            spans.forEach((span, index) => {
+                const info = pick(span);
+                if (!(info?.Count > 0)) return;
+                const last = runs[runs.length - 1];
+                if (last && last.end === index - 1 && last.info.Count === info.Count && last.info.Diameter === info.Diameter) {
+                    last.end = index;
+                } else {
+                    runs.push({ start: index, end: index, info });
+                }
+            });
+            return runs;
+        },
+
+        /**
+         * Start of every span along the group (mm), plus the group length as last entry
+         */
+        spanOffsets(spans) {
+            const offsets = [0];
+            spans.forEach((span, i) => offsets.push(offsets[i] + (span.Length || 0) * 1000));
+            return offsets;
+        },
+
+        /**
+         * Preferred zones of a face over spans [first, last], merged where they touch (mm)
+         * @returns {{start: number, end: number}[]}
+         */
+        preferredZones(spans, position, first = 0, last = spans.length - 1) {
+            const offsets = this.spanOffsets(spans);
+            const list = [];
+            for (let i = first; i <= last; i++) {
+                const length = offsets[i + 1] - offsets[i];
+                this.zones[position].forEach(z => {
+                    const start = offsets[i] + z.start * length;
+                    const end = offsets[i] + z.end * length;
+                    const prev = list[list.length - 1];
+                    if (prev && start <= prev.end + 1e-6) prev.end = Math.max(prev.end, end);
+                    else list.push({ start, end });
+                });
+            }
+            return list;
+        },
+
+        /**
+         * Index of the span holding x (mm), clamped to the group
+         */
+        spanAt(offsets, x) {
+            const index = offsets.findIndex((o, i) => i > 0 && x <= offsets[i]);
+            return index < 0 ? offsets.length - 2 : Math.max(0, index - 1);
+        },
+
+        // ===== INTERNAL =====
+
+        _planRun(group, position, run, offsets) {
+            const takeoff = global.Beam.Takeoff;
+            const grades = takeoff.getGrades(group);
+            const spans = group.Spans;
+            const d = run.info.Diameter;
+            const la = takeoff.getAnchorageLength(d, grades);
+            const lap = takeoff.getSpliceLength(d, grades);
+            const stock = global.Beam?.State?.settings?.StandardBarLength || takeoff.config.STANDARD_BAR_LENGTH;
+            const hookLength = takeoff.getHookLength(d, this.config.END_HOOK_ANGLE, grades);
+
+            const start = offsets[run.start];
+            const end = offsets[run.end + 1];
+            const zones = this.preferredZones(spans, position, run.start, run.end);
+            const anchorages = [
+                { x: start, side: 'start', length: la, hook: run.start === 0, hookLength },
+                { x: end, side: 'end', length: la, hook: run.end === spans.length - 1, hookLength }
+            ];
+
+            const bars = [];
+            const splices = [];
+            let barStart = start - la;
+            const barEnd = end + la;
+
+            while (barEnd - barStart > stock && stock > lap) {
+                // Lap centre: as far as the bar reaches, inside a preferred zone if possible
+                const maxCenter = barStart + stock - lap / 2;
+                const minCenter = barStart + lap;
+                let center = null;
+                zones.forEach(z => {
+                    const hi = Math.min(z.end - lap / 2, maxCenter);
+                    const lo = Math.max(z.start + lap / 2, minCenter);
+                    if (hi >= lo && (center === null || hi > center)) center = hi;
+                });
+                const allowed = center !== null;
+                if (!allowed) center = maxCenter;
+
+                splices.push({
+                    center,
+                    start: center - lap / 2,
+                    end: center + lap / 2,
+                    length: lap,
+                    spanIndex: this.spanAt(offsets, center),
+                    allowed
+                });
+                bars.push({ start: barStart, end: center + lap / 2 });
+                barStart = center - lap / 2;
+            }
+            bars.push({ start: barStart, end: barEnd });
+
+            return { start, end, count: run.info.Count, diameter: d, bars, splices, anchorages };
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Splice = BeamSplice;
+
+})(window);
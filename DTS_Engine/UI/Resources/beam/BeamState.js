@@ -5,7 +5,23 @@
 (function (global) {
     'use strict';
 
+    // Span fields captured by undo/redo snapshots
+    const HISTORY_SPAN_FIELDS = [
+        'TopBackbone', 'TopAddLeft', 'TopAddMid', 'TopAddRight',
+        'BotBackbone', 'BotAddLeft', 'BotAddMid', 'BotAddRight',
+        'TopRebar', 'BotRebar', 'Stirrup', 'StirRS', 'WebRS', 'SideBar',
+        'xSectionLabel', 'xSectionLabelLocked', 'IsManualModified'
+    ];
+
     const BeamState = {
+        // Stirrup zones (L, M, R) as fractions of span length; index matches Stirrup/As_Stir arrays.
+        // Shared by the shear view, take-off, bending schedule and envelope strips.
+        STIRRUP_ZONES: [
+            { name: 'L', start: 0, length: 0.25 },
+            { name: 'M', start: 0.25, length: 0.5 },
+            { name: 'R', start: 0.75, length: 0.25 }
+        ],
+
         // ===== BEAM DATA =====
         currentGroupIndex: 0,
         currentGroup: null,
@@ -20,7 +36,22 @@
 
         // ===== UI FLAGS =====
         highlightedSpanIndex: -1,
+        hoveredLabel: null,  // { spanIndex, position: 'top' | 'bot', zone: 'Backbone' | 'AddLeft' | ... | null }
         canvasMode: 'long',  // 'section' | 'long' | 'shear'
+        labelMode: 'summary',  // 'summary' (backbone + max addon) | 'detailed' (label per zone)
+        sectionPosition: 'M',  // Station drawn in 'section' mode: 'L' | 'M' | 'R'
+        layoutMode: 'fit',  // 'fit' (stretch to canvas) | 'scale' (true lengths and support widths)
+        showEnvelope: false,  // Demand/capacity strips under the long view (Beam.Envelope)
+
+        // ===== PLAN VIEW (BeamGroupViewer.html) =====
+        currentStoryZ: null,         // Story elevation shown on the plan
+        selectedHandles: new Set(),  // Beam handles picked on the plan
+        boxSelectActive: false,
+        boxSelectStart: { x: 0, y: 0 },
+        boxSelectEnd: { x: 0, y: 0 },
+
+        // ===== UNDO/REDO (one Dts.History stack per group index) =====
+        _histories: {},
 
         /**
          * Initialize with data from C#
@@ -28,6 +59,7 @@
         init(data) {
             this.groups = data.groups || [];
             this.settings = data.settings || {};
+            this._histories = {};
 
             // Also initialize core state
             if (global.Dts?.State) {
@@ -40,6 +72,17 @@
             }
         },
 
+        /**
+         * Follow a page that owns group navigation (BeamGroupViewer.html): share its
+         * data package and current group without resetting selection or notifying.
+         */
+        syncGroup(data, index) {
+            this.groups = data?.groups || [];
+            this.settings = data?.settings || {};
+            this.currentGroupIndex = index;
+            this.currentGroup = this.groups[index] || null;
+        },
+
         /**
          * Load a specific group by index
          */
@@ -50,7 +93,9 @@
             this.currentGroup = this.groups[index];
             this.selectedOptionKey = null;  // Reset selection
             this.highlightedSpanIndex = -1;
+            this.hoveredLabel = null;
             this.spanBounds = [];
+            global.Dts?.State?.clearSelection();
 
             // Determine initial option selection
             if (this.currentGroup?.SelectedDesign) {
@@ -60,7 +105,7 @@
             }
 
             // Notify listeners
-            global.Dts?.State?.notify('group');
+            global.Dts?.State?.notify('group', { index, group: this.currentGroup });
         },
 
         /**
@@ -111,7 +156,7 @@
                 }
             }
 
-            global.Dts?.State?.notify('option');
+            global.Dts?.State?.notify('option', { key: this.selectedOptionKey });
         },
 
         /**
@@ -119,7 +164,42 @@
          */
         setCanvasMode(mode) {
             this.canvasMode = mode;
-            global.Dts?.State?.notify('mode');
+            global.Dts?.State?.notify('mode', { mode });
+        },
+
+        /**
+         * Set station drawn by the cross-section view
+         * @param {string} position - 'L' | 'M' | 'R'
+         */
+        setSectionPosition(position) {
+            this.sectionPosition = ['L', 'M', 'R'].includes(position) ? position : 'M';
+            global.Dts?.State?.notify('mode', { mode: this.canvasMode, sectionPosition: this.sectionPosition });
+        },
+
+        /**
+         * Set horizontal layout of the long view
+         * @param {string} mode - 'fit' | 'scale'
+         */
+        setLayoutMode(mode) {
+            this.layoutMode = mode === 'scale' ? 'scale' : 'fit';
+            global.Dts?.State?.notify('layout', { layoutMode: this.layoutMode });
+        },
+
+        /**
+         * Show or hide the demand/capacity strips under the long view
+         */
+        setShowEnvelope(show) {
+            this.showEnvelope = !!show;
+            global.Dts?.State?.notify('envelope', { showEnvelope: this.showEnvelope });
+        },
+
+        /**
+         * Set rebar label mode for canvas and table
+         * @param {string} mode - 'summary' | 'detailed'
+         */
+        setLabelMode(mode) {
+            this.labelMode = mode === 'detailed' ? 'detailed' : 'summary';
+            global.Dts?.State?.notify('labels', { labelMode: this.labelMode });
         },
 
         /**
@@ -127,7 +207,252 @@
          */
         highlightSpan(index) {
             this.highlightedSpanIndex = index;
-            global.Dts?.State?.notify('highlight');
+            global.Dts?.State?.notify('highlight', { index });
+        },
+
+        /**
+         * Set hovered rebar label (hit from Beam.Renderer.hitTestLabel, or null)
+         */
+        setHoveredLabel(hit) {
+            const current = this.hoveredLabel;
+            const next = hit ? { spanIndex: hit.spanIndex, position: hit.position, zone: hit.zone ?? null } : null;
+            if (current?.spanIndex === next?.spanIndex && current?.position === next?.position &&
+                current?.zone === next?.zone) return;
+
+            this.hoveredLabel = next;
+            global.Dts?.State?.notify('labelhover', { label: next });
+        },
+
+        // ===== PLAN SELECTION (beam handles) =====
+
+        /**
+         * Pick a beam handle: Ctrl toggles it, otherwise it replaces the selection
+         */
+        toggleHandleSelection(handle, ctrlKey = false) {
+            if (ctrlKey) {
+                if (this.selectedHandles.has(handle)) {
+                    this.selectedHandles.delete(handle);
+                } else {
+                    this.selectedHandles.add(handle);
+                }
+            } else {
+                this.selectedHandles.clear();
+                this.selectedHandles.add(handle);
+            }
+        },
+
+        isHandleSelected(handle) {
+            return this.selectedHandles.has(handle);
+        },
+
+        clearHandleSelection() {
+            this.selectedHandles.clear();
+        },
+
+        addHandlesToSelection(handles) {
+            if (handles) handles.forEach(h => this.selectedHandles.add(h));
+        },
+
+        removeHandlesFromSelection(handles) {
+            if (handles) handles.forEach(h => this.selectedHandles.delete(h));
+        },
+
+        // ===== SPAN MUTATIONS (recorded in history) =====
+
+        /**
+         * Update longitudinal rebar of a span.
+         * Backbone is continuous, so it is written to every span of the group.
+         * The viewer table cells (TopRebar/BotRebar [layer][slot], layer 0 = backbone,
+         * layer 1 = addons at slots 0/2/4) are kept in step.
+         * @param {number} spanIndex - Span index
+         * @param {string} position - 'top' | 'bot'
+         * @param {string} zone - 'Backbone' | 'AddLeft' | 'AddMid' | 'AddRight'
+         * @param {object|null} info - RebarInfo {Count, Diameter, LayerCounts, DisplayString}
+         */
+        updateRebar(spanIndex, position, zone, info) {
+            const field = (position === 'top' ? 'Top' : 'Bot') + zone;
+            return this.editSpan(spanIndex, field, (span, spans) => {
+                const targets = zone === 'Backbone' ? spans : [span];
+                const text = global.Dts?.Rebar?.formatInfo(info) ?? (info?.DisplayString || '');
+                const layer = zone === 'Backbone' ? 0 : 1;
+                const slots = zone === 'Backbone' ? [0, 2, 4] : [{ AddLeft: 0, AddMid: 2, AddRight: 4 }[zone]];
+                const cells = position === 'top' ? 'TopRebar' : 'BotRebar';
+                targets.forEach(s => {
+                    s[field] = info ? { ...info } : null;
+                    s.IsManualModified = true;
+                    if (!Array.isArray(s[cells])) s[cells] = [];
+                    for (let l = 0; l <= layer; l++) if (!Array.isArray(s[cells][l])) s[cells][l] = [];
+                    slots.forEach(slot => { s[cells][layer][slot] = text; });
+                });
+            });
+        },
+
+        /**
+         * Update stirrup string at a position (0 = Left, 1 = Mid, 2 = Right),
+         * in Stirrup and the host field StirRS
+         */
+        updateStirrup(spanIndex, pos, value) {
+            return this.editSpan(spanIndex, 'Stirrup', span => {
+                if (!Array.isArray(span.Stirrup)) span.Stirrup = ['', '', ''];
+                if (!Array.isArray(span.StirRS)) span.StirRS = ['', '', ''];
+                span.Stirrup[pos] = value;
+                span.StirRS[pos] = value;
+                span.IsManualModified = true;
+            });
+        },
+
+        /**
+         * Update side (web) bar string (WebRS[1] is the governing side bar of the plan view)
+         */
+        updateSideBar(spanIndex, value) {
+            return this.editSpan(spanIndex, 'SideBar', span => {
+                span.SideBar = value;
+                if (Array.isArray(span.WebRS)) span.WebRS[1] = value;
+                span.IsManualModified = true;
+            });
+        },
+
+        /**
+         * Toggle section label lock of a span
+         */
+        toggleSectionLock(spanIndex) {
+            return this.editSpan(spanIndex, 'xSectionLabelLocked', span => {
+                span.xSectionLabelLocked = span.xSectionLabelLocked !== true;
+            });
+        },
+
+        /**
+         * Apply a mutation to one span and record the result in the group history.
+         * Refused while the design is locked; the first edit auto-locks it (Beam.Audit).
+         * @param {number} spanIndex - Edited span (audit and 'span' event)
+         * @param {string} field - Edited field name, used as the history step name
+         * @param {Function} mutator - (span, spans) => void; may also write other spans
+         * @returns {boolean} true if the mutation was applied
+         */
+        editSpan(spanIndex, field, mutator) {
+            const group = this.currentGroup;
+            const span = group?.Spans?.[spanIndex];
+            if (!span) return false;
+
+            if (group.IsLocked) {
+                global.Beam?.Actions?.showToast('Dầm đã chốt thiết kế, không thể sửa!', 'error');
+                return false;
+            }
+
+            // Make sure the pre-edit state is the history baseline
+            const history = this.getHistory();
+            mutator(span, group.Spans);
+            history?.push(this._snapshot(), field);
+            // Label locks are not a design change
+            if (field !== 'xSectionLabelLocked') global.Beam?.Audit?.recordEdit(group, spanIndex, field);
+
+            global.Dts?.State?.notify('span', { index: spanIndex, field });
+            return true;
+        },
+
+        // ===== UNDO/REDO =====
+
+        /**
+         * Get (or lazily create) the history stack of the current group.
+         * A new stack is seeded with the group's current state.
+         */
+        getHistory() {
+            if (!this.currentGroup || !global.Dts?.History) return null;
+
+            let history = this._histories[this.currentGroupIndex];
+            if (!history) {
+                history = global.Dts.History.create({ mode: 'patch' });
+                history.push(this._snapshot());
+                this._histories[this.currentGroupIndex] = history;
+            }
+            return history;
+        },
+
+        /**
+         * Drop the history of a group (e.g. replaced by the host), so the next edit
+         * starts from its current state
+         */
+        clearHistory(index = this.currentGroupIndex) {
+            delete this._histories[index];
+        },
+
+        /**
+         * Run several span edits as one undo step
+         * @param {string} name - Step name
+         * @param {Function} fn - Calls updateRebar/updateStirrup/... one or more times
+         */
+        batch(name, fn) {
+            const history = this.getHistory();
+            if (!history) {
+                fn();
+                return;
+            }
+            history.transaction(name, fn);
+        },
+
+        canUndo() {
+            return !!this.getHistory()?.canUndo();
+        },
+
+        canRedo() {
+            return !!this.getHistory()?.canRedo();
+        },
+
+        /**
+         * Undo last span edit of the current group
+         * @returns {boolean} true if a state was restored
+         */
+        undo() {
+            return this._restore(this.getHistory()?.undo(), 'undo');
+        },
+
+        /**
+         * Redo last undone span edit of the current group
+         * @returns {boolean} true if a state was restored
+         */
+        redo() {
+            return this._restore(this.getHistory()?.redo(), 'redo');
+        },
+
+        /**
+         * Capture the editable state of the current group
+         */
+        _snapshot() {
+            const group = this.currentGroup;
+            return {
+                SelectedBackboneIndex: group.SelectedBackboneIndex,
+                Spans: (group.Spans || []).map(span => {
+                    const copy = {};
+                    HISTORY_SPAN_FIELDS.forEach(f => {
+                        if (span[f] !== undefined) copy[f] = span[f];
+                    });
+                    return copy;
+                })
+            };
+        },
+
+        /**
+         * Write a snapshot back onto the current group
+         */
+        _restore(snapshot, action) {
+            const group = this.currentGroup;
+            if (!snapshot || !group) return false;
+
+            (snapshot.Spans || []).forEach((saved, i) => {
+                const span = group.Spans?.[i];
+                if (!span) return;
+                HISTORY_SPAN_FIELDS.forEach(f => {
+                    if (saved[f] !== undefined) {
+                        span[f] = saved[f];
+                    } else {
+                        delete span[f];
+                    }
+                });
+            });
+            group.SelectedBackboneIndex = snapshot.SelectedBackboneIndex;
+
+            global.Dts?.State?.notify('history', { action });
+            return true;
         }
     };
 
@@ -31,20 +31,23 @@
          */
         _renderRow(span, index) {
             const isHighlighted = index === global.Beam?.State?.highlightedSpanIndex;
-            const rowClass = isHighlighted ? 'bg-blue-50' : (index % 2 ? 'bg-slate-50' : '');
+            const isSelected = !!global.Dts?.State?.isSelected(index);
+            const rowClass = isHighlighted ? 'bg-blue-50' : (isSelected ? 'bg-green-50' : (index % 2 ? 'bg-slate-50' : ''));
+            const selectedClass = isSelected ? 'span-row selected' : 'span-row';
             const manualClass = span.IsManualModified ? 'border-l-4 border-yellow-400' : '';
 
             // Get rebar strings using structured RebarInfo
             const topRebar = this._getTopRebarLabel(span);
             const botRebar = this._getBotRebarLabel(span);
             const stirrup = this._getStirrupLabel(span);
+            const rules = this._getRuleCell(span);
 
             return `
-                <tr class="${rowClass} ${manualClass} hover:bg-blue-100 cursor-pointer" 
+                <tr class="${selectedClass} ${rowClass} ${manualClass} hover:bg-blue-100 cursor-pointer" 
                     data-span-index="${index}"
-                    onclick="Beam.Table.onRowClick(${index})"
+                    onclick="Beam.Table.onRowClick(${index}, event)"
                     ondblclick="Beam.Table.showReport(${index})">
-                    <td class="px-2 py-1 text-center font-bold">${span.SpanId || `S${index + 1}`}</td>
+                    <td class="px-2 py-1 text-center font-bold">${span.SpanId || `S${index + 1}`}${rules}</td>
                     <td class="px-2 py-1 text-center">${(span.Length || 0).toFixed(2)}m</td>
                     <td class="px-2 py-1 text-center">${span.Width || 0}×${span.Height || 0}</td>
                     <td class="px-2 py-1 text-red-600">${topRebar}</td>
@@ -62,6 +65,18 @@
             `;
         },
 
+        /**
+         * Detailing rule warning next to the span name; failed rules in the title
+         */
+        _getRuleCell(span) {
+            const rules = global.Beam?.Rules;
+            const violations = rules ? rules.checkSpan(span) : [];
+            if (violations.length === 0) return '';
+
+            const title = rules.describe(violations).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+            return ` <span class="text-red-600 text-xs font-normal" title="${title}">⚠ ${rules.summarize(violations)}</span>`;
+        },
+
         /**
          * Get TOP rebar label from structured data or legacy
          */
@@ -89,31 +104,41 @@
         },
 
         /**
-         * Get stirrup label (position 1 = Mid span is governing typically)
+         * Get stirrup label: one value if all zones match, else "L / M / R"
          */
         _getStirrupLabel(span) {
             if (!span.Stirrup) return '-';
 
-            // Show governing (usually middle or max)
             const stirrups = span.Stirrup;
             if (Array.isArray(stirrups)) {
-                // Find non-empty stirrup
-                for (let i = 0; i < stirrups.length; i++) {
-                    if (stirrups[i] && stirrups[i] !== '-') {
-                        return stirrups[i];
-                    }
-                }
+                const zones = [0, 1, 2].map(i => (stirrups[i] && stirrups[i] !== '-') ? stirrups[i] : '-');
+                const filled = zones.filter(z => z !== '-');
+                if (filled.length === 0) return '-';
+                if (filled.length === 1 || zones.every(z => z === zones[0])) return filled[0];
+                return zones.join(' / ');
             }
             return '-';
         },
 
         /**
-         * Merge backbone + addons into display label
+         * Merge backbone + addons (left, mid, right) into display label
          */
         _getMergedLabel(backbone, ...addons) {
             if (!backbone || !backbone.Count) return '-';
 
-            const backboneStr = backbone.DisplayString || `${backbone.Count}D${backbone.Diameter}`;
+            const rebar = global.Dts.Rebar;
+            const backboneStr = rebar.formatInfo(backbone);
+
+            // Detailed mode: every addon with its zone
+            if (global.Beam?.State?.labelMode === 'detailed') {
+                const zoneParts = ['L', 'M', 'R']
+                    .map((zone, i) => {
+                        const a = addons[i];
+                        return a && a.Count ? `${zone}:${rebar.formatInfo(a)}` : null;
+                    })
+                    .filter(Boolean);
+                return zoneParts.length > 0 ? `${backboneStr} + ${zoneParts.join(' ')}` : backboneStr;
+            }
 
             // Find max addon (by count)
             let maxAddon = null;
@@ -127,10 +152,8 @@
 
             if (!maxAddon) return backboneStr;
 
-            const addonStr = maxAddon.DisplayString || `${maxAddon.Count}D${maxAddon.Diameter}`;
-
             // Show as "Backbone + Addon" to clearly distinguish
-            return `${backboneStr}+${addonStr}`;
+            return `${backboneStr}+${rebar.formatInfo(maxAddon)}`;
         },
 
         /**
@@ -146,7 +169,7 @@
                     // Get first non-empty value
                     for (let pos = 0; pos < layerData.length; pos++) {
                         const val = layerData[pos];
-                        if (val && typeof val === 'string' && val !== '-') {
+                        if (typeof val === 'string' && !global.Dts.Rebar.isEmpty(val)) {
                             parts.push(val);
                             break;
                         }
@@ -158,10 +181,10 @@
         },
 
         /**
-         * Handle row click - highlight span
+         * Handle row click - select span (Shift = add, Ctrl = toggle)
          */
-        onRowClick(index) {
-            global.Beam?.State?.highlightSpan(index);
+        onRowClick(index, event) {
+            global.Beam?.Actions?.selectSpan(index, event);
             global.Beam?.Renderer?.render();
             this.render();
         },
@@ -209,10 +232,13 @@
         getSummary() {
             const spans = global.Beam?.State?.currentGroup?.Spans || [];
 
+            const group = global.Beam?.State?.currentGroup;
             return {
                 spanCount: spans.length,
                 totalLength: spans.reduce((sum, s) => sum + (s.Length || 0), 0),
-                hasManualEdits: spans.some(s => s.IsManualModified)
+                hasManualEdits: spans.some(s => s.IsManualModified),
+                // Steel weight (kg) incl. anchorage and laps, see Beam.Takeoff
+                steelWeight: group && global.Beam?.Takeoff ? global.Beam.Takeoff.group(group).weight : 0
             };
         }
     };
@@ -0,0 +1,301 @@
+/**
+ * BeamTakeoff.js - Steel Quantity Take-off (BOQ)
+ * Bar lengths and weights by diameter for backbone, addon, stirrup and side bars,
+ * totalled per span, group, story and project, and exported as CSV.
+ * Anchorage, lap and hook allowances come from the RebarConfig anchorage tables
+ * (settings.Anchorage), looked up the same way as AnchorageConfig in C#.
+ */
+(function (global) {
+    'use strict';
+
+    const CATEGORIES = {
+        backbone: 'Thép chủ',
+        addon: 'Thép gia cường',
+        stirrup: 'Thép đai',
+        side: 'Thép giá'
+    };
+
+    const ADDON_ZONES = ['AddLeft', 'AddMid', 'AddRight'];
+
+    const BeamTakeoff = {
+        CATEGORIES,
+
+        config: {
+            STANDARD_BAR_LENGTH: 11700,     // mm, stock length when settings.StandardBarLength is missing
+            STIRRUP_HOOK_ANGLE: 135,
+            DEFAULT_COVER: 25
+        },
+
+        // ===== ANCHORAGE TABLES =====
+
+        /**
+         * Straight anchorage length (mm): table value (x d in ByFactor mode), else d x DefaultAnchorageFactor
+         */
+        getAnchorageLength(diameter, grades = this.getGrades()) {
+            const cfg = this._anchorage();
+            return this._lookup(cfg.AnchorageValues, `${grades.concrete}_${grades.steel}`, diameter, cfg)
+                ?? diameter * (cfg.DefaultAnchorageFactor ?? 40);
+        },
+
+        /**
+         * Lap splice length (mm): table value (x d in ByFactor mode), else d x DefaultSpliceFactor
+         */
+        getSpliceLength(diameter, grades = this.getGrades()) {
+            const cfg = this._anchorage();
+            return this._lookup(cfg.SpliceValues, `${grades.concrete}_${grades.steel}`, diameter, cfg)
+                ?? diameter * (cfg.DefaultSpliceFactor ?? 52);
+        },
+
+        /**
+         * Hook length (mm): table value (always a length), else max(d x factor, minimum)
+         */
+        getHookLength(diameter, angle = 135, grades = this.getGrades()) {
+            const cfg = this._anchorage();
+            const value = cfg.HookValues?.[`${grades.concrete}_${angle}`]?.[diameter];
+            if (value != null) return value;
+
+            const factor = angle === 90 ? (cfg.Hook90Factor ?? 12) : (angle === 135 ? (cfg.Hook135Factor ?? 6) : (cfg.Hook180Factor ?? 4));
+            const minLength = angle === 90 ? (cfg.MinHook90Length ?? 150) : (cfg.MinHookLength ?? 75);
+            return Math.max(diameter * factor, minLength);
+        },
+
+        /**
+         * Grades for the table keys: the group's own, else the project concrete grade and the first
+         * configured steel grade (SteelGradeName carries a class suffix, e.g. "CB400-V")
+         */
+        getGrades(group = global.Beam?.State?.currentGroup) {
+            const settings = global.Beam?.State?.settings || {};
+            const cfg = this._anchorage();
+            return {
+                concrete: group?.ConcreteGrade || settings.ConcreteGradeName || cfg.ConcreteGrades?.[0] || 'B25',
+                steel: group?.SteelGrade || cfg.SteelGrades?.[0] || settings.SteelGradeName || 'CB400'
+            };
+        },
+
+        // ===== ITEMS =====
+
+        /**
+         * Bar items of one span. length = one bar (m), totalLength = count x length (m), weight (kg)
+         * Backbone and side bars run through the group: anchorage at the end supports,
+         * laps every standard bar length shared over the spans by length.
+         * @returns {{category, position, diameter, count, length, totalLength, weight}[]}
+         */
+        spanItems(group, spanIndex) {
+            const spans = group?.Spans || [];
+            const span = spans[spanIndex];
+            if (!span) return [];
+
+            const grades = this.getGrades(group);
+            const isFirst = spanIndex === 0;
+            const isLast = spanIndex === spans.length - 1;
+            const items = [];
+
+            ['top', 'bot'].forEach(position => {
+                const side = position === 'top' ? 'Top' : 'Bot';
+
+                const backbone = span[`${side}Backbone`];
+                if (backbone?.Count > 0) {
+                    items.push(this._item('backbone', position, backbone.Count, backbone.Diameter,
+                        this._continuousLength(group, spanIndex, backbone.Diameter, grades)));
+                }
+
+                ADDON_ZONES.forEach(zone => {
+                    const info = span[`${side}${zone}`];
+                    if (!(info?.Count > 0)) return;
+                    // Cut-off to cut-off; ends at a group end go on into the column
+                    const cutoff = global.Beam.Curtailment.addon(span, position, zone, grades);
+                    const endAnchor = (zone === 'AddLeft' && isFirst) || (zone === 'AddRight' && isLast) ? 1 : 0;
+                    const length = cutoff.length + endAnchor * cutoff.development;
+                    items.push(this._item('addon', position, info.Count, info.Diameter, length, zone));
+                });
+            });
+
+            const sideBar = global.Dts.Rebar.parseSideBar(span.SideBar);
+            if (sideBar.count > 0) {
+                items.push(this._item('side', 'side', sideBar.count, sideBar.diameter,
+                    this._continuousLength(group, spanIndex, sideBar.diameter, grades)));
+            }
+
+            items.push(...this._stirrupItems(span, grades));
+            return items;
+        },
+
+        // ===== TOTALS =====
+
+        /**
+         * @returns {{spanId, items, byDiameter, byCategory, weight}}
+         */
+        span(group, spanIndex) {
+            const items = this.spanItems(group, spanIndex);
+            return Object.assign({ spanId: group.Spans[spanIndex].SpanId, items }, this.summarize(items));
+        },
+
+        /**
+         * @returns {{name, story, spans, byDiameter, byCategory, weight}}
+         */
+        group(group) {
+            const spans = (group?.Spans || []).map((s, i) => this.span(group, i));
+            return Object.assign({
+                name: group?.Name || group?.GroupName || '',
+                story: group?.StoryName || '',
+                spans
+            }, this.summarize(spans.flatMap(s => s.items)));
+        },
+
+        /**
+         * Groups of one story (all loaded groups by default)
+         */
+        story(storyName, groups = global.Beam?.State?.groups || []) {
+            const list = groups.filter(g => (g.StoryName || '') === storyName).map(g => this.group(g));
+            return Object.assign({ story: storyName, groups: list }, this.summarize(this._items(list)));
+        },
+
+        /**
+         * Whole project, stories in order of first appearance
+         */
+        project(groups = global.Beam?.State?.groups || []) {
+            const stories = [...new Set(groups.map(g => g.StoryName || ''))].map(name => this.story(name, groups));
+            return Object.assign({ stories }, this.summarize(stories.flatMap(s => this._items(s.groups))));
+        },
+
+        /**
+         * Totals of an item list: byDiameter { d: { length (m), weight (kg) } }, byCategory { cat: kg }, weight (kg)
+         */
+        summarize(items) {
+            const byDiameter = {};
+            const byCategory = {};
+            let weight = 0;
+            items.forEach(item => {
+                const d = byDiameter[item.diameter] || (byDiameter[item.diameter] = { length: 0, weight: 0 });
+                d.length += item.totalLength;
+                d.weight += item.weight;
+                byCategory[item.category] = (byCategory[item.category] || 0) + item.weight;
+                weight += item.weight;
+            });
+            return { byDiameter, byCategory, weight };
+        },
+
+        // ===== EXPORT =====
+
+        /**
+         * CSV (UTF-8 BOM for Excel): one row per bar item, then totals by diameter
+         * @param {object[]} [groups] - Default: all loaded groups
+         */
+        toCSV(groups = global.Beam?.State?.groups || []) {
+            const rows = [['Tầng', 'Dầm', 'Nhịp', 'Loại', 'Vị trí', 'Đường kính', 'Số thanh', 'Dài 1 thanh (m)', 'Tổng dài (m)', 'Khối lượng (kg)']];
+            const project = this.project(groups);
+
+            project.stories.forEach(story => story.groups.forEach(group => group.spans.forEach(span => {
+                span.items.forEach(item => rows.push([
+                    story.story, group.name, span.spanId, CATEGORIES[item.category], item.zone || item.position,
+                    `D${item.diameter}`, item.count, fixed(item.length, 3), fixed(item.totalLength, 2), fixed(item.weight, 2)
+                ]));
+            })));
+
+            rows.push([]);
+            rows.push(['Tổng theo đường kính', '', '', '', '', 'Đường kính', '', '', 'Tổng dài (m)', 'Khối lượng (kg)']);
+            Object.keys(project.byDiameter).map(Number).sort((a, b) => a - b).forEach(d => {
+                const t = project.byDiameter[d];
+                rows.push(['', '', '', '', '', `D${d}`, '', '', fixed(t.length, 2), fixed(t.weight, 2)]);
+            });
+            rows.push(['Tổng cộng', '', '', '', '', '', '', '', '', fixed(project.weight, 2)]);
+
+            return this.formatCSV(rows);
+        },
+
+        /**
+         * Rows to CSV text: UTF-8 BOM for Excel, quoted cells where needed, CRLF
+         */
+        formatCSV(rows) {
+            return '﻿' + rows.map(r => r.map(csvCell).join(',')).join('\r\n');
+        },
+
+        // ===== INTERNAL =====
+
+        _anchorage() {
+            return global.Beam?.State?.settings?.Anchorage || {};
+        },
+
+        _lookup(table, key, diameter, cfg) {
+            const value = table?.[key]?.[diameter];
+            if (value == null) return null;
+            const byLength = cfg.Mode === 1 || cfg.Mode === 'ByLength';
+            return byLength ? value : value * diameter;
+        },
+
+        _item(category, position, count, diameter, lengthMm, zone) {
+            const length = lengthMm / 1000;
+            const totalLength = count * length;
+            return {
+                category,
+                position,
+                zone: zone || null,
+                diameter,
+                count,
+                length,
+                totalLength,
+                weight: totalLength * global.Dts.Rebar.unitWeight(diameter)
+            };
+        },
+
+        /**
+         * Length per bar (mm) of a bar running through the group, for one span:
+         * span length + anchorage at group ends + this span's share of the laps
+         */
+        _continuousLength(group, spanIndex, diameter, grades) {
+            const spans = group.Spans;
+            const span = spans[spanIndex];
+            const total = spans.reduce((sum, s) => sum + (s.Length || 0), 0) * 1000;
+            const la = this.getAnchorageLength(diameter, grades);
+            const ends = (spanIndex === 0 ? 1 : 0) + (spanIndex === spans.length - 1 ? 1 : 0);
+
+            const stock = global.Beam?.State?.settings?.StandardBarLength || this.config.STANDARD_BAR_LENGTH;
+            const run = total + 2 * la;
+            const laps = Math.max(0, Math.ceil(run / stock) - 1);
+            const share = total > 0 ? (span.Length || 0) * 1000 / total : 0;
+
+            return (span.Length || 0) * 1000 + ends * la + laps * this.getSpliceLength(diameter, grades) * share;
+        },
+
+        /**
+         * Stirrups per zone over the clear span: sets = floor(L / s) + 1, cut length with two hooks
+         */
+        _stirrupItems(span, grades) {
+            const rebar = global.Dts.Rebar;
+            const cover = global.Beam?.State?.settings?.CoverSide || this.config.DEFAULT_COVER;
+            const section = { width: span.Width, height: span.Height };
+            const clear = (span.ClearLength || span.Length || 0) * 1000;
+            const items = [];
+
+            (global.Beam?.State?.STIRRUP_ZONES || []).forEach((zone, i) => {
+                const text = Array.isArray(span.Stirrup) ? span.Stirrup[i] : '';
+                const stirrup = rebar.parseStirrup(text);
+                if (!(stirrup.spacing > 0)) return;
+
+                const body = rebar.stirrupLength(stirrup, section, cover);
+                if (!body) return;
+                const sets = Math.floor(zone.length * clear / stirrup.spacing) + 1;
+                const cut = body + 2 * this.getHookLength(stirrup.diameter, this.config.STIRRUP_HOOK_ANGLE, grades);
+                items.push(this._item('stirrup', 'stirrup', sets, stirrup.diameter, cut, zone.name));
+            });
+            return items;
+        },
+
+        _items(groups) {
+            return groups.flatMap(g => g.spans.flatMap(s => s.items));
+        }
+    };
+
+    function fixed(value, digits) {
+        return Number(value || 0).toFixed(digits);
+    }
+
+    function csvCell(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    global.Beam = global.Beam || {};
+    global.Beam.Takeoff = BeamTakeoff;
+
+})(window);
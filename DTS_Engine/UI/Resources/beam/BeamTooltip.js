@@ -0,0 +1,158 @@
+/**
+ * BeamTooltip.js - Hover Tooltip for Beam Canvas
+ * Shows the full top/bottom rebar breakdown of a span next to the cursor.
+ */
+(function (global) {
+    'use strict';
+
+    const ZONES = ['Backbone', 'AddLeft', 'AddMid', 'AddRight'];
+
+    const BeamTooltip = {
+        _el: null,
+        OFFSET: 14,
+
+        /**
+         * Show tooltip content near a screen position
+         * @param {string} html - Tooltip content
+         * @param {number} clientX - Mouse X (viewport)
+         * @param {number} clientY - Mouse Y (viewport)
+         */
+        show(html, clientX, clientY) {
+            const el = this._getElement();
+            if (!el) return;
+
+            el.innerHTML = html;
+            el.style.display = 'block';
+
+            // Keep inside viewport
+            const maxX = (global.innerWidth || 0) - el.offsetWidth - 4;
+            const maxY = (global.innerHeight || 0) - el.offsetHeight - 4;
+            el.style.left = Math.max(4, Math.min(clientX + this.OFFSET, maxX)) + 'px';
+            el.style.top = Math.max(4, Math.min(clientY + this.OFFSET, maxY)) + 'px';
+        },
+
+        hide() {
+            if (this._el) this._el.style.display = 'none';
+        },
+
+        /**
+         * Build tooltip HTML for a span
+         * @param {object} span - Span data
+         * @param {string|null} position - Hovered label ('top' | 'bot') to emphasise, or null
+         */
+        buildSpanHtml(span, position = null) {
+            if (!span) return '';
+            const title = `${this._escape(span.SpanId || '')} · ${span.Width || 0}×${span.Height || 0} · ${(span.Length || 0).toFixed(2)}m`;
+
+            return `
+                <div style="font-weight:600;margin-bottom:4px">${title}</div>
+                ${this._buildSideHtml(span, 'Top', position === 'top')}
+                ${this._buildSideHtml(span, 'Bot', position === 'bot')}
+                ${this._buildRulesHtml(span)}
+            `;
+        },
+
+        /**
+         * Provided area of a RebarInfo (cm²)
+         */
+        getArea(info) {
+            if (!info || !info.Count || !info.Diameter) return 0;
+            return info.Count * global.Dts.Rebar.barArea(info.Diameter);
+        },
+
+        /**
+         * As provided vs required for one side and station (see Beam.Check.checkStation)
+         * @returns {{prov: number, req: number, utilisation: number, isDeficit: boolean}}
+         */
+        getAsCheck(span, side, station) {
+            return global.Beam.Check.checkStation(span, side === 'Top' ? 'top' : 'bot', station);
+        },
+
+        _buildSideHtml(span, side, emphasise) {
+            const color = side === 'Top' ? '#dc2626' : '#2563eb';
+            const rows = ZONES
+                .map(zone => {
+                    const info = span[`${side}${zone}`];
+                    if (!info || !info.Count) return '';
+                    return `<tr><td style="color:#64748b;padding-right:8px">${zone}</td>` +
+                        `<td>${this._escape(this._formatInfo(info))}</td>` +
+                        `<td style="color:#64748b;padding-left:8px">${this._formatLayers(info)}</td></tr>`;
+                })
+                .join('');
+
+            const asCells = global.Beam.Check.STATIONS.map(st => {
+                const check = this.getAsCheck(span, side, st);
+                const style = check.isDeficit ? 'color:#dc2626;font-weight:600' : '';
+                const req = check.req > 0 ? check.req.toFixed(2) : '-';
+                return `<span style="${style}">${st.name}: ${check.prov.toFixed(2)}/${req}</span>`;
+            }).join(' · ');
+
+            return `
+                <div style="margin-top:4px;${emphasise ? 'background:#f1f5f9;border-radius:3px;padding:2px' : ''}">
+                    <div style="color:${color};font-weight:600">${side === 'Top' ? 'Thép trên' : 'Thép dưới'}</div>
+                    <table style="border-collapse:collapse">${rows || '<tr><td style="color:#94a3b8">-</td></tr>'}</table>
+                    <div style="color:#475569">As prov/req (cm²) ${asCells}</div>
+                </div>
+            `;
+        },
+
+        /**
+         * Failed detailing rules (Beam.Rules), one per line
+         */
+        _buildRulesHtml(span) {
+            const violations = global.Beam?.Rules?.checkSpan(span) || [];
+            if (violations.length === 0) return '';
+
+            const rows = violations
+                .map(v => `<div><b>${this._escape(v.title)}</b>: ${this._escape(v.message)}</div>`)
+                .join('');
+            return `<div style="margin-top:4px;color:#dc2626">${rows}</div>`;
+        },
+
+        _formatInfo(info) {
+            return global.Dts.Rebar.formatInfo(info);
+        },
+
+        _formatLayers(info) {
+            const layers = info.LayerCounts?.length ? info.LayerCounts : [info.Count];
+            return layers.map((n, i) => `L${i + 1}:${n}`).join(' ');
+        },
+
+        _escape(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+        },
+
+        _getElement() {
+            if (this._el) return this._el;
+            if (typeof document === 'undefined' || !document.body) return null;
+
+            const el = document.createElement('div');
+            el.id = 'beam-tooltip';
+            el.style.cssText = `
+                position: fixed;
+                display: none;
+                z-index: 9998;
+                pointer-events: none;
+                background: white;
+                color: #1e293b;
+                border: 1px solid #cbd5e1;
+                border-radius: 6px;
+                padding: 6px 8px;
+                font-size: 11px;
+                line-height: 1.4;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+                max-width: 360px;
+            `;
+            document.body.appendChild(el);
+            this._el = el;
+            return el;
+        }
+    };
+
+    global.Beam = global.Beam || {};
+    global.Beam.Tooltip = BeamTooltip;
+
+})(window);
@@ -0,0 +1,445 @@
+/**
+ * DtsBridge.js - Typed Host Message Protocol
+ * One place for every message exchanged with the C# host (WebView2).
+ *
+ * Wire formats (unchanged from the hand-built strings the host already parses):
+ *   bare     TYPE                      e.g. EXPORT
+ *   json     TYPE|<json>               e.g. HIGHLIGHT|["1A2","1A3"]
+ *   fields   TYPE|f1|f2|...            e.g. UPDATE_SECTION_LABEL|1A2|D1|1
+ *            (the last field may itself contain '|'; JSON fields write it as \u007c)
+ *   command  {"command": TYPE, ...}    JSON string, used by CalculationReport
+ *
+ * Correlation: a type with `replies` is a request. request() prepends a
+ * correlation id as the first field (TYPE|id|...) and the host echoes it as
+ * the first field of the reply (REPLY|id|...). Replies without an id resolve
+ * the oldest pending request waiting for that reply type.
+ *
+ * Schema field types: string, number, integer, boolean, flag (1/0 on the
+ * wire), array, object, json (any JSON value), any. A trailing '?' marks the
+ * field optional.
+ *
+ * Transport: { post(raw) -> boolean, subscribe(fn(raw)) -> unsubscribe }.
+ * Defaults to window.chrome.webview; setTransport() swaps in another one
+ * (e.g. Dts.MockHost for browser/headless runs).
+ */
+(function (global) {
+    'use strict';
+
+    const DEFAULT_TIMEOUT = 30000;
+
+    /**
+     * Message registry.
+     * direction: 'out' (JS -> host) | 'in' (host -> JS)
+     * format: 'bare' | 'json' | 'fields' | 'command'
+     * schema: json/command -> 'array' | 'object' | { key: type }; fields -> [[name, type], ...]
+     * replies: { success: [types], error: [types] } for requests
+     */
+    const MESSAGES = {
+        // ===== VIEWER -> HOST =====
+        SAVE: { direction: 'out', format: 'json', schema: { groups: 'array' } },
+        APPLY: { direction: 'out', format: 'json', schema: { groups: 'array' } },
+        EXPORT: { direction: 'out', format: 'bare' },
+        IMPORT: { direction: 'out', format: 'bare' },
+        CANCEL: { direction: 'out', format: 'bare' },
+        EDIT_REBAR: { direction: 'out', format: 'json', schema: { GroupIndex: 'integer', SpanIndex: 'integer', Position: 'string' } },
+        SHOW_REPORT: { direction: 'out', format: 'json', schema: { GroupIndex: 'integer', SpanIndex: 'integer', Groups: 'array?' } },
+        HIGHLIGHT: { direction: 'out', format: 'json', schema: 'array' },
+        REGROUP: { direction: 'out', format: 'json', schema: 'array' },
+        // entry: Beam.Audit log entry of the lock/unlock (user, option before/after, reason)
+        LOCK_DESIGN: { direction: 'out', format: 'fields', schema: [['groupIndex', 'integer'], ['entry', 'json?'], ['design', 'json?']] },
+        UNLOCK_DESIGN: { direction: 'out', format: 'fields', schema: [['groupIndex', 'integer'], ['entry', 'json?']] },
+        QUICK_CALC: { direction: 'out', format: 'fields', schema: [['groupIndex', 'integer']] },
+        PULL_DATA: { direction: 'out', format: 'fields', schema: [['groupIndex', 'integer']] },
+        UPDATE_SECTION_LABEL: { direction: 'out', format: 'fields', schema: [['handle', 'string'], ['label', 'string'], ['locked', 'flag']] },
+        UPDATE_SECTION_LABEL_BATCH: { direction: 'out', format: 'fields', schema: [['label', 'string'], ['locked', 'flag'], ['handles', 'string']] },
+        SET_OPACITY: { direction: 'out', format: 'fields', schema: [['opacity', 'number']] },
+        REFRESH_DATA: { direction: 'out', format: 'fields', schema: [] },
+        REFRESH_PLAN_DATA: { direction: 'out', format: 'fields', schema: [] },
+        DETACH: { direction: 'out', format: 'fields', schema: [['handle', 'string']] },
+        UNGROUP: { direction: 'out', format: 'fields', schema: [['groupId', 'string']] },
+        CMD: { direction: 'out', format: 'fields', schema: [['command', 'string']] },
+        SAVE_IMAGE: { direction: 'out', format: 'json', schema: { FileName: 'string', DataUrl: 'string' } },
+        AUTO_NAME: {
+            direction: 'out', format: 'fields', schema: [['handles', 'json']],
+            replies: { success: ['NAMING_DONE'], error: ['NAMING_ERROR'] }
+        },
+
+        // ===== REBAR CONFIG -> HOST (reply arrives as onStoriesReceived(json) script call) =====
+        GET_STORIES: { direction: 'out', format: 'bare' },
+
+        // ===== CALCULATION REPORT -> HOST =====
+        export_excel: { direction: 'out', format: 'command', schema: { data: 'object', isSimple: 'boolean' } },
+        refresh_data: { direction: 'out', format: 'command', schema: {} },
+
+        // ===== HOST -> VIEWER =====
+        NAMING_DONE: { direction: 'in', format: 'fields', correlated: true, schema: [['count', 'integer']] },
+        NAMING_ERROR: { direction: 'in', format: 'fields', correlated: true, schema: [['message', 'string']] },
+        CMD_SENT: { direction: 'in', format: 'fields', schema: [['command', 'string']] },
+        CMD_ERROR: { direction: 'in', format: 'fields', schema: [['command', 'string'], ['message', 'string']] }
+    };
+
+    // ===== SCHEMA HELPERS =====
+
+    function parseType(type) {
+        const optional = type.endsWith('?');
+        return { base: optional ? type.slice(0, -1) : type, optional };
+    }
+
+    function checkValue(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && !isNaN(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean':
+            case 'flag': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'json':
+            case 'any': return value !== undefined;
+            default: return false;
+        }
+    }
+
+    const DtsBridge = {
+        MESSAGES,
+        DEFAULT_TIMEOUT,
+
+        // ===== STATE =====
+        _handlers: {},      // { type | '*': [fn] }
+        _pending: [],       // [{ id, type, replies, resolve, reject, timer }]
+        _nextId: 1,
+        _transport: null,   // null = WebView2 (window.chrome.webview)
+        _unsubscribe: null,
+
+        /**
+         * Add or replace a message type
+         * @param {string} type - Message type
+         * @param {object} def - Definition (see MESSAGES)
+         */
+        register(type, def) {
+            this.MESSAGES[type] = def;
+        },
+
+        /**
+         * Validate a payload against the registered schema
+         * @returns {string[]} Error messages (empty when valid)
+         */
+        validate(type, payload) {
+            const def = this.MESSAGES[type];
+            if (!def) return [`Unknown message type '${type}'`];
+            if (def.format === 'bare') return [];
+
+            const schema = def.schema;
+            if (typeof schema === 'string') {
+                return checkValue(payload, schema) ? [] : [`${type}: payload must be ${schema}`];
+            }
+
+            const entries = Array.isArray(schema) ? schema : Object.entries(schema || {});
+            const isObject = payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+            if (entries.length > 0 && !isObject) return [`${type}: payload must be an object`];
+
+            const errors = [];
+            entries.forEach(([name, fieldType]) => {
+                const { base, optional } = parseType(fieldType);
+                const value = payload[name];
+                if (value === undefined || value === null) {
+                    if (!optional) errors.push(`${type}.${name} is required`);
+                } else if (!checkValue(value, base)) {
+                    errors.push(`${type}.${name} must be ${base}`);
+                } else if (def.format === 'fields' && base === 'string' && value.includes('|')) {
+                    // Raw string fields are not escaped: a '|' would shift every later field
+                    errors.push(`${type}.${name} must not contain '|'`);
+                }
+            });
+            return errors;
+        },
+
+        // ===== ENCODE / DECODE =====
+
+        /**
+         * Build the wire string for an outgoing message
+         * @param {string} type - Message type
+         * @param {*} payload - Payload matching the schema
+         * @param {string} [id] - Correlation id (requests only)
+         * @returns {string}
+         */
+        encode(type, payload, id) {
+            const def = this.MESSAGES[type];
+            if (!def) throw new Error(`DtsBridge: unknown message type '${type}'`);
+
+            switch (def.format) {
+                case 'bare':
+                    return type;
+                case 'command':
+                    return JSON.stringify(Object.assign({ command: type }, payload || {}, id ? { id } : {}));
+                case 'json':
+                    return `${type}|${id ? id + '|' : ''}${JSON.stringify(payload)}`;
+                default: {
+                    const fields = def.schema.map(([name, fieldType]) => this._encodeField(payload?.[name], parseType(fieldType).base));
+                    // Drop trailing empty optional fields so bodies match the legacy strings
+                    while (fields.length > 0 && fields[fields.length - 1] === '' &&
+                        parseType(def.schema[fields.length - 1][1]).optional) {
+                        fields.pop();
+                    }
+                    if (id) fields.unshift(id);
+                    return `${type}|${fields.join('|')}`;
+                }
+            }
+        },
+
+        /**
+         * Parse a wire string into { type, payload, id }
+         * @param {string} raw - Message from the host
+         * @returns {{type: string, payload: *, id: string|null, known: boolean}}
+         */
+        decode(raw) {
+            const text = String(raw);
+            if (text.startsWith('{')) {
+                const obj = JSON.parse(text);
+                const { command, id, ...payload } = obj;
+                return { type: command, payload, id: id || null, known: !!this.MESSAGES[command] };
+            }
+
+            const bar = text.indexOf('|');
+            const type = bar >= 0 ? text.slice(0, bar) : text;
+            let body = bar >= 0 ? text.slice(bar + 1) : '';
+            const def = this.MESSAGES[type];
+            if (!def) return { type, payload: body, id: null, known: false };
+
+            let id = null;
+            if (def.correlated || def.replies) {
+                const next = body.indexOf('|');
+                id = (next >= 0 ? body.slice(0, next) : body) || null;
+                body = next >= 0 ? body.slice(next + 1) : '';
+            }
+
+            if (def.format === 'bare') return { type, payload: null, id, known: true };
+            if (def.format === 'json') return { type, payload: body ? JSON.parse(body) : null, id, known: true };
+
+            const payload = {};
+            const parts = body === '' ? [] : body.split('|');
+            def.schema.forEach(([name, fieldType], i) => {
+                const isLast = i === def.schema.length - 1;
+                const value = isLast ? parts.slice(i).join('|') : parts[i];
+                if (value === undefined || (value === '' && parseType(fieldType).optional)) return;
+                payload[name] = this._decodeField(value, parseType(fieldType).base);
+            });
+            return { type, payload, id, known: true };
+        },
+
+        _encodeField(value, type) {
+            if (value === undefined || value === null) return '';
+            if (type === 'flag') return value ? '1' : '0';
+            // '|' only occurs inside JSON strings: escape it so a JSON field never splits the body
+            if (type === 'json' || type === 'array' || type === 'object') return JSON.stringify(value).replace(/\|/g, '\\u007c');
+            return String(value);
+        },
+
+        _decodeField(value, type) {
+            switch (type) {
+                case 'number':
+                case 'integer': return Number(value);
+                case 'flag': return value === '1';
+                case 'boolean': return value === 'true' || value === '1';
+                case 'json':
+                case 'array':
+                case 'object': return JSON.parse(value);
+                default: return value;
+            }
+        },
+
+        // ===== SEND =====
+
+        /**
+         * Send a one-way message to the host
+         * @returns {boolean} true if the message was valid and posted
+         */
+        send(type, payload) {
+            const errors = this.validate(type, payload);
+            if (errors.length > 0) {
+                console.error('DtsBridge: invalid message', errors);
+                return false;
+            }
+            return this._post(this.encode(type, payload));
+        },
+
+        /**
+         * Send a request and await its reply
+         * @param {string} type - Request type (must declare replies)
+         * @param {*} payload - Payload
+         * @param {object} [options]
+         * @param {number} [options.timeout=30000] - Milliseconds before rejecting
+         * @returns {Promise<{type: string, payload: *}>} Resolves on a success reply, rejects on an error reply or timeout
+         */
+        request(type, payload, options = {}) {
+            const def = this.MESSAGES[type];
+            if (!def?.replies) {
+                return Promise.reject(new Error(`DtsBridge: '${type}' does not expect a reply`));
+            }
+            const errors = this.validate(type, payload);
+            if (errors.length > 0) {
+                return Promise.reject(new Error(`DtsBridge: ${errors.join('; ')}`));
+            }
+
+            const id = `r${this._nextId++}`;
+            const timeout = options.timeout ?? this.DEFAULT_TIMEOUT;
+
+            return new Promise((resolve, reject) => {
+                const entry = { id, type, replies: def.replies, resolve, reject, timer: null };
+                entry.timer = setTimeout(() => {
+                    this._removePending(entry);
+                    const err = new Error(`DtsBridge: '${type}' timed out after ${timeout}ms`);
+                    err.code = 'TIMEOUT';
+                    reject(err);
+                }, timeout);
+                this._pending.push(entry);
+
+                if (!this._post(this.encode(type, payload, id))) {
+                    clearTimeout(entry.timer);
+                    this._removePending(entry);
+                    const err = new Error('DtsBridge: host not available');
+                    err.code = 'NO_HOST';
+                    reject(err);
+                }
+            });
+        },
+
+        _post(raw) {
+            return this.getTransport().post(raw);
+        },
+
+        // ===== TRANSPORT =====
+
+        /**
+         * Replace the transport (null restores WebView2). Re-attaches if init() was called.
+         * @param {{post: Function, subscribe: Function}|null} transport
+         */
+        setTransport(transport) {
+            const wasAttached = !!this._unsubscribe;
+            this._detach();
+            this._transport = transport || null;
+            if (wasAttached) this.init();
+            return this;
+        },
+
+        getTransport() {
+            return this._transport || this.createWebViewTransport();
+        },
+
+        /**
+         * Transport over window.chrome.webview (resolved on every call, so a shim installed later is used)
+         */
+        createWebViewTransport() {
+            return {
+                post(raw) {
+                    const webview = global.chrome?.webview;
+                    if (!webview?.postMessage) return false;
+                    webview.postMessage(raw);
+                    return true;
+                },
+                subscribe(fn) {
+                    const webview = global.chrome?.webview;
+                    if (!webview?.addEventListener) return null;
+                    const listener = event => {
+                        if (typeof event.data === 'string') fn(event.data);
+                    };
+                    webview.addEventListener('message', listener);
+                    return () => webview.removeEventListener?.('message', listener);
+                }
+            };
+        },
+
+        // ===== RECEIVE =====
+
+        /**
+         * Listen for an incoming message type ('*' for all)
+         * @param {string} type - Message type
+         * @param {Function} handler - fn(payload, message)
+         * @returns {Function} Unsubscribe function
+         */
+        on(type, handler) {
+            if (!this._handlers[type]) this._handlers[type] = [];
+            this._handlers[type].push(handler);
+            return () => {
+                this._handlers[type] = (this._handlers[type] || []).filter(fn => fn !== handler);
+            };
+        },
+
+        /**
+         * Handle a raw message from the host: validate, settle pending requests, dispatch
+         * @param {string} raw - Message string
+         * @returns {object|null} Decoded message, or null if it could not be parsed
+         */
+        receive(raw) {
+            let message;
+            try {
+                message = this.decode(raw);
+            } catch (e) {
+                console.error('DtsBridge: cannot parse message', raw, e);
+                return null;
+            }
+
+            if (message.known) {
+                const errors = this.validate(message.type, message.payload);
+                if (errors.length > 0) {
+                    console.error('DtsBridge: invalid incoming message', errors);
+                    return null;
+                }
+            }
+
+            this._settle(message);
+
+            const handlers = (this._handlers[message.type] || []).concat(this._handlers['*'] || []);
+            handlers.forEach(fn => {
+                try { fn(message.payload, message); } catch (e) { console.error('DtsBridge handler error:', e); }
+            });
+            return message;
+        },
+
+        /**
+         * Resolve/reject the request a reply belongs to (by id, else oldest waiting for that type)
+         */
+        _settle(message) {
+            const matches = entry =>
+                entry.replies.success.includes(message.type) || entry.replies.error.includes(message.type);
+            const entry = message.id
+                ? this._pending.find(e => e.id === message.id)
+                : this._pending.find(matches);
+            if (!entry || !matches(entry)) return;
+
+            clearTimeout(entry.timer);
+            this._removePending(entry);
+
+            if (entry.replies.error.includes(message.type)) {
+                const err = new Error(message.payload?.message || message.type);
+                err.code = message.type;
+                err.payload = message.payload;
+                entry.reject(err);
+            } else {
+                entry.resolve({ type: message.type, payload: message.payload });
+            }
+        },
+
+        _removePending(entry) {
+            this._pending = this._pending.filter(e => e !== entry);
+        },
+
+        /**
+         * Start receiving from the transport (safe to call more than once)
+         */
+        init() {
+            if (this._unsubscribe) return this;
+            this._unsubscribe = this.getTransport().subscribe(raw => this.receive(raw)) || null;
+            return this;
+        },
+
+        _detach() {
+            if (this._unsubscribe) this._unsubscribe();
+            this._unsubscribe = null;
+        }
+    };
+
+    global.Dts = global.Dts || {};
+    global.Dts.Bridge = DtsBridge;
+
+})(window);
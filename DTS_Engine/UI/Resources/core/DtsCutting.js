@@ -0,0 +1,188 @@
+/**
+ * DtsCutting.js - Cutting-Stock Optimisation
+ * Packs bar cut lengths into commercial stock bars, per diameter, with
+ * best-fit decreasing; every stock bar is then cut from the shortest stock
+ * length that holds its pieces. Identical stock bars form one cutting pattern.
+ *
+ * Dts.Cutting.optimize() runs in place; Dts.Cutting.run() runs the same code
+ * in a Web Worker built from this file's functions (Blob URL, so it also works
+ * for pages loaded with NavigateToString) and falls back to the main thread
+ * where workers are not available.
+ */
+(function (global) {
+    'use strict';
+
+    // ===== ALGORITHM (self-contained: also shipped to the worker as source) =====
+
+    /**
+     * Stock lengths (mm): positive, unique, ascending; default 11700
+     */
+    function normalizeStockLengths(stockLengths) {
+        const list = (Array.isArray(stockLengths) ? stockLengths : [])
+            .map(Number)
+            .filter(l => l > 0);
+        return list.length > 0 ? [...new Set(list)].sort((a, b) => a - b) : [11700];
+    }
+
+    /**
+     * Best-fit decreasing for the pieces of one diameter
+     * @returns {{bars: {stockLength, used, cuts}[], oversize: object[]}}
+     */
+    function packDiameter(pieces, stockLengths) {
+        const maxStock = stockLengths[stockLengths.length - 1];
+        const items = [];
+        const oversize = [];
+
+        pieces.forEach(p => {
+            const quantity = Math.max(0, Math.round(p.quantity || 0));
+            if (!(p.length > 0) || quantity === 0) return;
+            if (p.length > maxStock) {
+                oversize.push({ mark: p.mark || '', length: p.length, quantity });
+                return;
+            }
+            for (let i = 0; i < quantity; i++) items.push({ mark: p.mark || '', length: p.length });
+        });
+        items.sort((a, b) => b.length - a.length || String(a.mark).localeCompare(String(b.mark)));
+
+        const bars = [];
+        items.forEach(item => {
+            let best = null;
+            bars.forEach(bar => {
+                const rest = maxStock - bar.used - item.length;
+                if (rest >= 0 && (!best || rest < maxStock - best.used - item.length)) best = bar;
+            });
+            if (!best) {
+                best = { used: 0, cuts: [] };
+                bars.push(best);
+            }
+            best.used += item.length;
+            best.cuts.push(item);
+        });
+
+        bars.forEach(bar => {
+            bar.stockLength = stockLengths.find(l => l >= bar.used);
+        });
+        return { bars, oversize };
+    }
+
+    /**
+     * Group identical stock bars (same stock length and cuts) into patterns, most used first
+     */
+    function collectPatterns(bars) {
+        const byKey = new Map();
+        bars.forEach(bar => {
+            const key = `${bar.stockLength}:${bar.cuts.map(c => `${c.length}/${c.mark}`).join('+')}`;
+            const pattern = byKey.get(key);
+            if (pattern) {
+                pattern.count++;
+            } else {
+                byKey.set(key, {
+                    stockLength: bar.stockLength,
+                    cuts: bar.cuts.map(c => ({ mark: c.mark, length: c.length })),
+                    used: bar.used,
+                    offcut: bar.stockLength - bar.used,
+                    count: 1
+                });
+            }
+        });
+        return [...byKey.values()].sort((a, b) => b.count - a.count || a.offcut - b.offcut);
+    }
+
+    /**
+     * @param {{diameter: number, length: number, quantity: number, mark?: string}[]} pieces - Cut lengths in mm
+     * @param {{stockLengths?: number[]}} [options]
+     * @returns {{stockLengths, diameters: object[], stockCount, required, purchased, waste, wastePct}}
+     *   diameters: one entry per diameter with patterns, stock bars by length and waste
+     */
+    function optimize(pieces, options) {
+        const stockLengths = normalizeStockLengths(options && options.stockLengths);
+        const byDiameter = new Map();
+        (pieces || []).forEach(p => {
+            if (!(p.diameter > 0)) return;
+            if (!byDiameter.has(p.diameter)) byDiameter.set(p.diameter, []);
+            byDiameter.get(p.diameter).push(p);
+        });
+
+        const diameters = [...byDiameter.keys()].sort((a, b) => a - b).map(diameter => {
+            const packed = packDiameter(byDiameter.get(diameter), stockLengths);
+            const stockBars = {};
+            packed.bars.forEach(bar => { stockBars[bar.stockLength] = (stockBars[bar.stockLength] || 0) + 1; });
+            const required = packed.bars.reduce((sum, bar) => sum + bar.used, 0);
+            const purchased = packed.bars.reduce((sum, bar) => sum + bar.stockLength, 0);
+            return {
+                diameter,
+                stockCount: packed.bars.length,
+                stockBars,
+                required,
+                purchased,
+                waste: purchased - required,
+                wastePct: purchased > 0 ? (purchased - required) / purchased * 100 : 0,
+                patterns: collectPatterns(packed.bars),
+                oversize: packed.oversize
+            };
+        });
+
+        const required = diameters.reduce((sum, d) => sum + d.required, 0);
+        const purchased = diameters.reduce((sum, d) => sum + d.purchased, 0);
+        return {
+            stockLengths,
+            diameters,
+            stockCount: diameters.reduce((sum, d) => sum + d.stockCount, 0),
+            required,
+            purchased,
+            waste: purchased - required,
+            wastePct: purchased > 0 ? (purchased - required) / purchased * 100 : 0
+        };
+    }
+
+    const WORKER_FUNCTIONS = [normalizeStockLengths, packDiameter, collectPatterns, optimize];
+
+    // ===== PUBLIC API =====
+
+    const DtsCutting = {
+        optimize,
+        normalizeStockLengths,
+
+        /**
+         * Optimise off the main thread
+         * @returns {Promise<object>} See optimize
+         */
+        run(pieces, options = {}) {
+            const canUseWorker = typeof global.Worker === 'function' &&
+                typeof global.Blob === 'function' && typeof global.URL?.createObjectURL === 'function';
+            if (!canUseWorker) {
+                return new Promise(resolve => resolve(optimize(pieces, options)));
+            }
+
+            return new Promise((resolve, reject) => {
+                const url = global.URL.createObjectURL(new global.Blob([this.workerSource()], { type: 'text/javascript' }));
+                const worker = new global.Worker(url);
+                const done = () => {
+                    worker.terminate();
+                    global.URL.revokeObjectURL(url);
+                };
+                worker.onmessage = (e) => {
+                    done();
+                    resolve(e.data);
+                };
+                worker.onerror = (e) => {
+                    done();
+                    reject(new Error(e.message || 'Cutting worker failed'));
+                };
+                worker.postMessage({ pieces, options });
+            });
+        },
+
+        /**
+         * Worker script: the algorithm functions plus a message handler
+         */
+        workerSource() {
+            return `'use strict';\n${WORKER_FUNCTIONS.map(fn => fn.toString()).join('\n\n')}\n\n` +
+                'self.onmessage = e => self.postMessage(optimize(e.data.pieces, e.data.options));\n';
+        }
+    };
+
+    global.Dts = global.Dts || {};
+    global.Dts.Cutting = DtsCutting;
+
+})(window);
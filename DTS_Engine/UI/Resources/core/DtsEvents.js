@@ -1,6 +1,6 @@
 /**
  * DtsEvents.js - Canvas Event Handlers
- * Manages pan, zoom, box-zoom, and mouse interactions.
+ * Manages pan, zoom, box-zoom, box-select, and mouse interactions.
  * FIX: Restricted selection to Left Click only.
  * FIX: Restored 'dblclick' emission for Rebar Editing.
  */
@@ -12,6 +12,9 @@
         _canvas: null,
         _isDragging: false,
         _isBoxZoom: false,
+        _isBoxSelect: false,
+        _boxSelectPending: false,
+        _suppressClick: false,
         _lastX: 0,
         _lastY: 0,
         _boxStartX: 0,
@@ -21,6 +24,9 @@
         _onRender: null,
         _onBoxZoomDraw: null,
 
+        // Minimum drag distance (px) before a left-drag becomes a box selection
+        BOX_SELECT_THRESHOLD: 4,
+
         /**
          * Initialize event handlers on canvas
          */
@@ -65,6 +71,16 @@
                 this._lastY = e.clientY;
                 this._canvas.style.cursor = 'grabbing';
                 e.preventDefault();
+                return;
+            }
+
+            // Left (Shift = additive) = Box select once dragged past threshold
+            if (e.button === 0) {
+                this._boxSelectPending = true;
+                this._boxStartX = e.clientX - rect.left;
+                this._boxStartY = e.clientY - rect.top;
+                this._boxEndX = this._boxStartX;
+                this._boxEndY = this._boxStartY;
             }
         },
 
@@ -79,6 +95,22 @@
                 return;
             }
 
+            if (this._boxSelectPending || this._isBoxSelect) {
+                this._boxEndX = e.clientX - rect.left;
+                this._boxEndY = e.clientY - rect.top;
+                const moved = Math.max(
+                    Math.abs(this._boxEndX - this._boxStartX),
+                    Math.abs(this._boxEndY - this._boxStartY)
+                );
+                if (this._isBoxSelect || moved > this.BOX_SELECT_THRESHOLD) {
+                    this._boxSelectPending = false;
+                    this._isBoxSelect = true;
+                    this._canvas.style.cursor = 'crosshair';
+                    if (this._onRender) this._onRender();
+                    return;
+                }
+            }
+
             if (this._isDragging && state) {
                 const dx = e.clientX - this._lastX;
                 const dy = e.clientY - this._lastY;
@@ -127,12 +159,34 @@
                     // Simple approximation for zoom fit
                     const newZoom = Math.min(canvasW / (worldX2 - worldX1), canvasH / (worldY2 - worldY1)) * 0.9;
 
-                    state.zoom = Math.max(0.5, Math.min(5, newZoom));
+                    state.zoom = state.clampZoom(newZoom);
                     state.panX = canvasW / 2 - worldCenterX * state.zoom;
                     state.panY = canvasH / 2 - worldCenterY * state.zoom;
 
                     if (this._onRender) this._onRender();
+                    // Don't let the trailing click act as Ctrl+Click selection
+                    this._suppressClick = true;
+                }
+                return;
+            }
+
+            this._boxSelectPending = false;
+            if (this._isBoxSelect) {
+                this._isBoxSelect = false;
+                this._canvas.style.cursor = 'default';
+                this._suppressClick = true;
+
+                if (state) {
+                    const box = this.getBoxZoomRect();
+                    state.emit('boxselect', {
+                        x1: (box.x1 - state.panX) / state.zoom,
+                        y1: (box.y1 - state.panY) / state.zoom,
+                        x2: (box.x2 - state.panX) / state.zoom,
+                        y2: (box.y2 - state.panY) / state.zoom,
+                        additive: e.shiftKey
+                    });
                 }
+                if (this._onRender) this._onRender();
                 return;
             }
 
@@ -143,7 +197,12 @@
         _onMouseLeave(e) {
             this._isDragging = false;
             this._isBoxZoom = false;
+            this._isBoxSelect = false;
+            this._boxSelectPending = false;
             this._canvas.style.cursor = 'default';
+
+            // Emit mouseleave so hover effects/tooltips can be cleared
+            global.Dts?.State?.emit('mouseleave', e);
         },
 
         _onWheel(e) {
@@ -152,7 +211,7 @@
             if (!state) return;
 
             const delta = e.deltaY > 0 ? 0.9 : 1.1;
-            const newZoom = Math.max(0.5, Math.min(5, state.zoom * delta));
+            const newZoom = state.clampZoom(state.zoom * delta);
             const rect = this._canvas.getBoundingClientRect();
             const mouseX = e.clientX - rect.left;
             const mouseY = e.clientY - rect.top;
@@ -187,6 +246,12 @@
             // FIX: STRICTLY ALLOW ONLY LEFT CLICK (Button 0)
             if (e.button !== 0) return;
 
+            // Click that ends a box zoom/select drag is not a pick
+            if (this._suppressClick) {
+                this._suppressClick = false;
+                return;
+            }
+
             const rect = this._canvas.getBoundingClientRect();
             const physics = global.Dts?.Physics;
             const state = global.Dts?.State;
@@ -198,6 +263,7 @@
         },
 
         isBoxZoomActive() { return this._isBoxZoom; },
+        isBoxSelectActive() { return this._isBoxSelect; },
         getBoxZoomRect() {
             return {
                 x1: Math.min(this._boxStartX, this._boxEndX),
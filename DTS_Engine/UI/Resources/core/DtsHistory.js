@@ -1,98 +1,398 @@
 /**
  * DtsHistory.js - Undo/Redo History Stack
- * Manages state snapshots for undo/redo functionality.
+ * Manages state history for undo/redo functionality.
+ * Dts.History is the shared default stack; Dts.History.create() returns an
+ * independent stack (e.g. one per beam group).
+ *
+ * Modes:
+ *   'snapshot' - every push stores a full JSON copy of the state (default)
+ *   'patch'    - every push stores JSON-patch style forward/inverse diffs
+ *                against the previous state; only one full copy is kept
+ *
+ * Both modes evict the oldest steps once more than maxSize entries are stored
+ * or the stored size exceeds maxBytes, whichever limit is hit first.
  */
 (function (global) {
     'use strict';
 
-    const DtsHistory = {
-        // ===== STACK =====
-        _stack: [],
-        _pointer: -1,
-        _maxSize: 30,
-
-        // ===== METHODS =====
-
-        /**
-         * Push current state to history
-         * @param {object} state - State to save (will be JSON stringified)
-         * @returns {boolean} true if state was added (different from previous)
-         */
-        push(state) {
-            const snapshot = JSON.stringify(state);
-
-            // Skip if same as current
-            if (this._pointer >= 0 && this._stack[this._pointer] === snapshot) {
-                return false;
+    const DEFAULT_MAX_SIZE = 30;
+    const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+
+    // ===== JSON PATCH HELPERS =====
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    function escapeKey(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    function unescapeKey(key) {
+        return key.replace(/~1/g, '/').replace(/~0/g, '~');
+    }
+
+    /**
+     * Compute JSON-patch style operations that turn `from` into `to`
+     * @param {*} from - Source value (JSON compatible)
+     * @param {*} to - Target value (JSON compatible)
+     * @param {string} [path] - JSON pointer prefix
+     * @returns {Array<{op: string, path: string, value?: *}>}
+     */
+    function diff(from, to, path = '', ops = []) {
+        if (from === to) return ops;
+
+        const bothArrays = Array.isArray(from) && Array.isArray(to);
+        const bothObjects = isObject(from) && isObject(to) && !Array.isArray(from) && !Array.isArray(to);
+
+        if (bothArrays) {
+            const common = Math.min(from.length, to.length);
+            for (let i = 0; i < common; i++) {
+                diff(from[i], to[i], `${path}/${i}`, ops);
             }
+            for (let i = common; i < to.length; i++) {
+                ops.push({ op: 'add', path: `${path}/${i}`, value: clone(to[i]) });
+            }
+            // Remove from the end so earlier indices stay valid
+            for (let i = from.length - 1; i >= common; i--) {
+                ops.push({ op: 'remove', path: `${path}/${i}` });
+            }
+            return ops;
+        }
+
+        if (bothObjects) {
+            Object.keys(from).forEach(key => {
+                if (from[key] === undefined) return;
+                if (!(key in to) || to[key] === undefined) {
+                    ops.push({ op: 'remove', path: `${path}/${escapeKey(key)}` });
+                } else {
+                    diff(from[key], to[key], `${path}/${escapeKey(key)}`, ops);
+                }
+            });
+            Object.keys(to).forEach(key => {
+                if (to[key] === undefined) return;
+                if (!(key in from) || from[key] === undefined) {
+                    ops.push({ op: 'add', path: `${path}/${escapeKey(key)}`, value: clone(to[key]) });
+                }
+            });
+            return ops;
+        }
+
+        // Primitive or type change: replace whole value
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            ops.push({ op: 'replace', path, value: clone(to) });
+        }
+        return ops;
+    }
 
-            // Truncate future states if we're not at the end
-            if (this._pointer < this._stack.length - 1) {
-                this._stack = this._stack.slice(0, this._pointer + 1);
+    /**
+     * Apply JSON-patch style operations to a document (mutates and returns it)
+     * @param {*} doc - Target document
+     * @param {Array} ops - Operations from diff()
+     * @returns {*} Patched document (a new value if the root was replaced)
+     */
+    function applyPatch(doc, ops) {
+        ops.forEach(({ op, path, value }) => {
+            if (path === '') {
+                doc = clone(value);
+                return;
             }
 
-            // Add new state
-            this._stack.push(snapshot);
-            this._pointer++;
+            const keys = path.split('/').slice(1).map(unescapeKey);
+            const last = keys.pop();
+            const parent = keys.reduce((node, key) => node[key], doc);
 
-            // Limit stack size
-            if (this._stack.length > this._maxSize) {
-                this._stack.shift();
-                this._pointer--;
+            if (op === 'remove') {
+                if (Array.isArray(parent)) parent.splice(Number(last), 1);
+                else delete parent[last];
+            } else if (op === 'add' && Array.isArray(parent)) {
+                parent.splice(Number(last), 0, clone(value));
+            } else {
+                parent[last] = clone(value);
             }
+        });
+        return doc;
+    }
 
-            return true;
-        },
+    /**
+     * Create a new history stack
+     * @param {object} [options]
+     * @param {string} [options.mode='snapshot'] - 'snapshot' | 'patch'
+     * @param {number} [options.maxSize=30] - Maximum entries kept (snapshots, or steps in patch mode)
+     * @param {number} [options.maxBytes=2MB] - Size budget for stored steps (approx. characters of JSON)
+     * @returns {object} History stack
+     */
+    function createHistory(options = {}) {
+        return {
+            // ===== CONFIG =====
+            mode: options.mode === 'patch' ? 'patch' : 'snapshot',
+            _maxSize: options.maxSize || DEFAULT_MAX_SIZE,
+            _maxBytes: options.maxBytes || DEFAULT_MAX_BYTES,
+
+            // ===== STACK =====
+            // snapshot mode: JSON strings, _pointer = index of current snapshot
+            // patch mode: {name, forward, inverse, bytes} steps, _pointer = index of last applied step
+            _stack: [],
+            _pointer: -1,
+            _bytes: 0,
+
+            // ===== PATCH MODE STATE =====
+            _current: undefined,    // Deep copy of the latest state
+            _hasBase: false,
+
+            // ===== TRANSACTION =====
+            _txn: null,             // { name, depth, pending }
+
+            // ===== METHODS =====
+
+            /**
+             * Push current state to history
+             * @param {object} state - State to save (JSON compatible)
+             * @param {string} [name] - Optional step name (patch mode)
+             * @returns {boolean} true if state was added (different from previous)
+             */
+            push(state, name) {
+                // Inside a transaction only the last pushed state is kept
+                if (this._txn) {
+                    this._txn.pending = clone(state);
+                    return true;
+                }
+                return this.mode === 'patch'
+                    ? this._pushPatch(state, name)
+                    : this._pushSnapshot(state);
+            },
+
+            /**
+             * Undo - go back one step
+             * @returns {object|null} Previous state or null if at beginning
+             */
+            undo() {
+                if (!this.canUndo()) return null;
+
+                if (this.mode === 'patch') {
+                    const step = this._stack[this._pointer];
+                    this._current = applyPatch(this._current, step.inverse);
+                    this._pointer--;
+                    return clone(this._current);
+                }
 
-        /**
-         * Undo - go back one step
-         * @returns {object|null} Previous state or null if at beginning
-         */
-        undo() {
-            if (this._pointer > 0) {
                 this._pointer--;
                 return JSON.parse(this._stack[this._pointer]);
-            }
-            return null;
-        },
-
-        /**
-         * Redo - go forward one step
-         * @returns {object|null} Next state or null if at end
-         */
-        redo() {
-            if (this._pointer < this._stack.length - 1) {
+            },
+
+            /**
+             * Redo - go forward one step
+             * @returns {object|null} Next state or null if at end
+             */
+            redo() {
+                if (!this.canRedo()) return null;
+
                 this._pointer++;
+                if (this.mode === 'patch') {
+                    const step = this._stack[this._pointer];
+                    this._current = applyPatch(this._current, step.forward);
+                    return clone(this._current);
+                }
+
                 return JSON.parse(this._stack[this._pointer]);
-            }
-            return null;
-        },
-
-        /**
-         * Check if undo is available
-         */
-        canUndo() {
-            return this._pointer > 0;
-        },
-
-        /**
-         * Check if redo is available
-         */
-        canRedo() {
-            return this._pointer < this._stack.length - 1;
-        },
-
-        /**
-         * Clear history
-         */
-        clear() {
-            this._stack = [];
-            this._pointer = -1;
-        }
-    };
+            },
+
+            /**
+             * Check if undo is available
+             */
+            canUndo() {
+                return this.mode === 'patch' ? this._pointer >= 0 : this._pointer > 0;
+            },
+
+            /**
+             * Check if redo is available
+             */
+            canRedo() {
+                return this._pointer < this._stack.length - 1;
+            },
+
+            /**
+             * Name of the step that undo() would revert (patch mode)
+             */
+            peekUndoName() {
+                return this.mode === 'patch' ? (this._stack[this._pointer]?.name || null) : null;
+            },
+
+            /**
+             * Name of the step that redo() would re-apply (patch mode)
+             */
+            peekRedoName() {
+                return this.mode === 'patch' ? (this._stack[this._pointer + 1]?.name || null) : null;
+            },
+
+            /**
+             * Approximate stored size (characters of JSON)
+             */
+            getSize() {
+                return this._bytes;
+            },
+
+            /**
+             * Clear history
+             */
+            clear() {
+                this._stack = [];
+                this._pointer = -1;
+                this._bytes = 0;
+                this._current = undefined;
+                this._hasBase = false;
+                this._txn = null;
+            },
+
+            // ===== TRANSACTIONS =====
+
+            /**
+             * Start grouping pushes into one undo step. Nested calls join the outer transaction.
+             * @param {string} name - Step name shown for undo/redo
+             */
+            beginTransaction(name) {
+                if (this._txn) {
+                    this._txn.depth++;
+                    return;
+                }
+                this._txn = { name: name || null, depth: 1, pending: undefined };
+            },
+
+            /**
+             * Finish the transaction and record the last pushed state as one step
+             * @returns {boolean} true if a step was added
+             */
+            commitTransaction() {
+                const txn = this._txn;
+                if (!txn) return false;
+                if (--txn.depth > 0) return false;
+
+                this._txn = null;
+                if (txn.pending === undefined) return false;
+                return this.push(txn.pending, txn.name);
+            },
+
+            /**
+             * Drop the transaction without recording a step.
+             * The caller is responsible for restoring its own state (see getCurrent()).
+             */
+            cancelTransaction() {
+                this._txn = null;
+            },
+
+            /**
+             * Run fn inside a named transaction
+             * @param {string} name - Step name
+             * @param {Function} fn - Work that calls push() one or more times
+             */
+            transaction(name, fn) {
+                this.beginTransaction(name);
+                try {
+                    fn();
+                } catch (e) {
+                    this.cancelTransaction();
+                    throw e;
+                }
+                return this.commitTransaction();
+            },
+
+            isInTransaction() {
+                return !!this._txn;
+            },
+
+            /**
+             * Latest recorded state (copy)
+             */
+            getCurrent() {
+                if (this.mode === 'patch') return clone(this._current);
+                return this._pointer >= 0 ? JSON.parse(this._stack[this._pointer]) : null;
+            },
+
+            // ===== INTERNAL =====
+
+            _pushSnapshot(state) {
+                const snapshot = JSON.stringify(state);
+
+                // Skip if same as current
+                if (this._pointer >= 0 && this._stack[this._pointer] === snapshot) {
+                    return false;
+                }
+
+                this._truncateFuture();
+
+                // Add new state
+                this._stack.push(snapshot);
+                this._pointer++;
+                this._bytes += snapshot.length;
+
+                this._enforceBudget();
+                return true;
+            },
+
+            _pushPatch(state, name) {
+                const next = clone(state);
+
+                // First push only sets the baseline
+                if (!this._hasBase) {
+                    this._current = next;
+                    this._hasBase = true;
+                    return true;
+                }
+
+                const forward = diff(this._current, next);
+                if (forward.length === 0) return false;
+                const inverse = diff(next, this._current);
+
+                this._truncateFuture();
+
+                const bytes = JSON.stringify(forward).length + JSON.stringify(inverse).length;
+                this._stack.push({ name: name || null, forward, inverse, bytes });
+                this._pointer++;
+                this._bytes += bytes;
+                this._current = next;
+
+                this._enforceBudget();
+                return true;
+            },
+
+            _sizeOf(entry) {
+                return typeof entry === 'string' ? entry.length : entry.bytes;
+            },
+
+            _truncateFuture() {
+                if (this._pointer < this._stack.length - 1) {
+                    this._stack.splice(this._pointer + 1).forEach(entry => {
+                        this._bytes -= this._sizeOf(entry);
+                    });
+                }
+            },
+
+            // Drop oldest steps while over either limit, always keeping the current one
+            _enforceBudget() {
+                while ((this._stack.length > this._maxSize || this._bytes > this._maxBytes) &&
+                    this._stack.length > 1 && this._pointer > 0) {
+                    this._bytes -= this._sizeOf(this._stack.shift());
+                    this._pointer--;
+                }
+            },
+
+            /**
+             * Create an independent history stack
+             */
+            create: createHistory,
+
+            // JSON patch utilities
+            diff,
+            applyPatch
+        };
+    }
 
     // Export to global namespace
     global.Dts = global.Dts || {};
-    global.Dts.History = DtsHistory;
+    global.Dts.History = createHistory();
 
 })(window);
@@ -0,0 +1,201 @@
+/**
+ * DtsMockHost.js - Stand-in for the C# Host
+ * Lets the viewers run in a normal browser or a headless test runner.
+ *
+ * A mock host is a Dts.Bridge transport that:
+ *   - records every message the page posts (host.sent)
+ *   - answers from fixture reply rules, either with a web message
+ *     (like PostWebMessageAsString) or a script call (like ExecuteScriptAsync)
+ *   - can pose as window.chrome.webview so code that posts directly still works
+ *
+ * Reply rules (fixtures.replies): { TYPE: [action, ...] | (message, fixtures) => [action, ...] }
+ *   { type: 'NAMING_DONE', payload: {count: 3} }           web message; correlation id is echoed
+ *   { script: 'onStoriesReceived', args: ['[...]'] }        calls window.onStoriesReceived(...)
+ *   payload/args may be functions (message, fixtures) => value
+ *   delay (ms) postpones the action; default options.delay
+ */
+(function (global) {
+    'use strict';
+
+    function resolve(value, message, fixtures) {
+        return typeof value === 'function' ? value(message, fixtures) : value;
+    }
+
+    /**
+     * Create a mock host
+     * @param {object} [fixtures] - { replies, groupData, settings, stories, reportData, ... }
+     * @param {object} [options]
+     * @param {number} [options.delay=0] - Default reply delay (ms); 0 replies synchronously
+     * @param {Window} [options.window] - Window receiving script calls (default: global)
+     * @param {Function} [options.log] - fn(direction 'out'|'in'|'script', detail) for traffic logs
+     * @returns {object} Mock host (transport + recorder)
+     */
+    function create(fixtures = {}, options = {}) {
+        const host = {
+            fixtures,
+            sent: [],           // [{ raw, type, payload, id }]
+            window: options.window || global,
+            _delay: options.delay || 0,
+            _log: options.log || null,
+            _subscribers: [],
+            _listeners: [],     // webview 'message' listeners
+
+            // ===== TRANSPORT API (Dts.Bridge) =====
+
+            post(raw) {
+                const message = this._decode(raw);
+                this.sent.push(message);
+                this._log?.('out', message);
+                this._reply(message);
+                return true;
+            },
+
+            subscribe(fn) {
+                this._subscribers.push(fn);
+                return () => {
+                    this._subscribers = this._subscribers.filter(s => s !== fn);
+                };
+            },
+
+            // ===== HOST -> PAGE =====
+
+            /**
+             * Deliver a raw web message to the page (PostWebMessageAsString)
+             */
+            emit(raw) {
+                this._log?.('in', raw);
+                this._subscribers.slice().forEach(fn => fn(raw));
+                this._listeners.slice().forEach(fn => fn({ data: raw }));
+            },
+
+            /**
+             * Encode and deliver a typed message
+             */
+            emitMessage(type, payload, id) {
+                const bridge = global.Dts?.Bridge;
+                this.emit(bridge ? bridge.encode(type, payload, id) : `${type}|${payload ?? ''}`);
+            },
+
+            /**
+             * Call a page function by name (ExecuteScriptAsync)
+             * @returns {*} Function result, or undefined if the function does not exist
+             */
+            callScript(name, args = []) {
+                const fn = this.window?.[name];
+                if (typeof fn !== 'function') {
+                    console.warn(`MockHost: page function '${name}' not found`);
+                    return undefined;
+                }
+                this._log?.('script', { name, args });
+                return fn.apply(this.window, args);
+            },
+
+            // ===== INSTALL =====
+
+            /**
+             * Use this host for Dts.Bridge and pose as chrome.webview in a window.
+             * Also defines the tokens C# normally substitutes into the HTML
+             * (__DATA_JSON__, __SETTINGS_JSON__) from fixtures.groupData / fixtures.settings.
+             * @param {Window} [win] - Target window (default: host.window)
+             */
+            attach(win = this.window) {
+                this.window = win;
+                win.chrome = win.chrome || {};
+                win.chrome.webview = this.webview;
+
+                if (fixtures.groupData !== undefined) win.__DATA_JSON__ = fixtures.groupData;
+                if (fixtures.settings !== undefined) win.__SETTINGS_JSON__ = fixtures.settings;
+
+                win.Dts?.Bridge?.setTransport(this);
+                return this;
+            },
+
+            /**
+             * Fake window.chrome.webview
+             */
+            webview: null,
+
+            // ===== RECORDER QUERIES =====
+
+            getSent(type) {
+                return type ? this.sent.filter(m => m.type === type) : this.sent.slice();
+            },
+
+            lastSent(type) {
+                const list = this.getSent(type);
+                return list.length ? list[list.length - 1] : null;
+            },
+
+            reset() {
+                this.sent = [];
+            },
+
+            // ===== INTERNAL =====
+
+            _decode(raw) {
+                const text = typeof raw === 'string' ? raw : JSON.stringify(raw);
+                const bridge = global.Dts?.Bridge;
+                try {
+                    if (bridge) {
+                        const { type, payload, id } = bridge.decode(text);
+                        return { raw: text, type: type ?? null, payload, id };
+                    }
+                } catch (e) {
+                    // Not a registered format (e.g. RebarConfig posts the settings JSON as-is)
+                }
+                const bar = text.indexOf('|');
+                return { raw: text, type: bar >= 0 ? text.slice(0, bar) : text, payload: bar >= 0 ? text.slice(bar + 1) : null, id: null };
+            },
+
+            _reply(message) {
+                const rule = fixtures.replies?.[message.type];
+                if (!rule) return;
+
+                const actions = resolve(rule, message, fixtures) || [];
+                actions.forEach(action => {
+                    const run = () => this._run(action, message);
+                    const delay = action.delay ?? this._delay;
+                    if (delay > 0) setTimeout(run, delay);
+                    else run();
+                });
+            },
+
+            _run(action, message) {
+                if (action.script) {
+                    this.callScript(action.script, resolve(action.args, message, fixtures) || []);
+                } else if (action.type) {
+                    this.emitMessage(action.type, resolve(action.payload, message, fixtures), message.id || '');
+                } else if (action.raw) {
+                    this.emit(resolve(action.raw, message, fixtures));
+                }
+            }
+        };
+
+        host.webview = {
+            postMessage: raw => host.post(raw),
+            addEventListener(type, fn) {
+                if (type === 'message') host._listeners.push(fn);
+            },
+            removeEventListener(type, fn) {
+                host._listeners = host._listeners.filter(l => l !== fn);
+            }
+        };
+
+        return host;
+    }
+
+    global.Dts = global.Dts || {};
+    global.Dts.MockHost = {
+        create,
+        current: null,
+
+        /**
+         * Create a host and make it current (used by mock/MockHost.html)
+         */
+        start(fixtures, options) {
+            this.current = create(fixtures, options);
+            return this.current;
+        }
+    };
+
+})(window);
@@ -64,6 +64,35 @@
                 }
             }
             return -1;
+        },
+
+        /**
+         * Check if a bound overlaps a rectangle (touching counts)
+         * @param {{x: number, y: number, width: number, height: number}} bound
+         * @param {{x1: number, y1: number, x2: number, y2: number}} rect - Normalized rectangle (x1 <= x2, y1 <= y2)
+         * @returns {boolean}
+         */
+        intersectsRect(bound, rect) {
+            return bound.x <= rect.x2 &&
+                bound.x + bound.width >= rect.x1 &&
+                bound.y <= rect.y2 &&
+                bound.y + bound.height >= rect.y1;
+        },
+
+        /**
+         * Hit test a rectangle against array of bounds
+         * @param {{x1: number, y1: number, x2: number, y2: number}} rect - Canvas rectangle
+         * @param {Array} bounds - Array of {x, y, width, height, index} objects
+         * @returns {number[]} Indices of every bound the rectangle touches
+         */
+        hitTestRect(rect, bounds) {
+            const hits = [];
+            for (let i = 0; i < bounds.length; i++) {
+                if (this.intersectsRect(bounds[i], rect)) {
+                    hits.push(bounds[i].index !== undefined ? bounds[i].index : i);
+                }
+            }
+            return hits;
         }
     };
 
@@ -0,0 +1,396 @@
+/**
+ * DtsRebar.js - Rebar Notation
+ * Parses, validates and formats rebar strings for all viewers.
+ *
+ *   bars     "3D20+2D18", "2Φ16", "4D20 / 2D18" ('/' or ';' starts the next layer)
+ *   stirrup  "d8a100", "2-d10a150", "d8@200(4l)"
+ *   side     "2d12"
+ *
+ * Bar symbols: D, d, Φ, φ, Ø, #, phi, fi. A trailing '*' (forced / deficit marker) is kept as a flag.
+ * '' and '-' are empty (no bars), not errors.
+ * Out-of-range values (e.g. 30D20) fail validation but still count in area/weight,
+ * so existing data keeps its quantities; only unreadable text counts as zero.
+ * Units follow the C# parsers (RebarStringParser, StirrupStringParser):
+ * mm for diameters, spacings and perimeters; cm² for bar areas; cm²/cm for stirrups (As_Stir).
+ */
+(function (global) {
+    'use strict';
+
+    const STEEL_DENSITY = 7850; // kg/m³
+
+    const SYMBOL = '(?:phi|fi|[dΦφØø#])';
+    const BAR_RE = new RegExp(`^(\\d+)\\s*${SYMBOL}\\s*(\\d+)$`, 'i');
+    const STIRRUP_RE = new RegExp(
+        `^(?:(\\d+)\\s*[-x]?\\s*)?${SYMBOL}\\s*(\\d+)\\s*[a@]\\s*(\\d+)(?:\\s*\\(\\s*(\\d+)\\s*l\\s*\\))?$`, 'i');
+
+    function error(code, message, token) {
+        return { code, message, token: token ?? null };
+    }
+
+    function isEmptyText(text) {
+        const t = String(text ?? '').trim();
+        return t === '' || t === '-';
+    }
+
+    // Split off the '*' marker
+    function clean(text) {
+        const t = String(text ?? '').trim();
+        const forced = t.endsWith('*');
+        return { text: forced ? t.slice(0, -1).trim() : t, forced };
+    }
+
+    const DtsRebar = {
+        // Accepted ranges (same as RebarStringParser.IsValid for main bars)
+        limits: {
+            bars: { diameter: [10, 40], count: [1, 20] },
+            side: { diameter: [6, 32], count: [1, 20] },
+            stirrup: { diameter: [6, 16], legs: [1, 8], spacing: [50, 500] }
+        },
+
+        // Output style (matches the strings written by the C# side)
+        style: {
+            bar: 'D',           // 3D20
+            stirrup: 'd',       // 2-d8a150
+            spacing: 'a',
+            join: '+',          // 3D20+2D18
+            layer: ' / ',       // 4D20 / 2D18
+            defaultLegs: 2
+        },
+
+        // ===== PARSE =====
+
+        /**
+         * Parse notation of a given kind
+         * @param {string} text - Cell text
+         * @param {'bars'|'stirrup'|'side'} [kind='bars']
+         * @returns {object} Result with ok, empty, error ({code, message, token}) and kind-specific fields
+         */
+        parse(text, kind = 'bars') {
+            if (kind === 'stirrup') return this.parseStirrup(text);
+            if (kind === 'side') return this.parseSideBar(text);
+            return this.parseBars(text);
+        },
+
+        /**
+         * Longitudinal bars
+         * @returns {{ok, kind, empty, forced, layers: {count, diameter}[][], groups: {count, diameter, layer}[], error}}
+         */
+        parseBars(text) {
+            const result = { ok: true, kind: 'bars', empty: false, forced: false, layers: [], groups: [], error: null };
+            if (isEmptyText(text)) {
+                result.empty = true;
+                return result;
+            }
+
+            const cleaned = clean(text);
+            result.forced = cleaned.forced;
+
+            const layerTexts = cleaned.text.split(/\s*[/;]\s*/);
+            for (let layer = 0; layer < layerTexts.length; layer++) {
+                const tokens = layerTexts[layer].split(/\s*[+,]\s*/);
+                const groups = [];
+                for (const token of tokens) {
+                    const { count, diameter, error: err } = this._parseBarToken(token, 'bars');
+                    if (err && !result.error) this._fail(result, err);
+                    if (err?.code === 'SYNTAX') return result;
+                    groups.push({ count, diameter });
+                    result.groups.push({ count, diameter, layer });
+                }
+                result.layers.push(groups);
+            }
+            return result;
+        },
+
+        /**
+         * Side (web) bars: one group, e.g. "2d12"
+         * @returns {{ok, kind, empty, count, diameter, error}}
+         */
+        parseSideBar(text) {
+            const result = { ok: true, kind: 'side', empty: false, count: 0, diameter: 0, error: null };
+            if (isEmptyText(text)) {
+                result.empty = true;
+                return result;
+            }
+
+            const { count, diameter, error: err } = this._parseBarToken(clean(text).text, 'side');
+            if (err) this._fail(result, err);
+            if (err?.code === 'SYNTAX') return result;
+            result.count = count;
+            result.diameter = diameter;
+            return result;
+        },
+
+        /**
+         * Stirrups. Legs come from "(4l)", else the "4-" prefix, else style.defaultLegs.
+         * @returns {{ok, kind, empty, forced, legs, diameter, spacing, error}}
+         */
+        parseStirrup(text) {
+            const result = { ok: true, kind: 'stirrup', empty: false, forced: false, legs: 0, diameter: 0, spacing: 0, error: null };
+            if (isEmptyText(text)) {
+                result.empty = true;
+                return result;
+            }
+
+            const cleaned = clean(text);
+            result.forced = cleaned.forced;
+
+            const match = cleaned.text.match(STIRRUP_RE);
+            if (!match) {
+                return this._fail(result, error('SYNTAX',
+                    `Định dạng thép đai không hợp lệ: '${cleaned.text}'. Mong đợi: n-dDaS (VD: 2-d8a150).`, cleaned.text));
+            }
+
+            const legs = parseInt(match[4] || match[1]) || this.style.defaultLegs;
+            const diameter = parseInt(match[2]);
+            const spacing = parseInt(match[3]);
+            const limits = this.limits.stirrup;
+            Object.assign(result, { legs, diameter, spacing });
+
+            const rangeError =
+                this._checkRange(diameter, limits.diameter, 'DIAMETER', `Đường kính đai không hợp lý: d${diameter}`, cleaned.text) ||
+                this._checkRange(spacing, limits.spacing, 'SPACING', `Bước đai không hợp lý: a${spacing}`, cleaned.text) ||
+                this._checkRange(legs, limits.legs, 'LEGS', `Số nhánh đai không hợp lý: ${legs}`, cleaned.text);
+            return rangeError ? this._fail(result, rangeError) : result;
+        },
+
+        /**
+         * Stirrup pattern for L/M/R zones: "d8a100/150/100".
+         * Bare numbers reuse the first zone's diameter and legs; missing zones repeat the first.
+         * @returns {{ok, zones: object[], error}} zones = three parseStirrup results
+         */
+        parseStirrupPattern(text) {
+            const parts = String(text ?? '').split('/').map(p => p.trim());
+            const first = this.parseStirrup(parts[0]);
+            if (!first.ok || first.empty) {
+                return { ok: false, zones: [], error: first.error || error('EMPTY', 'Chưa nhập thép đai.', '') };
+            }
+
+            const zones = [first];
+            for (const part of [parts[1], parts[2]]) {
+                if (!part) {
+                    zones.push(first);
+                    continue;
+                }
+                const zone = /^\d+$/.test(part)
+                    ? this.parseStirrup(this.formatStirrup({ ...first, spacing: parseInt(part) }))
+                    : this.parseStirrup(part);
+                if (!zone.ok) return { ok: false, zones: [], error: zone.error };
+                zones.push(zone);
+            }
+            return { ok: true, zones, error: null };
+        },
+
+        /**
+         * Error message for a cell value, or null if it is valid (empty is valid)
+         */
+        validate(text, kind = 'bars') {
+            return this.parse(text, kind).error?.message || null;
+        },
+
+        isEmpty(text) {
+            return isEmptyText(text);
+        },
+
+        // ===== FORMAT =====
+
+        /**
+         * Rewrite notation in the project style ("3d20 + 2Φ18" -> "3D20+2D18")
+         * @returns {string|null} '' for empty input ('-' stays as the display placeholder), null if invalid
+         */
+        normalize(text, kind = 'bars') {
+            const parsed = this.parse(text, kind);
+            if (parsed.ok && parsed.empty) return String(text ?? '').trim() === '-' ? '-' : '';
+            return parsed.ok ? this.format(parsed) : null;
+        },
+
+        /**
+         * Format a parse result
+         */
+        format(parsed) {
+            if (!parsed?.ok || parsed.empty) return '';
+            const marker = parsed.forced ? '*' : '';
+            if (parsed.kind === 'stirrup') return this.formatStirrup(parsed) + marker;
+            if (parsed.kind === 'side') return this.formatBar(parsed.count, parsed.diameter);
+            return this.formatBars(parsed.layers) + marker;
+        },
+
+        formatBar(count, diameter) {
+            return `${count}${this.style.bar}${diameter}`;
+        },
+
+        /**
+         * @param {Array<{count, diameter}[]>} layers - Groups per layer
+         */
+        formatBars(layers) {
+            return layers
+                .map(groups => groups.map(g => this.formatBar(g.count, g.diameter)).join(this.style.join))
+                .join(this.style.layer);
+        },
+
+        /**
+         * @param {{legs, diameter, spacing}} stirrup
+         * @param {object} [options]
+         * @param {boolean} [options.legs=true] - Include the "n-" legs prefix
+         */
+        formatStirrup(stirrup, options = {}) {
+            const body = `${this.style.stirrup}${stirrup.diameter}${this.style.spacing}${stirrup.spacing}`;
+            return options.legs === false ? body : `${stirrup.legs || this.style.defaultLegs}-${body}`;
+        },
+
+        /**
+         * RebarInfo {Count, Diameter, DisplayString} from the C# side
+         */
+        formatInfo(info) {
+            if (!info || !info.Count) return '';
+            return info.DisplayString || this.formatBar(info.Count, info.Diameter);
+        },
+
+        /**
+         * RebarInfo from bars notation (inverse of formatInfo); Diameter is the largest bar
+         * @returns {object|null} null for empty or invalid input
+         */
+        toInfo(text) {
+            const parsed = this.parseBars(text);
+            if (!parsed.ok || parsed.empty) return null;
+            const total = groups => groups.reduce((n, g) => n + g.count, 0);
+            return {
+                Count: total(parsed.groups),
+                Diameter: Math.max(...parsed.groups.map(g => g.diameter)),
+                LayerCounts: parsed.layers.map(total),
+                DisplayString: this.format(parsed)
+            };
+        },
+
+        // ===== QUANTITIES =====
+
+        /**
+         * Area of one bar (cm²)
+         */
+        barArea(diameter) {
+            return Math.PI * diameter * diameter / 400;
+        },
+
+        /**
+         * Mass per metre of one bar (kg/m)
+         */
+        unitWeight(diameter) {
+            return Math.PI * diameter * diameter / 4 * 1e-6 * STEEL_DENSITY;
+        },
+
+        /**
+         * Provided area: cm² for bars/side bars, cm²/cm for stirrups (legs x bar area / spacing)
+         * @param {string|object} value - Text or parse result
+         * @param {string} [kind='bars']
+         * @returns {number} 0 for empty or invalid input
+         */
+        area(value, kind = 'bars') {
+            const parsed = this._resolve(value, kind);
+            if (!this._isMeasurable(parsed)) return 0;
+            if (parsed.kind === 'stirrup') {
+                return parsed.legs * this.barArea(parsed.diameter) / (parsed.spacing / 10);
+            }
+            return this._bars(parsed).reduce((sum, g) => sum + g.count * this.barArea(g.diameter), 0);
+        },
+
+        /**
+         * Mass of straight bars over a length (kg)
+         * @param {string|object} value - Bars or side bars
+         * @param {number} lengthM - Bar length (m)
+         */
+        weight(value, lengthM, kind = 'bars') {
+            const parsed = this._resolve(value, kind);
+            if (!this._isMeasurable(parsed) || parsed.kind === 'stirrup') return 0;
+            return this._bars(parsed).reduce((sum, g) => sum + g.count * this.unitWeight(g.diameter), 0) * lengthM;
+        },
+
+        /**
+         * Total bar perimeter Σ n·π·d (mm), e.g. for bond checks
+         */
+        perimeter(value, kind = 'bars') {
+            const parsed = this._resolve(value, kind);
+            if (!this._isMeasurable(parsed) || parsed.kind === 'stirrup') return 0;
+            return this._bars(parsed).reduce((sum, g) => sum + g.count * Math.PI * g.diameter, 0);
+        },
+
+        /**
+         * Cut length of one stirrup set (mm): closed hoop plus inner legs, on the bar centreline.
+         * Hooks are not included.
+         * @param {string|object} value - Stirrup text or parse result
+         * @param {{width: number, height: number}} section - mm
+         * @param {number} [cover=25] - Clear cover to the stirrup (mm)
+         */
+        stirrupLength(value, section, cover = 25) {
+            const s = this._resolve(value, 'stirrup');
+            if (!this._isMeasurable(s) || !section) return 0;
+            const w = section.width - 2 * cover - s.diameter;
+            const h = section.height - 2 * cover - s.diameter;
+            if (w <= 0 || h <= 0) return 0;
+            return 2 * (w + h) + Math.max(0, s.legs - 2) * h;
+        },
+
+        /**
+         * Mass of stirrups along a length of beam (kg)
+         * @param {number} lengthM - Zone length (m); sets = floor(L / s) + 1
+         */
+        stirrupWeight(value, section, lengthM, cover = 25) {
+            const s = this._resolve(value, 'stirrup');
+            const cut = this.stirrupLength(s, section, cover);
+            if (!cut || !(lengthM > 0)) return 0;
+            const sets = Math.floor(lengthM * 1000 / s.spacing) + 1;
+            return sets * cut / 1000 * this.unitWeight(s.diameter);
+        },
+
+        // ===== INTERNAL =====
+
+        _parseBarToken(token, kind) {
+            if (token === '') {
+                return { error: error('SYNTAX', "Thiếu nhóm thép cạnh dấu '+' hoặc '/'.", token) };
+            }
+
+            const match = token.match(BAR_RE);
+            if (!match) {
+                return {
+                    error: error('SYNTAX', `Định dạng không hợp lệ: '${token}'. Mong đợi: nDd (VD: 3D20).`, token)
+                };
+            }
+
+            const count = parseInt(match[1]);
+            const diameter = parseInt(match[2]);
+            const limits = this.limits[kind];
+            const rangeError =
+                this._checkRange(diameter, limits.diameter, 'DIAMETER', `Đường kính không hợp lý: D${diameter}`, token) ||
+                this._checkRange(count, limits.count, 'COUNT', `Số thanh không hợp lý: ${count}`, token);
+            return { count, diameter, error: rangeError };
+        },
+
+        _checkRange(value, [min, max], code, message, token) {
+            if (value >= min && value <= max) return null;
+            return error(code, `${message}. Cho phép: ${min}-${max}.`, token);
+        },
+
+        _fail(result, err) {
+            result.ok = false;
+            result.error = err;
+            return result;
+        },
+
+        // Readable and non-empty (range errors allowed)
+        _isMeasurable(parsed) {
+            if (parsed.empty || parsed.error?.code === 'SYNTAX') return false;
+            return parsed.kind !== 'stirrup' || parsed.spacing > 0;
+        },
+
+        _resolve(value, kind) {
+            return typeof value === 'object' && value !== null && 'ok' in value ? value : this.parse(value, kind);
+        },
+
+        _bars(parsed) {
+            return parsed.kind === 'side' ? [{ count: parsed.count, diameter: parsed.diameter }] : parsed.groups;
+        }
+    };
+
+    // Export to global namespace
+    global.Dts = global.Dts || {};
+    global.Dts.Rebar = DtsRebar;
+
+})(window);
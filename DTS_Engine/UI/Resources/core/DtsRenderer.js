@@ -18,7 +18,9 @@
             selection: '#3b82f6',
             hover: '#dbeafe',
             boxZoom: 'rgba(59, 130, 246, 0.1)',
-            boxZoomStroke: '#3b82f6'
+            boxZoomStroke: '#3b82f6',
+            boxSelect: 'rgba(34, 197, 94, 0.1)',
+            boxSelectStroke: '#22c55e'
         },
 
         /**
@@ -91,6 +93,28 @@
             ctx.fillRect(box.x1, box.y1, w, h);
         },
 
+        /**
+         * Draw rubber-band selection overlay (called after endTransform)
+         */
+        drawBoxSelectOverlay() {
+            const events = global.Dts?.Events;
+            if (!events?.isBoxSelectActive()) return;
+
+            const ctx = this._ctx;
+            const box = events.getBoxZoomRect();
+            const w = box.x2 - box.x1;
+            const h = box.y2 - box.y1;
+
+            ctx.strokeStyle = this.colors.boxSelectStroke;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 2]);
+            ctx.strokeRect(box.x1, box.y1, w, h);
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = this.colors.boxSelect;
+            ctx.fillRect(box.x1, box.y1, w, h);
+        },
+
         /**
          * Update zoom indicator element
          * @param {string} elementId - ID of zoom indicator element
@@ -1,11 +1,61 @@
 /**
  * DtsState.js - Core State Management
  * Manages application data, zoom, pan, selection, and change notifications.
+ *
+ * Event catalogue (payloads passed to `on(event, fn)` listeners):
+ *   click      (x, y, MouseEvent)   - left click, canvas (world) coordinates
+ *   dblclick   (x, y, MouseEvent)   - double click, canvas (world) coordinates
+ *   mousemove  (x, y, MouseEvent)   - pointer move while not panning/box-zooming
+ *   mouseleave (MouseEvent)         - pointer left the canvas
+ *   boxselect  ({x1, y1, x2, y2, additive}) - rubber-band drag finished, canvas (world) coordinates
+ *   hover      ({index, previous})  - hovered item changed (setHover)
+ *   labelhover ({label})            - Beam.State hovered rebar label changed (setHoveredLabel; label = hit or null)
+ *   selection  ({index, previous, indices}) - selection set changed (setSelection, toggleSelection, ...)
+ *   view       ({zoom, panX, panY}) - zoom/pan reset or changed
+ *   data       ({data})             - main data object replaced (setData)
+ *   group      ({index, group})     - Beam.State loaded another group
+ *   option     ({key})              - Beam.State selected another design option
+ *   mode       ({mode})             - Beam.State canvas mode changed
+ *   highlight  ({index})            - Beam.State highlighted span changed
+ *   labels     ({labelMode})        - Beam.State rebar label mode changed ('summary' | 'detailed')
+ *   layout     ({layoutMode})       - Beam.State long view layout changed ('fit' | 'scale')
+ *   envelope   ({showEnvelope})     - Beam.State demand/capacity strips shown or hidden
+ *   span       ({index, field})     - Beam.State edited a span field
+ *   history    ({action})           - Beam.State restored an undo/redo snapshot
+ *   *          (event, ...args)     - wildcard, receives every emitted event
  */
 (function (global) {
     'use strict';
 
+    /**
+     * Known event names. Use these instead of string literals where possible.
+     */
+    const EVENTS = Object.freeze({
+        CLICK: 'click',
+        DBLCLICK: 'dblclick',
+        MOUSEMOVE: 'mousemove',
+        MOUSELEAVE: 'mouseleave',
+        BOXSELECT: 'boxselect',
+        HOVER: 'hover',
+        LABELHOVER: 'labelhover',
+        SELECTION: 'selection',
+        VIEW: 'view',
+        DATA: 'data',
+        GROUP: 'group',
+        OPTION: 'option',
+        MODE: 'mode',
+        HIGHLIGHT: 'highlight',
+        LABELS: 'labels',
+        LAYOUT: 'layout',
+        ENVELOPE: 'envelope',
+        SPAN: 'span',
+        HISTORY: 'history',
+        ANY: '*'
+    });
+
     const DtsState = {
+        EVENTS,
+
         // ===== DATA =====
         data: null,
 
@@ -13,13 +63,17 @@
         zoom: 1.0,
         panX: 0,
         panY: 0,
+        MIN_ZOOM: 0.1,
+        MAX_ZOOM: 5,
 
         // ===== SELECTION =====
-        selectedIndex: -1,
+        selectedIndex: -1,          // Primary (last picked) item
+        selectedIndices: new Set(), // Full selection set
         hoveredIndex: -1,
 
         // ===== LISTENERS =====
-        _listeners: [],
+        _listeners: [],     // Legacy subscribe(callback) listeners
+        _events: {},        // Named listeners: { eventName: [{ fn, once }] }
 
         // ===== METHODS =====
 
@@ -28,11 +82,13 @@
          */
         setData(data) {
             this.data = data;
-            this.notify('data');
+            this.notify('data', { data });
         },
 
         /**
          * Subscribe to state changes
+         * @param {Function} callback - fn(eventType, state, payload)
+         * @returns {Function} Unsubscribe function
          */
         subscribe(callback) {
             if (typeof callback === 'function') {
@@ -44,14 +100,111 @@
         },
 
         /**
-         * Notify all listeners of state change
+         * Notify all listeners of state change.
+         * Legacy subscribers receive (eventType, state, payload); named listeners receive (payload).
+         * @param {string} eventType - Event name from the catalogue
+         * @param {object} [payload] - Typed payload (see catalogue)
+         */
+        notify(eventType = 'change', payload) {
+            this._listeners.slice().forEach(fn => {
+                try { fn(eventType, this, payload); } catch (e) { console.error('DtsState listener error:', e); }
+            });
+            this.emit(eventType, payload);
+        },
+
+        /**
+         * Register a named event listener
+         * @param {string} event - Event name, or '*' for every event
+         * @param {Function} callback - Listener
+         * @returns {Function} Unsubscribe function
+         */
+        on(event, callback) {
+            return this._addListener(event, callback, false);
+        },
+
+        /**
+         * Register a listener that is removed after its first call
+         * @param {string} event - Event name, or '*' for every event
+         * @param {Function} callback - Listener
+         * @returns {Function} Unsubscribe function
+         */
+        once(event, callback) {
+            return this._addListener(event, callback, true);
+        },
+
+        /**
+         * Remove a named event listener. A callback registered several times is
+         * removed once per call (latest registration first), like EventEmitter.
+         * @param {string} event - Event name
+         * @param {Function} [callback] - Listener to remove; omit to remove all listeners of the event
+         */
+        off(event, callback) {
+            const list = this._events[event];
+            if (!list) return;
+
+            if (typeof callback !== 'function') {
+                delete this._events[event];
+                return;
+            }
+
+            for (let i = list.length - 1; i >= 0; i--) {
+                if (list[i].fn === callback) {
+                    this._removeEntry(event, list[i]);
+                    return;
+                }
+            }
+        },
+
+        /**
+         * Emit a named event. Listeners run on a copy of the list, so adding or
+         * removing listeners during emit does not affect the current dispatch,
+         * and a throwing listener does not stop the others.
+         * @param {string} event - Event name
+         * @param {...*} args - Payload arguments
          */
-        notify(eventType = 'change') {
-            this._listeners.forEach(fn => {
-                try { fn(eventType, this); } catch (e) { console.error('DtsState listener error:', e); }
+        emit(event, ...args) {
+            const named = this._events[event] ? this._events[event].slice() : [];
+            const wildcard = (event !== EVENTS.ANY && this._events[EVENTS.ANY]) ? this._events[EVENTS.ANY].slice() : [];
+
+            named.forEach(entry => {
+                if (entry.once) this._removeEntry(event, entry);
+                try { entry.fn(...args); } catch (e) { console.error(`DtsState '${event}' listener error:`, e); }
+            });
+
+            wildcard.forEach(entry => {
+                if (entry.once) this._removeEntry(EVENTS.ANY, entry);
+                try { entry.fn(event, ...args); } catch (e) { console.error('DtsState wildcard listener error:', e); }
             });
         },
 
+        /**
+         * Shared implementation for on/once
+         */
+        _addListener(event, callback, once) {
+            if (typeof event !== 'string' || typeof callback !== 'function') {
+                return () => { };
+            }
+
+            const entry = { fn: callback, once };
+            if (!this._events[event]) this._events[event] = [];
+            this._events[event].push(entry);
+
+            // Removes this registration only, not other on()/once() uses of the same callback
+            return () => this._removeEntry(event, entry);
+        },
+
+        /**
+         * Remove one registration (by identity) from an event list
+         */
+        _removeEntry(event, entry) {
+            const list = this._events[event];
+            const index = list ? list.indexOf(entry) : -1;
+            if (index < 0) return;
+
+            list.splice(index, 1);
+            if (list.length === 0) delete this._events[event];
+        },
+
         /**
          * Reset view to default
          */
@@ -59,15 +212,112 @@
             this.zoom = 1.0;
             this.panX = 0;
             this.panY = 0;
-            this.notify('view');
+            this.notify('view', { zoom: this.zoom, panX: this.panX, panY: this.panY });
+        },
+
+        /**
+         * Zoom and pan so a world-space rectangle fills the canvas
+         * @param {{x: number, y: number, width: number, height: number}} bounds - World bounds
+         * @param {number} canvasWidth - Canvas width (px)
+         * @param {number} canvasHeight - Canvas height (px)
+         * @param {number} [padding=20] - Screen margin (px)
+         */
+        fitToBounds(bounds, canvasWidth, canvasHeight, padding = 20) {
+            if (!bounds || !(bounds.width > 0) || !(bounds.height > 0)) return;
+
+            const zoom = Math.min(
+                (canvasWidth - padding * 2) / bounds.width,
+                (canvasHeight - padding * 2) / bounds.height
+            );
+            this.zoom = this.clampZoom(zoom);
+            this.panX = canvasWidth / 2 - (bounds.x + bounds.width / 2) * this.zoom;
+            this.panY = canvasHeight / 2 - (bounds.y + bounds.height / 2) * this.zoom;
+            this.notify('view', { zoom: this.zoom, panX: this.panX, panY: this.panY });
+        },
+
+        clampZoom(zoom) {
+            return Math.max(this.MIN_ZOOM, Math.min(this.MAX_ZOOM, zoom));
         },
 
         /**
-         * Set selection
+         * Set selection to a single item (-1 clears it)
          */
         setSelection(index) {
+            const previous = this.selectedIndex;
+            this.selectedIndices = new Set(index >= 0 ? [index] : []);
             this.selectedIndex = index;
-            this.notify('selection');
+            this._notifySelection(previous);
+        },
+
+        /**
+         * Add an item to the selection set (Shift+Click)
+         */
+        addToSelection(index) {
+            if (index < 0) return;
+            const previous = this.selectedIndex;
+            this.selectedIndices.add(index);
+            this.selectedIndex = index;
+            this._notifySelection(previous);
+        },
+
+        /**
+         * Toggle an item in the selection set (Ctrl+Click)
+         */
+        toggleSelection(index) {
+            if (index < 0) return;
+            const previous = this.selectedIndex;
+            if (this.selectedIndices.has(index)) {
+                this.selectedIndices.delete(index);
+                if (this.selectedIndex === index) {
+                    this.selectedIndex = this.selectedIndices.size > 0 ? Math.max(...this.selectedIndices) : -1;
+                }
+            } else {
+                this.selectedIndices.add(index);
+                this.selectedIndex = index;
+            }
+            this._notifySelection(previous);
+        },
+
+        /**
+         * Select several items at once (box selection)
+         * @param {number[]} indices - Items to select
+         * @param {boolean} additive - Keep the current selection (Shift)
+         */
+        selectMany(indices, additive = false) {
+            const previous = this.selectedIndex;
+            const valid = indices.filter(i => i >= 0);
+            if (!additive) this.selectedIndices = new Set();
+            valid.forEach(i => this.selectedIndices.add(i));
+            if (valid.length > 0) {
+                this.selectedIndex = valid[valid.length - 1];
+            } else if (!additive) {
+                this.selectedIndex = -1;
+            }
+            this._notifySelection(previous);
+        },
+
+        /**
+         * Clear selection (no event if already empty)
+         */
+        clearSelection() {
+            if (this.selectedIndices.size === 0 && this.selectedIndex === -1) return;
+            this.setSelection(-1);
+        },
+
+        isSelected(index) {
+            return this.selectedIndices.has(index);
+        },
+
+        /**
+         * Selected items in ascending order
+         * @returns {number[]}
+         */
+        getSelection() {
+            return Array.from(this.selectedIndices).sort((a, b) => a - b);
+        },
+
+        _notifySelection(previous) {
+            this.notify('selection', { index: this.selectedIndex, previous, indices: this.getSelection() });
         },
 
         /**
@@ -75,8 +325,9 @@
          */
         setHover(index) {
             if (this.hoveredIndex !== index) {
+                const previous = this.hoveredIndex;
                 this.hoveredIndex = index;
-                this.notify('hover');
+                this.notify('hover', { index, previous });
             }
         }
     };
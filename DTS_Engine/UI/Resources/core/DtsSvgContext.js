@@ -0,0 +1,365 @@
+/**
+ * DtsSvgContext.js - Canvas-compatible SVG Recorder
+ * Implements the subset of CanvasRenderingContext2D used by the renderers
+ * (paths, rects, text, dashes, save/restore, translate/scale/rotate) and
+ * records it as vector SVG instead of pixels.
+ *
+ * Drawing code may call ctx.setLayer?.(name) to route the following
+ * elements into a named <g> layer; a real canvas context ignores it.
+ */
+(function (global) {
+    'use strict';
+
+    const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+    const TEXT_ANCHOR = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+    const BASELINE = { top: 'hanging', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', ideographic: 'text-after-edge', alphabetic: 'alphabetic' };
+
+    // Average glyph width as a fraction of font size, used when no canvas is available to measure
+    const APPROX_CHAR_WIDTH = 0.55;
+
+    // ===== HELPERS =====
+
+    function fmt(n, digits = 2) {
+        const f = Math.pow(10, digits);
+        const v = Math.round(n * f) / f;
+        return Object.is(v, -0) ? '0' : String(v);
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    function parseFontSize(font) {
+        const match = String(font || '').match(/(\d+(?:\.\d+)?)px/);
+        return match ? parseFloat(match[1]) : 10;
+    }
+
+    /**
+     * Create a recording context
+     * @param {number} width - Drawing width (px)
+     * @param {number} height - Drawing height (px)
+     * @param {object} [options]
+     * @param {{x: number, y: number, width: number, height: number}} [options.viewBox] - Defaults to 0 0 width height
+     * @param {Function} [options.measureText] - (text, font) => width; defaults to a canvas measurer or an approximation
+     * @param {string[]} [options.layers] - Layer order (bottom to top); unlisted layers follow in first-use order
+     * @returns {object} Canvas-like context with toSVG()
+     */
+    function create(width, height, options = {}) {
+        return {
+            // ===== CANVAS-COMPATIBLE STATE =====
+            fillStyle: '#000000',
+            strokeStyle: '#000000',
+            lineWidth: 1,
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic',
+            globalAlpha: 1,
+            canvas: { width, height },
+
+            // ===== RECORDER STATE =====
+            _width: width,
+            _height: height,
+            _viewBox: options.viewBox || { x: 0, y: 0, width, height },
+            _measure: options.measureText || null,
+            _matrix: IDENTITY.slice(),
+            _dash: [],
+            _stack: [],
+            _path: [],
+            _x: 0,
+            _y: 0,
+            _layer: 'default',
+            _layers: {},        // { name: [elementString] }
+            _layerOrder: (options.layers || []).slice(),
+
+            // ===== LAYERS =====
+
+            /**
+             * Route subsequent elements into a named layer
+             */
+            setLayer(name) {
+                this._layer = name || 'default';
+            },
+
+            // ===== STATE STACK =====
+
+            save() {
+                this._stack.push({
+                    fillStyle: this.fillStyle,
+                    strokeStyle: this.strokeStyle,
+                    lineWidth: this.lineWidth,
+                    font: this.font,
+                    textAlign: this.textAlign,
+                    textBaseline: this.textBaseline,
+                    globalAlpha: this.globalAlpha,
+                    matrix: this._matrix.slice(),
+                    dash: this._dash.slice()
+                });
+            },
+
+            restore() {
+                const s = this._stack.pop();
+                if (!s) return;
+                this.fillStyle = s.fillStyle;
+                this.strokeStyle = s.strokeStyle;
+                this.lineWidth = s.lineWidth;
+                this.font = s.font;
+                this.textAlign = s.textAlign;
+                this.textBaseline = s.textBaseline;
+                this.globalAlpha = s.globalAlpha;
+                this._matrix = s.matrix;
+                this._dash = s.dash;
+            },
+
+            // ===== TRANSFORMS =====
+
+            translate(x, y) {
+                this._matrix = multiply(this._matrix, [1, 0, 0, 1, x, y]);
+            },
+
+            scale(x, y) {
+                this._matrix = multiply(this._matrix, [x, 0, 0, y, 0, 0]);
+            },
+
+            rotate(angle) {
+                const c = Math.cos(angle);
+                const s = Math.sin(angle);
+                this._matrix = multiply(this._matrix, [c, s, -s, c, 0, 0]);
+            },
+
+            setTransform(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+                this._matrix = [a, b, c, d, e, f];
+            },
+
+            resetTransform() {
+                this._matrix = IDENTITY.slice();
+            },
+
+            setLineDash(segments) {
+                this._dash = Array.isArray(segments) ? segments.slice() : [];
+            },
+
+            getLineDash() {
+                return this._dash.slice();
+            },
+
+            // ===== PATHS =====
+
+            beginPath() {
+                this._path = [];
+            },
+
+            moveTo(x, y) {
+                this._path.push(`M${fmt(x)} ${fmt(y)}`);
+                this._x = x;
+                this._y = y;
+            },
+
+            lineTo(x, y) {
+                this._path.push(`L${fmt(x)} ${fmt(y)}`);
+                this._x = x;
+                this._y = y;
+            },
+
+            closePath() {
+                this._path.push('Z');
+            },
+
+            rect(x, y, w, h) {
+                this.moveTo(x, y);
+                this.lineTo(x + w, y);
+                this.lineTo(x + w, y + h);
+                this.lineTo(x, y + h);
+                this.closePath();
+            },
+
+            arc(cx, cy, r, start, end, counterClockwise = false) {
+                let sweep = end - start;
+                if (counterClockwise) sweep = -sweep;
+                const sx = cx + r * Math.cos(start);
+                const sy = cy + r * Math.sin(start);
+                this._path.push(`${this._path.length ? 'L' : 'M'}${fmt(sx)} ${fmt(sy)}`);
+
+                // Full circle: two half arcs (SVG cannot draw a closed arc in one command)
+                if (Math.abs(sweep) >= Math.PI * 2 - 1e-9) {
+                    const mx = cx - r * Math.cos(start);
+                    const my = cy - r * Math.sin(start);
+                    const flag = counterClockwise ? 0 : 1;
+                    this._path.push(`A${fmt(r)} ${fmt(r)} 0 1 ${flag} ${fmt(mx)} ${fmt(my)}`);
+                    this._path.push(`A${fmt(r)} ${fmt(r)} 0 1 ${flag} ${fmt(sx)} ${fmt(sy)}`);
+                    this._x = sx;
+                    this._y = sy;
+                    return;
+                }
+
+                const ex = cx + r * Math.cos(end);
+                const ey = cy + r * Math.sin(end);
+                const large = ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2) > Math.PI ? 1 : 0;
+                this._path.push(`A${fmt(r)} ${fmt(r)} 0 ${large} ${counterClockwise ? 0 : 1} ${fmt(ex)} ${fmt(ey)}`);
+                this._x = ex;
+                this._y = ey;
+            },
+
+            /**
+             * Canvas arcTo: line towards (x1, y1) ending tangent to a circle of radius r
+             * that also touches the line (x1, y1) -> (x2, y2)
+             */
+            arcTo(x1, y1, x2, y2, r) {
+                const x0 = this._x;
+                const y0 = this._y;
+                const v1x = x0 - x1, v1y = y0 - y1;
+                const v2x = x2 - x1, v2y = y2 - y1;
+                const l1 = Math.hypot(v1x, v1y);
+                const l2 = Math.hypot(v2x, v2y);
+                const cross = v1x * v2y - v1y * v2x;
+
+                if (r === 0 || l1 === 0 || l2 === 0 || Math.abs(cross) < 1e-9) {
+                    this.lineTo(x1, y1);
+                    return;
+                }
+
+                const angle = Math.acos(Math.max(-1, Math.min(1, (v1x * v2x + v1y * v2y) / (l1 * l2))));
+                const dist = r / Math.tan(angle / 2);
+                const t1x = x1 + v1x / l1 * dist, t1y = y1 + v1y / l1 * dist;
+                const t2x = x1 + v2x / l2 * dist, t2y = y1 + v2y / l2 * dist;
+
+                this.lineTo(t1x, t1y);
+                this._path.push(`A${fmt(r)} ${fmt(r)} 0 0 ${cross < 0 ? 1 : 0} ${fmt(t2x)} ${fmt(t2y)}`);
+                this._x = t2x;
+                this._y = t2y;
+            },
+
+            fill() {
+                if (this._path.length === 0) return;
+                this._emit(`<path d="${this._path.join(' ')}" fill="${escapeXml(this.fillStyle)}"${this._alphaAttr()}${this._transformAttr()}/>`);
+            },
+
+            stroke() {
+                if (this._path.length === 0) return;
+                this._emit(`<path d="${this._path.join(' ')}" fill="none"${this._strokeAttrs()}${this._alphaAttr()}${this._transformAttr()}/>`);
+            },
+
+            // ===== RECTANGLES =====
+
+            fillRect(x, y, w, h) {
+                this._emit(`<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" fill="${escapeXml(this.fillStyle)}"${this._alphaAttr()}${this._transformAttr()}/>`);
+            },
+
+            strokeRect(x, y, w, h) {
+                this._emit(`<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" fill="none"${this._strokeAttrs()}${this._alphaAttr()}${this._transformAttr()}/>`);
+            },
+
+            clearRect() {
+                // Nothing to clear in a recording; background is transparent
+            },
+
+            // ===== TEXT =====
+
+            fillText(text, x, y) {
+                const anchor = TEXT_ANCHOR[this.textAlign] || 'start';
+                const baseline = BASELINE[this.textBaseline] || 'alphabetic';
+                this._emit(`<text x="${fmt(x)}" y="${fmt(y)}" style="font:${escapeXml(this.font)}" ` +
+                    `text-anchor="${anchor}" dominant-baseline="${baseline}" fill="${escapeXml(this.fillStyle)}"` +
+                    `${this._alphaAttr()}${this._transformAttr()}>${escapeXml(text)}</text>`);
+            },
+
+            measureText(text) {
+                const str = String(text);
+                if (this._measure) return { width: this._measure(str, this.font) };
+
+                const measurer = this._getMeasurer();
+                if (measurer) {
+                    measurer.font = this.font;
+                    return { width: measurer.measureText(str).width };
+                }
+                return { width: str.length * parseFontSize(this.font) * APPROX_CHAR_WIDTH };
+            },
+
+            // ===== OUTPUT =====
+
+            /**
+             * Serialize the recording
+             * @param {object} [options]
+             * @param {string} [options.background] - Optional background fill
+             * @returns {string} SVG document
+             */
+            toSVG(options = {}) {
+                const vb = this._viewBox;
+                const parts = [
+                    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+                    `width="${fmt(this._width)}" height="${fmt(this._height)}" viewBox="${fmt(vb.x)} ${fmt(vb.y)} ${fmt(vb.width)} ${fmt(vb.height)}">`
+                ];
+                if (options.background) {
+                    parts.push(`<rect x="${fmt(vb.x)}" y="${fmt(vb.y)}" width="${fmt(vb.width)}" height="${fmt(vb.height)}" fill="${escapeXml(options.background)}"/>`);
+                }
+                this.getLayers().forEach(name => {
+                    parts.push(`<g id="${escapeXml(name)}" inkscape:groupmode="layer" inkscape:label="${escapeXml(name)}">`);
+                    this._layers[name].forEach(el => parts.push(`  ${el}`));
+                    parts.push('</g>');
+                });
+                parts.push('</svg>');
+                return parts.join('\n');
+            },
+
+            /**
+             * Names of layers that received elements, in first-use order
+             */
+            getLayers() {
+                return this._layerOrder.filter(name => this._layers[name]?.length);
+            },
+
+            // ===== INTERNAL =====
+
+            _emit(element) {
+                if (!this._layers[this._layer]) {
+                    this._layers[this._layer] = [];
+                    if (!this._layerOrder.includes(this._layer)) this._layerOrder.push(this._layer);
+                }
+                this._layers[this._layer].push(element);
+            },
+
+            _strokeAttrs() {
+                const dash = this._dash.length ? ` stroke-dasharray="${this._dash.map(fmt).join(' ')}"` : '';
+                return ` stroke="${escapeXml(this.strokeStyle)}" stroke-width="${fmt(this.lineWidth)}"${dash}`;
+            },
+
+            _alphaAttr() {
+                return this.globalAlpha < 1 ? ` opacity="${fmt(this.globalAlpha)}"` : '';
+            },
+
+            _transformAttr() {
+                const m = this._matrix;
+                if (m.every((v, i) => v === IDENTITY[i])) return '';
+                return ` transform="matrix(${m.map(v => fmt(v, 4)).join(' ')})"`;
+            },
+
+            _getMeasurer() {
+                if (this._measurer !== undefined) return this._measurer;
+                const canvas = typeof document !== 'undefined' && document.createElement
+                    ? document.createElement('canvas')
+                    : null;
+                this._measurer = canvas?.getContext ? canvas.getContext('2d') : null;
+                return this._measurer;
+            }
+        };
+    }
+
+    global.Dts = global.Dts || {};
+    global.Dts.SvgContext = { create };
+
+})(window);
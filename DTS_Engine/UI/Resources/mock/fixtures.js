@@ -0,0 +1,324 @@
+/**
+ * fixtures.js - Sample host data for Dts.MockHost
+ * Shapes follow what the C# dialogs serialize:
+ *   groupData   -> BeamGroupViewer __DATA_JSON__ (mode, groups, allBeams, allGrids, allColumns, settings)
+ *   settings    -> RebarConfig __SETTINGS_JSON__ (DtsSettings)
+ *   stories     -> GET_STORIES reply (List<StoryNamingConfig>)
+ *   reportData  -> CalculationReport initReport() (List<ReportGroupData>)
+ */
+(function (global) {
+    'use strict';
+
+    // ===== BEAM GROUP =====
+
+    const LAYERS = 8;
+
+    /**
+     * Legacy [layer][position] rebar table (C# string[8,6]); layer 0 = backbone at L/M/R
+     */
+    function rebarTable(backbone, addLeft, addMid, addRight) {
+        const table = Array.from({ length: LAYERS }, () => ['', '', '', '', '', '']);
+        table[0] = [backbone, '', backbone, '', backbone, ''];
+        table[1] = [addLeft || '', '', addMid || '', '', addRight || '', ''];
+        return table;
+    }
+
+    function info(count, diameter) {
+        return count > 0 ? { Count: count, Diameter: diameter } : null;
+    }
+
+    function span(index, x0, length, supportLeft, supportRight, rebar) {
+        const handle = `2A${index + 1}F`;
+        const clear = length - (supportLeft.Width + supportRight.Width) / 2000;
+        return {
+            SpanId: `S${index + 1}`,
+            SpanIndex: index,
+            xSectionLabel: 'G201',
+            xSectionLabelLocked: false,
+            Length: length,
+            ClearLength: Math.round(clear * 1000) / 1000,
+            Width: 300,
+            Height: 600,
+            LeftSupportId: supportLeft.SupportId,
+            RightSupportId: supportRight.SupportId,
+            Segments: [{
+                EntityHandle: handle,
+                SapFrameName: String(index + 101),
+                Length: length,
+                StartPoint: [x0 * 1000, 0],
+                EndPoint: [(x0 + length) * 1000, 0],
+                xSectionLabel: 'G201'
+            }],
+            As_Top: rebar.asTop,
+            As_Bot: rebar.asBot,
+            As_Stir: [0.62, 0.31, 0.62],
+            As_Web: [0, 0, 0],
+            TopRebar: rebarTable('2D20', rebar.topAdd[0], rebar.topAdd[1], rebar.topAdd[2]),
+            BotRebar: rebarTable('2D20', rebar.botAdd[0], rebar.botAdd[1], rebar.botAdd[2]),
+            TopRS: ['2D20', '2D20', '2D20'],
+            BotRS: ['2D20', '2D20', '2D20'],
+            Stirrup: ['D8a100', 'D8a200', 'D8a100'],
+            StirRS: ['D8a100', 'D8a200', 'D8a100'],
+            WebRS: ['2D12', '2D12', '2D12'],
+            SideBar: '2D12',
+            TopBackbone: info(2, 20),
+            BotBackbone: info(2, 20),
+            TopAddLeft: rebar.topInfo[0],
+            TopAddMid: rebar.topInfo[1],
+            TopAddRight: rebar.topInfo[2],
+            BotAddLeft: rebar.botInfo[0],
+            BotAddMid: rebar.botInfo[1],
+            BotAddRight: rebar.botInfo[2],
+            Options: [],
+            IsActive: true,
+            IsManualModified: false
+        };
+    }
+
+    const supports = [
+        { SupportId: 'C1', SupportIndex: 0, Type: 0, Width: 400, Position: 0, GridName: '1', EntityHandle: '2B01' },
+        { SupportId: 'C2', SupportIndex: 1, Type: 0, Width: 400, Position: 6, GridName: '2', EntityHandle: '2B02' },
+        { SupportId: 'C3', SupportIndex: 2, Type: 0, Width: 400, Position: 13, GridName: '3', EntityHandle: '2B03' },
+        { SupportId: 'C4', SupportIndex: 3, Type: 0, Width: 400, Position: 18, GridName: '4', EntityHandle: '2B04' }
+    ];
+
+    const spans = [
+        span(0, 0, 6, supports[0], supports[1], {
+            asTop: [9.8, 6.3, 2.1, 2.1, 7.4, 11.2], asBot: [3.1, 5.2, 7.6, 7.1, 4.8, 3.3],
+            topAdd: ['2D18', '', '2D20'], botAdd: ['', '2D16', ''],
+            topInfo: [info(2, 18), null, info(2, 20)], botInfo: [null, info(2, 16), null]
+        }),
+        span(1, 6, 7, supports[1], supports[2], {
+            asTop: [11.6, 7.9, 2.6, 2.6, 7.7, 11.9], asBot: [3.4, 6.1, 9.2, 9.0, 5.9, 3.5],
+            topAdd: ['2D20', '', '2D20'], botAdd: ['', '2D18', ''],
+            topInfo: [info(2, 20), null, info(2, 20)], botInfo: [null, info(2, 18), null]
+        }),
+        span(2, 13, 5, supports[2], supports[3], {
+            asTop: [10.4, 6.0, 1.8, 1.8, 4.1, 6.2], asBot: [2.9, 4.2, 5.8, 5.6, 3.9, 2.7],
+            topAdd: ['2D20', '', '2D16'], botAdd: ['', '', ''],
+            topInfo: [info(2, 20), null, info(2, 16)], botInfo: [null, null, null]
+        })
+    ];
+
+    const group = {
+        GroupId: '2A1F',
+        GroupName: 'G201',
+        Name: 'G201',
+        GroupType: 'Girder',
+        AxisName: 'A',
+        AxisOffset: 0,
+        GridRange: '1-4',
+        Direction: 'X',
+        StoryName: 'L2',
+        LevelZ: 7000,
+        Width: 300,
+        Height: 600,
+        TotalLength: 18,
+        Spans: spans,
+        Supports: supports,
+        BackboneOptions: [],
+        SelectedBackboneIndex: 0,
+        IsLocked: false,
+        Source: 'Auto',
+        EntityHandles: spans.map(s => s.Segments[0].EntityHandle),
+        ConcreteGrade: 'B25',
+        SteelGrade: 'CB400'
+    };
+
+    /**
+     * Plan view beams (BeamGroupViewerDialog builds one per segment)
+     */
+    function planBeams(g) {
+        return g.Spans.flatMap(s => s.Segments.map(seg => ({
+            Handle: seg.EntityHandle,
+            StartX: seg.StartPoint[0],
+            StartY: seg.StartPoint[1],
+            EndX: seg.EndPoint[0],
+            EndY: seg.EndPoint[1],
+            AxisName: g.AxisName,
+            Width: g.Width,
+            Height: g.Height,
+            LevelZ: g.LevelZ,
+            GroupName: g.GroupName,
+            GroupId: g.GroupId,
+            SectionLabel: s.xSectionLabel,
+            xSectionLabel: s.xSectionLabel,
+            xSectionLabelLocked: s.xSectionLabelLocked,
+            TopRS: s.TopRS,
+            BotRS: s.BotRS,
+            StirRS: s.StirRS,
+            WebRS: s.WebRS,
+            As_Top: s.As_Top,
+            As_Bot: s.As_Bot,
+            As_Stir: s.As_Stir,
+            As_Web: s.As_Web
+        })));
+    }
+
+    /**
+     * AnchorageConfig as serialized by Json.NET (Mode: 0 = ByFactor, 1 = ByLength), TCVN-style factors
+     */
+    function anchorage() {
+        const diameters = [10, 12, 14, 16, 18, 20, 22, 25, 28, 32];
+        const table = factor => Object.fromEntries(diameters.map(d => [d, factor]));
+        return {
+            StandardName: 'TCVN 5574:2018',
+            Mode: 0,
+            ConcreteGrades: ['B25'],
+            SteelGrades: ['CB400'],
+            AnchorageValues: { B25_CB400: table(45) },
+            SpliceValues: { B25_CB400: table(58.5) },
+            HookValues: {},
+            Hook90Factor: 12,
+            MinHook90Length: 150,
+            Hook135Factor: 6,
+            Hook180Factor: 4,
+            MinHookLength: 75,
+            DefaultAnchorageFactor: 40,
+            DefaultSpliceFactor: 52
+        };
+    }
+
+    const groupData = {
+        mode: 'groups',
+        groups: [group],
+        allBeams: planBeams(group),
+        allGrids: [],
+        allColumns: [],
+        settings: {
+            ConcreteGradeName: 'B25',
+            SteelGradeName: 'CB400-V',
+            SteelGradeMain: 400,
+            MaxLayers: 2,
+            MainBarRange: '16-25',
+            StirrupBarRange: '8-10',
+            CoverTop: 25,
+            CoverBot: 25,
+            CoverSide: 25,
+            MinClearSpacing: 30,
+            SafetyFactor: 1.0,
+            StandardBarLength: 11700,
+            Anchorage: anchorage(),
+            UserName: 'designer'
+        }
+    };
+
+    // ===== REBAR CONFIG =====
+
+    const stories = [
+        { StoryName: 'L1', Elevation: 3500, StartIndex: 101, BeamPrefix: 'B', GirderPrefix: 'G', ColumnPrefix: 'C', Suffix: '' },
+        { StoryName: 'L2', Elevation: 7000, StartIndex: 201, BeamPrefix: 'B', GirderPrefix: 'G', ColumnPrefix: 'C', Suffix: '' },
+        { StoryName: 'L3', Elevation: 10500, StartIndex: 301, BeamPrefix: 'B', GirderPrefix: 'G', ColumnPrefix: 'C', Suffix: '' },
+        { StoryName: 'Roof', Elevation: 14000, StartIndex: 401, BeamPrefix: 'RB', GirderPrefix: 'RG', ColumnPrefix: 'C', Suffix: '' }
+    ];
+
+    const settings = {
+        General: {
+            AvailableDiameters: [8, 10, 12, 14, 16, 18, 20, 22, 25],
+            ConcreteGradeName: 'B25',
+            ConcreteGrade: 25,
+            SteelGradeName: 'CB400-V',
+            SteelGradeMain: 400,
+            SteelGradeStirrup: 300,
+            Unit: 'mm',
+            TextHeight: 1
+        },
+        Beam: {
+            MainBarRange: '16-25',
+            StirrupBarRange: '8-10',
+            SideBarRange: '12-14',
+            StirrupSpacings: [100, 150, 200],
+            CoverTop: 25,
+            CoverBot: 25,
+            CoverSide: 25,
+            MinClearSpacing: 30,
+            MaxClearSpacing: 200,
+            MaxLayers: 2,
+            MinBarsPerLayer: 2
+        },
+        StoryConfigs: stories.slice(0, 2),
+        StoryTolerance: 500,
+        UserPresets: {}
+    };
+
+    // ===== CALCULATION REPORT =====
+
+    function force(elementId, station, moment, asCalc, asProv, rebarStr) {
+        return {
+            ElementId: elementId,
+            Station: station,
+            LocationMm: '',
+            Moment: moment,
+            AsCalc: asCalc,
+            AsProv: asProv,
+            RebarStr: rebarStr,
+            Ratio: asProv ? Math.round(asCalc / asProv * 100) / 100 : null,
+            LoadCase: 'ENVE',
+            Conclusion: asCalc <= asProv ? 'OK' : 'NG'
+        };
+    }
+
+    function station(elementId, name, top, bot) {
+        return {
+            ElementId: elementId,
+            Station: name,
+            LoadCase: 'ENVE',
+            Legs: 2,
+            TopResult: force(elementId, name, ...top),
+            BotResult: force(elementId, name, ...bot),
+            StirrupResult: { ElementId: elementId, Station: name, Shear: 142.5, AsCalc: 0.62, AsProv: 1.01, RebarStr: 'D8a100', Ratio: 0.61, Conclusion: 'OK' }
+        };
+    }
+
+    const reportData = [{
+        GroupName: 'Dầm Tầng 2 - Trục A',
+        ProjectName: 'Dự án mẫu',
+        SectionName: 'G201 (300x600)',
+        Spans: spans.map(s => {
+            const id = s.Segments[0].SapFrameName;
+            return {
+                SpanId: s.SpanId,
+                Section: `${s.Width}x${s.Height}`,
+                Length: String(s.Length * 1000),
+                Material: 'B25 / CB400',
+                Left: station(id, 'L1', [-182.4, s.As_Top[0], 12.6, '4D20'], [45.1, s.As_Bot[0], 6.3, '2D20']),
+                Mid: station(id, 'Center', [-20.7, s.As_Top[2], 6.3, '2D20'], [121.8, s.As_Bot[2], 10.3, '2D20+2D16']),
+                Right: station(id, 'L2', [-196.0, s.As_Top[5], 12.6, '4D20'], [41.7, s.As_Bot[5], 6.3, '2D20'])
+            };
+        })
+    }];
+
+    // ===== DEFAULT REPLIES =====
+
+    const replies = {
+        AUTO_NAME: [{ type: 'NAMING_DONE', payload: msg => ({ count: msg.payload?.handles?.length || 0 }) }],
+        PULL_DATA: [{
+            script: 'onGroupUpdated',
+            args: (msg, fx) => [msg.payload.groupIndex, JSON.stringify(fx.groupData.groups[msg.payload.groupIndex])]
+        }],
+        SAVE: [{ script: 'showToast', args: ['Đã lưu (mock)'] }],
+        APPLY: [{ script: 'showToast', args: ['Đã áp dụng (mock)'] }],
+        CMD: [{ type: 'CMD_SENT', payload: msg => ({ command: msg.payload.command }) }],
+        GET_STORIES: [{ script: 'onStoriesReceived', args: (msg, fx) => [JSON.stringify(fx.stories)], delay: 300 }],
+        refresh_data: [{ script: 'initReport', args: (msg, fx) => [fx.reportData] }]
+    };
+
+    global.Dts = global.Dts || {};
+    global.Dts.MockFixtures = {
+        groupData,
+        settings,
+        stories,
+        reportData,
+        replies,
+
+        /**
+         * Fresh deep copy, so a test can mutate fixtures without leaking into the next one
+         */
+        clone() {
+            const copy = JSON.parse(JSON.stringify({ groupData, settings, stories, reportData }));
+            copy.replies = Object.assign({}, replies);
+            return copy;
+        }
+    };
+
+})(window);